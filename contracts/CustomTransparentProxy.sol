@@ -3,6 +3,7 @@ pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
 import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol";
+import "./ProxyDeployer.sol";
 
 /**
  * @dev Custom transparent proxy that accepts a ProxyAdmin address directly
@@ -28,6 +29,7 @@ contract CustomTransparentProxy is ERC1967Proxy {
         _admin = admin;
         // Set the admin in ERC1967 storage and emit event
         ERC1967Utils.changeAdmin(admin);
+        ProxyDeployer.record();
     }
 
     /**
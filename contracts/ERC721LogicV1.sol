@@ -21,10 +21,12 @@ contract ERC721LogicV1 is Initializable, ERC721Upgradeable, OwnableUpgradeable {
         string memory name,
         string memory symbol,
         uint256 _maxSupply,
-        uint256 _mintPrice
+        uint256 _mintPrice,
+        address initialOwner
     ) public initializer {
         __ERC721_init(name, symbol);
-        __Ownable_init(msg.sender);
+        // Set explicitly: msg.sender here is whoever deploys the proxy (the factory)
+        __Ownable_init(initialOwner);
         maxSupply = _maxSupply;
         mintPrice = _mintPrice;
         _nextTokenId = 1;
@@ -53,7 +55,7 @@ contract ERC721LogicV1 is Initializable, ERC721Upgradeable, OwnableUpgradeable {
         mintPrice = _mintPrice;
     }
 
-    function withdraw() public onlyOwner {
+    function withdraw() public virtual onlyOwner {
         uint256 balance = address(this).balance;
         require(balance > 0, "No funds to withdraw");
         payable(owner()).transfer(balance);
@@ -0,0 +1,178 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./ERC721LogicV2Fixed.sol";
+import "@openzeppelin/contracts/token/ERC721/utils/ERC721Utils.sol";
+
+/**
+ * @dev ERC721LogicV2Fixed with consolidated sequential ownership, in the style of ERC721A.
+ *
+ * batchMint writes the owner of the first token of a batch, and of every
+ * OWNERSHIP_CHECKPOINT-th token after it, instead of every token. A token without an
+ * explicit owner belongs to the owner of the closest explicitly owned token before it.
+ * The balance is written once per batch, and one BatchMinted event replaces the
+ * per-token TokenMinted events. Checkpoints bound how far ownerOf and transfers scan back.
+ *
+ * Only tokens minted by batchMint can have implied owners: a bitmap marks them, so a
+ * token minted one at a time (mint) has no owner until _safeMint writes it.
+ *
+ * Ownership stays in ERC721Upgradeable's own storage and the bitmap lives in its own
+ * ERC-7201 namespace, so V2Fixed proxies upgrade to this version without an
+ * initialization call and keep every token's owner. A version without consolidated
+ * ownership would see implied owners as missing tokens: materializeOwnership writes
+ * them out before a collection moves on.
+ */
+contract ERC721LogicV2A is ERC721LogicV2Fixed {
+    // An explicit owner is written at least every OWNERSHIP_CHECKPOINT tokens of a batch
+    uint256 public constant OWNERSHIP_CHECKPOINT = 32;
+
+    // ERC721Upgradeable's ERC-7201 namespace ("openzeppelin.storage.ERC721"), whose accessor is private
+    bytes32 private constant _ERC721_STORAGE_LOCATION = 0x80bb2b638cc20bc4d0a60d66940f3ab4a00c1d7b313497ca82fb0b4ab0079300;
+
+    // Same layout as ERC721Upgradeable.ERC721Storage
+    struct ERC721OwnershipStorage {
+        string _name;
+        string _symbol;
+        mapping(uint256 => address) _owners;
+        mapping(address => uint256) _balances;
+        mapping(uint256 => address) _tokenApprovals;
+        mapping(address => mapping(address => bool)) _operatorApprovals;
+    }
+
+    /// @custom:storage-location erc7201:nftupgrade.storage.ERC721LogicV2A
+    struct BatchMintStorage {
+        // One bit per token minted by batchMint after the first of its batch, 256 tokens per word
+        mapping(uint256 => uint256) _batchMinted;
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("nftupgrade.storage.ERC721LogicV2A")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant _BATCH_MINT_STORAGE_LOCATION = 0x14d0c5c201fb1f14e9759731c496da1efe8c79c9574d76f2adcff0ada41c9300;
+
+    event BatchMinted(address indexed to, uint256 indexed startTokenId, uint256 quantity);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    // Mint `quantity` sequential tokens with one owner write per checkpoint and one balance write
+    function batchMint(address to, uint256 quantity) public payable override {
+        require(quantity > 0, "Quantity must be greater than 0");
+        require(_nextTokenId + quantity - 1 <= maxSupply, "Exceeds max supply");
+        require(msg.value >= mintPrice * quantity, "Insufficient payment");
+        if (to == address(0)) {
+            revert ERC721InvalidReceiver(address(0));
+        }
+
+        ERC721OwnershipStorage storage $ = _erc721Storage();
+        uint256 startTokenId = _nextTokenId;
+        uint256 endTokenId = startTokenId + quantity;
+        _nextTokenId = endTokenId;
+        unchecked {
+            $._balances[to] += quantity;
+        }
+        for (uint256 tokenId = startTokenId; tokenId < endTokenId; tokenId++) {
+            if ((tokenId - startTokenId) % OWNERSHIP_CHECKPOINT == 0) {
+                $._owners[tokenId] = to;
+            }
+            emit Transfer(address(0), to, tokenId);
+        }
+        // The first token is written out, so only the tokens after it can have implied owners
+        _markBatchMinted(startTokenId + 1, endTokenId);
+        emit BatchMinted(to, startTokenId, quantity);
+
+        // Receiver checks run once every token exists, as in ERC721A
+        if (to.code.length > 0) {
+            for (uint256 tokenId = startTokenId; tokenId < endTokenId; tokenId++) {
+                ERC721Utils.checkOnERC721Received(_msgSender(), address(0), to, tokenId, "");
+            }
+        }
+
+        // Refund excess payment
+        if (msg.value > mintPrice * quantity) {
+            payable(msg.sender).transfer(msg.value - (mintPrice * quantity));
+        }
+    }
+
+    // Write out the implied owner of every token in [fromTokenId, toTokenId]. Owners do not
+    // change, so anyone may pay for it.
+    function materializeOwnership(uint256 fromTokenId, uint256 toTokenId) external {
+        require(fromTokenId > 0 && fromTokenId <= toTokenId && toTokenId < _nextTokenId, "Invalid token range");
+        ERC721OwnershipStorage storage $ = _erc721Storage();
+        for (uint256 tokenId = fromTokenId; tokenId <= toTokenId; tokenId++) {
+            if ($._owners[tokenId] == address(0)) {
+                $._owners[tokenId] = _ownerOf(tokenId);
+            }
+        }
+    }
+
+    // Number of minted tokens in [fromTokenId, toTokenId] without an explicit owner
+    function impliedOwnerCount(uint256 fromTokenId, uint256 toTokenId) external view returns (uint256 count) {
+        ERC721OwnershipStorage storage $ = _erc721Storage();
+        uint256 last = toTokenId < _nextTokenId ? toTokenId : _nextTokenId - 1;
+        for (uint256 tokenId = fromTokenId > 0 ? fromTokenId : 1; tokenId <= last; tokenId++) {
+            if ($._owners[tokenId] == address(0)) {
+                count++;
+            }
+        }
+    }
+
+    function getVersion() public pure virtual override returns (string memory) {
+        return "2.1.0";
+    }
+
+    // Tokens are never burned, so every batch-minted token without an explicit owner has
+    // an explicitly owned token before it in its batch
+    function _ownerOf(uint256 tokenId) internal view override returns (address owner) {
+        owner = super._ownerOf(tokenId);
+        if (owner == address(0) && _isBatchMinted(tokenId)) {
+            ERC721OwnershipStorage storage $ = _erc721Storage();
+            do {
+                owner = $._owners[--tokenId];
+            } while (owner == address(0));
+        }
+    }
+
+    // Before a token changes owner, the next token gets its implied owner written out;
+    // otherwise it would follow the token to its new owner
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        ERC721OwnershipStorage storage $ = _erc721Storage();
+        uint256 nextTokenId = tokenId + 1;
+        if ($._owners[nextTokenId] == address(0) && _isBatchMinted(nextTokenId)) {
+            $._owners[nextTokenId] = _ownerOf(tokenId);
+        }
+        return super._update(to, tokenId, auth);
+    }
+
+    // Set the bits of [startTokenId, endTokenId) with one write per bitmap word
+    function _markBatchMinted(uint256 startTokenId, uint256 endTokenId) private {
+        mapping(uint256 => uint256) storage bits = _batchMintStorage()._batchMinted;
+        uint256 tokenId = startTokenId;
+        while (tokenId < endTokenId) {
+            uint256 word = tokenId >> 8;
+            uint256 wordEnd = (word + 1) << 8;
+            uint256 last = endTokenId < wordEnd ? endTokenId : wordEnd;
+            // Bits [tokenId & 0xff, last - word * 256) of the word
+            uint256 width = last - tokenId;
+            uint256 mask = (width == 256 ? type(uint256).max : (uint256(1) << width) - 1) << (tokenId & 0xff);
+            bits[word] |= mask;
+            tokenId = last;
+        }
+    }
+
+    function _isBatchMinted(uint256 tokenId) private view returns (bool) {
+        return _batchMintStorage()._batchMinted[tokenId >> 8] & (uint256(1) << (tokenId & 0xff)) != 0;
+    }
+
+    function _batchMintStorage() private pure returns (BatchMintStorage storage $) {
+        assembly {
+            $.slot := _BATCH_MINT_STORAGE_LOCATION
+        }
+    }
+
+    function _erc721Storage() private pure returns (ERC721OwnershipStorage storage $) {
+        assembly {
+            $.slot := _ERC721_STORAGE_LOCATION
+        }
+    }
+}
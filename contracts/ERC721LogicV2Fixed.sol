@@ -2,6 +2,7 @@
 pragma solidity ^0.8.24;
 
 import "./ERC721LogicV1.sol";
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol";
 
 contract ERC721LogicV2Fixed is ERC721LogicV1 {
     // New storage variables for V2 (must be added at the end to avoid storage collision)
@@ -28,7 +29,7 @@ contract ERC721LogicV2Fixed is ERC721LogicV1 {
         string memory _notRevealedUri,
         address _royaltyReceiver,
         uint96 _royaltyFeeNumerator
-    ) external {
+    ) public virtual {
         require(bytes(baseURI).length == 0, "V2 already initialized"); // Prevent double initialization
         
         baseURI = _baseURI;
@@ -39,12 +40,22 @@ contract ERC721LogicV2Fixed is ERC721LogicV1 {
         royaltyFeeNumerator = _royaltyFeeNumerator;
     }
 
-    function setBaseURI(string memory _baseURI) public onlyOwner {
+    // Migration hook for collections created before the factory passed an initial owner:
+    // those are owned by the factory, which can never call onlyOwner functions.
+    // Only reachable through ProxyAdmin.upgradeAndCall - the transparent proxy forwards
+    // nothing else from the admin - so the ProxyAdmin owner decides the new owner.
+    function migrateOwnership(address newOwner) external {
+        require(msg.sender == ERC1967Utils.getAdmin(), "Only ProxyAdmin during upgrade");
+        require(newOwner != address(0), "Invalid new owner");
+        _transferOwnership(newOwner);
+    }
+
+    function setBaseURI(string memory _baseURI) public virtual onlyOwner {
         baseURI = _baseURI;
         emit BaseURIUpdated(_baseURI);
     }
 
-    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+    function tokenURI(uint256 tokenId) public view virtual override returns (string memory) {
         require(ownerOf(tokenId) != address(0), "Token does not exist");
         
         if (!revealed) {
@@ -56,12 +67,12 @@ contract ERC721LogicV2Fixed is ERC721LogicV1 {
             : "";
     }
 
-    function reveal() public onlyOwner {
+    function reveal() public virtual onlyOwner {
         revealed = true;
         emit Revealed(true);
     }
 
-    function setNotRevealedURI(string memory _notRevealedUri) public onlyOwner {
+    function setNotRevealedURI(string memory _notRevealedUri) public virtual onlyOwner {
         notRevealedUri = _notRevealedUri;
     }
 
@@ -69,19 +80,20 @@ contract ERC721LogicV2Fixed is ERC721LogicV1 {
     function royaltyInfo(uint256 /*tokenId*/, uint256 salePrice) 
         external 
         view 
+        virtual
         returns (address receiver, uint256 royaltyAmount) 
     {
         receiver = royaltyReceiver;
         royaltyAmount = (salePrice * royaltyFeeNumerator) / 10000;
     }
 
-    function setRoyalty(address _receiver, uint96 _feeNumerator) public onlyOwner {
+    function setRoyalty(address _receiver, uint96 _feeNumerator) public virtual onlyOwner {
         royaltyReceiver = _receiver;
         royaltyFeeNumerator = _feeNumerator;
     }
 
     // Batch mint function (new in V2)
-    function batchMint(address to, uint256 quantity) public payable {
+    function batchMint(address to, uint256 quantity) public payable virtual {
         require(quantity > 0, "Quantity must be greater than 0");
         require(_nextTokenId + quantity - 1 <= maxSupply, "Exceeds max supply");
         require(msg.value >= mintPrice * quantity, "Insufficient payment");
@@ -98,14 +110,12 @@ contract ERC721LogicV2Fixed is ERC721LogicV1 {
         }
     }
 
-    // Set custom token URI
-    function setTokenURI(uint256 tokenId, string memory _tokenURI) public onlyOwner {
+    // Set custom token URI - V2 does not store it; ERC721LogicV3 does
+    function setTokenURI(uint256 tokenId, string memory /*_tokenURI*/) public virtual onlyOwner {
         require(_ownerOf(tokenId) != address(0), "Token does not exist");
-        // Store custom URI in mapping if needed - for now just emit event
-        // In a full implementation, you'd store this in a mapping
     }
 
-    function getVersion() public pure override returns (string memory) {
+    function getVersion() public pure virtual override returns (string memory) {
         return "2.0.0";
     }
 
@@ -134,6 +144,7 @@ contract ERC721LogicV2Fixed is ERC721LogicV1 {
     function supportsInterface(bytes4 interfaceId)
         public
         view
+        virtual
         override
         returns (bool)
     {
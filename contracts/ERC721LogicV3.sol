@@ -0,0 +1,686 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./ERC721LogicV2Fixed.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./ProxyDeployer.sol";
+
+// The NFTFactory emergency pause, as seen by a collection
+interface ICollectionGuard {
+    function isDeployedCollection(address collection) external view returns (bool);
+    function isCollectionPaused(address collection) external view returns (bool);
+}
+
+/**
+ * @dev V3 stores per-token URI overrides and announces metadata changes with the
+ * EIP-4906 events, so marketplaces refresh their cached metadata.
+ *
+ * tokenURI resolves in this order: the token's override, then the revealed base
+ * URI, then the hidden URI. New storage is appended after V2's storage gap, so
+ * upgrading from ERC721LogicV2Fixed keeps every slot in place and needs no
+ * initialization call.
+ *
+ * Royalties (ERC-2981) are bounded by a maximum fee the owner can configure
+ * (10% until set), and any token can carry its own receiver and fee on top of
+ * the collection default.
+ *
+ * Mint proceeds can be split between payees by share. Each payee pulls their own
+ * share with release(); without payees the owner is the only payee and withdraws
+ * as before.
+ *
+ * An allowlist presale sells at its own price to the addresses in a Merkle tree, each
+ * up to the quantity the tree assigns it. Public minting is closed while it runs.
+ *
+ * A phase schedule replaces the manual presale switch with sale windows: closed,
+ * presale, public, ended. Each window has its own price, per-wallet cap and
+ * per-transaction cap. Without a schedule the collection mints as before.
+ *
+ * Mint vouchers are the off-chain alternative: EIP-712 signatures of the voucher
+ * signer, each naming a recipient, quantity, per-token price, expiry and nonce.
+ * A nonce is redeemed once.
+ *
+ * Once linked to the NFTFactory that deployed it, the collection obeys the factory's
+ * emergency pause: while its guardians pause it, no token is minted, transferred or
+ * burned.
+ */
+contract ERC721LogicV3 is ERC721LogicV2Fixed {
+    // Per-token URI overrides ("" when a token has none)
+    mapping(uint256 => string) private _tokenURIs;
+
+    struct TokenRoyalty {
+        address receiver;
+        uint96 feeNumerator;
+    }
+
+    uint96 public constant FEE_DENOMINATOR = 10000;
+    uint96 public constant DEFAULT_MAX_ROYALTY_FEE = 1000;
+
+    // Per-token royalty overrides (receiver is zero when a token has none)
+    mapping(uint256 => TokenRoyalty) private _tokenRoyalties;
+    // 0 until the owner configures it, meaning DEFAULT_MAX_ROYALTY_FEE
+    uint96 private _maxRoyaltyFee;
+
+    uint256 public constant MAX_PAYEES = 20;
+
+    // Revenue split: received funds are allocated to the payees by share when the split
+    // changes or a payee releases, and stay in the contract until released
+    address[] private _payees;
+    mapping(address => uint256) private _shares;
+    uint256 private _totalShares;
+    mapping(address => uint256) private _accrued;
+    mapping(address => uint256) private _released;
+    // Allocated to payees and not released yet
+    uint256 private _totalOwed;
+
+    // Allowlist presale: leaves are keccak256(keccak256(abi.encode(account, allowance)))
+    bytes32 public presaleMerkleRoot;
+    uint256 public presalePrice;
+    bool public presaleActive;
+    mapping(address => uint256) public presaleMinted;
+
+    struct MintVoucher {
+        address recipient;
+        uint256 quantity;
+        uint256 price;
+        uint256 expiry;
+        uint256 nonce;
+    }
+
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant VOUCHER_TYPEHASH =
+        keccak256("MintVoucher(address recipient,uint256 quantity,uint256 price,uint256 expiry,uint256 nonce)");
+
+    // Zero while vouchers are disabled
+    address public voucherSigner;
+    // Redeemed or revoked voucher nonces
+    mapping(uint256 => bool) public voucherNonceUsed;
+
+    enum Phase { Closed, Presale, Public, Ended }
+
+    // A window with end == 0 is not scheduled; caps of 0 are unlimited
+    struct PhaseConfig {
+        uint64 start;
+        uint64 end;
+        uint128 price;
+        uint32 walletCap;
+        uint32 txCap;
+    }
+
+    PhaseConfig private _presalePhase;
+    PhaseConfig private _publicPhase;
+    bool public phaseScheduleEnabled;
+    // Tokens minted per recipient in public sales (presale mints count in presaleMinted)
+    mapping(address => uint256) public publicMinted;
+
+    // NFTFactory whose emergency pause applies (zero until linked; cannot be changed)
+    address public factory;
+
+    // EIP-4906
+    event MetadataUpdate(uint256 _tokenId);
+    event BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId);
+
+    event DefaultRoyaltyUpdated(address indexed receiver, uint96 feeNumerator);
+    event TokenRoyaltyUpdated(uint256 indexed tokenId, address indexed receiver, uint96 feeNumerator);
+    event TokenRoyaltyDeleted(uint256 indexed tokenId);
+    event MaxRoyaltyFeeUpdated(uint96 maxFeeNumerator);
+
+    event PayeesUpdated(address[] payees, uint256[] shares);
+    event PaymentReleased(address indexed payee, uint256 amount);
+
+    event PresaleConfigured(bytes32 merkleRoot, uint256 price);
+    event PresaleActiveUpdated(bool active);
+
+    event VoucherSignerUpdated(address indexed signer);
+    event VoucherRedeemed(uint256 indexed nonce, address indexed recipient, uint256 quantity, uint256 price);
+    event VoucherRevoked(uint256 indexed nonce);
+
+    event PhaseScheduleUpdated(PhaseConfig presale, PhaseConfig publicSale);
+    event PhaseScheduleCleared();
+
+    event FactoryLinked(address indexed factory);
+
+    // The owner, or whoever sets the collection up in the transaction that creates or
+    // upgrades it: the ProxyAdmin (upgradeAndCall) or the factory that deployed the proxy
+    modifier onlyOwnerOrSetupAuthority() {
+        require(
+            msg.sender == owner() || msg.sender == ERC1967Utils.getAdmin() || msg.sender == _proxyDeployer(),
+            "Only owner, ProxyAdmin or factory"
+        );
+        _;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    // Set a token's URI override; an empty URI removes it
+    function setTokenURI(uint256 tokenId, string memory _tokenURI) public override onlyOwner {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        _tokenURIs[tokenId] = _tokenURI;
+        emit MetadataUpdate(tokenId);
+    }
+
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+
+        string memory custom = _tokenURIs[tokenId];
+        if (bytes(custom).length > 0) {
+            return custom;
+        }
+        return super.tokenURI(tokenId);
+    }
+
+    function setBaseURI(string memory _baseURI) public override onlyOwner {
+        super.setBaseURI(_baseURI);
+        _emitBatchMetadataUpdate();
+    }
+
+    function reveal() public override onlyOwner {
+        super.reveal();
+        _emitBatchMetadataUpdate();
+    }
+
+    function setNotRevealedURI(string memory _notRevealedUri) public override onlyOwner {
+        super.setNotRevealedURI(_notRevealedUri);
+        _emitBatchMetadataUpdate();
+    }
+
+    // Both V3 initializers run once (initialized version 3); V2's own check still keeps a
+    // collection upgraded from V2 from overwriting its V2 fields
+    function initializeV2Features(
+        string memory _baseURI,
+        string memory _notRevealedUri,
+        address _royaltyReceiver,
+        uint96 _royaltyFeeNumerator
+    ) public override reinitializer(3) onlyOwnerOrSetupAuthority {
+        _initializeV2Features(_baseURI, _notRevealedUri, _royaltyReceiver, _royaltyFeeNumerator);
+    }
+
+    // initializeV2Features plus V3 setup calls (setPayees, setPhaseSchedule, ...), for
+    // collections created on V3 or upgraded from V1
+    function initializeV3Features(
+        string memory _baseURI,
+        string memory _notRevealedUri,
+        address _royaltyReceiver,
+        uint96 _royaltyFeeNumerator,
+        bytes[] calldata setupCalls
+    ) external reinitializer(3) onlyOwnerOrSetupAuthority {
+        _initializeV2Features(_baseURI, _notRevealedUri, _royaltyReceiver, _royaltyFeeNumerator);
+        _runSetupCalls(setupCalls);
+    }
+
+    // Put the collection under the emergency pause of the factory that deployed it. The link
+    // is permanent, so the owner cannot opt out of a pause; linking the same factory again
+    // does nothing. Set up on creation and upgrade (see multicall).
+    function linkFactory(address newFactory) public onlyOwnerOrSetupAuthority {
+        _linkFactory(newFactory);
+    }
+
+    // Whether the linked factory's guardians have paused this collection
+    function paused() public view returns (bool) {
+        return factory != address(0) && ICollectionGuard(factory).isCollectionPaused(address(this));
+    }
+
+    // Run several setup calls in one transaction (see _runSetupCalls). Also reachable through
+    // ProxyAdmin.upgradeAndCall, to configure V3 while upgrading.
+    function multicall(bytes[] calldata setupCalls) public onlyOwnerOrSetupAuthority {
+        _runSetupCalls(setupCalls);
+    }
+
+    function maxRoyaltyFee() public view returns (uint96) {
+        return _maxRoyaltyFee == 0 ? DEFAULT_MAX_ROYALTY_FEE : _maxRoyaltyFee;
+    }
+
+    // Overrides set under a higher maximum are capped by royaltyInfo, not rewritten
+    function setMaxRoyaltyFee(uint96 maxFeeNumerator) public onlyOwner {
+        _setMaxRoyaltyFee(maxFeeNumerator);
+    }
+
+    function setRoyalty(address _receiver, uint96 _feeNumerator) public override onlyOwner {
+        _checkRoyalty(_receiver, _feeNumerator);
+        super.setRoyalty(_receiver, _feeNumerator);
+        emit DefaultRoyaltyUpdated(_receiver, _feeNumerator);
+    }
+
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 feeNumerator) public onlyOwner {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        _checkRoyalty(receiver, feeNumerator);
+        _tokenRoyalties[tokenId] = TokenRoyalty(receiver, feeNumerator);
+        emit TokenRoyaltyUpdated(tokenId, receiver, feeNumerator);
+    }
+
+    // Fall back to the collection default again
+    function deleteTokenRoyalty(uint256 tokenId) public onlyOwner {
+        require(_tokenRoyalties[tokenId].receiver != address(0), "No royalty override");
+        delete _tokenRoyalties[tokenId];
+        emit TokenRoyaltyDeleted(tokenId);
+    }
+
+    // The royalty configured for a token, before the maximum is applied
+    function tokenRoyalty(uint256 tokenId)
+        public
+        view
+        returns (address receiver, uint96 feeNumerator, bool isOverride)
+    {
+        TokenRoyalty memory royalty = _tokenRoyalties[tokenId];
+        if (royalty.receiver != address(0)) {
+            return (royalty.receiver, royalty.feeNumerator, true);
+        }
+        return (royaltyReceiver, royaltyFeeNumerator, false);
+    }
+
+    function royaltyInfo(uint256 tokenId, uint256 salePrice)
+        external
+        view
+        override
+        returns (address receiver, uint256 royaltyAmount)
+    {
+        uint96 feeNumerator;
+        (receiver, feeNumerator, ) = tokenRoyalty(tokenId);
+        uint96 maxFee = maxRoyaltyFee();
+        if (feeNumerator > maxFee) {
+            feeNumerator = maxFee;
+        }
+        royaltyAmount = (salePrice * feeNumerator) / FEE_DENOMINATOR;
+    }
+
+    // Replace the revenue split; empty arrays hand the proceeds back to the owner.
+    // Also reachable through ProxyAdmin.upgradeAndCall, so a split can be set while upgrading.
+    function setPayees(address[] memory newPayees, uint256[] memory newShares) public onlyOwnerOrSetupAuthority {
+        _setPayees(newPayees, newShares);
+    }
+
+    // Send a payee everything allocated to them so far; anyone may trigger it
+    function release(address payee) public {
+        _allocate();
+        uint256 amount = _accrued[payee] - _released[payee];
+        require(amount > 0, "Nothing to release");
+        _released[payee] += amount;
+        _totalOwed -= amount;
+        emit PaymentReleased(payee, amount);
+        Address.sendValue(payable(payee), amount);
+    }
+
+    // Only while there is no split. sendValue forwards all gas, so owners with receive
+    // hooks (e.g. multisigs) can withdraw.
+    function withdraw() public override onlyOwner {
+        require(_payees.length == 0, "Revenue is split; payees release their share");
+        require(releasable(owner()) > 0, "No funds to withdraw");
+        release(owner());
+    }
+
+    // A new root keeps what addresses already minted in the presale
+    function configurePresale(bytes32 merkleRoot, uint256 price) public onlyOwner {
+        _configurePresale(merkleRoot, price);
+    }
+
+    // The manual switch; ignored while a phase schedule is set
+    function setPresaleActive(bool active) public onlyOwner {
+        _setPresaleActive(active);
+    }
+
+    // Mint to the caller, who proves the allowance the allowlist assigns to them
+    function presaleMint(uint256 quantity, uint256 allowance, bytes32[] calldata proof) public payable {
+        require(currentPhase() == Phase.Presale, "Presale not active");
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, allowance))));
+        require(MerkleProof.verifyCalldata(proof, presaleMerkleRoot, leaf), "Invalid proof");
+        require(presaleMinted[msg.sender] + quantity <= allowance, "Exceeds presale allowance");
+        presaleMinted[msg.sender] += quantity;
+        _phaseMint(phaseConfig(Phase.Presale), msg.sender, quantity, presaleMinted[msg.sender]);
+    }
+
+    // Sale windows replace the manual presale switch until clearPhaseSchedule. Counts of
+    // what wallets minted carry over from earlier schedules.
+    function setPhaseSchedule(PhaseConfig memory presale, PhaseConfig memory publicSale) public onlyOwner {
+        _setPhaseSchedule(presale, publicSale);
+    }
+
+    function clearPhaseSchedule() public onlyOwner {
+        _clearPhaseSchedule();
+    }
+
+    // Without a schedule: the manual presale switch, otherwise an open public sale
+    function currentPhase() public view returns (Phase) {
+        if (!phaseScheduleEnabled) {
+            return presaleActive ? Phase.Presale : Phase.Public;
+        }
+        if (_isOpen(_presalePhase)) {
+            return Phase.Presale;
+        }
+        if (_isOpen(_publicPhase)) {
+            return Phase.Public;
+        }
+        uint64 lastEnd = _presalePhase.end > _publicPhase.end ? _presalePhase.end : _publicPhase.end;
+        return block.timestamp >= lastEnd ? Phase.Ended : Phase.Closed;
+    }
+
+    // The window, price and caps that apply to a sale phase; without a schedule, the
+    // presale and mint prices with no caps
+    function phaseConfig(Phase phase) public view returns (PhaseConfig memory) {
+        require(phase == Phase.Presale || phase == Phase.Public, "Not a sale phase");
+        if (phaseScheduleEnabled) {
+            return phase == Phase.Presale ? _presalePhase : _publicPhase;
+        }
+        return PhaseConfig(0, 0, SafeCast.toUint128(phase == Phase.Presale ? presalePrice : mintPrice), 0, 0);
+    }
+
+    // Changing the signer invalidates every voucher it signed that is still unredeemed
+    function setVoucherSigner(address signer) public onlyOwner {
+        _setVoucherSigner(signer);
+    }
+
+    function revokeVoucher(uint256 nonce) public onlyOwner {
+        require(!voucherNonceUsed[nonce], "Voucher already used");
+        voucherNonceUsed[nonce] = true;
+        emit VoucherRevoked(nonce);
+    }
+
+    // Anyone may submit a voucher; the tokens go to its recipient. Vouchers are not
+    // bound to the presale, so they also work while public minting is closed.
+    function redeemVoucher(MintVoucher calldata voucher, bytes calldata signature) public payable {
+        require(voucherSigner != address(0), "Vouchers disabled");
+        require(block.timestamp <= voucher.expiry, "Voucher expired");
+        require(!voucherNonceUsed[voucher.nonce], "Voucher already used");
+        require(voucher.quantity > 0, "Quantity must be greater than 0");
+        require(ECDSA.recover(voucherDigest(voucher), signature) == voucherSigner, "Invalid voucher signature");
+        require(msg.value >= voucher.price * voucher.quantity, "Insufficient payment");
+
+        voucherNonceUsed[voucher.nonce] = true;
+        emit VoucherRedeemed(voucher.nonce, voucher.recipient, voucher.quantity, voucher.price);
+        _refundExcess(voucher.price * voucher.quantity);
+        _mintTokens(voucher.recipient, voucher.quantity);
+    }
+
+    // EIP-712 domain: the collection name, version "1", this chain and the proxy address
+    function voucherDomainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            _DOMAIN_TYPEHASH,
+            keccak256(bytes(name())),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function voucherDigest(MintVoucher calldata voucher) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            VOUCHER_TYPEHASH,
+            voucher.recipient,
+            voucher.quantity,
+            voucher.price,
+            voucher.expiry,
+            voucher.nonce
+        ));
+        return MessageHashUtils.toTypedDataHash(voucherDomainSeparator(), structHash);
+    }
+
+    function mint(address to) public payable override {
+        _publicMint(to, 1);
+    }
+
+    function batchMint(address to, uint256 quantity) public payable override {
+        _publicMint(to, quantity);
+    }
+
+    function getPayees() public view returns (address[] memory) {
+        return _payees;
+    }
+
+    function shares(address payee) public view returns (uint256) {
+        return _shares[payee];
+    }
+
+    function totalShares() public view returns (uint256) {
+        return _totalShares;
+    }
+
+    // Everything a payee is entitled to so far, released or not
+    function accrued(address payee) public view returns (uint256) {
+        uint256 pending;
+        if (_totalShares == 0) {
+            pending = payee == owner() ? _unallocated() : 0;
+        } else {
+            pending = (_unallocated() * _shares[payee]) / _totalShares;
+        }
+        return _accrued[payee] + pending;
+    }
+
+    function released(address payee) public view returns (uint256) {
+        return _released[payee];
+    }
+
+    function releasable(address payee) public view returns (uint256) {
+        return accrued(payee) - _released[payee];
+    }
+
+    function getVersion() public pure virtual override returns (string memory) {
+        return "3.0.0";
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+        return interfaceId == 0x49064906 || // EIP-4906 metadata update
+               super.supportsInterface(interfaceId);
+    }
+
+    // Every minted token may resolve differently now (ids start at 1)
+    function _emitBatchMetadataUpdate() internal {
+        if (_nextTokenId > 1) {
+            emit BatchMetadataUpdate(1, _nextTokenId - 1);
+        }
+    }
+
+    // Every mint, transfer and burn goes through _update
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        require(!paused(), "Collection paused");
+        return super._update(to, tokenId, auth);
+    }
+
+    function _initializeV2Features(
+        string memory _baseURI,
+        string memory _notRevealedUri,
+        address _royaltyReceiver,
+        uint96 _royaltyFeeNumerator
+    ) internal {
+        require(_royaltyFeeNumerator <= maxRoyaltyFee(), "Royalty fee too high");
+        super.initializeV2Features(_baseURI, _notRevealedUri, _royaltyReceiver, _royaltyFeeNumerator);
+    }
+
+    // Zero for proxies deployed before the deployer was recorded, which no caller matches
+    function _proxyDeployer() internal view returns (address) {
+        return ProxyDeployer.get();
+    }
+
+    // Setup calls are decoded and run here, with the caller's authority already checked,
+    // rather than sent to the collection itself: only the setters below are accepted
+    function _runSetupCalls(bytes[] calldata setupCalls) internal {
+        for (uint256 i = 0; i < setupCalls.length; i++) {
+            bytes4 selector = bytes4(setupCalls[i]);
+            bytes calldata args = setupCalls[i][4:];
+            if (selector == this.linkFactory.selector) {
+                _linkFactory(abi.decode(args, (address)));
+            } else if (selector == this.setPayees.selector) {
+                (address[] memory newPayees, uint256[] memory newShares) = abi.decode(args, (address[], uint256[]));
+                _setPayees(newPayees, newShares);
+            } else if (selector == this.setMaxRoyaltyFee.selector) {
+                _setMaxRoyaltyFee(abi.decode(args, (uint96)));
+            } else if (selector == this.configurePresale.selector) {
+                (bytes32 merkleRoot, uint256 price) = abi.decode(args, (bytes32, uint256));
+                _configurePresale(merkleRoot, price);
+            } else if (selector == this.setPresaleActive.selector) {
+                _setPresaleActive(abi.decode(args, (bool)));
+            } else if (selector == this.setPhaseSchedule.selector) {
+                (PhaseConfig memory presale, PhaseConfig memory publicSale) = abi.decode(args, (PhaseConfig, PhaseConfig));
+                _setPhaseSchedule(presale, publicSale);
+            } else if (selector == this.clearPhaseSchedule.selector) {
+                _clearPhaseSchedule();
+            } else if (selector == this.setVoucherSigner.selector) {
+                _setVoucherSigner(abi.decode(args, (address)));
+            } else {
+                revert("Setup call not allowed");
+            }
+        }
+    }
+
+    // Only the factory that deployed the proxy, when the proxy recorded it; older proxies
+    // accept any factory that lists the collection
+    function _linkFactory(address newFactory) internal {
+        if (factory == newFactory) {
+            return;
+        }
+        require(factory == address(0), "Factory already linked");
+        address deployer = _proxyDeployer();
+        require(deployer == address(0) || deployer == newFactory, "Not deployed by this factory");
+        require(ICollectionGuard(newFactory).isDeployedCollection(address(this)), "Not deployed by this factory");
+        // Reverts for a factory without the emergency pause, which would block every transfer
+        ICollectionGuard(newFactory).isCollectionPaused(address(this));
+        factory = newFactory;
+        emit FactoryLinked(newFactory);
+    }
+
+    function _setMaxRoyaltyFee(uint96 maxFeeNumerator) internal {
+        require(maxFeeNumerator > 0 && maxFeeNumerator <= FEE_DENOMINATOR, "Invalid max royalty fee");
+        require(royaltyFeeNumerator <= maxFeeNumerator, "Default royalty above max");
+        _maxRoyaltyFee = maxFeeNumerator;
+        emit MaxRoyaltyFeeUpdated(maxFeeNumerator);
+    }
+
+    function _configurePresale(bytes32 merkleRoot, uint256 price) internal {
+        presaleMerkleRoot = merkleRoot;
+        presalePrice = price;
+        emit PresaleConfigured(merkleRoot, price);
+    }
+
+    function _setPresaleActive(bool active) internal {
+        require(!active || presaleMerkleRoot != bytes32(0), "Presale not configured");
+        presaleActive = active;
+        emit PresaleActiveUpdated(active);
+    }
+
+    function _setPhaseSchedule(PhaseConfig memory presale, PhaseConfig memory publicSale) internal {
+        require(presale.end != 0 || publicSale.end != 0, "Empty phase schedule");
+        require(presale.end == 0 || presaleMerkleRoot != bytes32(0), "Presale not configured");
+        require(presale.end == 0 || presale.start < presale.end, "Invalid presale window");
+        require(publicSale.end == 0 || publicSale.start < publicSale.end, "Invalid public window");
+        require(presale.end == 0 || publicSale.end == 0 || presale.end <= publicSale.start, "Presale must end before the public sale");
+        _presalePhase = presale;
+        _publicPhase = publicSale;
+        phaseScheduleEnabled = true;
+        emit PhaseScheduleUpdated(presale, publicSale);
+    }
+
+    function _clearPhaseSchedule() internal {
+        delete _presalePhase;
+        delete _publicPhase;
+        phaseScheduleEnabled = false;
+        emit PhaseScheduleCleared();
+    }
+
+    function _setVoucherSigner(address signer) internal {
+        voucherSigner = signer;
+        emit VoucherSignerUpdated(signer);
+    }
+
+    function _isOpen(PhaseConfig storage config) internal view returns (bool) {
+        return config.end != 0 && block.timestamp >= config.start && block.timestamp < config.end;
+    }
+
+    function _publicMint(address to, uint256 quantity) internal {
+        Phase phase = currentPhase();
+        require(phase != Phase.Presale, "Presale in progress");
+        require(phase != Phase.Ended, "Sale ended");
+        require(phase == Phase.Public, "Sale not open");
+        publicMinted[to] += quantity;
+        _phaseMint(phaseConfig(Phase.Public), to, quantity, publicMinted[to]);
+    }
+
+    // Enforce a phase's caps and price (walletMinted includes this mint), then refund the excess and mint
+    function _phaseMint(PhaseConfig memory config, address to, uint256 quantity, uint256 walletMinted) internal {
+        require(quantity > 0, "Quantity must be greater than 0");
+        require(config.txCap == 0 || quantity <= config.txCap, "Exceeds per-transaction cap");
+        require(config.walletCap == 0 || walletMinted <= config.walletCap, "Exceeds per-wallet cap");
+        uint256 cost = uint256(config.price) * quantity;
+        require(msg.value >= cost, "Insufficient payment");
+
+        _refundExcess(cost);
+        _mintTokens(to, quantity);
+    }
+
+    // Runs before minting: onERC721Received may call release(), which counts the balance
+    // beyond what is owed as revenue, so the overpayment must be gone by then
+    function _refundExcess(uint256 cost) internal {
+        if (msg.value > cost) {
+            Address.sendValue(payable(msg.sender), msg.value - cost);
+        }
+    }
+
+    function _mintTokens(address to, uint256 quantity) internal {
+        require(_nextTokenId + quantity - 1 <= maxSupply, "Exceeds max supply");
+        for (uint256 i = 0; i < quantity; i++) {
+            uint256 tokenId = _nextTokenId++;
+            _safeMint(to, tokenId);
+            emit TokenMinted(to, tokenId);
+        }
+    }
+
+    // Allocate what has been received since the last allocation to the current payees,
+    // or to the owner while there are none. Rounding leftovers stay unallocated until the
+    // next allocation.
+    function _allocate() internal {
+        uint256 amount = _unallocated();
+        if (amount == 0) {
+            return;
+        }
+        if (_totalShares == 0) {
+            _accrued[owner()] += amount;
+            _totalOwed += amount;
+            return;
+        }
+        for (uint256 i = 0; i < _payees.length; i++) {
+            uint256 share = (amount * _shares[_payees[i]]) / _totalShares;
+            _accrued[_payees[i]] += share;
+            _totalOwed += share;
+        }
+    }
+
+    // A rollback to V2 can withdraw owed funds, leaving less than is owed
+    function _unallocated() internal view returns (uint256) {
+        uint256 balance = address(this).balance;
+        return balance > _totalOwed ? balance - _totalOwed : 0;
+    }
+
+    function _setPayees(address[] memory newPayees, uint256[] memory newShares) internal {
+        require(newPayees.length == newShares.length, "Payees and shares length mismatch");
+        require(newPayees.length <= MAX_PAYEES, "Too many payees");
+        // The outgoing payees (or the owner) keep what was received before the change
+        _allocate();
+        for (uint256 i = 0; i < _payees.length; i++) {
+            delete _shares[_payees[i]];
+        }
+        delete _payees;
+        _totalShares = 0;
+
+        for (uint256 i = 0; i < newPayees.length; i++) {
+            require(newPayees[i] != address(0), "Invalid payee");
+            require(newShares[i] > 0, "Invalid share");
+            require(_shares[newPayees[i]] == 0, "Duplicate payee");
+            _payees.push(newPayees[i]);
+            _shares[newPayees[i]] = newShares[i];
+            _totalShares += newShares[i];
+        }
+        emit PayeesUpdated(newPayees, newShares);
+    }
+
+    function _checkRoyalty(address receiver, uint96 feeNumerator) internal view {
+        require(receiver != address(0), "Invalid royalty receiver");
+        require(feeNumerator <= maxRoyaltyFee(), "Royalty fee too high");
+    }
+
+    // Storage gap for future upgrades
+    uint256[28] private __gapV3;
+}
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @dev Catalogue of approved implementations of NFTFactory, keyed by semantic version
+ * ("1.0.0", "2.0.0", ...). Linked as an external library so the factory stays under the
+ * contract size limit; the factory keeps the storage and passes it in.
+ */
+library FactoryCatalogue {
+    struct ImplementationVersion {
+        address implementation;
+        bool deprecated;
+        uint256 approvedAt;
+        // Functions the factory may call while upgrading to the version (e.g. initializeV2Features)
+        bytes4[] initializers;
+    }
+
+    event ImplementationApproved(string version, address indexed implementation);
+    event VersionDeprecated(string version, address indexed implementation, bool deprecated);
+
+    function approve(
+        mapping(string => ImplementationVersion) storage versions,
+        string[] storage versionList,
+        mapping(address => string) storage implementationVersion,
+        string memory version,
+        address implementation,
+        bytes4[] memory initializers
+    ) external {
+        require(bytes(version).length > 0, "Version cannot be empty");
+        require(implementation.code.length > 0, "Implementation has no code");
+        require(versions[version].implementation == address(0), "Version already registered");
+        require(bytes(implementationVersion[implementation]).length == 0, "Implementation already approved");
+
+        versions[version] = ImplementationVersion({
+            implementation: implementation,
+            deprecated: false,
+            approvedAt: block.timestamp,
+            initializers: initializers
+        });
+        versionList.push(version);
+        implementationVersion[implementation] = version;
+        emit ImplementationApproved(version, implementation);
+    }
+
+    // `defaultImplementation` (the factory's logicContract) cannot be deprecated
+    function setDeprecated(
+        mapping(string => ImplementationVersion) storage versions,
+        string calldata version,
+        bool deprecated,
+        address defaultImplementation
+    ) external {
+        ImplementationVersion storage entry = versions[version];
+        require(entry.implementation != address(0), "Unknown version");
+        require(!deprecated || entry.implementation != defaultImplementation, "Cannot deprecate the default version");
+        entry.deprecated = deprecated;
+        emit VersionDeprecated(version, entry.implementation, deprecated);
+    }
+
+    function isApproved(
+        mapping(string => ImplementationVersion) storage versions,
+        mapping(address => string) storage implementationVersion,
+        address implementation
+    ) external view returns (bool) {
+        string storage version = implementationVersion[implementation];
+        return bytes(version).length > 0 && !versions[version].deprecated;
+    }
+
+    function requireApproved(
+        mapping(string => ImplementationVersion) storage versions,
+        mapping(address => string) storage implementationVersion,
+        address implementation
+    ) external view {
+        string storage version = implementationVersion[implementation];
+        require(bytes(version).length > 0, "Implementation not approved");
+        require(!versions[version].deprecated, "Version deprecated");
+    }
+
+    // Empty data, or a call to one of the initializers approved with `implementation`
+    function requireInitializer(
+        mapping(string => ImplementationVersion) storage versions,
+        mapping(address => string) storage implementationVersion,
+        address implementation,
+        bytes calldata data
+    ) external view {
+        if (data.length == 0) {
+            return;
+        }
+        bytes4[] storage initializers = versions[implementationVersion[implementation]].initializers;
+        for (uint256 i = 0; i < initializers.length; i++) {
+            if (initializers[i] == bytes4(data)) {
+                return;
+            }
+        }
+        revert("Upgrade call not allowed");
+    }
+}
@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/proxy/beacon/UpgradeableBeacon.sol";
+import "./FleetProxy.sol";
+
+/**
+ * @dev Fleet bookkeeping of NFTFactory: fleets by name and beacon, the collections created
+ * in each, and the beacon upgrade. Linked as an external library so the factory (which
+ * keeps the storage and the upgrade history) stays under the contract size limit. Runs
+ * by delegatecall, so fleet proxies are deployed by, and beacons called from, the factory.
+ */
+library FactoryFleets {
+    event FleetAdded(string fleet, address indexed beacon, address indexed implementation);
+    event FleetUpgraded(string fleet, address indexed oldImplementation, address indexed newImplementation, address upgradedBy);
+
+    // Register `beacon` under `fleet` and return the implementation it points to
+    function add(
+        mapping(string => address) storage fleetBeacon,
+        mapping(address => string) storage fleetName,
+        string[] storage fleetList,
+        string calldata fleet,
+        address beacon
+    ) external returns (address implementation) {
+        require(bytes(fleet).length > 0, "Fleet name cannot be empty");
+        require(fleetBeacon[fleet] == address(0), "Fleet already exists");
+        require(bytes(fleetName[beacon]).length == 0, "Beacon already in a fleet");
+        require(Ownable(beacon).owner() == address(this), "Factory does not own the beacon");
+        implementation = UpgradeableBeacon(beacon).implementation();
+
+        fleetBeacon[fleet] = beacon;
+        fleetName[beacon] = fleet;
+        fleetList.push(fleet);
+        emit FleetAdded(fleet, beacon, implementation);
+    }
+
+    function deployProxy(
+        mapping(address => address) storage collectionBeacon,
+        mapping(address => address[]) storage fleetCollections,
+        address beacon,
+        address admin,
+        bytes memory initData
+    ) external returns (address proxyAddress) {
+        proxyAddress = address(new FleetProxy(beacon, admin, initData));
+        collectionBeacon[proxyAddress] = beacon;
+        fleetCollections[beacon].push(proxyAddress);
+    }
+
+    // Collections that currently follow `beacon`
+    function members(
+        mapping(address => address) storage collectionBeacon,
+        mapping(address => address[]) storage fleetCollections,
+        address beacon
+    ) public view returns (address[] memory collections) {
+        address[] storage created = fleetCollections[beacon];
+        uint256 count;
+        for (uint256 i = 0; i < created.length; i++) {
+            if (collectionBeacon[created[i]] == beacon) {
+                count++;
+            }
+        }
+        collections = new address[](count);
+        count = 0;
+        for (uint256 i = 0; i < created.length; i++) {
+            if (collectionBeacon[created[i]] == beacon) {
+                collections[count++] = created[i];
+            }
+        }
+    }
+
+    // Point the fleet's beacon to `newImplementation`, then make the per-collection calls
+    // of `data` (empty, or one per member, in members() order)
+    function upgrade(
+        mapping(address => address) storage collectionBeacon,
+        mapping(address => address[]) storage fleetCollections,
+        string calldata fleet,
+        address beacon,
+        address newImplementation,
+        bytes[] calldata data
+    ) external {
+        address[] memory collections = members(collectionBeacon, fleetCollections, beacon);
+        require(data.length == 0 || data.length == collections.length, "Length mismatch");
+
+        address oldImplementation = UpgradeableBeacon(beacon).implementation();
+        UpgradeableBeacon(beacon).upgradeTo(newImplementation);
+        for (uint256 i = 0; i < data.length; i++) {
+            if (data[i].length > 0) {
+                Address.functionCall(collections[i], data[i]);
+            }
+        }
+        emit FleetUpgraded(fleet, oldImplementation, newImplementation, msg.sender);
+    }
+}
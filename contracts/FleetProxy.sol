@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol";
+import "@openzeppelin/contracts/proxy/beacon/IBeacon.sol";
+import "./ProxyDeployer.sol";
+
+/**
+ * @dev Proxy of a fleet collection: runs the implementation of an UpgradeableBeacon, so
+ * one beacon upgrade moves every collection of the fleet.
+ *
+ * Like CustomTransparentProxy it has a ProxyAdmin, which may only call upgradeToAndCall.
+ * That call takes the collection out of the fleet: the implementation it sets in the
+ * ERC-1967 implementation slot wins over the beacon, and the proxy behaves as a
+ * transparent proxy from then on, at the same address and with the same storage.
+ */
+contract FleetProxy is Proxy {
+    address private immutable _admin;
+
+    /**
+     * @dev Error thrown when proxy admin tries to call the implementation directly
+     */
+    error ProxyDeniedAdminAccess();
+
+    /**
+     * @dev Initialize the proxy with the fleet beacon, admin, and init data
+     */
+    constructor(
+        address beacon,
+        address admin,
+        bytes memory data
+    ) payable {
+        _admin = admin;
+        ERC1967Utils.changeAdmin(admin);
+        ProxyDeployer.record();
+        ERC1967Utils.upgradeBeaconToAndCall(beacon, data);
+    }
+
+    /**
+     * @dev The collection's own implementation once it has left the fleet, else the beacon's
+     */
+    function _implementation() internal view override returns (address) {
+        address implementation = ERC1967Utils.getImplementation();
+        if (implementation != address(0)) {
+            return implementation;
+        }
+        return IBeacon(ERC1967Utils.getBeacon()).implementation();
+    }
+
+    /**
+     * @dev Transparent proxy pattern: admin calls are handled specially
+     */
+    function _fallback() internal virtual override {
+        if (msg.sender == _admin) {
+            // Admin can only call upgradeToAndCall
+            if (msg.sig == bytes4(keccak256("upgradeToAndCall(address,bytes)"))) {
+                (address newImplementation, bytes memory data) = abi.decode(msg.data[4:], (address, bytes));
+                ERC1967Utils.upgradeToAndCall(newImplementation, data);
+            } else {
+                revert ProxyDeniedAdminAccess();
+            }
+        } else {
+            // All other calls are forwarded to the implementation
+            super._fallback();
+        }
+    }
+}
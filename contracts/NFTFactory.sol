@@ -3,18 +3,44 @@ pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Create2.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/proxy/beacon/UpgradeableBeacon.sol";
 import "./CustomTransparentProxy.sol";
+import "./FactoryCatalogue.sol";
+import "./FactoryFleets.sol";
 
 interface IERC721Logic {
     function initialize(
         string memory name,
         string memory symbol,
         uint256 maxSupply,
-        uint256 mintPrice
+        uint256 mintPrice,
+        address initialOwner
     ) external;
+
+    function getVersion() external pure returns (string memory);
 }
 
-contract NFTFactory is Ownable {
+// The emergency pause link of ERC721LogicV3 (earlier versions do not have it)
+interface ILinkableCollection {
+    function linkFactory(address factory) external;
+}
+
+contract NFTFactory is Ownable, AccessControl, Pausable {
+    // Roles for the privileged operations. The owner (deployer, UpgradeTimelock or
+    // UpgradeMultisig) holds every role implicitly and grants or revokes them.
+    bytes32 public constant COLLECTION_CREATOR_ROLE = keccak256("COLLECTION_CREATOR_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // ERC721LogicV2Fixed.migrateOwnership(address)
+    bytes4 private constant MIGRATE_OWNERSHIP_SELECTOR = bytes4(keccak256("migrateOwnership(address)"));
+
     address public logicContract;
     address public proxyAdmin;
     
@@ -33,6 +59,44 @@ contract NFTFactory is Ownable {
     }
     
     mapping(address => CollectionInfo) public collectionInfo;
+
+    // Implementation history of each collection, as far as this factory performed it
+    struct UpgradeRecord {
+        address implementation;
+        address upgradedBy;
+        uint256 timestamp;
+    }
+
+    mapping(address => UpgradeRecord[]) internal _upgradeHistory;
+    // ProxyAdmin of each collection (updateProxyAdmin only affects new collections)
+    mapping(address => address) public collectionProxyAdmin;
+
+    // Catalogue of approved implementations, keyed by semantic version ("1.0.0", "2.0.0", ...).
+    // Collections are only created on, and upgraded to, approved versions that are not deprecated.
+    // The catalogue and fleet logic live in the linked FactoryCatalogue and FactoryFleets libraries.
+    mapping(string => FactoryCatalogue.ImplementationVersion) public versions;
+    string[] internal _versionList;
+    // Version an implementation was approved under ("" when it is not in the catalogue)
+    mapping(address => string) public implementationVersion;
+
+    // While open, anyone can create collections; otherwise only COLLECTION_CREATOR_ROLE
+    bool public openCreation = true;
+
+    // Emergency pause of the collections linked to this factory (ERC721LogicV3.linkFactory):
+    // every collection at once, or one at a time
+    bool public allCollectionsPaused;
+    mapping(address => bool) public collectionPaused;
+
+    // Fleets: collections created on a FleetProxy follow their fleet's UpgradeableBeacon,
+    // owned by this factory, and upgrade together with upgradeFleet. Upgrade history of a
+    // fleet is kept under its beacon address.
+    mapping(string => address) public fleetBeacon;
+    mapping(address => string) public fleetName;
+    string[] internal _fleetList;
+    // Collections created in each fleet (by beacon), including those that left it since
+    mapping(address => address[]) internal _fleetCollections;
+    // Beacon a collection follows (zero for transparent collections and after leaveFleet)
+    mapping(address => address) public collectionBeacon;
     
     event NFTCollectionDeployed(
         address indexed proxy,
@@ -45,6 +109,21 @@ contract NFTFactory is Ownable {
     
     event LogicContractUpdated(address indexed oldLogic, address indexed newLogic);
     event ProxyAdminUpdated(address indexed oldAdmin, address indexed newAdmin);
+    event CollectionUpgraded(
+        address indexed proxy,
+        address indexed oldImplementation,
+        address indexed newImplementation,
+        address upgradedBy
+    );
+    event ImplementationApproved(string version, address indexed implementation);
+    event VersionDeprecated(string version, address indexed implementation, bool deprecated);
+    event OpenCreationUpdated(bool open);
+    event AllCollectionsPausedUpdated(bool paused, address indexed account);
+    event CollectionPausedUpdated(address indexed proxy, bool paused, address indexed account);
+    event FleetAdded(string fleet, address indexed beacon, address indexed implementation);
+    event FleetCollectionCreated(address indexed proxy, address indexed beacon, string fleet);
+    event FleetUpgraded(string fleet, address indexed oldImplementation, address indexed newImplementation, address upgradedBy);
+    event CollectionLeftFleet(address indexed proxy, address indexed beacon, address indexed newImplementation);
 
     constructor(address _logicContract, address _proxyAdmin) Ownable(msg.sender) {
         require(_logicContract != address(0), "Invalid logic contract");
@@ -52,35 +131,167 @@ contract NFTFactory is Ownable {
         
         logicContract = _logicContract;
         proxyAdmin = _proxyAdmin;
+        // The initial logic contract is the first catalogue entry, under its own version
+        FactoryCatalogue.approve(versions, _versionList, implementationVersion, IERC721Logic(_logicContract).getVersion(), _logicContract, new bytes4[](0));
     }
 
+    // Create a collection owned by the caller
     function createNFTCollection(
         string memory name,
         string memory symbol,
         uint256 maxSupply,
         uint256 mintPrice
     ) external returns (address) {
-        require(bytes(name).length > 0, "Name cannot be empty");
-        require(bytes(symbol).length > 0, "Symbol cannot be empty");
-        require(maxSupply > 0, "Max supply must be greater than 0");
-        
-        // Encode the initialize function call
-        bytes memory initData = abi.encodeWithSelector(
+        return _createNFTCollection(name, symbol, maxSupply, mintPrice, msg.sender, logicContract, false, bytes32(0), address(0));
+    }
+
+    // Create a collection owned by `initialOwner` (e.g. a multisig or the artist)
+    function createNFTCollection(
+        string memory name,
+        string memory symbol,
+        uint256 maxSupply,
+        uint256 mintPrice,
+        address initialOwner
+    ) external returns (address) {
+        return _createNFTCollection(name, symbol, maxSupply, mintPrice, initialOwner, logicContract, false, bytes32(0), address(0));
+    }
+
+    // Create a collection pinned to a catalogue version, e.g. "2.0.0" to start on V2.
+    // `setupData` is called on the new collection by the factory in the same transaction
+    // (empty for none), so a one-time initializer such as V2's initializeV2Features cannot
+    // be called by someone else first.
+    function createNFTCollection(
+        string memory name,
+        string memory symbol,
+        uint256 maxSupply,
+        uint256 mintPrice,
+        address initialOwner,
+        string calldata version,
+        bytes calldata setupData
+    ) external returns (address proxyAddress) {
+        address implementation = versions[version].implementation;
+        require(implementation != address(0), "Unknown version");
+        proxyAddress = _createNFTCollection(name, symbol, maxSupply, mintPrice, initialOwner, implementation, false, bytes32(0), address(0));
+        if (setupData.length > 0) {
+            Address.functionCall(proxyAddress, setupData);
+        }
+    }
+
+    // Create a collection at a CREATE2 address known in advance (see predictCollectionAddress).
+    // The salt is namespaced by the caller, so nobody else can take a creator's address.
+    function createNFTCollectionDeterministic(
+        string memory name,
+        string memory symbol,
+        uint256 maxSupply,
+        uint256 mintPrice,
+        address initialOwner,
+        bytes32 salt
+    ) external returns (address) {
+        return _createNFTCollection(name, symbol, maxSupply, mintPrice, initialOwner, logicContract, true, salt, address(0));
+    }
+
+    // Create a collection that follows `fleet`'s beacon. `setupData` is called on it as in
+    // the versioned createNFTCollection.
+    function createFleetCollection(
+        string calldata fleet,
+        string memory name,
+        string memory symbol,
+        uint256 maxSupply,
+        uint256 mintPrice,
+        address initialOwner,
+        bytes calldata setupData
+    ) external returns (address proxyAddress) {
+        address beacon = fleetBeacon[fleet];
+        require(beacon != address(0), "Unknown fleet");
+        address implementation = UpgradeableBeacon(beacon).implementation();
+        proxyAddress = _createNFTCollection(name, symbol, maxSupply, mintPrice, initialOwner, implementation, false, bytes32(0), beacon);
+        if (setupData.length > 0) {
+            Address.functionCall(proxyAddress, setupData);
+        }
+        emit FleetCollectionCreated(proxyAddress, beacon, fleet);
+    }
+
+    // Address createNFTCollectionDeterministic will deploy to when called by `creator` with
+    // the same arguments. Depends on the current logicContract and proxyAdmin as well.
+    function predictCollectionAddress(
+        address creator,
+        bytes32 salt,
+        string memory name,
+        string memory symbol,
+        uint256 maxSupply,
+        uint256 mintPrice,
+        address initialOwner
+    ) public view returns (address) {
+        bytes memory initData = _encodeInitData(name, symbol, maxSupply, mintPrice, initialOwner);
+        return Create2.computeAddress(_collectionSalt(creator, salt), keccak256(_proxyCreationCode(initData)));
+    }
+
+    function _collectionSalt(address creator, bytes32 salt) internal pure returns (bytes32) {
+        return keccak256(abi.encode(creator, salt));
+    }
+
+    function _encodeInitData(
+        string memory name,
+        string memory symbol,
+        uint256 maxSupply,
+        uint256 mintPrice,
+        address initialOwner
+    ) internal pure returns (bytes memory) {
+        return abi.encodeWithSelector(
             IERC721Logic.initialize.selector,
             name,
             symbol,
             maxSupply,
-            mintPrice
+            mintPrice,
+            initialOwner
         );
-        
-        // Deploy our custom transparent proxy with direct admin control
-        CustomTransparentProxy proxy = new CustomTransparentProxy(
-            logicContract,
-            proxyAdmin,  // Our main ProxyAdmin becomes the direct admin
-            initData
+    }
+
+    function _proxyCreationCode(bytes memory initData) internal view returns (bytes memory) {
+        return abi.encodePacked(
+            type(CustomTransparentProxy).creationCode,
+            abi.encode(logicContract, proxyAdmin, initData)
         );
+    }
+
+    function _createNFTCollection(
+        string memory name,
+        string memory symbol,
+        uint256 maxSupply,
+        uint256 mintPrice,
+        address initialOwner,
+        address implementation,
+        bool deterministic,
+        bytes32 salt,
+        address beacon
+    ) internal whenNotPaused returns (address proxyAddress) {
+        if (!openCreation) {
+            _checkRole(COLLECTION_CREATOR_ROLE);
+        }
+        require(bytes(name).length > 0, "Name cannot be empty");
+        require(bytes(symbol).length > 0, "Symbol cannot be empty");
+        require(maxSupply > 0, "Max supply must be greater than 0");
+        require(initialOwner != address(0), "Invalid initial owner");
+        _requireApproved(implementation);
         
-        address proxyAddress = address(proxy);
+        // Encode the initialize function call
+        bytes memory initData = _encodeInitData(name, symbol, maxSupply, mintPrice, initialOwner);
+        
+        // Deploy our custom transparent proxy with direct admin control
+        // (our main ProxyAdmin becomes the direct admin)
+        if (deterministic) {
+            bytes memory creationCode = _proxyCreationCode(initData);
+            bytes32 collectionSalt = _collectionSalt(msg.sender, salt);
+            require(
+                Create2.computeAddress(collectionSalt, keccak256(creationCode)).code.length == 0,
+                "Collection address already used"
+            );
+            proxyAddress = Create2.deploy(0, collectionSalt, creationCode);
+        } else if (beacon != address(0)) {
+            proxyAddress = FactoryFleets.deployProxy(collectionBeacon, _fleetCollections, beacon, proxyAdmin, initData);
+        } else {
+            proxyAddress = address(new CustomTransparentProxy(implementation, proxyAdmin, initData));
+        }
         
         // Track the deployed collection
         deployedCollections.push(proxyAddress);
@@ -95,6 +306,13 @@ contract NFTFactory is Ownable {
             maxSupply: maxSupply,
             mintPrice: mintPrice
         });
+        collectionProxyAdmin[proxyAddress] = proxyAdmin;
+        _upgradeHistory[proxyAddress].push(UpgradeRecord({
+            implementation: implementation,
+            upgradedBy: msg.sender,
+            timestamp: block.timestamp
+        }));
+        _linkCollection(proxyAddress);
         
         emit NFTCollectionDeployed(
             proxyAddress,
@@ -104,8 +322,6 @@ contract NFTFactory is Ownable {
             maxSupply,
             mintPrice
         );
-        
-        return proxyAddress;
     }
 
     function getDeployedCollections() external view returns (address[] memory) {
@@ -121,21 +337,249 @@ contract NFTFactory is Ownable {
         return deployedCollections[index];
     }
 
-    function updateLogicContract(address _newLogicContract) external onlyOwner {
+    // Upgrade one collection through its ProxyAdmin, which must be owned by this factory.
+    // `data` is the initialization call run in the same transaction (empty for none).
+    function upgradeCollection(address proxy, address newImplementation, bytes calldata data) external onlyRole(UPGRADER_ROLE) {
+        _upgradeCollection(proxy, newImplementation, data);
+    }
+
+    // Upgrade several collections to the same implementation, each with its own init call;
+    // reverts as a whole if any of them fails
+    function upgradeCollections(
+        address[] calldata proxies,
+        address newImplementation,
+        bytes[] calldata data
+    ) external onlyRole(UPGRADER_ROLE) {
+        require(proxies.length == data.length, "Length mismatch");
+        for (uint256 i = 0; i < proxies.length; i++) {
+            _upgradeCollection(proxies[i], newImplementation, data[i]);
+        }
+    }
+
+    function _upgradeCollection(address proxy, address newImplementation, bytes calldata data) internal {
+        require(isDeployedCollection[proxy], "Unknown collection");
+        // Upgrading a fleet collection on its own would take it out of the fleet
+        require(collectionBeacon[proxy] == address(0), "Collection follows a fleet");
+        _upgradeProxy(proxy, getCollectionImplementation(proxy), newImplementation, data);
+    }
+
+    function _upgradeProxy(address proxy, address oldImplementation, address newImplementation, bytes calldata data) internal {
+        _requireApproved(newImplementation);
+        _requireUpgradeCall(proxy, newImplementation, data);
+        address admin = collectionProxyAdmin[proxy];
+        require(Ownable(admin).owner() == address(this), "Factory does not own the ProxyAdmin");
+
+        ProxyAdmin(admin).upgradeAndCall(ITransparentUpgradeableProxy(proxy), newImplementation, data);
+        _linkCollection(proxy);
+        _upgradeHistory[proxy].push(UpgradeRecord({
+            implementation: newImplementation,
+            upgradedBy: msg.sender,
+            timestamp: block.timestamp
+        }));
+
+        emit CollectionUpgraded(proxy, oldImplementation, newImplementation, msg.sender);
+    }
+
+    // The ProxyAdmin runs upgrade calls with its own authority (e.g. migrateOwnership, or
+    // setPayees on V3), so upgraders may only send an initializer approved with the new
+    // version, or hand a collection the factory owns to the account that created it
+    function _requireUpgradeCall(address proxy, address newImplementation, bytes calldata data) internal view {
+        if (data.length >= 4 && bytes4(data) == MIGRATE_OWNERSHIP_SELECTOR) {
+            require(Ownable(proxy).owner() == address(this), "Collection not owned by the factory");
+            require(abi.decode(data[4:], (address)) == collectionInfo[proxy].deployer, "Only to the collection creator");
+            return;
+        }
+        FactoryCatalogue.requireInitializer(versions, implementationVersion, newImplementation, data);
+    }
+
+    // Put a collection under this factory's emergency pause once it runs a version that has
+    // it, so no creation or upgrade through the factory leaves a V3 collection unlinked.
+    // Earlier versions reject the call, which is ignored; running out of gas is not, so a
+    // low gas estimate cannot skip the link.
+    function _linkCollection(address proxy) internal {
+        uint256 gasBefore = gasleft();
+        try ILinkableCollection(proxy).linkFactory(address(this)) {
+        } catch {
+            require(gasleft() > gasBefore / 64, "Out of gas linking collection");
+        }
+    }
+
+    // Add a fleet on an UpgradeableBeacon owned by this factory. The beacon is deployed
+    // separately (deploying it here would push the factory over the contract size limit)
+    // and must point to an approved implementation.
+    function addFleet(string calldata fleet, address beacon) external onlyRole(CONFIG_ADMIN_ROLE) {
+        address implementation = FactoryFleets.add(fleetBeacon, fleetName, _fleetList, fleet, beacon);
+        _requireApproved(implementation);
+        _upgradeHistory[beacon].push(UpgradeRecord({
+            implementation: implementation,
+            upgradedBy: msg.sender,
+            timestamp: block.timestamp
+        }));
+    }
+
+    // Upgrade every collection of a fleet with one beacon upgrade. `data` is empty, or holds
+    // one call per collection of getFleetCollections (empty for none), which the factory
+    // makes right after the upgrade - e.g. initializeV2Features, so nobody can call it first.
+    // Each call must be an initializer approved with the new version.
+    function upgradeFleet(string calldata fleet, address newImplementation, bytes[] calldata data) external onlyRole(UPGRADER_ROLE) {
+        address beacon = fleetBeacon[fleet];
+        require(beacon != address(0), "Unknown fleet");
+        _requireApproved(newImplementation);
+        for (uint256 i = 0; i < data.length; i++) {
+            FactoryCatalogue.requireInitializer(versions, implementationVersion, newImplementation, data[i]);
+        }
+        _upgradeHistory[beacon].push(UpgradeRecord({
+            implementation: newImplementation,
+            upgradedBy: msg.sender,
+            timestamp: block.timestamp
+        }));
+        FactoryFleets.upgrade(collectionBeacon, _fleetCollections, fleet, beacon, newImplementation, data);
+        address[] memory collections = FactoryFleets.members(collectionBeacon, _fleetCollections, beacon);
+        for (uint256 i = 0; i < collections.length; i++) {
+            _linkCollection(collections[i]);
+        }
+    }
+
+    // Take a collection out of its fleet: its ProxyAdmin upgrades it to its own
+    // implementation, after which it is upgraded like any transparent collection
+    function leaveFleet(address proxy, address newImplementation, bytes calldata data) external onlyRole(UPGRADER_ROLE) {
+        address beacon = collectionBeacon[proxy];
+        require(beacon != address(0), "Not a fleet collection");
+        address oldImplementation = UpgradeableBeacon(beacon).implementation();
+        delete collectionBeacon[proxy];
+        _upgradeProxy(proxy, oldImplementation, newImplementation, data);
+        emit CollectionLeftFleet(proxy, beacon, newImplementation);
+    }
+
+    function getFleets() external view returns (string[] memory) {
+        return _fleetList;
+    }
+
+    // Collections that currently follow a fleet's beacon
+    function getFleetCollections(string calldata fleet) external view returns (address[] memory) {
+        address beacon = fleetBeacon[fleet];
+        require(beacon != address(0), "Unknown fleet");
+        return FactoryFleets.members(collectionBeacon, _fleetCollections, beacon);
+    }
+
+    // Implementation the factory last set for a collection, or the beacon's for a fleet
+    // collection; upgrades made directly through a ProxyAdmin this factory does not own
+    // are not seen here
+    function getCollectionImplementation(address proxy) public view returns (address) {
+        address beacon = collectionBeacon[proxy];
+        if (beacon != address(0)) {
+            return UpgradeableBeacon(beacon).implementation();
+        }
+        UpgradeRecord[] storage history = _upgradeHistory[proxy];
+        require(history.length > 0, "Unknown collection");
+        return history[history.length - 1].implementation;
+    }
+
+    function getUpgradeHistory(address proxy) external view returns (UpgradeRecord[] memory) {
+        return _upgradeHistory[proxy];
+    }
+
+    // Hand a ProxyAdmin owned by this factory to another owner (e.g. a multisig or timelock)
+    function transferProxyAdminOwnership(address admin, address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Invalid new owner");
+        Ownable(admin).transferOwnership(newOwner);
+    }
+
+    // Add an implementation to the catalogue under a new version. The version is a free
+    // label, so a rebuild of the same contract can be approved as e.g. "2.0.0+fix".
+    // Upgrades to it can only run empty data.
+    function approveImplementation(string calldata version, address implementation) external onlyRole(CONFIG_ADMIN_ROLE) {
+        FactoryCatalogue.approve(versions, _versionList, implementationVersion, version, implementation, new bytes4[](0));
+    }
+
+    // Same, with the selectors upgrades to the version may call (e.g. initializeV2Features)
+    function approveImplementation(
+        string calldata version,
+        address implementation,
+        bytes4[] calldata initializers
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        FactoryCatalogue.approve(versions, _versionList, implementationVersion, version, implementation, initializers);
+    }
+
+    function getInitializers(string calldata version) external view returns (bytes4[] memory) {
+        return versions[version].initializers;
+    }
+
+    // Deprecated versions stay in the catalogue but can no longer be used for new
+    // collections or upgrades; deprecating again with `false` re-enables them
+    function setVersionDeprecated(string calldata version, bool deprecated) external onlyRole(CONFIG_ADMIN_ROLE) {
+        FactoryCatalogue.setDeprecated(versions, version, deprecated, logicContract);
+    }
+
+    function getVersions() external view returns (string[] memory) {
+        return _versionList;
+    }
+
+    function isApprovedImplementation(address implementation) external view returns (bool) {
+        return FactoryCatalogue.isApproved(versions, implementationVersion, implementation);
+    }
+
+    function _requireApproved(address implementation) internal view {
+        FactoryCatalogue.requireApproved(versions, implementationVersion, implementation);
+    }
+
+    // The default implementation of new collections; must be an approved version
+    function updateLogicContract(address _newLogicContract) external onlyRole(CONFIG_ADMIN_ROLE) {
         require(_newLogicContract != address(0), "Invalid logic contract");
+        _requireApproved(_newLogicContract);
         address oldLogic = logicContract;
         logicContract = _newLogicContract;
         emit LogicContractUpdated(oldLogic, _newLogicContract);
     }
 
-    function updateProxyAdmin(address _newProxyAdmin) external onlyOwner {
+    function updateProxyAdmin(address _newProxyAdmin) external onlyRole(CONFIG_ADMIN_ROLE) {
         require(_newProxyAdmin != address(0), "Invalid proxy admin");
         address oldAdmin = proxyAdmin;
         proxyAdmin = _newProxyAdmin;
         emit ProxyAdminUpdated(oldAdmin, _newProxyAdmin);
     }
 
-    // Note: Using CustomTransparentProxy ensures our main ProxyAdmin
-    // has direct control over all deployed proxies. Upgrades can be performed
-    // directly through the main ProxyAdmin without ownership chain issues.
+    // Open collection creation to everyone, or restrict it to COLLECTION_CREATOR_ROLE
+    function setOpenCreation(bool open) external onlyRole(CONFIG_ADMIN_ROLE) {
+        openCreation = open;
+        emit OpenCreationUpdated(open);
+    }
+
+    // Stop collection creation (existing collections are unaffected)
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    // Stop minting and transfers in every linked collection, e.g. after a bug in shared logic
+    function setAllCollectionsPaused(bool paused_) external onlyRole(GUARDIAN_ROLE) {
+        allCollectionsPaused = paused_;
+        emit AllCollectionsPausedUpdated(paused_, msg.sender);
+    }
+
+    // Pause or unpause one collection; unpausing it does not lift a factory-wide pause
+    function setCollectionPaused(address proxy, bool paused_) external onlyRole(GUARDIAN_ROLE) {
+        require(isDeployedCollection[proxy], "Unknown collection");
+        collectionPaused[proxy] = paused_;
+        emit CollectionPausedUpdated(proxy, paused_, msg.sender);
+    }
+
+    // Consulted by linked collections on every mint, transfer and burn
+    function isCollectionPaused(address proxy) external view returns (bool) {
+        return allCollectionsPaused || collectionPaused[proxy];
+    }
+
+    // The owner holds every role, so handing the factory to a timelock or multisig hands
+    // over role administration too (DEFAULT_ADMIN_ROLE administers all roles)
+    function hasRole(bytes32 role, address account) public view override returns (bool) {
+        return account == owner() || super.hasRole(role, account);
+    }
+
+    // Note: Using CustomTransparentProxy (or FleetProxy) ensures our main ProxyAdmin
+    // has direct control over all deployed proxies. Once the ProxyAdmin is owned by
+    // this factory, upgradeCollection(s) is the only upgrade path and the factory's
+    // history is complete; otherwise upgrades go directly through the ProxyAdmin.
 }
\ No newline at end of file
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/StorageSlot.sol";
+
+/**
+ * @dev The contract that deployed a collection proxy (the NFTFactory for factory-made
+ * collections), recorded by the proxy constructor in an ERC-1967 style slot. Collection
+ * logic trusts it, like the ProxyAdmin, to run one-time setup in the transaction that
+ * creates or upgrades the collection. Proxies deployed before it was recorded read zero.
+ */
+library ProxyDeployer {
+    // bytes32(uint256(keccak256("nftupgrade.proxy.deployer")) - 1)
+    bytes32 internal constant DEPLOYER_SLOT = 0x2d65e6b7c7e2d48f7dd22e8647676fb2c99b9c283362f3a248146c916e22ae8b;
+
+    function record() internal {
+        StorageSlot.getAddressSlot(DEPLOYER_SLOT).value = msg.sender;
+    }
+
+    function get() internal view returns (address) {
+        return StorageSlot.getAddressSlot(DEPLOYER_SLOT).value;
+    }
+}
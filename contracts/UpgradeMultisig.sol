@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @dev Minimal M-of-N multisig to own the upgrade authority (NFTFactory or the
+ * ProxyAdmin). Owners sign proposals off-chain as EIP-712 typed data and anyone
+ * can submit a proposal that carries enough signatures. Proposals are bound to
+ * the multisig nonce, so they execute in order and a signature cannot be replayed.
+ */
+contract UpgradeMultisig is EIP712 {
+    bytes32 public constant PROPOSAL_TYPEHASH =
+        keccak256("Proposal(address target,bytes data,uint256 nonce,uint256 deadline)");
+
+    address[] private _owners;
+    mapping(address => bool) public isOwner;
+    uint256 public threshold;
+    uint256 public nonce;
+
+    event ProposalExecuted(uint256 indexed nonce, bytes32 indexed digest, address indexed target, bytes data);
+    event OwnersChanged(address[] owners, uint256 threshold);
+
+    modifier onlySelf() {
+        require(msg.sender == address(this), "Only through a proposal");
+        _;
+    }
+
+    constructor(address[] memory owners, uint256 _threshold) EIP712("UpgradeMultisig", "1") {
+        _setOwners(owners, _threshold);
+    }
+
+    function getOwners() external view returns (address[] memory) {
+        return _owners;
+    }
+
+    // EIP-712 digest the owners sign for a proposal
+    function proposalDigest(
+        address target,
+        bytes calldata data,
+        uint256 proposalNonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(PROPOSAL_TYPEHASH, target, keccak256(data), proposalNonce, deadline)));
+    }
+
+    // Execute the proposal for the current nonce. Signatures must come from distinct
+    // owners, ordered by signer address (ascending).
+    function execute(
+        address target,
+        bytes calldata data,
+        uint256 deadline,
+        bytes[] calldata signatures
+    ) external returns (bytes memory) {
+        require(block.timestamp <= deadline, "Proposal expired");
+        require(signatures.length >= threshold, "Not enough signatures");
+
+        bytes32 digest = proposalDigest(target, data, nonce, deadline);
+        address previous = address(0);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(isOwner[signer], "Signer is not an owner");
+            require(signer > previous, "Signers not in ascending order");
+            previous = signer;
+        }
+
+        emit ProposalExecuted(nonce, digest, target, data);
+        nonce++;
+        return Address.functionCall(target, data);
+    }
+
+    // Replace the owner set; only callable by the multisig itself, through a proposal
+    function changeOwners(address[] calldata owners, uint256 _threshold) external onlySelf {
+        _setOwners(owners, _threshold);
+    }
+
+    function _setOwners(address[] memory owners, uint256 _threshold) internal {
+        require(_threshold > 0 && _threshold <= owners.length, "Invalid threshold");
+        for (uint256 i = 0; i < _owners.length; i++) {
+            isOwner[_owners[i]] = false;
+        }
+        delete _owners;
+        for (uint256 i = 0; i < owners.length; i++) {
+            require(owners[i] != address(0), "Invalid owner");
+            require(!isOwner[owners[i]], "Duplicate owner");
+            isOwner[owners[i]] = true;
+            _owners.push(owners[i]);
+        }
+        threshold = _threshold;
+        emit OwnersChanged(owners, _threshold);
+    }
+}
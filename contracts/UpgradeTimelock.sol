@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @dev Timelock for the optional governance mode. It owns whatever authorizes
+ * upgrades (NFTFactory when the factory owns the ProxyAdmin, otherwise the
+ * ProxyAdmin itself), so every upgradeCollection / upgradeAndCall has to be
+ * scheduled and can only be executed once `minDelay` has passed, giving
+ * holders time to react.
+ */
+contract UpgradeTimelock is TimelockController {
+    /**
+     * @dev Pass address(0) as `admin` to make the timelock self-administered:
+     * role changes then go through the delay as well.
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+
+interface IRevenueCollection {
+    function batchMint(address to, uint256 quantity) external payable;
+    function release(address payee) external;
+    function releasable(address payee) external view returns (uint256);
+}
+
+/**
+ * @dev Test helper: mints to itself and, on receiving a token, releases `payee`'s
+ * revenue while the mint is still running, as a malicious or careless receiver could.
+ */
+contract ReentrantReleaseReceiver is IERC721Receiver {
+    address public immutable payee;
+
+    constructor(address payee_) {
+        payee = payee_;
+    }
+
+    function batchMint(address collection, uint256 quantity) external payable {
+        IRevenueCollection(collection).batchMint{value: msg.value}(address(this), quantity);
+    }
+
+    function onERC721Received(address, address, uint256, bytes calldata) external returns (bytes4) {
+        if (IRevenueCollection(msg.sender).releasable(payee) > 0) {
+            IRevenueCollection(msg.sender).release(payee);
+        }
+        return IERC721Receiver.onERC721Received.selector;
+    }
+
+    // Refunds of the overpayment
+    receive() external payable {}
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @dev Test helpers for the storage layout gate: a base layout, a version that only
+ * appends a variable, and one that swaps two variables, which moves them to each
+ * other's slots.
+ */
+contract LayoutBase {
+    address public owner;
+    uint256 public maxSupply;
+    string public baseURI;
+}
+
+contract LayoutAppended {
+    address public owner;
+    uint256 public maxSupply;
+    string public baseURI;
+    uint256 public royaltyFee;
+}
+
+contract LayoutReordered {
+    address public owner;
+    string public baseURI;
+    uint256 public maxSupply;
+}
@@ -1,11 +1,11 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
 const path = require("path");
 const { exec, spawn } = require("child_process");
 const { promisify } = require("util");
 const { Keyring } = require("@polkadot/keyring");
 const { cryptoWaitReady } = require("@polkadot/util-crypto");
 const { ApiPromise, WsProvider } = require("@polkadot/api");
+const { archiveDeployments } = require("./lib/deployment-registry");
 
 const execAsync = promisify(exec);
 
@@ -13,17 +13,14 @@ async function main() {
     console.log("🚀 Starting Complete Fresh Deployment Workflow");
     console.log("===============================================\n");
 
-    // Step 1: Clean up previous deployments
-    console.log("1. 🧹 Cleaning up previous deployment artifacts...");
-    const deploymentsDir = path.join(__dirname, "../deployments");
-    if (fs.existsSync(deploymentsDir)) {
-        const files = fs.readdirSync(deploymentsDir);
-        for (const file of files) {
-            fs.unlinkSync(path.join(deploymentsDir, file));
-            console.log(`   ✅ Removed ${file}`);
+    // Step 1: Archive previous deployments (a fresh run starts a new registry, history is kept)
+    console.log("1. 🧹 Archiving previous deployment artifacts...");
+    const archived = archiveDeployments();
+    if (archived) {
+        for (const file of archived.files) {
+            console.log(`   ✅ Archived ${file}`);
         }
-    } else {
-        fs.mkdirSync(deploymentsDir);
+        console.log(`   📦 Previous artifacts moved to ${path.relative(process.cwd(), archived.archiveDir)}`);
     }
     console.log("   ✅ Deployment artifacts cleaned\n");
 
@@ -184,7 +181,8 @@ async function main() {
     const scripts = [
         { number: "01", name: "deploy-infrastructure", description: "Deploy core infrastructure" },
         { number: "02", name: "create-nft-collections", description: "Create NFT collections" },
-        { number: "03", name: "upgrade-collections-to-v2-safe", description: "Upgrade to V2Fixed" },
+        // Upgrade Collection A & B only; Collection C stays on V1 to show independent upgrades
+        { number: "03", name: "upgrade-collections-to-v2-safe", description: "Upgrade to V2Fixed", env: { UPGRADE_SYMBOLS: "PGC,PAG", UPGRADE_YES: "1" } },
         { number: "04", name: "advanced-v2-operations", description: "Test V2 features" }
     ];
 
@@ -199,6 +197,7 @@ async function main() {
             await new Promise((resolve, reject) => {
                 const child = spawn('npx', ['hardhat', 'run', `scripts/${script.number}-${script.name}.js`, '--network', 'localhost'], {
                     stdio: ['inherit', 'pipe', 'pipe'],
+                    env: { ...process.env, ...script.env },
                     shell: true
                 });
                 
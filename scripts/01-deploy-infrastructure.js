@@ -1,105 +1,8 @@
 const { ethers, upgrades } = require("hardhat");
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-// Function to wait for transaction with timeout and reorg handling
-async function waitForTransactionWithRetry(tx, description = "transaction", maxRetries = 3, timeoutMs = 60000) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            console.log(`   ⏳ Waiting for ${description} (attempt ${attempt}/${maxRetries}, timeout: ${timeoutMs/1000}s)...`);
-            
-            // Create a timeout promise
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error(`Transaction wait timeout after ${timeoutMs/1000}s`)), timeoutMs)
-            );
-            
-            // Race between transaction confirmation and timeout
-            const receipt = await Promise.race([
-                tx.wait(),
-                timeoutPromise
-            ]);
-            
-            console.log(`   ✅ ${description} confirmed!`);
-            return receipt;
-            
-        } catch (error) {
-            console.log(`   ❌ Attempt ${attempt} failed: ${error.message}`);
-            
-            if (attempt === maxRetries) {
-                throw new Error(`Failed to confirm ${description} after ${maxRetries} attempts: ${error.message}`);
-            }
-            
-            // Check if transaction is still pending
-            try {
-                const txStatus = await ethers.provider.getTransaction(tx.hash);
-                if (txStatus && txStatus.blockNumber) {
-                    console.log(`   🔍 Transaction was actually mined in block ${txStatus.blockNumber}, getting receipt...`);
-                    return await ethers.provider.getTransactionReceipt(tx.hash);
-                }
-                console.log(`   🔍 Transaction still pending, retrying...`);
-            } catch (checkError) {
-                console.log(`   ⚠️  Could not check transaction status: ${checkError.message}`);
-            }
-            
-            // Wait before retry
-            console.log(`   ⏳ Waiting 10 seconds before retry...`);
-            await new Promise(resolve => setTimeout(resolve, 10000));
-        }
-    }
-}
-
-// Function to execute transaction with full retry including re-submission
-async function executeTransactionWithFullRetry(txFunction, description = "transaction", maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            console.log(`   📤 Executing ${description} (attempt ${attempt}/${maxRetries})...`);
-            const tx = await txFunction();
-            console.log(`   📤 Transaction sent: ${tx.hash.slice(0, 10)}...`);
-            
-            const receipt = await waitForTransactionWithRetry(tx, description, 2, 45000); // 2 retries, 45s timeout per retry
-            return receipt;
-            
-        } catch (error) {
-            console.log(`   ❌ Full retry attempt ${attempt} failed: ${error.message}`);
-            
-            if (attempt === maxRetries) {
-                throw new Error(`Failed to execute ${description} after ${maxRetries} full retry attempts: ${error.message}`);
-            }
-            
-            // Wait longer between full retries
-            console.log(`   ⏳ Waiting 30s before full re-submission retry...`);
-            await new Promise(resolve => setTimeout(resolve, 30000));
-        }
-    }
-}
-
-// Function to clear stuck transactions
-async function clearStuckTransactions(deployer) {
-    try {
-        const currentNonce = await deployer.getNonce();
-        console.log(`   Current nonce: ${currentNonce}`);
-        
-        // Send a replacement transaction with higher gas price to clear mempool
-        console.log("   🔧 Clearing any stuck transactions...");
-        const clearTx = await deployer.sendTransaction({
-            to: deployer.address,
-            value: 0,
-            nonce: currentNonce,
-            gasLimit: 21000,
-            gasPrice: ethers.parseUnits("2", "gwei")
-        });
-        
-        await waitForTransactionWithRetry(clearTx, "stuck transaction clearing");
-        console.log("   ✅ Transaction mempool cleared");
-        
-        const newNonce = await deployer.getNonce();
-        console.log(`   New nonce: ${newNonce}`);
-        
-    } catch (error) {
-        console.log("   ⚠️  No stuck transactions to clear");
-    }
-}
+const { createTransactionManager, callKey } = require("./lib/transaction-manager");
+const { openRegistry } = require("./lib/deployment-registry");
+const { FACTORY_LIBRARIES, getLinkedFactory } = require("./lib/factory-libraries");
 
 async function main() {
     console.log("🚀 Starting infrastructure deployment...\n");
@@ -117,121 +20,171 @@ async function main() {
     console.log("Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH");
     console.log("Network:", networkName);
     
+    const txManager = createTransactionManager({ provider: ethers.provider, networkName });
+    if (txManager.journalPath) {
+        console.log("Transaction journal:", txManager.journalPath);
+    }
+
     // Clear stuck transactions if not on localhost
     if (networkName !== "localhost" && networkName !== "hardhat") {
-        await clearStuckTransactions(deployer);
+        console.log("   🔧 Checking for stuck transactions...");
+        await txManager.clearStuckTransactions(deployer);
     }
     console.log();
 
+    // Deployments are keyed by their deployment data (bytecode and constructor arguments), plus
+    // the deployer for the factory it owns: a re-run reuses what an earlier run deployed with the
+    // same code and arguments, and a rebuilt contract gets a new deployment
+    const deployKey = async (name, contractFactory, args = [], owner = "") =>
+        callKey(`infrastructure:${name}${owner && `:${owner}`}`, await contractFactory.getDeployTransaction(...args));
+
     // Step 1: Deploy ERC721LogicV1 (implementation contract)
     console.log("1. Deploying ERC721LogicV1...");
-    let logicV1Address;
-    await executeTransactionWithFullRetry(async () => {
-        const ERC721LogicV1 = await ethers.getContractFactory("ERC721LogicV1");
-        const logicV1 = await ERC721LogicV1.deploy();
-        const deployTx = logicV1.deploymentTransaction();
-        console.log(`   📤 Deploy tx hash: ${deployTx.hash.slice(0, 10)}...`);
-        console.log(`   ⏳ Waiting for contract deployment...`);
-        
-        // Add timeout protection
-        const deploymentTimeout = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error("Deployment timeout after 120s")), 120000)
-        );
-        
-        await Promise.race([
-            logicV1.waitForDeployment(),
-            deploymentTimeout
-        ]);
-        
-        logicV1Address = await logicV1.getAddress();
-        console.log("   🏭 ERC721LogicV1 deployed to:", logicV1Address);
-        return deployTx;
-    }, "ERC721LogicV1 deployment");
+    const ERC721LogicV1 = await ethers.getContractFactory("ERC721LogicV1");
+    const { address: logicV1Address, receipt: logicV1Receipt } = await txManager.deploy(deployer, ERC721LogicV1, [], {
+        key: await deployKey("ERC721LogicV1", ERC721LogicV1),
+        description: "ERC721LogicV1 deployment"
+    });
+    console.log("   🏭 ERC721LogicV1 deployed to:", logicV1Address);
     console.log("   ✅ ERC721LogicV1 deployment completed!");
 
     // Step 2: Deploy ProxyAdmin
     console.log("\n2. Deploying ProxyAdmin...");
-    let proxyAdminAddress;
-    await executeTransactionWithFullRetry(async () => {
-        const ProxyAdmin = await ethers.getContractFactory("ProxyAdmin");
-        const proxyAdmin = await ProxyAdmin.deploy(deployer.address);
-        const deployTx = proxyAdmin.deploymentTransaction();
-        console.log(`   📤 Deploy tx hash: ${deployTx.hash.slice(0, 10)}...`);
-        console.log(`   ⏳ Waiting for contract deployment...`);
-        
-        // Add timeout protection
-        const deploymentTimeout = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error("Deployment timeout after 120s")), 120000)
-        );
-        
-        await Promise.race([
-            proxyAdmin.waitForDeployment(),
-            deploymentTimeout
-        ]);
-        
-        proxyAdminAddress = await proxyAdmin.getAddress();
-        console.log("   🏭 ProxyAdmin deployed to:", proxyAdminAddress);
-        console.log("   ProxyAdmin owner:", deployer.address);
-        return deployTx;
-    }, "ProxyAdmin deployment");
+    const ProxyAdmin = await ethers.getContractFactory("ProxyAdmin");
+    const { address: proxyAdminAddress, receipt: proxyAdminReceipt } = await txManager.deploy(deployer, ProxyAdmin, [deployer.address], {
+        key: await deployKey("ProxyAdmin", ProxyAdmin, [deployer.address]),
+        description: "ProxyAdmin deployment"
+    });
+    console.log("   🏭 ProxyAdmin deployed to:", proxyAdminAddress);
+    console.log("   ProxyAdmin owner:", await (await ethers.getContractAt("ProxyAdmin", proxyAdminAddress)).owner());
     console.log("   ✅ ProxyAdmin deployment completed!");
 
-    // Step 3: Deploy NFTFactory
+    // Step 3: Deploy NFTFactory, after the libraries it links
     console.log("\n3. Deploying NFTFactory...");
-    let factoryAddress;
-    await executeTransactionWithFullRetry(async () => {
-        const NFTFactory = await ethers.getContractFactory("NFTFactory");
-        const factory = await NFTFactory.deploy(logicV1Address, proxyAdminAddress);
-        const deployTx = factory.deploymentTransaction();
-        console.log(`   📤 Deploy tx hash: ${deployTx.hash.slice(0, 10)}...`);
-        console.log(`   ⏳ Waiting for contract deployment...`);
-        
-        // Add timeout protection
-        const deploymentTimeout = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error("Deployment timeout after 120s")), 120000)
-        );
-        
-        await Promise.race([
-            factory.waitForDeployment(),
-            deploymentTimeout
-        ]);
-        
-        factoryAddress = await factory.getAddress();
-        console.log("   🏭 NFTFactory deployed to:", factoryAddress);
-        return deployTx;
-    }, "NFTFactory deployment");
+    const libraryDeployments = {};
+    for (const name of FACTORY_LIBRARIES) {
+        const Library = await ethers.getContractFactory(name);
+        libraryDeployments[name] = await txManager.deploy(deployer, Library, [], {
+            key: await deployKey(name, Library),
+            description: `${name} deployment`
+        });
+        console.log(`   📚 ${name} deployed to:`, libraryDeployments[name].address);
+    }
+    const libraries = Object.fromEntries(Object.entries(libraryDeployments).map(([name, d]) => [name, d.address]));
+    const NFTFactory = await getLinkedFactory(ethers, libraries);
+    const { address: factoryAddress, receipt: factoryReceipt } = await txManager.deploy(deployer, NFTFactory, [logicV1Address, proxyAdminAddress], {
+        key: await deployKey("NFTFactory", NFTFactory, [logicV1Address, proxyAdminAddress], deployer.address),
+        description: "NFTFactory deployment"
+    });
+    console.log("   🏭 NFTFactory deployed to:", factoryAddress);
     console.log("   ✅ NFTFactory deployment completed!");
 
-    // Save deployment addresses to a file for later use
-    const deploymentData = {
-        network: networkName,
-        deploymentTime: new Date().toISOString(),
-        deployer: deployer.address,
-        contracts: {
-            ERC721LogicV1: logicV1Address,
-            ProxyAdmin: proxyAdminAddress,
-            NFTFactory: factoryAddress
+    // A reused ProxyAdmin or factory may since have been handed to the factory or to the
+    // governance contract recorded for it, but not to anyone else
+    const { chainId } = await ethers.provider.getNetwork();
+    const registry = openRegistry(networkName, { chainId });
+    const previous = registry.read().infrastructure?.contracts || {};
+    const governors = previous.NFTFactory?.address === factoryAddress
+        ? [previous.UpgradeTimelock?.address, previous.UpgradeMultisig?.address].filter(Boolean)
+        : [];
+    for (const [name, address, owners] of [
+        ["ProxyAdmin", proxyAdminAddress, [deployer.address, factoryAddress, ...governors]],
+        ["NFTFactory", factoryAddress, [deployer.address, ...governors]]
+    ]) {
+        const owner = await (await ethers.getContractAt(name, address)).owner();
+        if (!owners.includes(owner)) {
+            throw new Error(`${name} ${address}, deployed by an earlier run with the same code and arguments, is owned by ${owner}, not ${deployer.address}`);
         }
-    };
+    }
 
-    const deploymentsDir = path.join(__dirname, "../deployments");
-    if (!fs.existsSync(deploymentsDir)) {
-        fs.mkdirSync(deploymentsDir);
+    // Step 4: Route upgrades through the factory, which records them on-chain
+    // FACTORY_UPGRADES=0 keeps the deployer as ProxyAdmin owner (direct upgrades)
+    const proxyAdmin = await ethers.getContractAt("ProxyAdmin", proxyAdminAddress);
+    if (process.env.FACTORY_UPGRADES === "0") {
+        console.log("\n4. Keeping ProxyAdmin owned by the deployer (FACTORY_UPGRADES=0)");
+    } else if (await proxyAdmin.owner() === factoryAddress) {
+        console.log("\n4. ProxyAdmin already owned by NFTFactory");
+    } else {
+        console.log("\n4. Handing ProxyAdmin ownership to NFTFactory...");
+        await txManager.send(
+            deployer,
+            () => proxyAdmin.transferOwnership.populateTransaction(factoryAddress),
+            {
+                key: `infrastructure:ProxyAdmin-owner:${proxyAdminAddress}:${factoryAddress}`,
+                description: "ProxyAdmin ownership transfer to NFTFactory"
+            }
+        );
+        console.log("   ✅ Collections are now upgraded through NFTFactory.upgradeCollection(s)");
     }
 
-    const deploymentFile = path.join(deploymentsDir, `${networkName}-infrastructure.json`);
-    fs.writeFileSync(deploymentFile, JSON.stringify(deploymentData, null, 2));
+    // Step 5 (optional governance mode): put the upgrade authority behind a timelock
+    // UPGRADE_TIMELOCK_DELAY=<seconds> [UPGRADE_TIMELOCK_PROPOSERS=0x..,0x..] [UPGRADE_TIMELOCK_EXECUTORS=0x..,0x..]
+    let timelockDeployment = null;
+    if (process.env.UPGRADE_TIMELOCK_DELAY) {
+        const minDelay = BigInt(process.env.UPGRADE_TIMELOCK_DELAY);
+        const parseAddresses = (value) => value ? value.split(",").map(address => ethers.getAddress(address.trim())) : [deployer.address];
+        const proposers = parseAddresses(process.env.UPGRADE_TIMELOCK_PROPOSERS);
+        const executors = parseAddresses(process.env.UPGRADE_TIMELOCK_EXECUTORS);
+        console.log(`\n5. Deploying UpgradeTimelock (delay ${minDelay}s)...`);
+        const UpgradeTimelock = await ethers.getContractFactory("UpgradeTimelock");
+        // Self-administered (admin = address(0)): role changes go through the delay too
+        timelockDeployment = await txManager.deploy(deployer, UpgradeTimelock, [minDelay, proposers, executors, ethers.ZeroAddress], {
+            key: await deployKey("UpgradeTimelock", UpgradeTimelock, [minDelay, proposers, executors, ethers.ZeroAddress]),
+            description: "UpgradeTimelock deployment"
+        });
+        console.log("   🏭 UpgradeTimelock deployed to:", timelockDeployment.address);
+        console.log("   Proposers:", proposers.join(", "));
+        console.log("   Executors:", executors.join(", "));
+
+        // The timelock takes whatever authorizes upgrades: the factory, or the ProxyAdmin itself
+        const authority = await proxyAdmin.owner() === factoryAddress
+            ? await ethers.getContractAt("NFTFactory", factoryAddress)
+            : proxyAdmin;
+        const authorityName = authority === proxyAdmin ? "ProxyAdmin" : "NFTFactory";
+        if (await authority.owner() !== timelockDeployment.address) {
+            await txManager.send(
+                deployer,
+                () => authority.transferOwnership.populateTransaction(timelockDeployment.address),
+                {
+                    key: `infrastructure:${authorityName}-owner:${authority.target}:${timelockDeployment.address}`,
+                    description: `${authorityName} ownership transfer to UpgradeTimelock`
+                }
+            );
+        }
+        console.log(`   ✅ ${authorityName} owned by the timelock: upgrades must be scheduled and wait ${minDelay}s`);
+    }
+
+    // Record the deployment in the registry for later scripts
+    const txInfo = (receipt) => ({ txHash: receipt.hash, blockNumber: receipt.blockNumber });
+    registry.recordInfrastructure({
+        deployer: deployer.address,
+        contracts: {
+            ERC721LogicV1: { address: logicV1Address, ...txInfo(logicV1Receipt) },
+            ProxyAdmin: { address: proxyAdminAddress, ...txInfo(proxyAdminReceipt) },
+            ...Object.fromEntries(Object.entries(libraryDeployments).map(([name, d]) => [name, { address: d.address, ...txInfo(d.receipt) }])),
+            NFTFactory: { address: factoryAddress, ...txInfo(factoryReceipt) },
+            ...(timelockDeployment && { UpgradeTimelock: { address: timelockDeployment.address, ...txInfo(timelockDeployment.receipt) } })
+        }
+    });
+    registry.recordImplementation(logicV1Address, {
+        contract: "ERC721LogicV1",
+        version: "1.0.0",
+        ...txInfo(logicV1Receipt)
+    });
 
     console.log("\n📄 Deployment Summary:");
     console.log("========================");
     console.log(`Network: ${networkName}`);
     console.log(`Deployer: ${deployer.address}`);
     console.log(`ERC721LogicV1: ${logicV1Address}`);
-    console.log(`ProxyAdmin: ${proxyAdminAddress}`);
+    console.log(`ProxyAdmin: ${proxyAdminAddress} (owner: ${await proxyAdmin.owner()})`);
     console.log(`NFTFactory: ${factoryAddress}`);
+    if (timelockDeployment) {
+        console.log(`UpgradeTimelock: ${timelockDeployment.address}`);
+    }
     console.log("========================");
     console.log(`\n✅ Infrastructure deployment complete!`);
-    console.log(`Deployment data saved to: ${deploymentFile}`);
+    console.log(`Deployment data saved to: ${registry.file}`);
 
     // Verify contracts on Etherscan (if not on localhost)
     if (networkName !== "localhost" && networkName !== "hardhat") {
@@ -239,7 +192,11 @@ async function main() {
         console.log("Run the following commands to verify contracts:");
         console.log(`npx hardhat verify --network ${networkName} ${logicV1Address}`);
         console.log(`npx hardhat verify --network ${networkName} ${proxyAdminAddress} ${deployer.address}`);
-        console.log(`npx hardhat verify --network ${networkName} ${factoryAddress} ${logicV1Address} ${proxyAdminAddress}`);
+        for (const name of FACTORY_LIBRARIES) {
+            console.log(`npx hardhat verify --network ${networkName} ${libraries[name]}`);
+        }
+        console.log(`# libraries.js: module.exports = ${JSON.stringify(libraries)};`);
+        console.log(`npx hardhat verify --network ${networkName} --libraries libraries.js ${factoryAddress} ${logicV1Address} ${proxyAdminAddress}`);
     }
 }
 
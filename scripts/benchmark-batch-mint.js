@@ -0,0 +1,25 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { DEFAULT_CONTRACTS, DEFAULT_SIZES, benchmarkBatchMint, printBenchmark } = require("./lib/batch-benchmark");
+
+// BATCH_SIZES=1,10,100 and BATCH_CONTRACTS=ERC721LogicV2Fixed,ERC721LogicV2A override the defaults
+async function main() {
+    console.log("⛽ batchMint gas by batch size...");
+    if (hre.network.name !== "hardhat") {
+        throw new Error(`The benchmark deploys throwaway contracts; run it on the in-process hardhat network, not ${hre.network.name}`);
+    }
+
+    const sizes = process.env.BATCH_SIZES ? process.env.BATCH_SIZES.split(",").map(Number) : DEFAULT_SIZES;
+    if (sizes.some(size => !Number.isInteger(size) || size < 1)) {
+        throw new Error(`BATCH_SIZES must be positive integers, got "${process.env.BATCH_SIZES}"`);
+    }
+    const contracts = process.env.BATCH_CONTRACTS ? process.env.BATCH_CONTRACTS.split(",") : DEFAULT_CONTRACTS;
+
+    const rows = await benchmarkBatchMint(ethers, { contracts, sizes });
+    printBenchmark(rows);
+}
+
+main().catch(error => {
+    console.error("❌ Benchmark failed:", error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,69 @@
+const hre = require("hardhat");
+const path = require("path");
+const {
+    DEFAULT_BASELINE,
+    DEFAULT_REPORT_DIR,
+    DEFAULT_THRESHOLD,
+    runGasBenchmark,
+    compareWithBaseline,
+    compareWithSpec,
+    loadBaseline,
+    writeBaseline,
+    formatMarkdown,
+    writeReports
+} = require("./lib/gas-benchmark");
+
+// GAS_MAX_BATCH        largest batchMint measured (default 100)
+// GAS_THRESHOLD        percent a measurement may exceed the baseline by (default 5)
+// GAS_BASELINE         baseline file (default benchmarks/gas-baseline.json)
+// GAS_REPORT_DIR       where gas-report.json and gas-report.md go (default deployments/gas-reports)
+// GAS_UPDATE_BASELINE  set to 1 to store this run as the new baseline
+async function main() {
+    console.log("⛽ Gas benchmark...");
+    if (hre.network.name !== "hardhat") {
+        throw new Error(`The benchmark deploys throwaway contracts; run it on the in-process hardhat network, not ${hre.network.name}`);
+    }
+
+    const threshold = Number(process.env.GAS_THRESHOLD ?? DEFAULT_THRESHOLD);
+    if (!Number.isFinite(threshold) || threshold < 0) {
+        throw new Error(`GAS_THRESHOLD must be a non-negative percentage, got "${process.env.GAS_THRESHOLD}"`);
+    }
+    const baselineFile = path.resolve(process.env.GAS_BASELINE || DEFAULT_BASELINE);
+    const report = await runGasBenchmark(hre, { maxBatch: process.env.GAS_MAX_BATCH });
+
+    const baseline = loadBaseline(baselineFile);
+    if (!baseline) {
+        console.log(`   ⚠️  No baseline at ${baselineFile}; every measurement is new`);
+    } else if (JSON.stringify(baseline.compiler) !== JSON.stringify(report.compiler)) {
+        console.log("   ⚠️  The baseline was taken with other compiler settings; differences may come from the compiler");
+    }
+    const comparison = compareWithBaseline(report, baseline, { threshold });
+    const spec = compareWithSpec(report);
+    const files = writeReports(path.resolve(process.env.GAS_REPORT_DIR || DEFAULT_REPORT_DIR), report, formatMarkdown(report, { comparison, spec, threshold }));
+
+    for (const row of spec) {
+        console.log(`   📐 ${row.action.padEnd(22)} spec ${row.low}-${row.high}, measured ${row.gasUsed} (${row.verdict})`);
+    }
+    for (const row of comparison) {
+        const change = row.change === null ? "" : ` (${row.change >= 0 ? "+" : ""}${row.change.toFixed(2)}%)`;
+        const icon = row.status === "regression" ? "❌" : row.status === "improvement" ? "📉" : "  ";
+        console.log(`   ${icon} ${row.name.padEnd(36)} ${String(row.gasUsed ?? "-").padStart(10)}${change} ${row.status}`);
+    }
+    console.log(`📄 Reports: ${files.json}, ${files.markdown}`);
+
+    if (process.env.GAS_UPDATE_BASELINE === "1") {
+        writeBaseline(baselineFile, report);
+        console.log(`💾 Baseline updated: ${baselineFile}`);
+        return;
+    }
+    const regressions = comparison.filter(row => row.status === "regression");
+    if (regressions.length > 0) {
+        throw new Error(`${regressions.length} measurement(s) cost over ${threshold}% more than the baseline: ${regressions.map(row => row.name).join(", ")}`);
+    }
+    console.log(`✅ No measurement exceeds the baseline by over ${threshold}%`);
+}
+
+main().catch(error => {
+    console.error("❌ Gas benchmark failed:", error.message);
+    process.exitCode = 1;
+});
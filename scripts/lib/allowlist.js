@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const { AbiCoder, concat, getAddress, isAddress, keccak256 } = require("ethers");
+
+// Merkle allowlist for the ERC721LogicV3 presale:
+//
+//   CSV (address,quantity)  →  tree  →  allowlist file { root, entries: { address: { quantity, proof } } }
+//
+// Leaves and proofs follow OpenZeppelin's StandardMerkleTree conventions, so the contract
+// checks them with MerkleProof: a leaf is keccak256(keccak256(abi.encode(address, uint256)))
+// and every node hashes its two children in sorted order.
+
+const ALLOWLIST_SCHEMA_VERSION = 1;
+
+// Function to parse allowlist CSV text: one "address,quantity" per line, an optional
+// header line, blank lines and "#" comments ignored
+// Returns [{ address, quantity }]
+function parseAllowlistCsv(text) {
+    const entries = [];
+    const seen = new Set();
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.trim();
+        if (!line || line.startsWith("#")) {
+            return;
+        }
+        const [address, quantity, ...rest] = line.split(",").map(cell => cell.trim());
+        if (index === 0 && !isAddress(address)) {
+            return; // header
+        }
+        if (!isAddress(address) || !/^\d+$/.test(quantity || "") || BigInt(quantity) === 0n || rest.length > 0) {
+            throw new Error(`Line ${index + 1}: expected "<address>,<quantity>", got "${line}"`);
+        }
+        const checksummed = getAddress(address);
+        if (seen.has(checksummed)) {
+            throw new Error(`Line ${index + 1}: ${checksummed} is listed twice`);
+        }
+        seen.add(checksummed);
+        entries.push({ address: checksummed, quantity: BigInt(quantity) });
+    });
+    if (entries.length === 0) {
+        throw new Error("The allowlist is empty");
+    }
+    return entries;
+}
+
+// Function to hash an allowlist leaf the way ERC721LogicV3.presaleMint does
+function leafHash(address, quantity) {
+    return keccak256(keccak256(AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [address, quantity])));
+}
+
+// Function to hash two nodes in sorted order (MerkleProof's commutative hash)
+function hashPair(a, b) {
+    return BigInt(a) < BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+// Function to build the tree of an allowlist
+// Returns { root, entries: [{ address, quantity, leaf, proof }] }
+function buildAllowlistTree(entries) {
+    const leaves = entries
+        .map(entry => ({ ...entry, leaf: leafHash(entry.address, entry.quantity), proof: [] }))
+        .sort((a, b) => (BigInt(a.leaf) < BigInt(b.leaf) ? -1 : 1));
+
+    // Each leaf's position in the current layer; an odd node out moves up unchanged
+    let layer = leaves.map(entry => entry.leaf);
+    let positions = leaves.map((entry, index) => index);
+    while (layer.length > 1) {
+        leaves.forEach((entry, i) => {
+            const sibling = positions[i] ^ 1;
+            if (sibling < layer.length) {
+                entry.proof.push(layer[sibling]);
+            }
+        });
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layer = next;
+        positions = positions.map(position => position >> 1);
+    }
+    return { root: layer[0], entries: leaves };
+}
+
+// Function to check a proof locally, before anyone sends presaleMint
+function verifyProof(root, address, quantity, proof) {
+    return proof.reduce((node, sibling) => hashPair(node, sibling), leafHash(address, quantity)) === root;
+}
+
+// Function to find an address in an allowlist file
+// Returns { address, quantity, proof } or null
+function findEntry(allowlist, address) {
+    const entry = allowlist.entries[getAddress(address)];
+    return entry ? { address: getAddress(address), quantity: BigInt(entry.quantity), proof: entry.proof } : null;
+}
+
+// Function to write the allowlist file (root plus the proof of every address)
+function saveAllowlist(tree, file, { source = null } = {}) {
+    const allowlist = {
+        schemaVersion: ALLOWLIST_SCHEMA_VERSION,
+        root: tree.root,
+        source,
+        createdAt: new Date().toISOString(),
+        entries: Object.fromEntries(tree.entries
+            .slice()
+            .sort((a, b) => a.address.localeCompare(b.address))
+            .map(entry => [entry.address, { quantity: entry.quantity.toString(), proof: entry.proof }]))
+    };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(allowlist, null, 2));
+    return allowlist;
+}
+
+// Function to read an allowlist file
+function loadAllowlist(file) {
+    const allowlist = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (allowlist.schemaVersion !== ALLOWLIST_SCHEMA_VERSION) {
+        throw new Error(`${file}: unsupported allowlist schema version ${allowlist.schemaVersion}`);
+    }
+    return allowlist;
+}
+
+// Function to verify every proof of an allowlist file against its root
+// Returns [address] of the entries whose proof does not verify
+function verifyAllowlist(allowlist) {
+    return Object.entries(allowlist.entries)
+        .filter(([address, entry]) => !verifyProof(allowlist.root, address, BigInt(entry.quantity), entry.proof))
+        .map(([address]) => address);
+}
+
+module.exports = {
+    parseAllowlistCsv,
+    leafHash,
+    buildAllowlistTree,
+    verifyProof,
+    findEntry,
+    saveAllowlist,
+    loadAllowlist,
+    verifyAllowlist
+};
@@ -0,0 +1,86 @@
+// Gas of batchMint by batch size, per logic version. Runs on a throwaway set of contracts:
+// every (contract, size) pair gets a fresh collection upgraded from V1, so each batch
+// pays the same first-mint costs a real collection would.
+//
+// Only meant for the in-process hardhat network (see scripts/benchmark-batch-mint.js).
+
+const { deployFactoryLibraries } = require("./factory-libraries");
+
+const DEFAULT_CONTRACTS = ["ERC721LogicV2Fixed", "ERC721LogicV2A"];
+const DEFAULT_SIZES = [1, 5, 10, 25, 50, 100];
+const MINT_PRICE = 1n;
+
+// Function to deploy V1 logic, a ProxyAdmin and a factory for benchmark collections
+async function deployBenchmarkFactory(ethers) {
+    const [owner] = await ethers.getSigners();
+    const logicV1 = await (await ethers.getContractFactory("ERC721LogicV1")).deploy();
+    const proxyAdmin = await (await ethers.getContractFactory("ProxyAdmin")).deploy(owner.address);
+    const { NFTFactory } = await deployFactoryLibraries(ethers, owner);
+    const factory = await NFTFactory.deploy(
+        await logicV1.getAddress(),
+        await proxyAdmin.getAddress()
+    );
+    await factory.waitForDeployment();
+    return { owner, factory, proxyAdmin, logicV1 };
+}
+
+// Function to create a collection and upgrade it to `implementation` with V2 features
+async function createBenchmarkCollection(ethers, { factory, proxyAdmin, owner }, implementation, maxSupply) {
+    await (await factory.createNFTCollection("Benchmark", "BNCH", maxSupply, MINT_PRICE)).wait();
+    const collections = await factory.getDeployedCollections();
+    const proxyAddress = collections[collections.length - 1];
+    const initData = implementation.interface.encodeFunctionData("initializeV2Features", [
+        "https://example.com/", "https://example.com/hidden.json", owner.address, 250
+    ]);
+    await (await proxyAdmin.upgradeAndCall(proxyAddress, await implementation.getAddress(), initData)).wait();
+    return implementation.attach(proxyAddress);
+}
+
+// Function to measure batchMint for every contract and batch size
+// Returns [{ contract, size, gasUsed, gasPerToken, transferGas }]; transferGas is the gas of
+// moving the last token of the batch, the one consolidated ownership resolves last
+async function benchmarkBatchMint(ethers, { contracts = DEFAULT_CONTRACTS, sizes = DEFAULT_SIZES } = {}) {
+    const deployment = await deployBenchmarkFactory(ethers);
+    const [owner, recipient] = await ethers.getSigners();
+    const rows = [];
+    for (const contractName of contracts) {
+        const implementation = await (await ethers.getContractFactory(contractName)).deploy();
+        await implementation.waitForDeployment();
+        for (const size of sizes) {
+            const collection = await createBenchmarkCollection(ethers, deployment, implementation, size);
+            const receipt = await (await collection.batchMint(owner.address, size, { value: MINT_PRICE * BigInt(size) })).wait();
+            const transfer = await (await collection.transferFrom(owner.address, recipient.address, size)).wait();
+            rows.push({
+                contract: contractName,
+                size,
+                gasUsed: receipt.gasUsed,
+                gasPerToken: receipt.gasUsed / BigInt(size),
+                transferGas: transfer.gasUsed
+            });
+        }
+    }
+    return rows;
+}
+
+// Function to print benchmark rows as a table, with each contract's saving against the first
+function printBenchmark(rows, log = console.log) {
+    const baseline = rows[0]?.contract;
+    const baselineGas = new Map(rows.filter(row => row.contract === baseline).map(row => [row.size, row.gasPerToken]));
+    log(`   ${"Contract".padEnd(20)} ${"Batch".padStart(6)} ${"Gas".padStart(12)} ${"Gas/token".padStart(10)} ${"Transfer".padStart(9)}  vs ${baseline}`);
+    for (const row of rows) {
+        const reference = baselineGas.get(row.size);
+        const saving = row.contract === baseline || !reference
+            ? ""
+            : `${(Number(reference - row.gasPerToken) * 100 / Number(reference)).toFixed(1)}% less`;
+        log(`   ${row.contract.padEnd(20)} ${String(row.size).padStart(6)} ${row.gasUsed.toString().padStart(12)} ${row.gasPerToken.toString().padStart(10)} ${row.transferGas.toString().padStart(9)}  ${saving}`);
+    }
+}
+
+module.exports = {
+    DEFAULT_CONTRACTS,
+    DEFAULT_SIZES,
+    deployBenchmarkFactory,
+    createBenchmarkCollection,
+    benchmarkBatchMint,
+    printBenchmark
+};
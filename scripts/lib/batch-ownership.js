@@ -0,0 +1,72 @@
+// Consolidated ownership (ERC721LogicV2A): batchMint writes the owner of a batch's first
+// token and of every OWNERSHIP_CHECKPOINT-th token, the others are implied. Versions
+// without consolidated ownership only see explicit owners, so a collection must have
+// every implied owner written out (materializeOwnership) before it moves to one of them.
+//
+// Upgrades and rollbacks check this next to the storage layout (see storage-layout.js,
+// rollback.js).
+
+const CONSOLIDATED_CONTRACTS = ["ERC721LogicV2A"];
+// Tokens checked or written per call; impliedOwnerCount reads one slot per token
+const DEFAULT_CHUNK = 2000;
+
+const BATCH_OWNERSHIP_ABI = [
+    "function totalSupply() view returns (uint256)",
+    "function impliedOwnerCount(uint256 fromTokenId, uint256 toTokenId) view returns (uint256)",
+    "function materializeOwnership(uint256 fromTokenId, uint256 toTokenId)"
+];
+
+// Function to tell whether a contract keeps consolidated ownership
+function isConsolidated(contractName) {
+    return CONSOLIDATED_CONTRACTS.includes(contractName);
+}
+
+// Function to split [1, totalSupply] into token ranges of `chunk` tokens
+function tokenRanges(totalSupply, chunk = DEFAULT_CHUNK) {
+    const ranges = [];
+    for (let from = 1n; from <= totalSupply; from += BigInt(chunk)) {
+        const to = from + BigInt(chunk) - 1n;
+        ranges.push({ from, to: to < totalSupply ? to : totalSupply });
+    }
+    return ranges;
+}
+
+// Function to count the tokens of a consolidated collection that have no explicit owner
+// Returns { totalSupply, implied, ranges: [{ from, to, implied }] } (ranges with implied owners only)
+async function countImpliedOwners(ethers, proxyAddress, { chunk = DEFAULT_CHUNK } = {}) {
+    const collection = new ethers.Contract(proxyAddress, BATCH_OWNERSHIP_ABI, ethers.provider);
+    const totalSupply = await collection.totalSupply();
+    const ranges = [];
+    let implied = 0n;
+    for (const range of tokenRanges(totalSupply, chunk)) {
+        const count = await collection.impliedOwnerCount(range.from, range.to);
+        if (count > 0n) {
+            ranges.push({ ...range, implied: count });
+            implied += count;
+        }
+    }
+    return { totalSupply, implied, ranges };
+}
+
+// Function to check that a collection can move from one contract to another without
+// losing implied owners
+// Returns null when it can, otherwise the reason it cannot
+async function checkOwnershipPortable(ethers, { proxyAddress, fromContract, toContract }) {
+    if (!isConsolidated(fromContract) || isConsolidated(toContract)) {
+        return null;
+    }
+    const { implied } = await countImpliedOwners(ethers, proxyAddress);
+    if (implied === 0n) {
+        return null;
+    }
+    return `${implied} token(s) only have implied owners under ${fromContract}, which ${toContract} would not see; ` +
+        `write them out first with "batch-ownership ${proxyAddress} materialize"`;
+}
+
+module.exports = {
+    CONSOLIDATED_CONTRACTS,
+    isConsolidated,
+    tokenRanges,
+    countImpliedOwners,
+    checkOwnershipPortable
+};
@@ -0,0 +1,568 @@
+const fs = require("fs");
+const path = require("path");
+const { getImplementationAddress } = require("../erc1967");
+const { resolveImplementationContract } = require("../storage-layout");
+const { formatFee, parseFee, readMaxRoyaltyFee, getEffectiveRoyalty, listTokenRoyalties } = require("../royalties");
+const { parsePayees, readPayees, readRevenue, revenueReport } = require("../revenue");
+const { voucherDomain, buildVoucher, signVoucher, voucherArgs, checkVoucher, saveVoucher, loadVoucher } = require("../vouchers");
+const { countImpliedOwners } = require("../batch-ownership");
+const { PHASES, loadPhaseConfig, encodePhaseSetup, readPhaseSchedule, describePhase } = require("../mint-phases");
+const { parseAllowlistCsv, buildAllowlistTree, findEntry, saveAllowlist, loadAllowlist, verifyAllowlist, verifyProof } = require("../allowlist");
+const { execute, summarize, resolveSigner, requireProxy, readVersion } = require("./common");
+
+// nft-admin commands that operate one collection: minting, metadata, royalties, revenue and sales
+
+async function mint(ctx, args) {
+    const { ethers } = ctx;
+    const proxyAddress = requireProxy(ctx, args);
+    const signer = await resolveSigner(ctx, args.options.from);
+    const to = args.options.to || signer.address;
+    const quantity = BigInt(args.options.quantity ?? 1);
+    const collection = await ethers.getContractAt("ERC721LogicV3", proxyAddress, signer);
+    const version = await readVersion(ctx, proxyAddress);
+    // From V3 on, the public phase sets the price
+    const price = Number(version.split(".")[0]) >= 3 ? (await collection.phaseConfig(2)).price : await collection.mintPrice();
+
+    let build;
+    if (quantity === 1n) {
+        build = () => collection.mint.populateTransaction(to, { value: price });
+    } else {
+        if (!(Number(version.split(".")[0]) >= 2)) {
+            throw new Error(`Minting ${quantity} tokens needs batchMint, which collection version ${version} does not have`);
+        }
+        build = () => collection.batchMint.populateTransaction(to, quantity, { value: price * quantity });
+    }
+
+    const result = await execute(ctx, signer, { description: `mint ${quantity} token(s) to ${to}`, build });
+    return {
+        ...summarize(result),
+        proxyAddress,
+        to,
+        quantity,
+        totalPaid: price * quantity,
+        totalSupply: result.dryRun ? undefined : await collection.totalSupply()
+    };
+}
+
+async function setUri(ctx, args) {
+    const { ethers } = ctx;
+    const proxyAddress = requireProxy(ctx, args);
+    const signer = await resolveSigner(ctx, args.options.from);
+    const collection = await ethers.getContractAt("ERC721LogicV2Fixed", proxyAddress, signer);
+    const { token, uri } = args.options;
+    const baseURI = args.options["base-uri"];
+    const hiddenURI = args.options["hidden-uri"];
+
+    let description;
+    let build;
+    if (baseURI !== undefined) {
+        description = `set base URI of ${proxyAddress} to ${baseURI}`;
+        build = () => collection.setBaseURI.populateTransaction(baseURI);
+    } else if (hiddenURI !== undefined) {
+        description = `set hidden URI of ${proxyAddress} to ${hiddenURI}`;
+        build = () => collection.setNotRevealedURI.populateTransaction(hiddenURI);
+    } else if (token !== undefined && uri !== undefined) {
+        // V2's setTokenURI accepts the call but stores nothing
+        const version = await readVersion(ctx, proxyAddress);
+        if (!(Number(version.split(".")[0]) >= 3)) {
+            throw new Error(`${proxyAddress} runs version ${version}, which does not store per-token URIs; upgrade it with "upgrade ${proxyAddress} --contract ERC721LogicV3"`);
+        }
+        description = `set URI of token ${token} to ${uri}`;
+        build = () => collection.setTokenURI.populateTransaction(BigInt(token), uri);
+    } else {
+        throw new Error("set-uri requires --base-uri, --hidden-uri, or --token together with --uri");
+    }
+
+    const result = await execute(ctx, signer, { description, build });
+    return { ...summarize(result), proxyAddress };
+}
+
+async function royalty(ctx, args) {
+    const { ethers } = ctx;
+    const proxyAddress = requireProxy(ctx, args);
+    const [, action = "show"] = args.positional;
+
+    if (action === "show") {
+        const salePrice = ethers.parseEther(String(args.options.price ?? "1"));
+        const fromBlock = ctx.registry.getProxy(proxyAddress)?.history[0]?.blockNumber ?? 0;
+        const tokenIds = args.options.token !== undefined
+            ? [BigInt(args.options.token)]
+            : (await listTokenRoyalties(ethers, proxyAddress, { fromBlock })).map(entry => entry.tokenId);
+        // Token 0 is never minted, so it always resolves to the collection default
+        const royalties = [];
+        for (const tokenId of [0n, ...tokenIds]) {
+            royalties.push(await getEffectiveRoyalty(ethers, proxyAddress, tokenId, salePrice));
+        }
+        const [defaultRoyalty, ...tokens] = royalties;
+        const describe = (entry) => `${entry.receiver} ${formatFee(entry.feeNumerator)}` +
+            `${entry.capped ? ` (capped from ${formatFee(entry.configuredFee)})` : ""}` +
+            ` → ${ethers.formatEther(entry.royaltyAmount)} ETH on a ${ethers.formatEther(salePrice)} ETH sale`;
+        ctx.log(`👑 Royalties of ${proxyAddress}:`);
+        ctx.log(`   Maximum fee: ${defaultRoyalty.maxFee === null ? "none (before V3)" : formatFee(defaultRoyalty.maxFee)}`);
+        ctx.log(`   Default:     ${describe(defaultRoyalty)}`);
+        for (const entry of tokens) {
+            ctx.log(`   Token #${entry.tokenId}:${" ".repeat(Math.max(1, 5 - String(entry.tokenId).length))}${describe(entry)}${entry.source === "default" ? " (default)" : ""}`);
+        }
+        return { proxyAddress, maxFee: defaultRoyalty.maxFee, default: defaultRoyalty, tokens };
+    }
+
+    const signer = await resolveSigner(ctx, args.options.from);
+    const collection = await ethers.getContractAt("ERC721LogicV3", proxyAddress, signer);
+    const { token } = args.options;
+    const version = await readVersion(ctx, proxyAddress);
+    if (action !== "set" || token !== undefined) {
+        if (await readMaxRoyaltyFee(collection) === null) {
+            throw new Error(`${proxyAddress} runs version ${version}, which has no per-token or bounded royalties; upgrade it with "upgrade ${proxyAddress} --contract ERC721LogicV3"`);
+        }
+    }
+
+    let description;
+    let build;
+    if (action === "set") {
+        if (!args.options.receiver || !ethers.isAddress(args.options.receiver) || args.options.fee === undefined) {
+            throw new Error("royalty set requires --receiver <address> and --fee <bps|percent>");
+        }
+        const receiver = ethers.getAddress(args.options.receiver);
+        const fee = parseFee(args.options.fee);
+        if (token !== undefined) {
+            description = `set royalty of token ${token} to ${formatFee(fee)} for ${receiver}`;
+            build = () => collection.setTokenRoyalty.populateTransaction(BigInt(token), receiver, fee);
+        } else {
+            description = `set default royalty of ${proxyAddress} to ${formatFee(fee)} for ${receiver}`;
+            build = () => collection.setRoyalty.populateTransaction(receiver, fee);
+        }
+    } else if (action === "delete") {
+        if (token === undefined) {
+            throw new Error("royalty delete requires --token <id>");
+        }
+        description = `delete the royalty override of token ${token}`;
+        build = () => collection.deleteTokenRoyalty.populateTransaction(BigInt(token));
+    } else if (action === "max") {
+        if (args.options.fee === undefined) {
+            throw new Error("royalty max requires --fee <bps|percent>");
+        }
+        const fee = parseFee(args.options.fee);
+        description = `set the maximum royalty fee of ${proxyAddress} to ${formatFee(fee)}`;
+        build = () => collection.setMaxRoyaltyFee.populateTransaction(fee);
+    } else {
+        throw new Error(`Unknown royalty action "${action}" (expected show, set, delete or max)`);
+    }
+
+    const result = await execute(ctx, signer, { description, build });
+    return { ...summarize(result), proxyAddress, action };
+}
+
+// Function to report accrued and withdrawn proceeds per payee (of one collection, or all
+// in the registry), set a collection's payees, or release a payee's share
+async function revenue(ctx, args) {
+    const { ethers } = ctx;
+    const [proxy, action = "report"] = args.positional;
+
+    if (action === "report") {
+        let report;
+        if (proxy) {
+            const proxyAddress = requireProxy(ctx, args);
+            const entry = ctx.registry.getProxy(proxyAddress);
+            const fromBlock = entry?.history[0]?.blockNumber ?? 0;
+            report = [{ symbol: entry?.symbol, ...await readRevenue(ethers, proxyAddress, { fromBlock }) }];
+        } else {
+            report = await revenueReport(ethers, ctx.registry);
+        }
+        const eth = (value) => (value === null ? "?" : `${ethers.formatEther(value)} ETH`);
+        for (const collection of report) {
+            ctx.log(`💰 ${collection.symbol || collection.proxyAddress} (${collection.proxyAddress}): balance ${eth(collection.balance)}${collection.split ? "" : ", no split"}`);
+            for (const entry of collection.payees) {
+                const share = entry.shares ? ` ${entry.shares}/${collection.totalShares} shares` : "";
+                const former = entry.current ? "" : " (former payee)";
+                ctx.log(`   ${entry.payee}${share}${former}: accrued ${eth(entry.accrued)}, withdrawn ${eth(entry.released)}, releasable ${eth(entry.releasable)}`);
+            }
+        }
+        return { collections: report };
+    }
+
+    const proxyAddress = requireProxy(ctx, args);
+    const signer = await resolveSigner(ctx, args.options.from);
+    const collection = await ethers.getContractAt("ERC721LogicV3", proxyAddress, signer);
+    if (await readPayees(collection) === null) {
+        const version = await readVersion(ctx, proxyAddress);
+        throw new Error(`${proxyAddress} runs version ${version}, which cannot split revenue; upgrade it with "upgrade ${proxyAddress} --contract ERC721LogicV3 --payees ..."`);
+    }
+
+    let description;
+    let build;
+    if (action === "payees") {
+        if (args.options.payees === undefined) {
+            throw new Error("revenue payees requires --payees <address:shares,...> (\"\" to remove the split)");
+        }
+        const { payees, shares } = parsePayees(ethers, args.options.payees);
+        description = payees.length > 0
+            ? `split revenue of ${proxyAddress} between ${payees.map((payee, i) => `${payee} (${shares[i]})`).join(", ")}`
+            : `remove the revenue split of ${proxyAddress}`;
+        build = () => collection.setPayees.populateTransaction(payees, shares);
+    } else if (action === "release") {
+        const payee = args.options.payee ? ethers.getAddress(args.options.payee) : signer.address;
+        const amount = await collection.releasable(payee);
+        if (amount === 0n) {
+            throw new Error(`Nothing to release for ${payee}`);
+        }
+        description = `release ${ethers.formatEther(amount)} ETH to ${payee}`;
+        build = () => collection.release.populateTransaction(payee);
+    } else {
+        throw new Error(`Unknown revenue action "${action}" (expected report, payees or release)`);
+    }
+
+    const result = await execute(ctx, signer, { description, build });
+    return { ...summarize(result), proxyAddress, action };
+}
+
+// Function to build an allowlist from CSV, verify its proofs, and run a collection's presale with it
+async function allowlist(ctx, args) {
+    const { ethers } = ctx;
+    const [action, target] = args.positional;
+
+    if (action === "build") {
+        if (!target) {
+            throw new Error("allowlist build requires a CSV file of <address>,<quantity> lines");
+        }
+        const entries = parseAllowlistCsv(fs.readFileSync(target, "utf8"));
+        const tree = buildAllowlistTree(entries);
+        const out = args.options.out || path.join(path.dirname(target), `${path.basename(target, path.extname(target))}.allowlist.json`);
+        const saved = saveAllowlist(tree, out, { source: path.basename(target) });
+        const failed = verifyAllowlist(saved);
+        if (failed.length > 0) {
+            throw new Error(`Proofs of ${failed.join(", ")} do not verify against root ${saved.root}`);
+        }
+        const total = entries.reduce((sum, entry) => sum + entry.quantity, 0n);
+        ctx.log(`🌳 Allowlist of ${entries.length} address(es), ${total} token(s): root ${saved.root}`);
+        ctx.log(`   ✅ Every proof verified; written to ${out}`);
+        return { root: saved.root, addresses: entries.length, tokens: total, file: out };
+    }
+
+    if (action === "verify") {
+        if (!target) {
+            throw new Error("allowlist verify requires an allowlist file");
+        }
+        const list = loadAllowlist(target);
+        if (args.options.address) {
+            const entry = findEntry(list, args.options.address);
+            if (!entry) {
+                throw new Error(`${args.options.address} is not on the allowlist`);
+            }
+            const valid = verifyProof(list.root, entry.address, entry.quantity, entry.proof);
+            ctx.log(`${valid ? "✅" : "❌"} ${entry.address} may presale-mint ${entry.quantity}: proof ${valid ? "verifies" : "does not verify"} against ${list.root}`);
+            return { root: list.root, address: entry.address, quantity: entry.quantity, valid };
+        }
+        const failed = verifyAllowlist(list);
+        ctx.log(`${failed.length === 0 ? "✅" : "❌"} ${Object.keys(list.entries).length - failed.length} of ${Object.keys(list.entries).length} proof(s) verify against ${list.root}`);
+        return { root: list.root, addresses: Object.keys(list.entries).length, failed };
+    }
+
+    const proxyAddress = requireProxy(ctx, { ...args, positional: args.positional.slice(1) });
+    const signer = await resolveSigner(ctx, args.options.from);
+    const collection = await ethers.getContractAt("ERC721LogicV3", proxyAddress, signer);
+    const version = await readVersion(ctx, proxyAddress);
+    if (!(Number(version.split(".")[0]) >= 3)) {
+        throw new Error(`${proxyAddress} runs version ${version}, which has no presale; upgrade it with "upgrade ${proxyAddress} --contract ERC721LogicV3"`);
+    }
+
+    let description;
+    let build;
+    if (action === "configure") {
+        if (!args.options.file || args.options.price === undefined) {
+            throw new Error("allowlist configure requires --file <allowlist.json> and --price <eth>");
+        }
+        const list = loadAllowlist(args.options.file);
+        const price = ethers.parseEther(String(args.options.price));
+        description = `configure the presale of ${proxyAddress}: root ${list.root}, price ${ethers.formatEther(price)} ETH`;
+        build = () => collection.configurePresale.populateTransaction(list.root, price);
+    } else if (action === "open" || action === "close") {
+        description = `${action} the presale of ${proxyAddress}`;
+        build = () => collection.setPresaleActive.populateTransaction(action === "open");
+    } else if (action === "mint") {
+        if (!args.options.file) {
+            throw new Error("allowlist mint requires --file <allowlist.json>");
+        }
+        const list = loadAllowlist(args.options.file);
+        const entry = findEntry(list, signer.address);
+        if (!entry) {
+            throw new Error(`${signer.address} is not on the allowlist`);
+        }
+        // Catch a stale file or a wrong proof before paying for a reverted transaction
+        if (list.root !== await collection.presaleMerkleRoot()) {
+            throw new Error(`${args.options.file} has root ${list.root}, the collection presale uses ${await collection.presaleMerkleRoot()}`);
+        }
+        if (!verifyProof(list.root, entry.address, entry.quantity, entry.proof)) {
+            throw new Error(`The proof of ${entry.address} does not verify against ${list.root}`);
+        }
+        const remaining = entry.quantity - await collection.presaleMinted(entry.address);
+        const quantity = BigInt(args.options.quantity ?? remaining);
+        if (quantity <= 0n || quantity > remaining) {
+            throw new Error(`${entry.address} has ${remaining} of ${entry.quantity} presale mint(s) left`);
+        }
+        const value = (await collection.phaseConfig(1)).price * quantity;
+        description = `presale-mint ${quantity} token(s) to ${entry.address} for ${ethers.formatEther(value)} ETH`;
+        build = () => collection.presaleMint.populateTransaction(quantity, entry.quantity, entry.proof, { value });
+    } else {
+        throw new Error(`Unknown allowlist action "${action}" (expected build, verify, configure, open, close or mint)`);
+    }
+
+    const result = await execute(ctx, signer, { description, build });
+    return { ...summarize(result), proxyAddress, action };
+}
+
+// Function to report the implied owners of an ERC721LogicV2A collection, or write them out
+// before it moves to a version without consolidated ownership
+async function batchOwnership(ctx, args) {
+    const { ethers } = ctx;
+    const [, action = "status"] = args.positional;
+    const proxyAddress = requireProxy(ctx, args);
+    const signer = await resolveSigner(ctx, args.options.from);
+    const collection = await ethers.getContractAt("ERC721LogicV2A", proxyAddress, signer);
+    const contract = await resolveImplementationContract(ctx.hre, { registry: ctx.registry, address: await getImplementationAddress(ethers.provider, proxyAddress) });
+    if (contract !== "ERC721LogicV2A") {
+        throw new Error(`${proxyAddress} runs ${contract}, which keeps an explicit owner for every token`);
+    }
+
+    const chunk = Number(args.options.chunk ?? 500);
+    const status = await countImpliedOwners(ethers, proxyAddress, { chunk });
+    ctx.log(`🧱 ${proxyAddress}: ${status.implied} of ${status.totalSupply} token(s) have implied owners`);
+    if (action === "status") {
+        for (const range of status.ranges) {
+            ctx.log(`   tokens ${range.from}-${range.to}: ${range.implied} implied`);
+        }
+        return { proxyAddress, ...status };
+    }
+    if (action !== "materialize") {
+        throw new Error(`Unknown batch-ownership action "${action}" (expected status or materialize)`);
+    }
+
+    // --from-token / --to-token narrow the tokens; each transaction covers at most --chunk tokens
+    const from = BigInt(args.options["from-token"] ?? 1);
+    const to = BigInt(args.options["to-token"] ?? status.totalSupply);
+    const ranges = status.ranges
+        .map(range => ({ from: range.from > from ? range.from : from, to: range.to < to ? range.to : to }))
+        .filter(range => range.from <= range.to);
+    const results = [];
+    for (const range of ranges) {
+        const result = await execute(ctx, signer, {
+            description: `write out the owners of tokens ${range.from}-${range.to} of ${proxyAddress}`,
+            key: `materialize:${proxyAddress}:${range.from}-${range.to}`,
+            build: () => collection.materializeOwnership.populateTransaction(range.from, range.to)
+        });
+        results.push({ ...summarize(result), ...range });
+    }
+    const after = results.some(result => result.dryRun) ? null : await countImpliedOwners(ethers, proxyAddress, { chunk });
+    if (after) {
+        ctx.log(`   ${after.implied === 0n ? "✅ Every owner is explicit" : `⚠️  ${after.implied} implied owner(s) left`}`);
+    }
+    return { proxyAddress, transactions: results, implied: after ? after.implied : undefined };
+}
+
+// Function to show, set or clear the mint phase schedule of a V3 collection
+async function phases(ctx, args) {
+    const { ethers } = ctx;
+    const [, action = "show"] = args.positional;
+    const proxyAddress = requireProxy(ctx, args);
+    const signer = await resolveSigner(ctx, args.options.from);
+    const collection = await ethers.getContractAt("ERC721LogicV3", proxyAddress, signer);
+    const version = await readVersion(ctx, proxyAddress);
+    if (!(Number(version.split(".")[0]) >= 3)) {
+        throw new Error(`${proxyAddress} runs version ${version}, which has no mint phases; upgrade it with "upgrade ${proxyAddress} --contract ERC721LogicV3 --phases <file>"`);
+    }
+
+    if (action === "show") {
+        const schedule = await readPhaseSchedule(collection);
+        ctx.log(`🗓️  Mint phases of ${proxyAddress}: ${schedule.enabled ? "scheduled" : "no schedule (presale switch and mint price)"}, now ${schedule.current}`);
+        ctx.log(`   Presale: ${describePhase(ethers, schedule.presale, { scheduled: schedule.enabled })}`);
+        ctx.log(`   Public:  ${describePhase(ethers, schedule.public, { scheduled: schedule.enabled })}`);
+        return { proxyAddress, ...schedule };
+    }
+
+    let description;
+    let build;
+    if (action === "set") {
+        if (!args.options.phases) {
+            throw new Error("phases set requires --phases <phase config file>");
+        }
+        const calls = encodePhaseSetup(collection.interface, loadPhaseConfig(ethers, args.options.phases));
+        // One transaction, also when the file configures the presale allowlist
+        description = `schedule the mint phases of ${proxyAddress} from ${args.options.phases}`;
+        build = () => collection.multicall.populateTransaction(calls);
+    } else if (action === "clear") {
+        description = `clear the mint phase schedule of ${proxyAddress}`;
+        build = () => collection.clearPhaseSchedule.populateTransaction();
+    } else {
+        throw new Error(`Unknown phases action "${action}" (expected show, set or clear)`);
+    }
+
+    const result = await execute(ctx, signer, { description, build });
+    return { ...summarize(result), proxyAddress, action, phase: result.dryRun ? undefined : PHASES[Number(await collection.currentPhase())] };
+}
+
+// Function to issue, check and redeem EIP-712 mint vouchers, and manage the voucher signer
+async function voucher(ctx, args) {
+    const { ethers } = ctx;
+    const [action, target] = args.positional;
+
+    if (action === "verify" || action === "redeem") {
+        if (!target) {
+            throw new Error(`voucher ${action} requires a voucher file`);
+        }
+        const signed = loadVoucher(target);
+        const signer = await resolveSigner(ctx, args.options.from);
+        const collection = await ethers.getContractAt("ERC721LogicV3", signed.domain.verifyingContract, signer);
+        const check = await checkVoucher(collection, signed);
+        const { recipient, quantity, price, nonce } = voucherArgs(signed);
+        ctx.log(`🎟️  Voucher ${nonce}: ${quantity} token(s) of ${signed.domain.name} to ${recipient} at ${ethers.formatEther(price)} ETH each`);
+        for (const problem of check.problems) {
+            ctx.log(`   ❌ ${problem}`);
+        }
+        if (action === "verify") {
+            ctx.log(check.valid ? "   ✅ Valid and unredeemed" : "   ❌ Not redeemable");
+            return { file: target, ...check };
+        }
+        if (!check.valid) {
+            throw new Error(`Voucher ${nonce} cannot be redeemed: ${check.problems.join("; ")}`);
+        }
+        const result = await execute(ctx, signer, {
+            description: `redeem voucher ${nonce}: ${quantity} token(s) to ${recipient} for ${ethers.formatEther(price * quantity)} ETH`,
+            key: `voucher:${signed.domain.verifyingContract}:${nonce}`,
+            build: () => collection.redeemVoucher.populateTransaction(voucherArgs(signed), signed.signature, { value: price * quantity })
+        });
+        return { ...summarize(result), proxyAddress: signed.domain.verifyingContract, nonce, recipient, quantity };
+    }
+
+    const proxyAddress = requireProxy(ctx, { ...args, positional: args.positional.slice(1) });
+    const signer = await resolveSigner(ctx, args.options.from);
+    const collection = await ethers.getContractAt("ERC721LogicV3", proxyAddress, signer);
+    const version = await readVersion(ctx, proxyAddress);
+    if (!(Number(version.split(".")[0]) >= 3)) {
+        throw new Error(`${proxyAddress} runs version ${version}, which has no mint vouchers; upgrade it with "upgrade ${proxyAddress} --contract ERC721LogicV3"`);
+    }
+
+    if (action === "issue") {
+        const { to, quantity } = args.options;
+        if (!to || !ethers.isAddress(to) || quantity === undefined || args.options.price === undefined) {
+            throw new Error("voucher issue requires --to <address>, --quantity <n> and --price <eth>");
+        }
+        // Issuing is a signature, not a transaction: --signer picks the voucher signer key
+        const voucherSigner = await resolveSigner(ctx, args.options.signer ?? args.options.from);
+        const expected = await collection.voucherSigner();
+        if (voucherSigner.address !== expected) {
+            throw new Error(`${voucherSigner.address} is not the voucher signer of ${proxyAddress} (${expected === ethers.ZeroAddress ? "vouchers are disabled" : expected})`);
+        }
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const unsigned = buildVoucher({
+            recipient: to,
+            quantity,
+            price: ethers.parseEther(String(args.options.price)),
+            expiry: BigInt(timestamp) + BigInt(args.options["valid-for"] ?? 72) * 3600n,
+            nonce: args.options.nonce ?? null
+        });
+        if (await collection.voucherNonceUsed(unsigned.nonce)) {
+            throw new Error(`Nonce ${unsigned.nonce} was already redeemed or revoked`);
+        }
+        const signed = await signVoucher(voucherSigner, await voucherDomain(collection), unsigned);
+        const symbol = ctx.registry.getProxy(proxyAddress)?.symbol || proxyAddress;
+        const file = saveVoucher(signed, args.options.out || path.join(__dirname, "../../deployments/vouchers", ctx.networkName, `${symbol}-${unsigned.nonce}.json`));
+        ctx.log(`🎟️  Voucher ${unsigned.nonce}: ${quantity} token(s) to ${unsigned.recipient} at ${args.options.price} ETH each, valid until ${new Date(Number(unsigned.expiry) * 1000).toISOString()}`);
+        ctx.log(`   ✍️  Signed by ${voucherSigner.address}; written to ${file}`);
+        return { proxyAddress, file, nonce: unsigned.nonce, recipient: unsigned.recipient, signature: signed.signature };
+    }
+
+    let description;
+    let build;
+    if (action === "signer") {
+        // "--address none" disables vouchers
+        const address = args.options.address === "none" ? ethers.ZeroAddress : args.options.address;
+        if (!address || !ethers.isAddress(address)) {
+            throw new Error("voucher signer requires --address <address|none>");
+        }
+        description = address === ethers.ZeroAddress
+            ? `disable mint vouchers of ${proxyAddress}`
+            : `make ${ethers.getAddress(address)} the voucher signer of ${proxyAddress}`;
+        build = () => collection.setVoucherSigner.populateTransaction(ethers.getAddress(address));
+    } else if (action === "revoke") {
+        if (args.options.nonce === undefined) {
+            throw new Error("voucher revoke requires --nonce <n>");
+        }
+        description = `revoke voucher ${args.options.nonce} of ${proxyAddress}`;
+        build = () => collection.revokeVoucher.populateTransaction(BigInt(args.options.nonce));
+    } else {
+        throw new Error(`Unknown voucher action "${action}" (expected issue, verify, redeem, signer or revoke)`);
+    }
+
+    const result = await execute(ctx, signer, { description, build });
+    return { ...summarize(result), proxyAddress, action };
+}
+
+async function withdraw(ctx, args) {
+    const { ethers } = ctx;
+    const proxyAddress = requireProxy(ctx, args);
+    const signer = await resolveSigner(ctx, args.options.from);
+    const collection = await ethers.getContractAt("ERC721LogicV3", proxyAddress, signer);
+    const payees = await readPayees(collection);
+    if (payees && payees.length > 0) {
+        throw new Error(`${proxyAddress} splits its revenue; payees withdraw with "revenue ${proxyAddress} release"`);
+    }
+    const owner = await collection.owner();
+    // From V3 on, funds owed to former payees stay in the contract
+    const amount = payees ? await collection.releasable(owner) : await ethers.provider.getBalance(proxyAddress);
+    ctx.log(`💸 Withdrawing ${ethers.formatEther(amount)} ETH from ${proxyAddress} to owner ${owner}`);
+
+    const result = await execute(ctx, signer, {
+        description: `withdraw ${ethers.formatEther(amount)} ETH from ${proxyAddress}`,
+        build: () => collection.withdraw.populateTransaction()
+    });
+    return { ...summarize(result), proxyAddress, owner, amount };
+}
+
+const COMMANDS = {
+    "mint": {
+        usage: "mint <proxy> [--to <address>] [--quantity <n>]",
+        summary: "Mint tokens, paying the collection mint price",
+        run: mint
+    },
+    "set-uri": {
+        usage: "set-uri <proxy> (--base-uri <uri> | --hidden-uri <uri> | --token <id> --uri <uri>)",
+        summary: "Update base, hidden or per-token metadata URIs",
+        run: setUri
+    },
+    "royalty": {
+        usage: "royalty <proxy> [show [--token <id>] [--price <eth>] | set --receiver <address> --fee <bps|percent> [--token <id>] | delete --token <id> | max --fee <bps|percent>]",
+        summary: "Show the effective ERC-2981 royalties, or set defaults, per-token overrides and the maximum fee",
+        run: royalty
+    },
+    "revenue": {
+        usage: "revenue [<proxy> [report | payees --payees <address:shares,...> | release [--payee <address>]]]",
+        summary: "Report accrued and withdrawn proceeds per payee, set a V3 revenue split, or release a payee's share",
+        run: revenue
+    },
+    "allowlist": {
+        usage: "allowlist (build <csv> [--out <file>] | verify <file> [--address <address>] | configure <proxy> --file <file> --price <eth> | open <proxy> | close <proxy> | mint <proxy> --file <file> [--quantity <n>])",
+        summary: "Build a Merkle allowlist from CSV, verify proofs, and run a V3 presale with it",
+        run: allowlist
+    },
+    "batch-ownership": {
+        usage: "batch-ownership <proxy> [status | materialize [--from-token <id>] [--to-token <id>]] [--chunk <n>]",
+        summary: "Count the implied owners of an ERC721LogicV2A collection, or write them out before leaving consolidated ownership",
+        run: batchOwnership
+    },
+    "phases": {
+        usage: "phases <proxy> [show | set --phases <file> | clear]",
+        summary: "Show the V3 mint phase schedule, set it from a phase config file, or clear it",
+        run: phases
+    },
+    "voucher": {
+        usage: "voucher (issue <proxy> --to <address> --quantity <n> --price <eth> [--valid-for <hours>] [--nonce <n>] [--signer <index|address>] [--out <file>] | verify <file> | redeem <file> | signer <proxy> --address <address|none> | revoke <proxy> --nonce <n>)",
+        summary: "Issue EIP-712 mint vouchers off-chain, check and redeem them, or manage the voucher signer",
+        run: voucher
+    },
+    "withdraw": {
+        usage: "withdraw <proxy>",
+        summary: "Withdraw mint proceeds to the collection owner",
+        run: withdraw
+    }
+};
+
+module.exports = { COMMANDS };
@@ -0,0 +1,286 @@
+const { confirm } = require("../prompt");
+const { parsePayees } = require("../revenue");
+const { supportsEmergencyPause } = require("../emergency-pause");
+const { supportsFleets } = require("../fleets");
+const { loadPhaseConfig, encodePhaseSetup } = require("../mint-phases");
+const { buildOperation, populateSchedule, scheduleCall } = require("../timelock");
+
+// Helpers shared by the nft-admin command groups: sending (or dry-running) and scheduling
+// transactions, reading arguments and collections, and encoding the setup and upgrade
+// calls of collections
+
+// OpenZeppelin Initializable storage (ERC-7201 "openzeppelin.storage.Initializable"):
+// the initialized version is the low 8 bytes of its first slot
+const INITIALIZABLE_SLOT = "0xf0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a00";
+
+// Function to run one transaction, or only estimate it with --dry-run
+async function execute(ctx, signer, { description, key, build }) {
+    const request = await build();
+    const from = await signer.getAddress();
+
+    if (ctx.dryRun) {
+        let gasEstimate = null;
+        let revertReason = null;
+        try {
+            gasEstimate = await signer.estimateGas(request);
+        } catch (error) {
+            revertReason = error.shortMessage || error.message;
+        }
+        ctx.log(`   🧪 [dry-run] ${description}: ${revertReason ? `would revert (${revertReason})` : `~${gasEstimate} gas`}`);
+        return {
+            dryRun: true,
+            description,
+            from,
+            to: request.to || null,
+            value: request.value || 0n,
+            data: request.data,
+            gasEstimate,
+            revertReason
+        };
+    }
+
+    await confirm(ctx, description);
+    // A confirmed journal entry for the key means an earlier run already did this
+    const previous = key ? ctx.txManager.lookup(key) : undefined;
+    const receipt = await ctx.txManager.send(signer, request, { key, description });
+    return {
+        description,
+        from,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        contractAddress: receipt.contractAddress || undefined,
+        reused: previous?.status === "confirmed" && previous.hash === receipt.hash ? true : undefined,
+        receipt
+    };
+}
+
+// Function to schedule a call on the timelock that owns the upgrade authority (governance
+// mode); it takes effect when the operation is executed after the delay
+async function schedule(ctx, signer, timelock, { description, salt, predecessor, build }) {
+    const call = await build();
+    const sendSchedule = async (operation, delay) => (await execute(ctx, signer, {
+        description: `schedule ${description}`,
+        key: `timelock-schedule:${operation.id}`,
+        build: () => populateSchedule(timelock, operation, delay)
+    }));
+    if (ctx.dryRun) {
+        const operation = buildOperation({ target: call.to, data: call.data, predecessor, salt });
+        return { ...summarize(await sendSchedule(operation, await timelock.getMinDelay())), operationId: operation.id };
+    }
+    const { operation, readyAt, receipt } = await scheduleCall(timelock, {
+        call,
+        predecessor,
+        salt,
+        sendSchedule: async (...args) => (await sendSchedule(...args)).receipt
+    });
+    ctx.log(`   ⏳ Scheduled as ${operation.id}, executable after ${new Date(readyAt * 1000).toISOString()}`);
+    return { status: "scheduled", description, operationId: operation.id, readyAt, transactionHash: receipt.hash };
+}
+
+// Function to strip the raw receipt before printing
+function summarize(result) {
+    if (!result) {
+        return result;
+    }
+    const { receipt, ...rest } = result;
+    return rest;
+}
+
+// Function to resolve the signer selected with --from (index or address)
+async function resolveSigner(ctx, from) {
+    if (from === undefined) {
+        return ctx.signers[0];
+    }
+    if (/^\d+$/.test(String(from))) {
+        const signer = ctx.signers[Number(from)];
+        if (!signer) {
+            throw new Error(`No signer at index ${from} (have ${ctx.signers.length})`);
+        }
+        return signer;
+    }
+    const signer = ctx.signers.find(s => s.address.toLowerCase() === String(from).toLowerCase());
+    if (!signer) {
+        throw new Error(`Signer ${from} is not configured for network ${ctx.networkName}`);
+    }
+    return signer;
+}
+
+// Function to require a positional proxy address argument
+function requireProxy(ctx, args) {
+    const proxy = args.positional[0];
+    if (!proxy || !ctx.ethers.isAddress(proxy)) {
+        throw new Error("A collection proxy address is required");
+    }
+    return ctx.ethers.getAddress(proxy);
+}
+
+// Function to read the version string of a collection ("unknown" if the call fails)
+async function readVersion(ctx, proxyAddress) {
+    try {
+        const collection = await ctx.ethers.getContractAt("ERC721LogicV1", proxyAddress);
+        return await collection.getVersion();
+    } catch (error) {
+        return "unknown";
+    }
+}
+
+// Function to resolve a fleet name to its beacon, refusing factories without fleets
+async function resolveFleet(ctx, factory, fleet) {
+    if (!await supportsFleets(factory)) {
+        throw new Error(`NFTFactory ${await factory.getAddress()} was deployed before fleets; redeploy the infrastructure to get them`);
+    }
+    const beacon = await factory.fleetBeacon(fleet);
+    if (beacon === ctx.ethers.ZeroAddress) {
+        const known = (await factory.getFleets()).join(", ") || "none";
+        throw new Error(`Fleet "${fleet}" does not exist (have ${known}); create it with "fleet create ${fleet}"`);
+    }
+    return beacon;
+}
+
+// Function to encode the setup call of a collection created on a pinned version:
+// V2 implementations get initializeV2Features, so nobody else can initialize them first
+async function encodeVersionSetup(ctx, { implementation, symbol, options, signer }) {
+    const logic = await ctx.ethers.getContractAt("ERC721LogicV1", implementation);
+    const version = await logic.getVersion();
+    const v3Option = V3_OPTIONS.find(option => options[option] !== undefined);
+    if (v3Option && Number(version.split(".")[0]) < 3) {
+        throw new Error(`--${v3Option} needs version 3.0.0 or later; ${version} does not support it`);
+    }
+    if (Number(version.split(".")[0]) < 2) {
+        return "0x";
+    }
+    // V3 collections are linked to the factory's emergency pause as they are created
+    const v3Setup = Number(version.split(".")[0]) >= 3
+        ? await encodeV3Setup(ctx, options, { factory: await pauseFactory(ctx) })
+        : null;
+    return encodeV2Features(ctx, { symbol, options, signer, v3Setup });
+}
+
+// Options that configure V3 features while a collection is created or upgraded
+const V3_OPTIONS = ["payees", "phases"];
+
+// Function to return the registry's NFTFactory address if it has the emergency pause, else null
+async function pauseFactory(ctx) {
+    const { NFTFactory } = ctx.registry.getInfrastructure();
+    const factory = await ctx.ethers.getContractAt("NFTFactory", NFTFactory);
+    return await supportsEmergencyPause(factory) ? NFTFactory : null;
+}
+
+// Function to encode the V3 setup calls: linkFactory when a factory is given, then --payees and --phases
+async function encodeV3Setup(ctx, options, { factory = null } = {}) {
+    const { interface: iface } = await ctx.ethers.getContractFactory("ERC721LogicV3");
+    const calls = [];
+    if (factory) {
+        calls.push(iface.encodeFunctionData("linkFactory", [factory]));
+    }
+    if (options.payees !== undefined) {
+        const { payees, shares } = parsePayees(ctx.ethers, options.payees);
+        calls.push(iface.encodeFunctionData("setPayees", [payees, shares]));
+    }
+    if (options.phases !== undefined) {
+        calls.push(...encodePhaseSetup(iface, loadPhaseConfig(ctx.ethers, options.phases)));
+    }
+    return { iface, calls };
+}
+
+// Function to encode initializeV2Features from --base-uri, --hidden-uri, --royalty-receiver and --royalty-bps,
+// or initializeV3Features followed by the calls of encodeV3Setup
+async function encodeV2Features(ctx, { symbol, options, signer, v3Setup = null }) {
+    const features = [
+        options["base-uri"] || `https://metadata.peaq.network/${symbol.toLowerCase()}/`,
+        options["hidden-uri"] || `https://metadata.peaq.network/${symbol.toLowerCase()}/hidden.json`,
+        options["royalty-receiver"] || signer.address,
+        BigInt(options["royalty-bps"] ?? 250)
+    ];
+    if (v3Setup) {
+        return v3Setup.iface.encodeFunctionData("initializeV3Features", [...features, v3Setup.calls]);
+    }
+    const ERC721LogicV2Fixed = await ctx.ethers.getContractFactory("ERC721LogicV2Fixed");
+    return ERC721LogicV2Fixed.interface.encodeFunctionData("initializeV2Features", features);
+}
+
+// Contracts "upgrade --contract" and "multisig propose --contract" can move collections to
+const UPGRADE_TARGETS = ["ERC721LogicV2Fixed", "ERC721LogicV2A", "ERC721LogicV3"];
+
+// Function to read the upgrade target contract from --contract (ERC721LogicV2Fixed by default)
+function upgradeTarget(args) {
+    const contract = args.options.contract || "ERC721LogicV2Fixed";
+    if (!UPGRADE_TARGETS.includes(contract)) {
+        throw new Error(`Cannot upgrade collections to ${contract} (expected ${UPGRADE_TARGETS.slice(0, -1).join(", ")} or ${UPGRADE_TARGETS.at(-1)})`);
+    }
+    const v3Option = V3_OPTIONS.find(option => args.options[option] !== undefined);
+    if (v3Option && contract !== "ERC721LogicV3") {
+        throw new Error(`--${v3Option} needs --contract ERC721LogicV3, the first version that supports it`);
+    }
+    return contract;
+}
+
+// Function to deploy an upgrade target implementation, journaled by bytecode so each build
+// is only deployed once; returns its address (null with --dry-run)
+async function deployUpgradeTarget(ctx, signer, contractFactory, contractName) {
+    const deployed = await execute(ctx, signer, {
+        description: `deploy ${contractName}`,
+        key: `implementation:${contractName}:${ctx.ethers.keccak256(contractFactory.bytecode).slice(2, 10)}`,
+        build: () => contractFactory.getDeployTransaction()
+    });
+    if (deployed.dryRun) {
+        return null;
+    }
+    ctx.registry.recordImplementation(deployed.contractAddress, {
+        contract: contractName,
+        version: await contractFactory.attach(deployed.contractAddress).getVersion(),
+        txHash: deployed.transactionHash,
+        blockNumber: deployed.blockNumber
+    });
+    return deployed.contractAddress;
+}
+
+// Function to encode the init call of an upgrade: initializeV2Features for a collection
+// that never had V2 fields, nothing for one that has them (V2Fixed → V3, or back up after
+// a rollback, which leaves them in storage). baseURI is V2's first variable, in slot 3.
+// Upgrades to V3 turn these into initializeV3Features and multicall, to link the collection
+// to the factory's emergency pause and apply --payees and --phases. Through the factory
+// (`viaFactory`) the factory links the collection itself and only forwards initializers,
+// so multicall is not available there.
+async function encodeUpgradeInit(ctx, { collection, options, signer, viaFactory = false }) {
+    const { ethers } = ctx;
+    let v3Setup = null;
+    if (options.contract === "ERC721LogicV3") {
+        const factory = viaFactory ? null : await pauseFactory(ctx);
+        const deployedByFactory = factory && await (await ethers.getContractAt("NFTFactory", factory)).isDeployedCollection(collection.proxyAddress);
+        v3Setup = await encodeV3Setup(ctx, options, { factory: deployedByFactory ? factory : null });
+    }
+    // V3's initializers run once, so a collection that ran one before (and was rolled back
+    // since) is set up like one that already has V2 fields
+    const initialized = await ethers.provider.getStorage(collection.proxyAddress, INITIALIZABLE_SLOT);
+    const initializedV3 = BigInt(ethers.dataSlice(initialized, 24)) >= 3n;
+    if (initializedV3 || await ethers.provider.getStorage(collection.proxyAddress, 3) !== ethers.ZeroHash) {
+        if (!v3Setup || v3Setup.calls.length === 0) {
+            return "0x";
+        }
+        if (viaFactory) {
+            const option = V3_OPTIONS.find(name => options[name] !== undefined);
+            throw new Error(`${collection.proxyAddress} already has V2 fields, so --${option} would need multicall, which the factory does not forward; upgrade without it, then run "${option === "payees" ? "revenue <proxy> payees" : "phases <proxy> set"}" as the owner`);
+        }
+        // V3 accepts multicall from the ProxyAdmin during the upgrade
+        return v3Setup.iface.encodeFunctionData("multicall", [v3Setup.calls]);
+    }
+    const symbol = collection.symbol || await (await ethers.getContractAt("ERC721LogicV1", collection.proxyAddress)).symbol();
+    return encodeV2Features(ctx, { symbol, options, signer, v3Setup });
+}
+
+module.exports = {
+    execute,
+    schedule,
+    summarize,
+    resolveSigner,
+    requireProxy,
+    readVersion,
+    resolveFleet,
+    encodeVersionSetup,
+    V3_OPTIONS,
+    upgradeTarget,
+    deployUpgradeTarget,
+    encodeUpgradeInit
+};
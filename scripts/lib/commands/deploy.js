@@ -0,0 +1,311 @@
+const { confirm } = require("../prompt");
+const { toSalt, predictCollectionAddress } = require("../create2");
+const { resolveVersion } = require("../version-catalogue");
+const { FACTORY_LIBRARIES, getLinkedFactory } = require("../factory-libraries");
+const { callKey } = require("../transaction-manager");
+const { execute, summarize, resolveSigner, resolveFleet, encodeVersionSetup } = require("./common");
+
+// nft-admin commands that deploy the infrastructure and create collections
+
+async function deployInfra(ctx, args) {
+    const deployer = await resolveSigner(ctx, args.options.from);
+    const { ethers } = ctx;
+    ctx.log(`🚀 Deploying infrastructure on ${ctx.networkName} from ${deployer.address}`);
+
+    const ERC721LogicV1 = await ethers.getContractFactory("ERC721LogicV1", deployer);
+    const ProxyAdmin = await ethers.getContractFactory("ProxyAdmin", deployer);
+    const proxyAdminOwner = args.options["admin-owner"] || deployer.address;
+
+    if (ctx.dryRun) {
+        // Later deployments need earlier addresses, so predict them from the deployer nonce
+        const nonce = await ethers.provider.getTransactionCount(deployer.address, "pending");
+        const names = ["ERC721LogicV1", "ProxyAdmin", ...FACTORY_LIBRARIES, "NFTFactory"];
+        const predicted = Object.fromEntries(names.map((name, i) => [name, ethers.getCreateAddress({ from: deployer.address, nonce: nonce + i })]));
+        const libraries = Object.fromEntries(FACTORY_LIBRARIES.map(name => [name, predicted[name]]));
+        const NFTFactory = await getLinkedFactory(ethers, libraries, deployer);
+        const steps = [
+            await execute(ctx, deployer, { description: "deploy ERC721LogicV1", build: () => ERC721LogicV1.getDeployTransaction() }),
+            await execute(ctx, deployer, { description: "deploy ProxyAdmin", build: () => ProxyAdmin.getDeployTransaction(proxyAdminOwner) })
+        ];
+        for (const name of FACTORY_LIBRARIES) {
+            const Library = await ethers.getContractFactory(name, deployer);
+            steps.push(await execute(ctx, deployer, { description: `deploy ${name}`, build: () => Library.getDeployTransaction() }));
+        }
+        steps.push(await execute(ctx, deployer, {
+            description: "deploy NFTFactory",
+            build: () => NFTFactory.getDeployTransaction(predicted.ERC721LogicV1, predicted.ProxyAdmin)
+        }));
+        return { dryRun: true, predicted, steps: steps.map(summarize) };
+    }
+
+    await confirm(ctx, `deploy ERC721LogicV1, ProxyAdmin, ${FACTORY_LIBRARIES.join(", ")} and NFTFactory on ${ctx.networkName}`);
+    const yesCtx = { ...ctx, yes: true };
+
+    // Keyed by the deployment data (bytecode and constructor arguments), plus the deployer for
+    // the factory it owns: a rebuilt contract or another owner gets a new deployment, while a
+    // re-run of the same one reuses it
+    const deploy = async (name, contractFactory, args = [], owner = "") => {
+        const request = await contractFactory.getDeployTransaction(...args);
+        return execute(yesCtx, deployer, {
+            description: `${name} deployment`,
+            key: callKey(`infrastructure:${name}${owner && `:${owner}`}`, request),
+            build: () => request
+        });
+    };
+    const logic = await deploy("ERC721LogicV1", ERC721LogicV1);
+    const admin = await deploy("ProxyAdmin", ProxyAdmin, [proxyAdminOwner]);
+    const libraryResults = {};
+    for (const name of FACTORY_LIBRARIES) {
+        libraryResults[name] = await deploy(name, await ethers.getContractFactory(name, deployer));
+    }
+    const libraries = Object.fromEntries(Object.entries(libraryResults).map(([name, result]) => [name, result.contractAddress]));
+    const NFTFactory = await getLinkedFactory(ethers, libraries, deployer);
+    const factory = await deploy("NFTFactory", NFTFactory, [logic.contractAddress, admin.contractAddress], deployer.address);
+
+    // A reused ProxyAdmin may have been handed to the factory since, and a reused factory
+    // to the governance contract recorded for it; any other owner is not the one asked for
+    const previous = ctx.registry.read().infrastructure?.contracts || {};
+    const governance = previous.NFTFactory?.address === factory.contractAddress
+        ? Object.fromEntries(["UpgradeTimelock", "UpgradeMultisig"].filter(name => previous[name]).map(name => [name, previous[name]]))
+        : {};
+    const governors = Object.values(governance).map(contract => contract.address);
+    await requireOwner(ctx, "ProxyAdmin", admin, [proxyAdminOwner, factory.contractAddress, ...governors]);
+    await requireOwner(ctx, "NFTFactory", factory, [deployer.address, ...governors]);
+
+    const txInfo = (result) => ({ txHash: result.transactionHash, blockNumber: result.blockNumber });
+    ctx.registry.recordInfrastructure({
+        deployer: deployer.address,
+        contracts: {
+            ERC721LogicV1: { address: logic.contractAddress, ...txInfo(logic) },
+            ProxyAdmin: { address: admin.contractAddress, ...txInfo(admin) },
+            ...Object.fromEntries(Object.entries(libraryResults).map(([name, result]) => [name, { address: result.contractAddress, ...txInfo(result) }])),
+            NFTFactory: { address: factory.contractAddress, ...txInfo(factory) },
+            ...governance
+        }
+    });
+    ctx.registry.recordImplementation(logic.contractAddress, { contract: "ERC721LogicV1", version: "1.0.0", ...txInfo(logic) });
+    ctx.log(`   📄 Deployment data saved to: ${ctx.registry.file}`);
+
+    return {
+        network: ctx.networkName,
+        deployer: deployer.address,
+        contracts: {
+            ERC721LogicV1: logic.contractAddress,
+            ProxyAdmin: admin.contractAddress,
+            ...libraries,
+            NFTFactory: factory.contractAddress
+        },
+        proxyAdminOwner: await (await ethers.getContractAt("ProxyAdmin", admin.contractAddress)).owner(),
+        reused: Object.entries({ ERC721LogicV1: logic, ProxyAdmin: admin, ...libraryResults, NFTFactory: factory })
+            .filter(([, result]) => result.reused)
+            .map(([name]) => name),
+        registry: ctx.registry.file
+    };
+}
+
+// Function to refuse an infrastructure contract (deployed now or reused from an earlier run)
+// whose owner is none of `owners`, the first of which is the one asked for
+async function requireOwner(ctx, name, deployment, owners) {
+    const contract = await ctx.ethers.getContractAt(name, deployment.contractAddress);
+    const owner = await contract.owner();
+    if (!owners.includes(owner)) {
+        throw new Error(`${name} ${deployment.contractAddress}${deployment.reused ? ", deployed by an earlier run with the same code and arguments," : ""} is owned by ${owner}, not ${owners[0]}`);
+    }
+    if (deployment.reused) {
+        ctx.log(`   ♻️  Reusing ${name} ${deployment.contractAddress} from an earlier run (owner ${owner})`);
+    }
+}
+
+async function createCollection(ctx, args) {
+    const { ethers } = ctx;
+    const { name, symbol } = args.options;
+    const maxSupply = args.options["max-supply"];
+    const price = args.options.price ?? "0";
+    if (!name || !symbol || !maxSupply) {
+        throw new Error("create-collection requires --name, --symbol and --max-supply");
+    }
+
+    const infra = ctx.registry.getInfrastructure();
+    const signer = await resolveSigner(ctx, args.options.from);
+    const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory, signer);
+    const mintPrice = ethers.parseEther(String(price));
+    // The collection is owned by the caller unless --owner names someone else
+    const initialOwner = args.options.owner ? ethers.getAddress(args.options.owner) : signer.address;
+
+    // --salt deploys with CREATE2 at an address that can be shared before the collection exists
+    const salt = args.options.salt !== undefined ? toSalt(args.options.salt) : null;
+    // --version pins the collection to a catalogue version instead of the factory default
+    const version = args.options.version;
+    if (version && salt) {
+        throw new Error("--salt creates collections on the default version; set it with \"catalogue default\" instead of --version");
+    }
+    // --fleet creates the collection on a FleetProxy that follows the fleet's beacon
+    const fleet = args.options.fleet;
+    if (fleet && (version || salt)) {
+        throw new Error("--fleet collections run their fleet's implementation; --version and --salt do not apply");
+    }
+    const beacon = fleet ? await resolveFleet(ctx, factory, fleet) : null;
+    const implementation = beacon
+        ? await (await ethers.getContractAt("UpgradeableBeacon", beacon)).implementation()
+        : version ? await resolveVersion(factory, version) : await factory.logicContract();
+    const setupData = version || fleet ? await encodeVersionSetup(ctx, { implementation, symbol, options: args.options, signer }) : "0x";
+    const predictedAddress = salt
+        ? await factory.predictCollectionAddress(signer.address, salt, name, symbol, BigInt(maxSupply), mintPrice, initialOwner)
+        : null;
+
+    ctx.log(`🎨 Creating "${name}" (${symbol}): max supply ${maxSupply}, price ${price} ETH, owner ${initialOwner}`);
+    if (version || fleet) {
+        const source = fleet ? `Fleet ${fleet} (beacon ${beacon})` : `Version ${version}`;
+        ctx.log(`   ${fleet ? "🚢" : "📚"} ${source}: ${implementation}${setupData !== "0x" ? ", V2 features initialized in the same transaction" : ""}`);
+    }
+    if (predictedAddress) {
+        ctx.log(`   🎯 CREATE2 address: ${predictedAddress}`);
+    }
+    const creation = await (fleet
+        ? factory.createFleetCollection.populateTransaction(fleet, name, symbol, BigInt(maxSupply), mintPrice, initialOwner, setupData)
+        : salt
+        ? factory.createNFTCollectionDeterministic.populateTransaction(
+            name,
+            symbol,
+            BigInt(maxSupply),
+            mintPrice,
+            initialOwner,
+            salt
+        )
+        : version
+            ? factory["createNFTCollection(string,string,uint256,uint256,address,string,bytes)"].populateTransaction(
+                name,
+                symbol,
+                BigInt(maxSupply),
+                mintPrice,
+                initialOwner,
+                version,
+                setupData
+            )
+            : factory["createNFTCollection(string,string,uint256,uint256,address)"].populateTransaction(
+                name,
+                symbol,
+                BigInt(maxSupply),
+                mintPrice,
+                initialOwner
+            ));
+    // Creating the same collection twice is legitimate, so a creation is only resumed when it
+    // is named: by --op-id, or by --salt since a CREATE2 address can only be deployed once.
+    // Without either every run creates a new collection
+    const operationId = args.options["op-id"];
+    const key = operationId !== undefined
+        ? `create-collection:${infra.NFTFactory}:op:${operationId}`
+        : salt ? callKey(`create-collection:${infra.NFTFactory}:${symbol}`, creation) : undefined;
+    const previous = key && !ctx.dryRun ? ctx.txManager.lookup(key) : undefined;
+    if (previous && previous.request.data !== creation.data) {
+        throw new Error(`--op-id ${operationId} was used for another creation (${previous.description}); pick a new id`);
+    }
+    if (!key && !ctx.dryRun) {
+        ctx.log("   ℹ️  No --op-id: re-running this command creates another collection");
+    }
+    const result = await execute(ctx, signer, {
+        description: `create collection ${symbol}`,
+        key,
+        build: () => creation
+    });
+    if (result.dryRun) {
+        return { ...result, predictedAddress };
+    }
+
+    const event = result.receipt.logs
+        .map(log => { try { return factory.interface.parseLog(log); } catch (error) { return null; } })
+        .find(parsed => parsed && parsed.name === "NFTCollectionDeployed");
+    const proxyAddress = event.args.proxy;
+    if (predictedAddress && proxyAddress !== predictedAddress) {
+        throw new Error(`Collection deployed to ${proxyAddress}, predicted ${predictedAddress}`);
+    }
+    ctx.log(result.reused
+        ? `   ♻️  Already created by an earlier run: ${proxyAddress}`
+        : `   ✅ Deployed to: ${proxyAddress}`);
+
+    const ERC721LogicV1 = await ethers.getContractFactory("ERC721LogicV1");
+    ctx.registry.recordProxyCreated(proxyAddress, {
+        name,
+        symbol,
+        maxSupply,
+        mintPrice,
+        deployer: signer.address,
+        factory: infra.NFTFactory,
+        fleet,
+        implementation: version || fleet ? implementation : await factory.logicContract({ blockTag: result.blockNumber }),
+        initData: ERC721LogicV1.interface.encodeFunctionData("initialize", [name, symbol, BigInt(maxSupply), mintPrice, initialOwner]),
+        txHash: result.transactionHash,
+        blockNumber: result.blockNumber,
+        timestamp: (await result.receipt.getBlock()).timestamp
+    });
+
+    return { ...summarize(result), proxyAddress, name, symbol, maxSupply, mintPrice, owner: initialOwner, salt, version, fleet, implementation, operationId };
+}
+
+// Function to predict the CREATE2 address of a collection, from the factory's view
+// or, with --offline, from the registry's infrastructure addresses without any RPC call
+async function predictAddress(ctx, args) {
+    const { ethers } = ctx;
+    const { name, symbol, salt } = args.options;
+    const maxSupply = args.options["max-supply"];
+    if (!name || !symbol || !maxSupply || salt === undefined) {
+        throw new Error("predict-address requires --name, --symbol, --max-supply and --salt");
+    }
+
+    const infra = ctx.registry.getInfrastructure();
+    const creator = args.options.creator ? ethers.getAddress(args.options.creator) : ctx.signers[0].address;
+    const request = {
+        factoryAddress: infra.NFTFactory,
+        logicContract: args.options.logic || infra.ERC721LogicV1,
+        proxyAdmin: args.options["proxy-admin"] || infra.ProxyAdmin,
+        creator,
+        salt: toSalt(salt),
+        name,
+        symbol,
+        maxSupply: BigInt(maxSupply),
+        mintPrice: ethers.parseEther(String(args.options.price ?? "0")),
+        initialOwner: args.options.owner ? ethers.getAddress(args.options.owner) : creator
+    };
+
+    let address;
+    if (args.options.offline) {
+        address = predictCollectionAddress(request);
+    } else {
+        const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory);
+        request.logicContract = await factory.logicContract();
+        request.proxyAdmin = await factory.proxyAdmin();
+        address = await factory.predictCollectionAddress(
+            request.creator,
+            request.salt,
+            request.name,
+            request.symbol,
+            request.maxSupply,
+            request.mintPrice,
+            request.initialOwner
+        );
+    }
+
+    ctx.log(`🎯 "${name}" (${symbol}) created by ${creator} with salt ${request.salt}`);
+    ctx.log(`   Address: ${address}${args.options.offline ? " (offline, from registry addresses)" : ""}`);
+    return { address, offline: Boolean(args.options.offline), ...request };
+}
+
+const COMMANDS = {
+    "deploy-infra": {
+        usage: "deploy-infra [--admin-owner <address>]",
+        summary: "Deploy ERC721LogicV1, ProxyAdmin and NFTFactory",
+        run: deployInfra
+    },
+    "create-collection": {
+        usage: "create-collection --name <name> --symbol <symbol> --max-supply <n> [--price <eth>] [--owner <address>] [--op-id <id>] [--salt <label|bytes32> | --fleet <name> | --version <version> [--base-uri <uri>] [--hidden-uri <uri>] [--royalty-receiver <address>] [--royalty-bps <n>] [--payees <address:shares,...>] [--phases <file>]]",
+        summary: "Create a collection through NFTFactory",
+        run: createCollection
+    },
+    "predict-address": {
+        usage: "predict-address --name <name> --symbol <symbol> --max-supply <n> --salt <label|bytes32> [--price <eth>] [--owner <address>] [--creator <address>] [--offline [--logic <address>] [--proxy-admin <address>]]",
+        summary: "Predict the CREATE2 address of a collection before it is created",
+        run: predictAddress
+    }
+};
+
+module.exports = { COMMANDS };
@@ -0,0 +1,217 @@
+const { readCatalogue, resolveVersion, initializerSelectors, populateApproval } = require("../version-catalogue");
+const { roleId, listRoleMembers } = require("../factory-roles");
+const { supportsEmergencyPause, readCollectionPause, readPauseStatus } = require("../emergency-pause");
+const { execute, summarize, resolveSigner, requireProxy } = require("./common");
+
+// nft-admin commands that manage NFTFactory: its version catalogue, roles and emergency pause
+
+// Function to list or change the factory's catalogue of approved implementations
+async function catalogue(ctx, args) {
+    const { ethers } = ctx;
+    const infra = ctx.registry.getInfrastructure();
+    const signer = await resolveSigner(ctx, args.options.from);
+    const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory, signer);
+    const implementations = ctx.registry.read().implementations;
+    const [action = "list", version, address] = args.positional;
+
+    if (action === "list") {
+        const entries = await readCatalogue(factory);
+        ctx.log(`📚 NFTFactory catalogue (${infra.NFTFactory}):`);
+        for (const entry of entries) {
+            const contract = implementations[entry.implementation]?.contract || "unknown";
+            const flags = [entry.isDefault && "default", entry.deprecated && "deprecated"].filter(Boolean).join(", ");
+            const initializers = entry.initializers.length > 0 ? ` initializers ${entry.initializers.join(", ")}` : "";
+            ctx.log(`   ${entry.version.padEnd(18)} ${entry.implementation} (${contract})${flags ? ` [${flags}]` : ""}${initializers}`);
+        }
+        return { factory: infra.NFTFactory, versions: entries };
+    }
+    if (!version) {
+        throw new Error(`catalogue ${action} requires a version`);
+    }
+
+    let result;
+    if (action === "approve") {
+        if (!address || !ethers.isAddress(address)) {
+            throw new Error("catalogue approve requires a version and an implementation address");
+        }
+        result = await execute(ctx, signer, {
+            description: `approve ${ethers.getAddress(address)} as version ${version}`,
+            build: async () => populateApproval(factory, {
+                version,
+                implementation: ethers.getAddress(address),
+                initializers: await initializerSelectors(ethers.provider, ethers.getAddress(address))
+            })
+        });
+    } else if (action === "deprecate") {
+        // --undo takes the deprecation back
+        const deprecated = !args.options.undo;
+        result = await execute(ctx, signer, {
+            description: `${deprecated ? "deprecate" : "re-enable"} version ${version}`,
+            build: () => factory.setVersionDeprecated.populateTransaction(version, deprecated)
+        });
+    } else if (action === "default") {
+        const implementation = await resolveVersion(factory, version);
+        result = await execute(ctx, signer, {
+            description: `create new collections on version ${version} (${implementation})`,
+            build: () => factory.updateLogicContract.populateTransaction(implementation)
+        });
+    } else {
+        throw new Error(`Unknown catalogue action "${action}" (expected list, approve, deprecate or default)`);
+    }
+    return { ...summarize(result), action, version };
+}
+
+// Function to list or change who may create, upgrade, configure and pause through NFTFactory
+async function roles(ctx, args) {
+    const { ethers } = ctx;
+    const infra = ctx.registry.getInfrastructure();
+    const signer = await resolveSigner(ctx, args.options.from);
+    const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory, signer);
+    const [action = "list", role, account] = args.positional;
+
+    if (action === "list") {
+        const fromBlock = ctx.registry.read().infrastructure.contracts.NFTFactory?.blockNumber ?? 0;
+        const owner = await factory.owner();
+        const openCreation = await factory.openCreation();
+        const paused = await factory.paused();
+        const entries = await listRoleMembers(factory, { fromBlock });
+        ctx.log(`🔐 NFTFactory roles (${infra.NFTFactory}):`);
+        ctx.log(`   owner        ${owner} (holds every role)`);
+        for (const entry of entries) {
+            ctx.log(`   ${entry.name.padEnd(12)} ${entry.members.length > 0 ? entry.members.join(", ") : "-"}`);
+        }
+        ctx.log(`   Collection creation: ${openCreation ? "open to everyone" : "creators only"}${paused ? ", paused" : ""}`);
+        const collectionsPaused = await supportsEmergencyPause(factory) ? await factory.allCollectionsPaused() : null;
+        if (collectionsPaused) {
+            ctx.log("   🚨 Every linked collection is paused (see \"emergency status\")");
+        }
+        return { factory: infra.NFTFactory, owner, openCreation, paused, collectionsPaused, roles: entries };
+    }
+
+    let result;
+    if (action === "grant" || action === "revoke") {
+        if (!role || !account || !ethers.isAddress(account)) {
+            throw new Error(`roles ${action} requires a role and an account address`);
+        }
+        const target = ethers.getAddress(account);
+        result = await execute(ctx, signer, {
+            description: `${action} ${role} ${action === "grant" ? "to" : "from"} ${target}`,
+            build: () => factory[`${action}Role`].populateTransaction(roleId(role), target)
+        });
+    } else if (action === "open-creation") {
+        // "roles open-creation off" restricts creation to the creator role
+        if (role !== "on" && role !== "off") {
+            throw new Error("roles open-creation requires on or off");
+        }
+        result = await execute(ctx, signer, {
+            description: `${role === "on" ? "open collection creation to everyone" : "restrict collection creation to creators"}`,
+            build: () => factory.setOpenCreation.populateTransaction(role === "on")
+        });
+    } else if (action === "pause" || action === "unpause") {
+        result = await execute(ctx, signer, {
+            description: `${action} collection creation`,
+            build: () => factory[action].populateTransaction()
+        });
+    } else {
+        throw new Error(`Unknown roles action "${action}" (expected list, grant, revoke, open-creation, pause or unpause)`);
+    }
+    return { ...summarize(result), action };
+}
+
+// Function to show, trigger or clear the factory's emergency pause of collections, or link a
+// V3 collection to it
+async function emergency(ctx, args) {
+    const { ethers } = ctx;
+    const infra = ctx.registry.getInfrastructure();
+    const signer = await resolveSigner(ctx, args.options.from);
+    const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory, signer);
+    const [action = "status", proxy] = args.positional;
+    if (!await supportsEmergencyPause(factory)) {
+        throw new Error(`NFTFactory ${infra.NFTFactory} was deployed before the emergency pause; redeploy the infrastructure to get it`);
+    }
+
+    const report = async () => {
+        const status = await readPauseStatus(ethers, factory);
+        // A factory-wide pause only stops linked V3 collections, so it says how many it reaches
+        const stopped = status.collections.filter(entry => entry.paused).length;
+        ctx.log(`🚨 Emergency pause (${infra.NFTFactory}): ${status.allCollectionsPaused
+            ? `factory-wide pause, ${stopped} of ${status.collections.length} collection(s) stopped`
+            : "no factory-wide pause"}`);
+        for (const entry of status.collections) {
+            const state = !entry.protected
+                ? `⚠️  unprotected (${entry.linked === null ? `version ${entry.version}` : "not linked"})`
+                : entry.paused ? "⏸️  paused" : "▶️  active";
+            ctx.log(`   ${entry.symbol.padEnd(8)} ${entry.proxyAddress} ${state}`);
+        }
+        if (status.unprotected.length > 0) {
+            ctx.log(`   ⚠️  ${status.unprotected.length} collection(s) ignore the pause and keep minting and transferring:`);
+            for (const proxyAddress of status.unprotected) {
+                ctx.log(`      ${proxyAddress}`);
+            }
+            ctx.log("   Upgrade them to ERC721LogicV3 or run \"emergency link <proxy>\"");
+        }
+        return status;
+    };
+
+    if (action === "status") {
+        return { factory: infra.NFTFactory, ...await report() };
+    }
+
+    let result;
+    if (action === "pause" || action === "unpause") {
+        const paused = action === "pause";
+        if (args.options.all) {
+            result = await execute(ctx, signer, {
+                description: `${action} every collection of ${infra.NFTFactory}`,
+                build: () => factory.setAllCollectionsPaused.populateTransaction(paused)
+            });
+        } else {
+            if (!proxy || !ethers.isAddress(proxy)) {
+                throw new Error(`emergency ${action} requires a collection address or --all`);
+            }
+            const target = ethers.getAddress(proxy);
+            result = await execute(ctx, signer, {
+                description: `${action} collection ${target}`,
+                build: () => factory.setCollectionPaused.populateTransaction(target, paused)
+            });
+            if (!paused && await factory.allCollectionsPaused()) {
+                ctx.log("   ⚠️  Every collection stays paused until \"emergency unpause --all\"");
+            }
+        }
+    } else if (action === "link") {
+        const proxyAddress = requireProxy(ctx, { ...args, positional: args.positional.slice(1) });
+        const entry = await readCollectionPause(ethers, factory, proxyAddress);
+        if (entry.linked === null) {
+            throw new Error(`${proxyAddress} runs version ${entry.version}, which has no emergency pause; upgrade it with "upgrade ${proxyAddress} --contract ERC721LogicV3"`);
+        }
+        const collection = await ethers.getContractAt("ERC721LogicV3", proxyAddress, signer);
+        result = await execute(ctx, signer, {
+            description: `link ${proxyAddress} to the emergency pause of ${infra.NFTFactory}`,
+            build: () => collection.linkFactory.populateTransaction(infra.NFTFactory)
+        });
+    } else {
+        throw new Error(`Unknown emergency action "${action}" (expected status, pause, unpause or link)`);
+    }
+    const status = result.dryRun ? undefined : await report();
+    return { ...summarize(result), action, factory: infra.NFTFactory, status };
+}
+
+const COMMANDS = {
+    "catalogue": {
+        usage: "catalogue [list | approve <version> <address> | deprecate <version> [--undo] | default <version>]",
+        summary: "Show or change the implementation versions NFTFactory creates and upgrades collections with",
+        run: catalogue
+    },
+    "roles": {
+        usage: "roles [list | grant <role> <address> | revoke <role> <address> | open-creation <on|off> | pause | unpause]  (roles: creator, upgrader, config-admin, pauser, guardian, admin)",
+        summary: "Show or change the NFTFactory roles and whether anyone can create collections",
+        run: roles
+    },
+    "emergency": {
+        usage: "emergency [status | pause (<proxy> | --all) | unpause (<proxy> | --all) | link <proxy>]",
+        summary: "Pause minting and transfers in one or every V3 collection through the factory guardian, or link a collection to the pause",
+        run: emergency
+    }
+};
+
+module.exports = { COMMANDS };
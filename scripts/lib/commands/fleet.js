@@ -0,0 +1,245 @@
+const { createStorageGate, resolveImplementationContract } = require("../storage-layout");
+const { catalogueVersionFor, resolveVersion, populateApproval } = require("../version-catalogue");
+const { supportsFleets, readFleets } = require("../fleets");
+const { execute, summarize, resolveSigner, requireProxy, resolveFleet, V3_OPTIONS, upgradeTarget, deployUpgradeTarget, encodeUpgradeInit } = require("./common");
+
+// nft-admin commands for beacon fleets
+
+// Function to list fleets, create one, upgrade every collection of one in a single
+// transaction, or take a collection out of its fleet
+async function fleet(ctx, args) {
+    const { ethers } = ctx;
+    const [action = "list", target] = args.positional;
+    const infra = ctx.registry.getInfrastructure();
+    const signer = await resolveSigner(ctx, args.options.from);
+    const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory, signer);
+    if (!await supportsFleets(factory)) {
+        throw new Error(`NFTFactory ${infra.NFTFactory} was deployed before fleets; redeploy the infrastructure to get them`);
+    }
+
+    if (action === "list") {
+        const fleets = await readFleets(ethers, factory);
+        ctx.log(`🚢 ${fleets.length} fleet(s) in ${infra.NFTFactory}`);
+        for (const entry of fleets) {
+            ctx.log(`   ${entry.name.padEnd(16)} beacon ${entry.beacon} → ${entry.implementation} (${await factory.implementationVersion(entry.implementation) || "not catalogued"}), ${entry.collections.length} collection(s)`);
+        }
+        return { factory: infra.NFTFactory, fleets };
+    }
+    if (action === "create") {
+        return createFleet(ctx, { factory, signer, name: target, options: args.options });
+    }
+    if (action === "upgrade") {
+        return upgradeFleet(ctx, { factory, signer, name: target, args });
+    }
+    if (action === "leave") {
+        return leaveFleet(ctx, { factory, signer, proxyAddress: requireProxy(ctx, { positional: args.positional.slice(1) }), args });
+    }
+    throw new Error(`Unknown fleet action "${action}" (expected list, create, upgrade or leave)`);
+}
+
+// Function to deploy a beacon owned by the factory, on --version (the factory default
+// without it), and add it as a fleet
+async function createFleet(ctx, { factory, signer, name, options }) {
+    const { ethers } = ctx;
+    if (!name) {
+        throw new Error("fleet create requires a fleet name");
+    }
+    if (await factory.fleetBeacon(name) !== ethers.ZeroAddress) {
+        throw new Error(`Fleet "${name}" already exists`);
+    }
+    const factoryAddress = await factory.getAddress();
+    const implementation = options.version ? await resolveVersion(factory, options.version) : await factory.logicContract();
+    const UpgradeableBeacon = await ethers.getContractFactory("UpgradeableBeacon", signer);
+
+    ctx.log(`🚢 Creating fleet "${name}" on ${implementation}`);
+    const deployed = await execute(ctx, signer, {
+        description: `deploy the beacon of fleet ${name}`,
+        key: `fleet-beacon:${factoryAddress}:${name}`,
+        build: () => UpgradeableBeacon.getDeployTransaction(implementation, factoryAddress)
+    });
+    if (deployed.dryRun) {
+        return { dryRun: true, fleet: name, implementation, transactions: [summarize(deployed)] };
+    }
+    const added = await execute(ctx, signer, {
+        description: `add fleet ${name} with beacon ${deployed.contractAddress}`,
+        key: `fleet-add:${factoryAddress}:${name}`,
+        build: () => factory.addFleet.populateTransaction(name, deployed.contractAddress)
+    });
+    ctx.log(`   ✅ Beacon ${deployed.contractAddress}; create collections in it with "create-collection --fleet ${name}"`);
+    return { fleet: name, beacon: deployed.contractAddress, implementation, transactions: [summarize(deployed), summarize(added)] };
+}
+
+// Function to pick the implementation of a fleet upgrade or leave: --version from the
+// catalogue, or --contract, deployed and approved on the way
+async function fleetTarget(ctx, { factory, signer, options, fallback }) {
+    const { ethers } = ctx;
+    if (options.version) {
+        return resolveVersion(factory, options.version);
+    }
+    if (!options.contract) {
+        if (fallback) {
+            return fallback;
+        }
+        throw new Error("Pick the implementation with --version <catalogue version> or --contract <name>");
+    }
+    const contract = upgradeTarget({ options });
+    const TargetLogic = await ethers.getContractFactory(contract, signer);
+    const implementation = await deployUpgradeTarget(ctx, signer, TargetLogic, contract);
+    if (!implementation) {
+        throw new Error(`--dry-run cannot estimate a fleet upgrade to a ${contract} that is not deployed yet`);
+    }
+    const catalogue = await catalogueVersionFor({
+        factory,
+        provider: ethers.provider,
+        implementation,
+        version: await TargetLogic.attach(implementation).getVersion()
+    });
+    if (catalogue.deprecated) {
+        throw new Error(`${implementation} is deprecated in the factory catalogue (version ${catalogue.version})`);
+    }
+    if (!catalogue.approved) {
+        await execute({ ...ctx, yes: true }, signer, {
+            description: `approve ${implementation} as version ${catalogue.version}`,
+            key: `catalogue:${await factory.getAddress()}:${implementation}`,
+            build: () => populateApproval(factory, { ...catalogue, implementation })
+        });
+    }
+    ctx.log(`   📚 Catalogue version ${catalogue.version}${catalogue.approved ? "" : " (newly approved)"}`);
+    return implementation;
+}
+
+// Function to upgrade every collection of a fleet with one NFTFactory.upgradeFleet call.
+// Collections without V2 fields get initializeV2Features (or initializeV3Features) from
+// the factory in the same transaction; setup that needs the owner is left to the owner.
+async function upgradeFleet(ctx, { factory, signer, name, args }) {
+    const { ethers } = ctx;
+    if (!name) {
+        throw new Error("fleet upgrade requires a fleet name");
+    }
+    const v3Option = V3_OPTIONS.find(option => args.options[option] !== undefined);
+    if (v3Option) {
+        throw new Error(`--${v3Option} configures one collection; set it per collection once the fleet is upgraded`);
+    }
+    const beacon = await resolveFleet(ctx, factory, name);
+    const current = await (await ethers.getContractAt("UpgradeableBeacon", beacon)).implementation();
+    const implementation = await fleetTarget(ctx, { factory, signer, options: args.options });
+    if (implementation === current) {
+        ctx.log(`✅ Fleet "${name}" already runs ${implementation}`);
+        return { fleet: name, beacon, implementation, status: "skip" };
+    }
+
+    const targetContract = await resolveImplementationContract(ctx.hre, { registry: ctx.registry, address: implementation });
+    const collections = [...await factory.getFleetCollections(name)];
+    ctx.log(`🚢 Fleet "${name}": ${collections.length} collection(s) from ${current} to ${implementation} (${targetContract})`);
+
+    // Every collection must accept the target, or none is upgraded
+    const storageGate = createStorageGate(ctx.hre, { registry: ctx.registry, targetContract });
+    const blocked = [];
+    for (const proxyAddress of collections) {
+        const comparison = await storageGate(current, proxyAddress);
+        if (!comparison.compatible) {
+            blocked.push(`${proxyAddress}: ${comparison.ownershipProblem || `storage layout of ${targetContract} is not compatible with ${comparison.fromContract}`}`);
+        }
+    }
+    if (blocked.length > 0) {
+        throw new Error(`Fleet "${name}" cannot move to ${targetContract}:\n${blocked.join("\n")}`);
+    }
+
+    // The factory makes the calls (initializers only) and links V3 collections itself
+    const data = [];
+    for (const proxyAddress of collections) {
+        const symbol = ctx.registry.getProxy(proxyAddress)?.symbol;
+        data.push(await encodeUpgradeInit(ctx, { collection: { proxyAddress, symbol }, options: { ...args.options, contract: targetContract }, signer, viaFactory: true }));
+    }
+    const calls = data.some(entry => entry !== "0x") ? data : [];
+
+    // The beacon's upgrade count keeps the key unique when the fleet returns to an implementation
+    const upgradeCount = (await factory.getUpgradeHistory(beacon)).length;
+    const result = await execute(ctx, signer, {
+        description: `upgrade fleet ${name} (${collections.length} collection(s)) to ${implementation}`,
+        key: `fleet-upgrade:${beacon}:${upgradeCount}:${implementation}`,
+        build: () => factory.upgradeFleet.populateTransaction(name, implementation, calls)
+    });
+    if (result.dryRun) {
+        return { ...result, fleet: name, collections };
+    }
+
+    const timestamp = (await result.receipt.getBlock()).timestamp;
+    collections.forEach((proxyAddress, index) => {
+        if (ctx.registry.getProxy(proxyAddress)) {
+            ctx.registry.recordUpgrade(proxyAddress, {
+                kind: "fleet-upgrade",
+                implementation,
+                previousImplementation: current,
+                initData: calls.length > 0 && calls[index] !== "0x" ? calls[index] : null,
+                txHash: result.transactionHash,
+                blockNumber: result.blockNumber,
+                timestamp,
+                note: `fleet ${name}`
+            });
+        }
+    });
+    ctx.log(`   ✅ ${collections.length} collection(s) now run ${implementation}`);
+    return { ...summarize(result), fleet: name, beacon, implementation, collections };
+}
+
+// Function to take a collection out of its fleet with NFTFactory.leaveFleet: its ProxyAdmin
+// upgrades it to --version / --contract, or to the fleet's current implementation
+async function leaveFleet(ctx, { factory, signer, proxyAddress, args }) {
+    const { ethers } = ctx;
+    const beacon = await factory.collectionBeacon(proxyAddress);
+    if (beacon === ethers.ZeroAddress) {
+        throw new Error(`${proxyAddress} is not in a fleet of ${await factory.getAddress()}`);
+    }
+    const name = await factory.fleetName(beacon);
+    const proxyAdmin = await ethers.getContractAt("ProxyAdmin", await factory.collectionProxyAdmin(proxyAddress));
+    if (await proxyAdmin.owner() !== await factory.getAddress()) {
+        throw new Error(`The factory must own ProxyAdmin ${await proxyAdmin.getAddress()} to take collections out of fleets (see upgrade-route)`);
+    }
+    const current = await (await ethers.getContractAt("UpgradeableBeacon", beacon)).implementation();
+    const implementation = await fleetTarget(ctx, { factory, signer, options: args.options, fallback: current });
+
+    let initData = "0x";
+    if (implementation !== current) {
+        const targetContract = await resolveImplementationContract(ctx.hre, { registry: ctx.registry, address: implementation });
+        const comparison = await createStorageGate(ctx.hre, { registry: ctx.registry, targetContract })(current, proxyAddress);
+        if (!comparison.compatible) {
+            throw new Error(comparison.ownershipProblem || `Storage layout of ${targetContract} is not compatible with ${comparison.fromContract}`);
+        }
+        const symbol = ctx.registry.getProxy(proxyAddress)?.symbol;
+        initData = await encodeUpgradeInit(ctx, { collection: { proxyAddress, symbol }, options: { ...args.options, contract: targetContract }, signer, viaFactory: true });
+    }
+
+    ctx.log(`🚢 Taking ${proxyAddress} out of fleet "${name}" onto ${implementation}`);
+    const result = await execute(ctx, signer, {
+        description: `take ${proxyAddress} out of fleet ${name}`,
+        key: `fleet-leave:${proxyAddress}`,
+        build: () => factory.leaveFleet.populateTransaction(proxyAddress, implementation, initData)
+    });
+    if (result.dryRun) {
+        return { ...result, fleet: name, proxyAddress };
+    }
+    if (ctx.registry.getProxy(proxyAddress)) {
+        ctx.registry.recordUpgrade(proxyAddress, {
+            implementation,
+            previousImplementation: current,
+            initData: initData === "0x" ? null : initData,
+            txHash: result.transactionHash,
+            blockNumber: result.blockNumber,
+            timestamp: (await result.receipt.getBlock()).timestamp,
+            note: `left fleet ${name}`
+        });
+    }
+    ctx.log(`   ✅ ${proxyAddress} runs ${implementation} on its own; upgrade it with "upgrade ${proxyAddress}"`);
+    return { ...summarize(result), fleet: name, proxyAddress, implementation };
+}
+
+const COMMANDS = {
+    "fleet": {
+        usage: "fleet [list | create <name> [--version <v>] | upgrade <name> (--version <v> | --contract <name>) | leave <proxy> [--version <v> | --contract <name>]]",
+        summary: "Manage beacon fleets: collections that upgrade together in one transaction",
+        run: fleet
+    }
+};
+
+module.exports = { COMMANDS };
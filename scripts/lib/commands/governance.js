@@ -0,0 +1,406 @@
+const { confirm } = require("../prompt");
+const { createStorageGate } = require("../storage-layout");
+const { createStateRecorder } = require("../state-snapshot");
+const { createUpgradeRoute } = require("../factory-upgrades");
+const { catalogueVersionFor, populateApproval } = require("../version-catalogue");
+const { populateExecute, populateCancel, listOperations, getOperation, describeOperation, executeOperation } = require("../timelock");
+const { buildProposal, proposalDigest, signProposal, checkSignatures, orderSignatures, submitProposal, nextNonce, saveProposal, loadProposal, listProposals } = require("../multisig");
+const { parseList, buildUpgradePlan, printPlan, printResults } = require("../upgrade-planner");
+const { callKey } = require("../transaction-manager");
+const { execute, summarize, resolveSigner, requireProxy, upgradeTarget, deployUpgradeTarget, encodeUpgradeInit } = require("./common");
+
+// nft-admin commands that put upgrades behind an UpgradeTimelock or an UpgradeMultisig
+
+// Function to deploy an UpgradeTimelock and hand it the upgrade authority: NFTFactory when
+// the factory owns the ProxyAdmin, otherwise the ProxyAdmin
+async function setupTimelock(ctx, args, { infra, signer, route }) {
+    const { ethers } = ctx;
+    if (args.options.delay === undefined) {
+        throw new Error("timelock setup requires --delay <seconds>");
+    }
+    if (route.timelock) {
+        throw new Error(`Upgrades are already behind UpgradeTimelock ${route.timelock.target}`);
+    }
+    if (route.owner !== signer.address) {
+        throw new Error(`The upgrade authority is owned by ${route.owner}, not ${signer.address}`);
+    }
+    const minDelay = BigInt(args.options.delay);
+    const parseAddresses = (value) => value ? parseList(value).map(address => ethers.getAddress(address)) : [signer.address];
+    const proposers = parseAddresses(args.options.proposers);
+    const executors = parseAddresses(args.options.executors);
+    const authorityName = route.via === "factory" ? "NFTFactory" : "ProxyAdmin";
+    const authority = await ethers.getContractAt(authorityName, route.via === "factory" ? infra.NFTFactory : infra.ProxyAdmin, signer);
+    const UpgradeTimelock = await ethers.getContractFactory("UpgradeTimelock", signer);
+    // Self-administered (admin = address(0)): role changes go through the delay too
+    const deployArgs = [minDelay, proposers, executors, ethers.ZeroAddress];
+
+    ctx.log(`⏳ Putting ${authorityName} behind a ${minDelay}s timelock`);
+    ctx.log(`   Proposers: ${proposers.join(", ")}`);
+    ctx.log(`   Executors: ${executors.join(", ")}`);
+    if (ctx.dryRun) {
+        const deployment = await execute(ctx, signer, { description: "deploy UpgradeTimelock", build: () => UpgradeTimelock.getDeployTransaction(...deployArgs) });
+        return { dryRun: true, authority: authorityName, minDelay, proposers, executors, steps: [summarize(deployment)] };
+    }
+
+    await confirm(ctx, `deploy UpgradeTimelock and transfer ${authorityName} ownership to it`);
+    const yesCtx = { ...ctx, yes: true };
+    const deployRequest = await UpgradeTimelock.getDeployTransaction(...deployArgs);
+    const deployment = await execute(yesCtx, signer, {
+        description: "UpgradeTimelock deployment",
+        key: callKey("infrastructure:UpgradeTimelock", deployRequest),
+        build: () => deployRequest
+    });
+    const timelockAddress = deployment.contractAddress;
+    const transfer = await execute(yesCtx, signer, {
+        description: `${authorityName} ownership transfer to UpgradeTimelock`,
+        key: `infrastructure:${authorityName}-owner:${authority.target}:${timelockAddress}`,
+        build: () => authority.transferOwnership.populateTransaction(timelockAddress)
+    });
+
+    const { deployer, contracts } = ctx.registry.read().infrastructure;
+    ctx.registry.recordInfrastructure({
+        deployer,
+        contracts: {
+            ...contracts,
+            UpgradeTimelock: { address: timelockAddress, txHash: deployment.transactionHash, blockNumber: deployment.blockNumber }
+        }
+    });
+    ctx.log(`   ✅ ${authorityName} owned by UpgradeTimelock ${timelockAddress}`);
+    return { timelock: timelockAddress, authority: authorityName, minDelay, proposers, executors, steps: [summarize(deployment), summarize(transfer)] };
+}
+
+// Function to list, execute or cancel the upgrade operations queued on the timelock
+async function timelock(ctx, args) {
+    const { ethers } = ctx;
+    const infra = ctx.registry.getInfrastructure();
+    const signer = await resolveSigner(ctx, args.options.from);
+    const route = await createUpgradeRoute({ ethers, infra, signer });
+    const [action = "list", operationId] = args.positional;
+
+    if (action === "setup") {
+        return setupTimelock(ctx, args, { infra, signer, route });
+    }
+    if (!route.timelock) {
+        throw new Error(`Upgrades are not behind a timelock (${route.via === "factory" ? "NFTFactory" : "ProxyAdmin"} is owned by ${route.owner}); see "timelock setup"`);
+    }
+    const interfaces = {
+        factoryInterface: (await ethers.getContractAt("NFTFactory", infra.NFTFactory)).interface,
+        proxyAdminInterface: (await ethers.getContractFactory("ProxyAdmin")).interface
+    };
+    const fromBlock = ctx.registry.read().infrastructure.contracts.UpgradeTimelock?.blockNumber ?? 0;
+
+    if (action === "list") {
+        const minDelay = await route.timelock.getMinDelay();
+        const operations = (await listOperations(route.timelock, { fromBlock }))
+            .filter(operation => args.options.all || operation.state === "Waiting" || operation.state === "Ready");
+        ctx.log(`⏳ UpgradeTimelock ${route.timelock.target} (delay ${minDelay}s): ${operations.length} ${args.options.all ? "" : "pending "}operation(s)`);
+        for (const operation of operations) {
+            const when = operation.readyAt ? ` (executable after ${new Date(operation.readyAt * 1000).toISOString()})` : "";
+            ctx.log(`   ${operation.id} ${operation.state.padEnd(9)}${when}`);
+            ctx.log(`      ${describeOperation(interfaces, operation)}`);
+        }
+        return { timelock: route.timelock.target, minDelay, operations };
+    }
+    if (!operationId) {
+        throw new Error(`timelock ${action} requires an operation id`);
+    }
+    const operation = await getOperation(route.timelock, operationId, { fromBlock });
+    ctx.log(`⏳ ${operation.id}: ${describeOperation(interfaces, operation)} [${operation.state}]`);
+
+    if (action === "cancel") {
+        const result = await execute(ctx, signer, {
+            description: `cancel timelock operation ${operation.id}`,
+            build: () => populateCancel(route.timelock, operation.id)
+        });
+        return { ...summarize(result), operationId: operation.id, action };
+    }
+    if (action !== "execute") {
+        throw new Error(`Unknown timelock action "${action}" (expected setup, list, execute or cancel)`);
+    }
+    const build = () => populateExecute(route.timelock, operation);
+    if (ctx.dryRun) {
+        return { ...summarize(await execute(ctx, signer, { description: `execute timelock operation ${operation.id}`, build })), operationId: operation.id };
+    }
+    await confirm(ctx, `execute timelock operation ${operation.id}`);
+    const { receipt, results } = await executeOperation(operation, {
+        provider: ethers.provider,
+        registry: ctx.registry,
+        interfaces,
+        log: ctx.log,
+        captureState: createStateRecorder({ provider: ethers.provider, registry: ctx.registry, networkName: ctx.networkName }),
+        sendExecute: async () => (await execute({ ...ctx, yes: true }, signer, {
+            description: `execute timelock operation ${operation.id}`,
+            key: `timelock-execute:${operation.id}`,
+            build
+        })).receipt
+    });
+    const counts = results.length > 0 ? printResults(results, ctx.log) : null;
+    if (counts && counts.changed > 0) {
+        throw new Error(`${counts.changed} collection(s) did not preserve their state across the upgrade (snapshots in deployments/snapshots/${ctx.networkName}/)`);
+    }
+    if (counts && counts.failed > 0) {
+        throw new Error(`Operation ${operation.id} failed: ${results.find(result => result.status === "failed").error}`);
+    }
+    const summaries = results.map(({ stateDiff, ...result }) => stateDiff ? { ...result, stateChanges: stateDiff.changes.length } : result);
+    return { operationId: operation.id, transactionHash: receipt.hash, blockNumber: receipt.blockNumber, results: summaries };
+}
+
+// Function to deploy an UpgradeMultisig and hand it the upgrade authority: NFTFactory when
+// the factory owns the ProxyAdmin, otherwise the ProxyAdmin
+async function setupMultisig(ctx, args, { infra, signer, route }) {
+    const { ethers } = ctx;
+    if (route.multisig || route.timelock) {
+        throw new Error(`Upgrades are already governed by ${route.multisig ? "UpgradeMultisig" : "UpgradeTimelock"} ${route.owner}`);
+    }
+    if (route.owner !== signer.address) {
+        throw new Error(`The upgrade authority is owned by ${route.owner}, not ${signer.address}`);
+    }
+    // Defaults to every configured account (Owner, Alice and Bob locally), 2 of them to sign
+    const owners = args.options.owners
+        ? parseList(args.options.owners).map(address => ethers.getAddress(address))
+        : ctx.signers.slice(0, 3).map(s => s.address);
+    const threshold = BigInt(args.options.threshold ?? Math.min(2, owners.length));
+    const authorityName = route.via === "factory" ? "NFTFactory" : "ProxyAdmin";
+    const authority = await ethers.getContractAt(authorityName, route.address, signer);
+    const UpgradeMultisig = await ethers.getContractFactory("UpgradeMultisig", signer);
+
+    ctx.log(`✍️  Putting ${authorityName} behind a ${threshold}-of-${owners.length} multisig`);
+    ctx.log(`   Owners: ${owners.join(", ")}`);
+    if (ctx.dryRun) {
+        const deployment = await execute(ctx, signer, { description: "deploy UpgradeMultisig", build: () => UpgradeMultisig.getDeployTransaction(owners, threshold) });
+        return { dryRun: true, authority: authorityName, owners, threshold, steps: [summarize(deployment)] };
+    }
+
+    await confirm(ctx, `deploy UpgradeMultisig and transfer ${authorityName} ownership to it`);
+    const yesCtx = { ...ctx, yes: true };
+    const deployRequest = await UpgradeMultisig.getDeployTransaction(owners, threshold);
+    const deployment = await execute(yesCtx, signer, {
+        description: "UpgradeMultisig deployment",
+        key: callKey("infrastructure:UpgradeMultisig", deployRequest),
+        build: () => deployRequest
+    });
+    const multisigAddress = deployment.contractAddress;
+    const transfer = await execute(yesCtx, signer, {
+        description: `${authorityName} ownership transfer to UpgradeMultisig`,
+        key: `infrastructure:${authorityName}-owner:${authority.target}:${multisigAddress}`,
+        build: () => authority.transferOwnership.populateTransaction(multisigAddress)
+    });
+
+    const { deployer, contracts } = ctx.registry.read().infrastructure;
+    ctx.registry.recordInfrastructure({
+        deployer,
+        contracts: {
+            ...contracts,
+            UpgradeMultisig: { address: multisigAddress, txHash: deployment.transactionHash, blockNumber: deployment.blockNumber }
+        }
+    });
+    ctx.log(`   ✅ ${authorityName} owned by UpgradeMultisig ${multisigAddress}`);
+    return { multisig: multisigAddress, authority: authorityName, owners, threshold, steps: [summarize(deployment), summarize(transfer)] };
+}
+
+// Function to write the proposal(s) upgrading one collection (to ERC721LogicV2Fixed unless --contract). In
+// factory mode an implementation missing from the catalogue gets an approval proposal first.
+async function proposeUpgrade(ctx, args, { infra, signer, route }) {
+    const { ethers } = ctx;
+    const proxyAddress = requireProxy(ctx, args);
+    const targetContract = upgradeTarget(args);
+    const TargetLogic = await ethers.getContractFactory(targetContract, signer);
+
+    let implementation = args.options.impl ? ethers.getAddress(args.options.impl) : null;
+    if (!implementation) {
+        // Deploying an implementation needs no authority, so it is sent right away (journaled)
+        implementation = await deployUpgradeTarget(ctx, signer, TargetLogic, targetContract);
+        if (!implementation) {
+            return { dryRun: true, proxyAddress, contract: targetContract };
+        }
+    }
+
+    const plan = await buildUpgradePlan({
+        provider: ethers.provider,
+        registry: ctx.registry,
+        target: { address: implementation, contract: targetContract },
+        filters: { proxies: [proxyAddress] },
+        storageGate: createStorageGate(ctx.hre, { registry: ctx.registry, targetContract }),
+        encodeInitData: (collection) => encodeUpgradeInit(ctx, { collection, options: args.options, signer, viaFactory: route.via === "factory" })
+    });
+    printPlan(plan, ctx.log);
+    const item = plan.items[0];
+    if (item.action !== "upgrade") {
+        return { proxyAddress, action: item.action, reason: item.reason, proposals: [] };
+    }
+
+    const multisig = route.multisig;
+    const { chainId } = await ethers.provider.getNetwork();
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const deadline = BigInt(timestamp) + BigInt(args.options.deadline ?? 72) * 3600n;
+    let nonce = nextNonce(await multisig.nonce(), { networkName: ctx.networkName, multisig: multisig.target });
+    const label = (item.symbol || proxyAddress).toLowerCase();
+    const proposals = [];
+    const write = (call, fields, name) => {
+        const proposal = buildProposal({ multisig: multisig.target, chainId, nonce: nonce++, deadline, target: call.to, data: call.data, ...fields });
+        const file = saveProposal(proposal, { networkName: ctx.networkName, label: name });
+        ctx.log(`   📝 Proposal ${proposal.message.nonce}: ${proposal.description}`);
+        ctx.log(`      ${file}`);
+        proposals.push({ nonce: proposal.message.nonce, description: proposal.description, file, digest: proposalDigest(proposal) });
+    };
+
+    if (route.via === "factory") {
+        const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory, signer);
+        const catalogue = await catalogueVersionFor({
+            factory,
+            provider: ethers.provider,
+            implementation,
+            version: await TargetLogic.attach(implementation).getVersion()
+        });
+        if (catalogue.deprecated) {
+            throw new Error(`${implementation} is deprecated in the factory catalogue (version ${catalogue.version})`);
+        }
+        if (!catalogue.approved) {
+            write(
+                await populateApproval(factory, { ...catalogue, implementation }),
+                { description: `approve ${implementation} as version ${catalogue.version}` },
+                `approve-${catalogue.version}`
+            );
+        }
+    }
+    write(
+        await route.populateUpgrade(proxyAddress, implementation, item.initData),
+        {
+            description: `upgrade ${item.symbol || proxyAddress} to ${implementation} (${targetContract})`,
+            upgrade: { proxyAddress, implementation, initData: item.initData }
+        },
+        `upgrade-${label}`
+    );
+    ctx.log(`   ✍️  Collect ${await multisig.threshold()} owner signature(s) with "multisig sign <file>", then "multisig submit <file>"`);
+    return { multisig: multisig.target, proxyAddress, implementation, deadline, proposals };
+}
+
+// Function to print the signature status of a proposal against the current owners
+async function proposalStatus(ctx, multisig, file) {
+    const proposal = loadProposal(file);
+    const threshold = await multisig.threshold();
+    const onChainNonce = await multisig.nonce();
+    const { valid, invalid, thresholdMet } = checkSignatures(proposal, { owners: [...await multisig.getOwners()], threshold });
+    const nonce = BigInt(proposal.message.nonce);
+    const state = proposal.submitted ? "submitted" : nonce < onChainNonce ? "stale" : nonce > onChainNonce ? "queued" : thresholdMet ? "ready" : "collecting";
+    ctx.log(`✍️  Proposal ${proposal.message.nonce} [${state}]: ${proposal.description}`);
+    ctx.log(`   Deadline ${new Date(Number(proposal.message.deadline) * 1000).toISOString()}, ${valid.length} of ${threshold} signature(s)`);
+    for (const entry of valid) {
+        ctx.log(`   ✅ ${entry.signer}`);
+    }
+    for (const entry of invalid) {
+        ctx.log(`   ⚠️  ${entry.signer}: ${entry.reason}`);
+    }
+    return { file, nonce: proposal.message.nonce, state, description: proposal.description, signers: valid.map(entry => entry.signer), threshold };
+}
+
+// Function to run the offline multisig flow: set up the multisig, write upgrade proposals,
+// sign them with owner keys and submit them once enough owners signed
+async function multisig(ctx, args) {
+    const { ethers } = ctx;
+    const infra = ctx.registry.getInfrastructure();
+    const signer = await resolveSigner(ctx, args.options.from);
+    const route = await createUpgradeRoute({ ethers, infra, signer });
+    const [action = "list", file] = args.positional;
+
+    if (action === "setup") {
+        return setupMultisig(ctx, args, { infra, signer, route });
+    }
+    if (!route.multisig) {
+        throw new Error(`Upgrades are not behind a multisig (${route.via === "factory" ? "NFTFactory" : "ProxyAdmin"} is owned by ${route.owner}); see "multisig setup"`);
+    }
+    if (action === "propose") {
+        return proposeUpgrade(ctx, { ...args, positional: args.positional.slice(1) }, { infra, signer, route });
+    }
+    if (action === "list") {
+        const proposals = listProposals({ networkName: ctx.networkName })
+            .filter(({ proposal }) => proposal.domain.verifyingContract === route.multisig.target);
+        const statuses = [];
+        for (const entry of proposals) {
+            statuses.push(await proposalStatus(ctx, route.multisig, entry.file));
+        }
+        return { multisig: route.multisig.target, nonce: await route.multisig.nonce(), proposals: statuses };
+    }
+    if (!file) {
+        throw new Error(`multisig ${action} requires a proposal file`);
+    }
+    if (action === "status") {
+        return proposalStatus(ctx, route.multisig, file);
+    }
+
+    if (action === "sign") {
+        // --all signs with every configured account that is an owner, --from with one of them
+        let proposal = loadProposal(file);
+        const signers = args.options.all ? ctx.signers : [signer];
+        const signed = [];
+        for (const candidate of signers) {
+            if (!await route.multisig.isOwner(candidate.address)) {
+                if (!args.options.all) {
+                    throw new Error(`${candidate.address} is not an owner of UpgradeMultisig ${route.multisig.target}`);
+                }
+                continue;
+            }
+            proposal = await signProposal(proposal, candidate);
+            signed.push(candidate.address);
+            ctx.log(`   ✍️  Signed by ${candidate.address}`);
+        }
+        saveProposal(proposal, { networkName: ctx.networkName, file });
+        return { ...await proposalStatus(ctx, route.multisig, file), signed };
+    }
+    if (action !== "submit") {
+        throw new Error(`Unknown multisig action "${action}" (expected setup, list, propose, sign, status or submit)`);
+    }
+
+    const proposal = loadProposal(file);
+    const { target, data, deadline } = proposal.message;
+    const build = (signatures) => () => route.multisig.execute.populateTransaction(target, data, deadline, signatures);
+    if (ctx.dryRun) {
+        const { valid } = checkSignatures(proposal, { owners: [...await route.multisig.getOwners()], threshold: await route.multisig.threshold() });
+        return { ...summarize(await execute(ctx, signer, { description: `submit proposal ${proposal.message.nonce}`, build: build(orderSignatures(valid)) })), file };
+    }
+    ctx.log(`✍️  Submitting proposal ${proposal.message.nonce}: ${proposal.description}`);
+    await confirm(ctx, `submit proposal ${proposal.message.nonce}`);
+    const { receipt, results } = await submitProposal(proposal, {
+        multisig: route.multisig,
+        provider: ethers.provider,
+        registry: ctx.registry,
+        interfaces: {
+            factoryInterface: (await ethers.getContractAt("NFTFactory", infra.NFTFactory)).interface,
+            proxyAdminInterface: (await ethers.getContractFactory("ProxyAdmin")).interface
+        },
+        log: ctx.log,
+        captureState: createStateRecorder({ provider: ethers.provider, registry: ctx.registry, networkName: ctx.networkName }),
+        sendExecute: async (signatures) => (await execute({ ...ctx, yes: true }, signer, {
+            description: `submit proposal ${proposal.message.nonce}`,
+            key: `multisig-execute:${route.multisig.target}:${proposal.message.nonce}`,
+            build: build(signatures)
+        })).receipt
+    });
+    if (receipt) {
+        saveProposal({ ...proposal, submitted: { transactionHash: receipt.hash, blockNumber: receipt.blockNumber, by: signer.address } }, { networkName: ctx.networkName, file });
+    }
+    const counts = results.length > 0 ? printResults(results, ctx.log) : null;
+    if (counts && counts.changed > 0) {
+        throw new Error(`${counts.changed} collection(s) did not preserve their state across the upgrade (snapshots in deployments/snapshots/${ctx.networkName}/)`);
+    }
+    if (counts && counts.failed > 0) {
+        throw new Error(`Proposal ${proposal.message.nonce} failed: ${results.find(result => result.status === "failed").error}`);
+    }
+    const summaries = results.map(({ stateDiff, ...result }) => stateDiff ? { ...result, stateChanges: stateDiff.changes.length } : result);
+    return { file, nonce: proposal.message.nonce, transactionHash: receipt.hash, blockNumber: receipt.blockNumber, results: summaries };
+}
+
+const COMMANDS = {
+    "timelock": {
+        usage: "timelock [list [--all] | execute <id> | cancel <id> | setup --delay <seconds> [--proposers <a,b>] [--executors <a,b>]]",
+        summary: "Queue upgrades behind an UpgradeTimelock and list, execute or cancel its operations",
+        run: timelock
+    },
+    "multisig": {
+        usage: "multisig [list | propose <proxy> [--contract <ERC721LogicV2Fixed|ERC721LogicV2A|ERC721LogicV3>] [--impl <address>] [--base-uri <uri>] [--hidden-uri <uri>] [--royalty-receiver <address>] [--royalty-bps <n>] [--payees <address:shares,...>] [--phases <file>] [--deadline <hours>] | sign <file> [--all] | status <file> | submit <file> | setup [--owners <a,b,c>] [--threshold <n>]]",
+        summary: "Approve upgrades with owner signatures collected offline on proposal files",
+        run: multisig
+    }
+};
+
+module.exports = { COMMANDS };
@@ -0,0 +1,98 @@
+const { openIndexer } = require("../event-indexer");
+
+// nft-admin commands that fill and query the local event index
+
+// Function to open the event index of the current network
+function indexerFor(ctx) {
+    const { chainId } = ctx.registry.read();
+    return openIndexer({ provider: ctx.ethers.provider, networkName: ctx.networkName, registry: ctx.registry, chainId: chainId ?? undefined, log: ctx.log });
+}
+
+async function index(ctx, args) {
+    const indexer = indexerFor(ctx);
+    if (args.options.reset) {
+        ctx.log(`🗑️  Resetting ${indexer.file}`);
+        indexer.reset();
+    }
+
+    if (args.options.follow) {
+        // Runs until Ctrl-C; the index is saved after every batch, so stopping never loses work
+        let stopping = false;
+        process.once("SIGINT", () => {
+            stopping = true;
+        });
+        ctx.log(`👀 Following ${ctx.networkName} (Ctrl-C to stop)...`);
+        await indexer.follow({
+            shouldStop: () => stopping,
+            intervalMs: args.options.interval ? Number(args.options.interval) : undefined
+        });
+    } else {
+        await indexer.sync({ toBlock: args.options["to-block"] });
+    }
+
+    const data = indexer.read();
+    return {
+        file: indexer.file,
+        factory: data.factory,
+        startBlock: data.startBlock,
+        lastBlock: data.lastBlock,
+        collections: data.collections.length,
+        events: data.events.length
+    };
+}
+
+async function query(ctx, args) {
+    const [view, proxy] = args.positional;
+    const indexer = indexerFor(ctx);
+    if (!args.options["no-sync"]) {
+        await indexer.sync();
+    }
+
+    const requireIndexedProxy = () => {
+        if (!proxy || !ctx.ethers.isAddress(proxy)) {
+            throw new Error(`"query ${view}" needs a collection proxy address`);
+        }
+        return ctx.ethers.getAddress(proxy);
+    };
+
+    switch (view) {
+        case "collections": {
+            const collections = indexer.collections({ deployer: args.options.deployer });
+            return { count: collections.length, collections };
+        }
+        case "holders": {
+            const holders = indexer.holders(requireIndexedProxy());
+            return { holders: holders.length, tokens: holders.reduce((sum, entry) => sum + entry.balance, 0), list: holders };
+        }
+        case "timeline": {
+            const proxyAddress = requireIndexedProxy();
+            return { proxyAddress, timeline: indexer.upgradeTimeline(proxyAddress) };
+        }
+        case "events": {
+            const events = indexer.events({
+                address: args.options.address,
+                event: args.options.event,
+                fromBlock: args.options["from-block"] ? Number(args.options["from-block"]) : undefined,
+                toBlock: args.options["to-block"] ? Number(args.options["to-block"]) : undefined
+            });
+            return { count: events.length, events };
+        }
+        default:
+            throw new Error(`Unknown query "${view}"; use collections, holders, timeline or events`);
+    }
+}
+
+const COMMANDS = {
+    "index": {
+        usage: "index [--follow] [--interval <ms>] [--reset] [--to-block <n>]",
+        summary: "Index factory, collection and proxy events into deployments/<network>-index.json",
+        run: index
+    },
+    "query": {
+        usage: "query (collections [--deployer <address>] | holders <proxy> | timeline <proxy> | events [--address <a>] [--event <name>] [--from-block <n>] [--to-block <n>]) [--no-sync]",
+        summary: "Answer questions from the local event index (syncs it first)",
+        run: query
+    }
+};
+
+module.exports = { COMMANDS };
@@ -0,0 +1,173 @@
+const { getImplementationAddress, getAdminAddress, getFleetBeacon } = require("../erc1967");
+const { takeSnapshot, diffSnapshots, formatSnapshotDiff, saveSnapshot, snapshotDir, loadSnapshot } = require("../state-snapshot");
+const { readFactoryHistory } = require("../factory-upgrades");
+const { readMaxRoyaltyFee } = require("../royalties");
+const { requireProxy, readVersion } = require("./common");
+
+// nft-admin commands that read collections: listing, inspection, the factory's on-chain
+// history and state snapshots
+
+async function list(ctx) {
+    const { ethers } = ctx;
+    const infra = ctx.registry.getInfrastructure();
+    const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory);
+    const addresses = await factory.getDeployedCollections();
+
+    const collections = [];
+    for (const proxyAddress of addresses) {
+        const info = await factory.collectionInfo(proxyAddress);
+        collections.push({
+            proxyAddress,
+            name: info.name,
+            symbol: info.symbol,
+            deployer: info.deployer,
+            maxSupply: info.maxSupply,
+            mintPrice: info.mintPrice,
+            implementation: await getImplementationAddress(ethers.provider, proxyAddress),
+            version: await readVersion(ctx, proxyAddress)
+        });
+    }
+    return { factory: infra.NFTFactory, count: collections.length, collections };
+}
+
+async function inspect(ctx, args) {
+    const { ethers } = ctx;
+    const proxyAddress = requireProxy(ctx, args);
+    const collection = await ethers.getContractAt("ERC721LogicV3", proxyAddress);
+    const version = await readVersion(ctx, proxyAddress);
+
+    const state = {
+        proxyAddress,
+        implementation: await getImplementationAddress(ethers.provider, proxyAddress),
+        admin: await getAdminAddress(ethers.provider, proxyAddress),
+        version,
+        name: await collection.name(),
+        symbol: await collection.symbol(),
+        owner: await collection.owner(),
+        maxSupply: await collection.maxSupply(),
+        mintPrice: await collection.mintPrice(),
+        totalSupply: await collection.totalSupply(),
+        balance: await ethers.provider.getBalance(proxyAddress)
+    };
+
+    if (Number(version.split(".")[0]) >= 2) {
+        state.v2 = {
+            baseURI: await collection.baseURI(),
+            revealed: await collection.revealed(),
+            notRevealedUri: await collection.notRevealedUri(),
+            royaltyReceiver: await collection.royaltyReceiver(),
+            royaltyFeeNumerator: await collection.royaltyFeeNumerator()
+        };
+        const maxRoyaltyFee = await readMaxRoyaltyFee(collection);
+        if (maxRoyaltyFee !== null) {
+            state.v2.maxRoyaltyFee = maxRoyaltyFee;
+        }
+    }
+
+    const { infrastructure } = ctx.registry.read();
+    if (infrastructure) {
+        const factory = await ethers.getContractAt("NFTFactory", infrastructure.contracts.NFTFactory.address);
+        state.fromFactory = await factory.isDeployedCollection(proxyAddress);
+    }
+    const beacon = await getFleetBeacon(ethers.provider, proxyAddress);
+    if (beacon !== ethers.ZeroAddress) {
+        state.fleetBeacon = beacon;
+    }
+
+    const registered = ctx.registry.getProxy(proxyAddress);
+    if (registered) {
+        state.history = registered.history.map(entry => ({
+            kind: entry.kind,
+            implementation: entry.implementation,
+            blockNumber: entry.blockNumber,
+            txHash: entry.txHash
+        }));
+    }
+    return state;
+}
+
+// Function to show the implementation history NFTFactory keeps on-chain next to the registry's
+async function history(ctx, args) {
+    const { ethers } = ctx;
+    const proxyAddress = requireProxy(ctx, args);
+    const infra = ctx.registry.getInfrastructure();
+    const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory);
+    const implementations = ctx.registry.read().implementations;
+
+    const onChain = await readFactoryHistory(factory, proxyAddress);
+    ctx.log(`📜 NFTFactory history of ${proxyAddress}:`);
+    for (const record of onChain) {
+        const contract = implementations[record.implementation]?.contract || "unknown";
+        ctx.log(`   ${new Date(record.timestamp * 1000).toISOString()} ${record.kind.padEnd(8)} ${record.implementation} (${contract}) by ${record.upgradedBy}`);
+    }
+    const current = await getImplementationAddress(ethers.provider, proxyAddress);
+    const tracked = onChain[onChain.length - 1].implementation;
+    if (current !== tracked) {
+        ctx.log(`   ⚠️  The proxy runs ${current}: upgraded outside the factory since its last record`);
+    }
+    return {
+        proxyAddress,
+        currentImplementation: current,
+        factory: onChain,
+        registry: ctx.registry.getProxy(proxyAddress)?.history || null
+    };
+}
+
+async function snapshot(ctx, args) {
+    const { ethers } = ctx;
+    const proxyAddress = requireProxy(ctx, args);
+    const blockTag = args.options.block !== undefined ? Number(args.options.block) : undefined;
+    const created = ctx.registry.getProxy(proxyAddress)?.history[0];
+
+    const state = await takeSnapshot({ provider: ethers.provider, proxyAddress, blockTag, fromBlock: created?.blockNumber ?? 0 });
+    const file = saveSnapshot(state, { networkName: ctx.networkName, dir: snapshotDir(ctx.registry) });
+    ctx.log(`📸 ${state.state.symbol} at block #${state.blockNumber}: ${state.state.totalSupply} token(s), ${state.operatorApprovals.length} operator approval(s), ${state.v2 ? "V2 fields" : "no V2 fields"}`);
+    ctx.log(`   Saved to ${file}`);
+    return { file, ...state };
+}
+
+async function snapshotDiff(ctx, args) {
+    const [beforeFile, afterFile] = args.positional;
+    if (!beforeFile || !afterFile) {
+        throw new Error("snapshot-diff requires two snapshot files");
+    }
+    const diff = diffSnapshots(loadSnapshot(beforeFile), loadSnapshot(afterFile));
+    for (const line of formatSnapshotDiff(diff)) {
+        ctx.log(`   ${line}`);
+    }
+    if (!diff.preserved) {
+        throw new Error(`${diff.violations.length} value(s) that should be preserved changed`);
+    }
+    ctx.log("   ✅ Preserved state unchanged");
+    return diff;
+}
+
+const COMMANDS = {
+    "list": {
+        usage: "list",
+        summary: "List factory collections with their implementation and version",
+        run: list
+    },
+    "inspect": {
+        usage: "inspect <proxy>",
+        summary: "Show the full state of one collection",
+        run: inspect
+    },
+    "history": {
+        usage: "history <proxy>",
+        summary: "Show the implementation history NFTFactory records on-chain for a collection",
+        run: history
+    },
+    "snapshot": {
+        usage: "snapshot <proxy> [--block <n>]",
+        summary: "Save the full observable state of a collection to deployments/snapshots/<network>/",
+        run: snapshot
+    },
+    "snapshot-diff": {
+        usage: "snapshot-diff <before.json> <after.json>",
+        summary: "Diff two snapshots; fails if a value that an upgrade must preserve changed",
+        run: snapshotDiff
+    }
+};
+
+module.exports = { COMMANDS };
@@ -0,0 +1,411 @@
+const { getImplementationAddress } = require("../erc1967");
+const { confirm } = require("../prompt");
+const { createStorageGate, compareStorageLayouts, formatStorageDiff, resolveImplementationContract } = require("../storage-layout");
+const { findMigrationImplementation, findFactoryOwnedCollections, encodeMigration, migrateOwnership: migrateCollectionOwnership } = require("../ownership-migration");
+const { createStateRecorder } = require("../state-snapshot");
+const { createUpgradeRoute } = require("../factory-upgrades");
+const { catalogueVersionFor, populateApproval } = require("../version-catalogue");
+const { operationSalt, populateSchedule, scheduleUpgradePlan } = require("../timelock");
+const { listRollbackTargets, buildRollbackPlan, printRollbackPlan, applyRollback } = require("../rollback");
+const { parseList, buildUpgradePlan, printPlan, applyUpgradePlan, applyUpgradePlanBatch, upgradeJournalKey, printResults } = require("../upgrade-planner");
+const { execute, schedule, summarize, resolveSigner, requireProxy, readVersion, upgradeTarget, deployUpgradeTarget, encodeUpgradeInit } = require("./common");
+
+// nft-admin commands that upgrade collections, roll them back and hand them over
+
+async function upgrade(ctx, args) {
+    const { ethers } = ctx;
+    const filters = {
+        proxies: args.positional,
+        symbols: parseList(args.options.symbol),
+        deployer: args.options.deployer,
+        fromImplementation: args.options["from-impl"]
+    };
+    const hasSelection = filters.proxies.length > 0 || filters.symbols.length > 0 || filters.deployer || filters.fromImplementation;
+    if (!hasSelection && !args.options.all) {
+        throw new Error("Select collections with <proxy...>, --symbol, --deployer or --from-impl (or --all)");
+    }
+    const invalid = filters.proxies.find(proxy => !ethers.isAddress(proxy));
+    if (invalid) {
+        throw new Error(`Invalid proxy address "${invalid}"`);
+    }
+
+    const infra = ctx.registry.getInfrastructure();
+    const signer = await resolveSigner(ctx, args.options.from);
+    const route = await createUpgradeRoute({ ethers, infra, signer });
+    if (args.options.batch && route.via !== "factory") {
+        throw new Error("--batch upgrades through NFTFactory.upgradeCollections, which needs the factory to own the ProxyAdmin (see upgrade-route)");
+    }
+    requireNoMultisig(route);
+    ctx.log(`🛣️  Upgrading through ${route.via === "factory" ? "NFTFactory" : "ProxyAdmin"} at ${route.address}`);
+    if (route.timelock) {
+        ctx.log(`   ⏳ Behind UpgradeTimelock ${route.timelock.target}: upgrades are scheduled, run "timelock execute" once ready`);
+    }
+    const targetContract = upgradeTarget(args);
+    const TargetLogic = await ethers.getContractFactory(targetContract, signer);
+
+    // Reuse an existing implementation when given, otherwise deploy (journaled, so only once)
+    let implementation = args.options.impl;
+    const deploying = !implementation;
+    if (!implementation) {
+        implementation = await deployUpgradeTarget(ctx, signer, TargetLogic, targetContract);
+    }
+
+    // The factory only upgrades to catalogue versions: an implementation this command
+    // deployed is approved on the way, one given with --impl must be approved already
+    let predecessor = ethers.ZeroHash;
+    if (route.via === "factory" && implementation) {
+        const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory, signer);
+        const catalogue = await catalogueVersionFor({
+            factory,
+            provider: ethers.provider,
+            implementation,
+            version: await TargetLogic.attach(implementation).getVersion()
+        });
+        if (catalogue.deprecated) {
+            throw new Error(`${implementation} is deprecated in the factory catalogue (version ${catalogue.version})`);
+        }
+        if (!catalogue.approved && !deploying) {
+            throw new Error(`${implementation} is not in the factory catalogue; approve it with "catalogue approve ${catalogue.version} ${implementation}"`);
+        }
+        if (!catalogue.approved && route.timelock) {
+            // Scheduled upgrades then wait for the scheduled approval
+            const approval = await schedule({ ...ctx, yes: true }, signer, route.timelock, {
+                description: `approve ${implementation} as version ${catalogue.version}`,
+                salt: operationSalt(["approveImplementation", catalogue.version, implementation]),
+                build: () => populateApproval(factory, { ...catalogue, implementation })
+            });
+            predecessor = approval.operationId;
+        } else if (!catalogue.approved) {
+            await execute({ ...ctx, yes: true }, signer, {
+                description: `approve ${implementation} as version ${catalogue.version}`,
+                key: `catalogue:${infra.NFTFactory}:${implementation}`,
+                build: () => populateApproval(factory, { ...catalogue, implementation })
+            });
+        }
+        ctx.log(`   📚 Catalogue version ${catalogue.version}${catalogue.approved ? "" : " (newly approved)"}`);
+    }
+
+    const plan = await buildUpgradePlan({
+        provider: ethers.provider,
+        registry: ctx.registry,
+        target: { address: implementation, contract: targetContract },
+        filters,
+        storageGate: createStorageGate(ctx.hre, { registry: ctx.registry, targetContract }),
+        encodeInitData: (collection) => encodeUpgradeInit(ctx, { collection, options: args.options, signer, viaFactory: route.via === "factory" })
+    });
+    printPlan(plan, ctx.log);
+
+    const upgrades = plan.items.filter(item => item.action === "upgrade");
+    if (ctx.dryRun) {
+        // Upgrades can only be estimated once the target implementation exists
+        const estimates = [];
+        if (implementation) {
+            for (const item of upgrades) {
+                const description = `upgrade ${item.symbol || item.proxyAddress}`;
+                const build = () => route.populateUpgrade(item.proxyAddress, implementation, item.initData);
+                estimates.push(route.timelock
+                    ? await schedule(ctx, signer, route.timelock, { description, predecessor, salt: operationSalt([item.proxyAddress]), build })
+                    : summarize(await execute(ctx, signer, { description, build })));
+            }
+        }
+        return { dryRun: true, target: plan.target, items: plan.items, estimates };
+    }
+
+    if (upgrades.length > 0) {
+        await confirm(ctx, `${route.timelock ? "schedule upgrades of" : "upgrade"} ${upgrades.length} collection(s) to ${implementation}`);
+    }
+    // The plan was confirmed as a whole, so the individual transactions are not asked again
+    const confirmed = { ...ctx, yes: true };
+    const options = {
+        provider: ethers.provider,
+        registry: ctx.registry,
+        log: ctx.log,
+        captureState: createStateRecorder({ provider: ethers.provider, registry: ctx.registry, networkName: ctx.networkName })
+    };
+    // --batch: one NFTFactory.upgradeCollections transaction, all collections or none
+    const results = route.timelock
+        ? await scheduleUpgradePlan(plan, {
+            timelock: route.timelock,
+            route,
+            registry: ctx.registry,
+            predecessor,
+            log: ctx.log,
+            sendSchedule: async (operation, delay) => (await execute(confirmed, signer, {
+                description: `schedule upgrade operation ${operation.id}`,
+                key: `timelock-schedule:${operation.id}`,
+                build: () => populateSchedule(route.timelock, operation, delay)
+            })).receipt
+        })
+        : args.options.batch
+        ? await applyUpgradePlanBatch(plan, {
+            ...options,
+            sendBatch: async (items) => (await execute(confirmed, signer, {
+                description: `upgrade ${items.length} collection(s) to ${implementation}`,
+                key: `upgrade-batch:${items.map(item => `${item.proxyAddress}:${ctx.registry.getProxy(item.proxyAddress)?.history.length ?? 0}`).join(",")}:${implementation}`,
+                build: () => route.populateBatch(items.map(item => item.proxyAddress), implementation, items.map(item => item.initData))
+            })).receipt
+        })
+        : await applyUpgradePlan(plan, {
+            ...options,
+            sendUpgrade: async (item) => (await execute(confirmed, signer, {
+                description: `upgrade ${item.proxyAddress} to ${implementation}`,
+                key: upgradeJournalKey(ctx.registry, item),
+                build: () => route.populateUpgrade(item.proxyAddress, implementation, item.initData)
+            })).receipt
+        });
+    const counts = printResults(results, ctx.log);
+    if (counts.changed > 0) {
+        throw new Error(`${counts.changed} collection(s) did not preserve their state across the upgrade (snapshots in deployments/snapshots/${ctx.networkName}/)`);
+    }
+
+    for (const result of results.filter(r => r.status === "upgraded")) {
+        result.version = await readVersion(ctx, result.proxyAddress);
+    }
+    // The full snapshots are on disk; the result only says what changed
+    const summaries = results.map(({ stateDiff, ...result }) => stateDiff ? { ...result, stateChanges: stateDiff.changes.length } : result);
+    return { target: plan.target, ...counts, results: summaries };
+}
+
+// Function to show or change who upgrades collections:
+// "factory" hands the ProxyAdmin to NFTFactory, "direct --to <owner>" hands it back out
+async function upgradeRoute(ctx, args) {
+    const { ethers } = ctx;
+    const infra = ctx.registry.getInfrastructure();
+    const signer = await resolveSigner(ctx, args.options.from);
+    const current = await createUpgradeRoute({ ethers, infra, signer });
+    const wanted = args.positional[0];
+
+    ctx.log(`🛣️  Upgrades go through ${current.via === "factory" ? "NFTFactory" : "ProxyAdmin"} (${current.address}), authorized by ${current.owner}`);
+    if (!wanted || (wanted === "factory" && current.via === "factory")) {
+        return { via: current.via, address: current.address, owner: current.owner };
+    }
+
+    const proxyAdmin = await ethers.getContractAt("ProxyAdmin", infra.ProxyAdmin, signer);
+    const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory, signer);
+    let result;
+    if (wanted === "factory") {
+        result = await execute(ctx, signer, {
+            description: `transfer ProxyAdmin ownership to NFTFactory ${infra.NFTFactory}`,
+            build: () => proxyAdmin.transferOwnership.populateTransaction(infra.NFTFactory)
+        });
+    } else if (wanted === "direct") {
+        const newOwner = args.options.to ? ethers.getAddress(args.options.to) : signer.address;
+        if (current.via !== "factory") {
+            throw new Error(`ProxyAdmin is already owned by ${current.owner}`);
+        }
+        result = await execute(ctx, signer, {
+            description: `transfer ProxyAdmin ownership from NFTFactory to ${newOwner}`,
+            build: () => factory.transferProxyAdminOwnership.populateTransaction(infra.ProxyAdmin, newOwner)
+        });
+    } else {
+        throw new Error(`Unknown route "${wanted}" (expected factory or direct)`);
+    }
+    if (!result.dryRun) {
+        ctx.log(`   ✅ ProxyAdmin now owned by ${await proxyAdmin.owner()}`);
+    }
+    return { ...summarize(result), via: wanted };
+}
+
+// Function to refuse sending an upgrade directly when an UpgradeMultisig holds the upgrade authority
+function requireNoMultisig(route) {
+    if (route.multisig) {
+        throw new Error(`Upgrades are authorized by UpgradeMultisig ${route.multisig.target}; use "multisig propose" and collect owner signatures`);
+    }
+}
+
+async function rollback(ctx, args) {
+    const { ethers } = ctx;
+    const proxyAddress = requireProxy(ctx, args);
+
+    if (args.options.list) {
+        const currentImplementation = await getImplementationAddress(ethers.provider, proxyAddress);
+        const targets = listRollbackTargets(ctx.registry, proxyAddress, currentImplementation);
+        ctx.log(`⏪ ${proxyAddress} runs ${currentImplementation}; earlier implementations:`);
+        for (const target of targets) {
+            ctx.log(`   ${target.address} ${(target.contract || "unknown").padEnd(20)} ${target.since.kind} in block #${target.since.blockNumber}`);
+        }
+        return { proxyAddress, currentImplementation, targets };
+    }
+
+    const plan = await buildRollbackPlan(ctx.hre, {
+        registry: ctx.registry,
+        proxyAddress,
+        to: args.options.to,
+        allowOwedFunds: Boolean(args.options["allow-owed-funds"])
+    });
+    printRollbackPlan(plan, ctx.log);
+    const result = {
+        proxyAddress,
+        action: plan.action,
+        currentImplementation: plan.currentImplementation,
+        targetImplementation: plan.targetImplementation,
+        targetContract: plan.targetContract,
+        orphaned: plan.orphaned,
+        owedToPayees: plan.owedToPayees
+    };
+    if (plan.action === "blocked") {
+        return result;
+    }
+
+    const infra = ctx.registry.getInfrastructure();
+    const signer = await resolveSigner(ctx, args.options.from);
+    const route = await createUpgradeRoute({ ethers, infra, signer });
+    requireNoMultisig(route);
+    const description = `roll back ${plan.symbol || proxyAddress} to ${plan.targetImplementation} (${plan.targetContract})`;
+    const build = () => route.populateUpgrade(proxyAddress, plan.targetImplementation, "0x");
+    // The history length makes the key unique when a proxy is rolled back more than once
+    const historyLength = ctx.registry.getProxy(proxyAddress).history.length;
+    if (route.timelock) {
+        // Recorded in the registry when the operation is executed
+        return { ...result, ...await schedule(ctx, signer, route.timelock, { description, salt: operationSalt(["rollback", proxyAddress, historyLength]), build }) };
+    }
+    if (ctx.dryRun) {
+        return { ...result, ...summarize(await execute(ctx, signer, { description, build })) };
+    }
+
+    let sent;
+    await applyRollback(plan, {
+        provider: ethers.provider,
+        registry: ctx.registry,
+        sendUpgrade: async () => {
+            sent = await execute(ctx, signer, { description, key: `rollback:${proxyAddress}:${historyLength}`, build });
+            return sent.receipt;
+        }
+    });
+    ctx.log(`   ✅ Rolled back to ${plan.targetContract}; version ${await readVersion(ctx, proxyAddress)}`);
+    return { ...result, ...summarize(sent) };
+}
+
+async function storageCheck(ctx, args) {
+    const subject = args.positional[0];
+    if (!subject) {
+        throw new Error("A collection proxy address or contract name is required");
+    }
+    const targetContract = args.options.target || "ERC721LogicV2Fixed";
+
+    // A proxy is compared through the implementation in its ERC-1967 slot
+    let fromContract = subject;
+    let implementation;
+    if (ctx.ethers.isAddress(subject)) {
+        implementation = await getImplementationAddress(ctx.ethers.provider, ctx.ethers.getAddress(subject));
+        fromContract = await resolveImplementationContract(ctx.hre, { registry: ctx.registry, address: implementation });
+    }
+
+    const comparison = await compareStorageLayouts(ctx.hre, fromContract, targetContract);
+    ctx.log(`🔍 Storage layout ${fromContract} → ${targetContract}`);
+    for (const line of formatStorageDiff(comparison, { verbose: Boolean(args.options.verbose) })) {
+        ctx.log(`   ${line}`);
+    }
+    return {
+        implementation,
+        fromContract,
+        toContract: targetContract,
+        compatible: comparison.compatible,
+        changes: comparison.rows.filter(row => row.status !== "unchanged")
+    };
+}
+
+async function migrateOwnership(ctx, args) {
+    const { ethers } = ctx;
+    const invalid = args.positional.find(proxy => !ethers.isAddress(proxy));
+    if (invalid) {
+        throw new Error(`Invalid proxy address "${invalid}"`);
+    }
+    const newOwner = args.options.to ? ethers.getAddress(args.options.to) : null;
+
+    const infra = ctx.registry.getInfrastructure();
+    const signer = await resolveSigner(ctx, args.options.from);
+    const route = await createUpgradeRoute({ ethers, infra, signer });
+    requireNoMultisig(route);
+    // Collections on an older V2Fixed build are moved to one that has the hook
+    const targetImplementation = args.options.impl
+        ? ethers.getAddress(args.options.impl)
+        : await findMigrationImplementation({ ethers, registry: ctx.registry });
+    const collections = await findFactoryOwnedCollections({ ethers, registry: ctx.registry, proxies: args.positional, targetImplementation });
+
+    ctx.log(`🔑 ${collections.length} factory-owned collection(s)`);
+    for (const collection of collections) {
+        ctx.log(`   ${collection.symbol.padEnd(8)} ${collection.proxyAddress} → ${newOwner || collection.creator}${collection.ready ? "" : " (needs the V2Fixed upgrade first)"}`);
+    }
+    const ready = collections.filter(collection => collection.ready);
+    if (ready.length > 0 && !ctx.dryRun) {
+        await confirm(ctx, `migrate ownership of ${ready.length} collection(s)`);
+    }
+
+    // The migration was confirmed as a whole, so the individual transactions are not asked again
+    const confirmed = { ...ctx, yes: true };
+    const results = [];
+    for (const collection of collections) {
+        const target = newOwner || collection.creator;
+        if (!collection.ready) {
+            results.push({ proxyAddress: collection.proxyAddress, symbol: collection.symbol, status: "skipped", reason: `on ${collection.currentContract || collection.currentImplementation}` });
+            continue;
+        }
+        const description = `migrate ownership of ${collection.symbol} to ${target}`;
+        const build = async () => route.populateUpgrade(
+            collection.proxyAddress,
+            collection.migrationImplementation,
+            await encodeMigration(ethers, target)
+        );
+        if (route.timelock) {
+            const scheduled = await schedule(confirmed, signer, route.timelock, {
+                description,
+                salt: operationSalt(["migrateOwnership", collection.proxyAddress, target]),
+                build
+            });
+            results.push({ proxyAddress: collection.proxyAddress, symbol: collection.symbol, ...scheduled });
+            continue;
+        }
+        if (ctx.dryRun) {
+            results.push({ proxyAddress: collection.proxyAddress, symbol: collection.symbol, ...summarize(await execute(ctx, signer, { description, build })) });
+            continue;
+        }
+        try {
+            const receipt = await migrateCollectionOwnership({
+                ethers,
+                registry: ctx.registry,
+                collection,
+                newOwner: target,
+                sendUpgrade: async (proxyAddress) => (await execute(confirmed, signer, {
+                    description,
+                    key: `migrate-ownership:${proxyAddress}`,
+                    build
+                })).receipt
+            });
+            results.push({ proxyAddress: collection.proxyAddress, symbol: collection.symbol, status: "migrated", newOwner: target, transactionHash: receipt.hash });
+        } catch (error) {
+            results.push({ proxyAddress: collection.proxyAddress, symbol: collection.symbol, status: "failed", error: error.shortMessage || error.message });
+        }
+    }
+    return { count: collections.length, results };
+}
+
+const COMMANDS = {
+    "upgrade": {
+        usage: "upgrade [<proxy>...] [--symbol <A,B>] [--deployer <address>] [--from-impl <address|contract>] [--all] [--batch] [--contract <ERC721LogicV2Fixed|ERC721LogicV2A|ERC721LogicV3>] [--impl <address>] [--base-uri <uri>] [--hidden-uri <uri>] [--royalty-receiver <address>] [--royalty-bps <n>] [--payees <address:shares,...>] [--phases <file>]",
+        summary: "Plan and apply upgrades of the selected collections to ERC721LogicV2Fixed (or --contract ERC721LogicV3)",
+        run: upgrade
+    },
+    "upgrade-route": {
+        usage: "upgrade-route [factory | direct [--to <address>]]",
+        summary: "Show or change whether collections are upgraded through NFTFactory or the ProxyAdmin",
+        run: upgradeRoute
+    },
+    "rollback": {
+        usage: "rollback <proxy> [--to <address|contract>] [--list] [--allow-owed-funds]",
+        summary: "Re-point a collection to an earlier implementation from its registry history",
+        run: rollback
+    },
+    "storage-check": {
+        usage: "storage-check <proxy|contract> [--target <contract>] [--verbose]",
+        summary: "Compare storage layouts slot by slot before an upgrade",
+        run: storageCheck
+    },
+    "migrate-ownership": {
+        usage: "migrate-ownership [<proxy>...] [--to <address>] [--impl <address>]",
+        summary: "Hand factory-owned collections to their creator (or --to) via the V2Fixed hook",
+        run: migrateOwnership
+    }
+};
+
+module.exports = { COMMANDS };
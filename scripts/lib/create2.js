@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+const { AbiCoder, Interface, concat, getAddress, getCreate2Address, isHexString, keccak256, id } = require("ethers");
+
+// Offline mirror of NFTFactory.predictCollectionAddress: the CREATE2 address of a
+// collection from the creator, salt and creation arguments, without touching a node.
+// Like the on-chain view, it depends on the factory's current logicContract and proxyAdmin.
+
+const PROXY_ARTIFACT = path.join(__dirname, "../../artifacts/contracts/CustomTransparentProxy.sol/CustomTransparentProxy.json");
+const INITIALIZE_ABI = ["function initialize(string name, string symbol, uint256 maxSupply, uint256 mintPrice, address initialOwner)"];
+const initializeInterface = new Interface(INITIALIZE_ABI);
+
+// Function to turn a salt given as bytes32 hex or as a label ("PGC-2024") into bytes32
+function toSalt(value) {
+    if (isHexString(value, 32)) {
+        return value;
+    }
+    return id(String(value));
+}
+
+// Function to load the CustomTransparentProxy creation code from the Hardhat artifacts
+function loadProxyBytecode(artifactPath = PROXY_ARTIFACT) {
+    if (!fs.existsSync(artifactPath)) {
+        throw new Error(`Missing ${artifactPath}; run "npx hardhat compile" first`);
+    }
+    return JSON.parse(fs.readFileSync(artifactPath, "utf8")).bytecode;
+}
+
+// Function to reproduce the factory's per-creator salt: keccak256(abi.encode(creator, salt))
+function collectionSalt(creator, salt) {
+    return keccak256(AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [getAddress(creator), toSalt(salt)]));
+}
+
+// Function to compute the address createNFTCollectionDeterministic will deploy to
+function predictCollectionAddress({
+    factoryAddress,
+    logicContract,
+    proxyAdmin,
+    creator,
+    salt,
+    name,
+    symbol,
+    maxSupply,
+    mintPrice = 0n,
+    initialOwner = creator,
+    proxyBytecode = loadProxyBytecode()
+}) {
+    const initData = initializeInterface.encodeFunctionData("initialize", [name, symbol, maxSupply, mintPrice, initialOwner]);
+    const constructorArgs = AbiCoder.defaultAbiCoder().encode(
+        ["address", "address", "bytes"],
+        [getAddress(logicContract), getAddress(proxyAdmin), initData]
+    );
+    return getCreate2Address(
+        getAddress(factoryAddress),
+        collectionSalt(creator, salt),
+        keccak256(concat([proxyBytecode, constructorArgs]))
+    );
+}
+
+module.exports = {
+    toSalt,
+    loadProxyBytecode,
+    collectionSalt,
+    predictCollectionAddress
+};
@@ -0,0 +1,522 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getAddress, isAddress, isHexString, ZeroAddress } = require("ethers");
+
+// Versioned registry of everything deployed on one network:
+//   deployments/<network>-registry.json
+//
+// It replaces the ad-hoc <network>-infrastructure/-collections/-upgrades/-v2-test-results
+// files (those are imported once by the 1 -> 2 migration) and keeps, for every proxy,
+// the complete list of implementations it has pointed to.
+
+const SCHEMA_VERSION = 2;
+const DEFAULT_DIR = path.join(__dirname, "../../deployments");
+const LEGACY_SUFFIXES = ["infrastructure", "collections", "upgrades", "v2-test-results"];
+
+const LOCK_TIMEOUT_MS = 30000;
+const LOCK_STALE_MS = 120000;
+const LOCK_RETRY_MS = 100;
+
+const HISTORY_KINDS = ["create", "upgrade", "rollback", "fleet-upgrade"];
+
+// Function to stringify bigint values for JSON files
+function jsonReplacer(key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+function emptyRegistry(networkName) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        network: networkName,
+        chainId: null,
+        updatedAt: null,
+        infrastructure: null,
+        implementations: {},
+        proxies: {},
+        runs: []
+    };
+}
+
+// Function to validate a registry document, returning a list of problems (empty when valid)
+function validateRegistry(data) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+    const checkAddress = (value, where) => {
+        if (!isAddress(value) || value !== getAddress(value)) {
+            errors.push(`${where}: expected a checksummed address, got ${JSON.stringify(value)}`);
+        }
+    };
+    const checkTx = (entry, where) => {
+        if (entry.txHash !== null && entry.txHash !== undefined && !isHexString(entry.txHash, 32)) {
+            errors.push(`${where}.txHash: expected a 32-byte hex string`);
+        }
+        if (entry.blockNumber !== null && entry.blockNumber !== undefined && !Number.isInteger(entry.blockNumber)) {
+            errors.push(`${where}.blockNumber: expected an integer`);
+        }
+    };
+
+    if (!isObject(data)) {
+        return ["registry: expected an object"];
+    }
+    if (data.schemaVersion !== SCHEMA_VERSION) {
+        errors.push(`schemaVersion: expected ${SCHEMA_VERSION}, got ${data.schemaVersion}`);
+    }
+    if (typeof data.network !== "string") {
+        errors.push("network: expected a string");
+    }
+    if (data.chainId !== null && !Number.isInteger(data.chainId)) {
+        errors.push("chainId: expected an integer or null");
+    }
+
+    if (data.infrastructure !== null) {
+        if (!isObject(data.infrastructure) || !isObject(data.infrastructure.contracts)) {
+            errors.push("infrastructure: expected { deployer, contracts }");
+        } else {
+            for (const [name, contract] of Object.entries(data.infrastructure.contracts)) {
+                checkAddress(contract.address, `infrastructure.contracts.${name}.address`);
+                checkTx(contract, `infrastructure.contracts.${name}`);
+            }
+        }
+    }
+
+    if (!isObject(data.implementations)) {
+        errors.push("implementations: expected an object keyed by address");
+    } else {
+        for (const [address, implementation] of Object.entries(data.implementations)) {
+            checkAddress(address, `implementations key ${address}`);
+            if (typeof implementation.contract !== "string") {
+                errors.push(`implementations.${address}.contract: expected a contract name`);
+            }
+            checkTx(implementation, `implementations.${address}`);
+        }
+    }
+
+    if (!isObject(data.proxies)) {
+        errors.push("proxies: expected an object keyed by address");
+    } else {
+        for (const [address, proxy] of Object.entries(data.proxies)) {
+            checkAddress(address, `proxies key ${address}`);
+            if (!Array.isArray(proxy.history) || proxy.history.length === 0) {
+                errors.push(`proxies.${address}.history: expected a non-empty array`);
+                continue;
+            }
+            proxy.history.forEach((entry, index) => {
+                const where = `proxies.${address}.history[${index}]`;
+                if (!HISTORY_KINDS.includes(entry.kind)) {
+                    errors.push(`${where}.kind: expected one of ${HISTORY_KINDS.join(", ")}`);
+                }
+                checkAddress(entry.implementation, `${where}.implementation`);
+                if (entry.initData !== null && !isHexString(entry.initData)) {
+                    errors.push(`${where}.initData: expected hex calldata or null`);
+                }
+                checkTx(entry, where);
+                if (index > 0 && entry.blockNumber !== null && proxy.history[index - 1].blockNumber !== null
+                    && entry.blockNumber < proxy.history[index - 1].blockNumber) {
+                    errors.push(`${where}.blockNumber: history must be in block order`);
+                }
+            });
+        }
+    }
+
+    if (!Array.isArray(data.runs)) {
+        errors.push("runs: expected an array");
+    }
+    return errors;
+}
+
+// Migrations, keyed by the version they upgrade FROM. Each returns a document at version + 1.
+const MIGRATIONS = {
+    // Version 1: the legacy per-script files written before the registry existed
+    1: (legacy, networkName) => {
+        const data = emptyRegistry(networkName);
+        data.schemaVersion = 2;
+        const { infrastructure, collections, upgrades } = legacy;
+        const tx = (hash, block) => ({ txHash: hash || null, blockNumber: block ?? null });
+
+        if (infrastructure) {
+            data.infrastructure = {
+                deployer: infrastructure.deployer,
+                deployedAt: infrastructure.deploymentTime,
+                contracts: Object.fromEntries(Object.entries(infrastructure.contracts).map(
+                    ([name, address]) => [name, { address: getAddress(address), ...tx() }]
+                ))
+            };
+            const v1 = infrastructure.contracts.ERC721LogicV1;
+            if (v1) {
+                data.implementations[getAddress(v1)] = { contract: "ERC721LogicV1", version: "1.0.0", ...tx() };
+            }
+        }
+
+        if (collections) {
+            const v1 = infrastructure && infrastructure.contracts.ERC721LogicV1;
+            for (const collection of collections.collections || []) {
+                data.proxies[getAddress(collection.proxyAddress)] = {
+                    name: collection.name,
+                    symbol: collection.symbol,
+                    maxSupply: String(collection.maxSupply),
+                    mintPrice: String(collection.mintPrice),
+                    deployer: collections.deployer,
+                    factory: collections.factoryAddress,
+                    history: [{
+                        kind: "create",
+                        // Legacy files never recorded the implementation; the factory only knew V1 then
+                        implementation: v1 ? getAddress(v1) : ZeroAddress,
+                        initData: null,
+                        ...tx(collection.transactionHash, collection.blockNumber),
+                        timestamp: null,
+                        recordedAt: collections.deploymentTime,
+                        note: "migrated from legacy collections file"
+                    }]
+                };
+            }
+        }
+
+        if (upgrades && upgrades.newImplementation) {
+            const implementation = getAddress(upgrades.newImplementation);
+            data.implementations[implementation] = { contract: "ERC721LogicV2Fixed", version: "2.0.0", ...tx() };
+            for (const upgraded of upgrades.upgradedCollections || []) {
+                const proxy = data.proxies[getAddress(upgraded.proxyAddress)];
+                if (proxy) {
+                    proxy.history.push({
+                        kind: "upgrade",
+                        implementation,
+                        initData: null,
+                        ...tx(),
+                        timestamp: null,
+                        recordedAt: upgrades.upgradeTime,
+                        note: "migrated from legacy upgrades file"
+                    });
+                }
+            }
+        }
+
+        if (legacy["v2-test-results"]) {
+            data.runs.push({ kind: "v2-feature-test", at: legacy["v2-test-results"].testTime, result: legacy["v2-test-results"] });
+        }
+        return data;
+    }
+};
+
+// Function to bring any known document version up to SCHEMA_VERSION
+function migrate(data, networkName) {
+    let current = data;
+    while (current.schemaVersion < SCHEMA_VERSION) {
+        const step = MIGRATIONS[current.schemaVersion];
+        if (!step) {
+            throw new Error(`No registry migration from schema version ${current.schemaVersion}`);
+        }
+        current = step(current, networkName);
+    }
+    if (current.schemaVersion > SCHEMA_VERSION) {
+        throw new Error(`Registry schema version ${current.schemaVersion} is newer than this code (${SCHEMA_VERSION}); update the scripts`);
+    }
+    return current;
+}
+
+// Function to check whether a process id is still alive
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === "EPERM";
+    }
+}
+
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+// Function to take an exclusive lock file, breaking it if its owner died or it is too old
+function acquireLock(lockPath, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+    const startedAt = Date.now();
+    while (true) {
+        try {
+            const fd = fs.openSync(lockPath, "wx");
+            fs.writeSync(fd, JSON.stringify({ pid: process.pid, since: new Date().toISOString() }));
+            fs.closeSync(fd);
+            return;
+        } catch (error) {
+            if (error.code !== "EEXIST") {
+                throw error;
+            }
+        }
+
+        try {
+            const holder = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+            const age = Date.now() - new Date(holder.since).getTime();
+            if (!isProcessAlive(holder.pid) || age > LOCK_STALE_MS) {
+                fs.unlinkSync(lockPath);
+                continue;
+            }
+        } catch (error) {
+            // Lock released (or half-written) between our attempts; just retry
+        }
+
+        if (Date.now() - startedAt > timeoutMs) {
+            throw new Error(`Timed out waiting for registry lock ${lockPath}`);
+        }
+        sleepSync(LOCK_RETRY_MS);
+    }
+}
+
+function releaseLock(lockPath) {
+    try {
+        fs.unlinkSync(lockPath);
+    } catch (error) {
+        // Already gone
+    }
+}
+
+// Open the registry for a network.
+// Reads never block; every write goes through update(), which holds the lock while it
+// re-reads, migrates, mutates, validates and atomically replaces the file.
+// The in-process "hardhat" network is reset on every run, so by default its registry (and
+// the event index) lives in a temp dir, created once per process so every script and
+// command of the run shares it.
+let hardhatDir = null;
+
+// Function to return the temp dir of the in-process network's files, removed when the process exits
+function hardhatTempDir() {
+    if (!hardhatDir) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-hardhat-"));
+        process.once("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+        hardhatDir = dir;
+    }
+    return hardhatDir;
+}
+
+function openRegistry(networkName, { dir, chainId } = {}) {
+    if (!dir && networkName === "hardhat") {
+        dir = hardhatTempDir();
+    }
+    dir = dir || DEFAULT_DIR;
+    const file = path.join(dir, `${networkName}-registry.json`);
+    const lockPath = `${file}.lock`;
+
+    function legacyFile(suffix) {
+        return path.join(dir, `${networkName}-${suffix}.json`);
+    }
+
+    function loadFromDisk() {
+        if (fs.existsSync(file)) {
+            return migrate(JSON.parse(fs.readFileSync(file, "utf8")), networkName);
+        }
+        const legacy = { schemaVersion: 1 };
+        for (const suffix of LEGACY_SUFFIXES) {
+            if (fs.existsSync(legacyFile(suffix))) {
+                legacy[suffix] = JSON.parse(fs.readFileSync(legacyFile(suffix), "utf8"));
+            }
+        }
+        return LEGACY_SUFFIXES.some(suffix => legacy[suffix])
+            ? migrate(legacy, networkName)
+            : emptyRegistry(networkName);
+    }
+
+    function read() {
+        const data = loadFromDisk();
+        if (chainId !== undefined && data.chainId !== null && data.chainId !== Number(chainId)) {
+            throw new Error(`Registry ${file} belongs to chain ${data.chainId}, but the node reports chain ${chainId}`);
+        }
+        return data;
+    }
+
+    function update(mutator) {
+        fs.mkdirSync(dir, { recursive: true });
+        acquireLock(lockPath);
+        try {
+            const data = read();
+            if (chainId !== undefined && data.chainId === null) {
+                data.chainId = Number(chainId);
+            }
+            const result = mutator(data);
+            data.updatedAt = new Date().toISOString();
+
+            const normalized = JSON.parse(JSON.stringify(data, jsonReplacer));
+            const errors = validateRegistry(normalized);
+            if (errors.length > 0) {
+                throw new Error(`Refusing to write invalid registry:\n  - ${errors.join("\n  - ")}`);
+            }
+
+            const tmpPath = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(normalized, null, 2));
+            fs.renameSync(tmpPath, file);
+
+            // The registry now holds everything the legacy files did
+            for (const suffix of LEGACY_SUFFIXES) {
+                if (fs.existsSync(legacyFile(suffix))) {
+                    fs.renameSync(legacyFile(suffix), `${legacyFile(suffix)}.migrated`);
+                }
+            }
+            return result === undefined ? normalized : result;
+        } finally {
+            releaseLock(lockPath);
+        }
+    }
+
+    function getInfrastructure() {
+        const { infrastructure } = read();
+        if (!infrastructure) {
+            throw new Error(`Infrastructure not deployed on ${networkName}! Run 01-deploy-infrastructure.js (or "nft-admin deploy-infra") first.`);
+        }
+        return Object.fromEntries(Object.entries(infrastructure.contracts).map(([name, c]) => [name, c.address]));
+    }
+
+    function recordInfrastructure({ deployer, contracts }) {
+        return update(data => {
+            data.infrastructure = {
+                deployer,
+                deployedAt: new Date().toISOString(),
+                contracts: Object.fromEntries(Object.entries(contracts).map(([name, c]) => [name, {
+                    address: getAddress(c.address),
+                    txHash: c.txHash ?? null,
+                    blockNumber: c.blockNumber ?? null
+                }]))
+            };
+        });
+    }
+
+    function recordImplementation(address, { contract, version, txHash = null, blockNumber = null }) {
+        return update(data => {
+            const key = getAddress(address);
+            data.implementations[key] = {
+                ...(data.implementations[key] || {}),
+                contract,
+                version,
+                txHash: txHash ?? data.implementations[key]?.txHash ?? null,
+                blockNumber: blockNumber ?? data.implementations[key]?.blockNumber ?? null
+            };
+        });
+    }
+
+    function appendHistory(data, proxyAddress, entry) {
+        const proxy = data.proxies[getAddress(proxyAddress)];
+        if (!proxy) {
+            throw new Error(`Proxy ${proxyAddress} is not in the ${networkName} registry`);
+        }
+        // Re-running a journaled transaction must not duplicate its history entry
+        if (entry.txHash && proxy.history.some(h => h.txHash === entry.txHash)) {
+            return;
+        }
+        proxy.history.push({
+            kind: entry.kind,
+            implementation: getAddress(entry.implementation),
+            previousImplementation: entry.previousImplementation ? getAddress(entry.previousImplementation) : undefined,
+            initData: entry.initData || null,
+            txHash: entry.txHash ?? null,
+            blockNumber: entry.blockNumber ?? null,
+            timestamp: entry.timestamp ?? null,
+            recordedAt: new Date().toISOString(),
+            ...(entry.note ? { note: entry.note } : {})
+        });
+    }
+
+    function recordProxyCreated(proxyAddress, { name, symbol, maxSupply, mintPrice, deployer, factory, fleet, implementation, initData, txHash, blockNumber, timestamp }) {
+        return update(data => {
+            const key = getAddress(proxyAddress);
+            if (data.proxies[key]) {
+                return;
+            }
+            data.proxies[key] = {
+                name,
+                symbol,
+                maxSupply: String(maxSupply),
+                mintPrice: String(mintPrice),
+                deployer,
+                factory,
+                ...(fleet ? { fleet } : {}),
+                history: []
+            };
+            appendHistory(data, key, { kind: "create", implementation, initData, txHash, blockNumber, timestamp });
+        });
+    }
+
+    function recordUpgrade(proxyAddress, { implementation, previousImplementation, initData, txHash, blockNumber, timestamp, kind = "upgrade", note }) {
+        return update(data => {
+            appendHistory(data, proxyAddress, { kind, implementation, previousImplementation, initData, txHash, blockNumber, timestamp, note });
+        });
+    }
+
+    function recordRun(kind, result) {
+        return update(data => {
+            data.runs.push({ kind, at: new Date().toISOString(), result });
+        });
+    }
+
+    function getProxy(proxyAddress) {
+        return read().proxies[getAddress(proxyAddress)] || null;
+    }
+
+    function listProxies() {
+        const data = read();
+        return Object.entries(data.proxies).map(([proxyAddress, proxy]) => {
+            const current = proxy.history[proxy.history.length - 1].implementation;
+            return {
+                proxyAddress,
+                ...proxy,
+                currentImplementation: current,
+                currentContract: data.implementations[current]?.contract || null
+            };
+        });
+    }
+
+    // Function to answer "which implementation did this proxy run at block N?"
+    function implementationAt(proxyAddress, blockNumber) {
+        const proxy = getProxy(proxyAddress);
+        if (!proxy) {
+            return null;
+        }
+        let found = null;
+        for (const entry of proxy.history) {
+            if (entry.blockNumber !== null && entry.blockNumber > blockNumber) {
+                break;
+            }
+            found = entry.implementation;
+        }
+        return found;
+    }
+
+    return {
+        file,
+        read,
+        update,
+        getInfrastructure,
+        recordInfrastructure,
+        recordImplementation,
+        recordProxyCreated,
+        recordUpgrade,
+        recordRun,
+        getProxy,
+        listProxies,
+        implementationAt
+    };
+}
+
+// Function to move all deployment artifacts into deployments/archive/<timestamp>/
+// (used for fresh runs instead of deleting history)
+function archiveDeployments(dir = DEFAULT_DIR) {
+    if (!fs.existsSync(dir)) {
+        return null;
+    }
+    const files = fs.readdirSync(dir).filter(name => fs.statSync(path.join(dir, name)).isFile());
+    if (files.length === 0) {
+        return null;
+    }
+    const archiveDir = path.join(dir, "archive", new Date().toISOString().replace(/[:.]/g, "-"));
+    fs.mkdirSync(archiveDir, { recursive: true });
+    for (const name of files) {
+        fs.renameSync(path.join(dir, name), path.join(archiveDir, name));
+    }
+    return { archiveDir, files };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    LOCK_STALE_MS,
+    openRegistry,
+    validateRegistry,
+    migrate,
+    archiveDeployments,
+    acquireLock,
+    releaseLock,
+    hardhatTempDir
+};
@@ -0,0 +1,67 @@
+// NFTFactory emergency pause: GUARDIAN_ROLE holders stop minting, transfers and burns in
+// every collection at once (setAllCollectionsPaused) or in one (setCollectionPaused).
+//
+// Collections obey it from ERC721LogicV3 on, once linked to the factory with linkFactory.
+// The factory links the collections it creates on, or upgrades to, V3, and nft-admin the
+// ones it upgrades directly through the ProxyAdmin. Earlier versions and unlinked
+// collections keep minting during a pause; the status report lists them as unprotected.
+
+const COLLECTION_ABI = [
+    "function getVersion() view returns (string)",
+    "function symbol() view returns (string)",
+    "function factory() view returns (address)",
+    "function paused() view returns (bool)"
+];
+
+// Function to check whether a factory has the emergency pause (factories deployed before it do not)
+async function supportsEmergencyPause(factory) {
+    try {
+        await factory.isCollectionPaused(await factory.getAddress());
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Function to read the pause state of one collection
+// Returns { proxyAddress, symbol, version, linked, paused, pausedByFactory, protected }
+async function readCollectionPause(ethers, factory, proxyAddress) {
+    const collection = new ethers.Contract(proxyAddress, COLLECTION_ABI, ethers.provider);
+    const version = await collection.getVersion();
+    let linked = null;
+    if (Number(version.split(".")[0]) >= 3) {
+        linked = await collection.factory();
+    }
+    const factoryAddress = await factory.getAddress();
+    const isLinked = linked !== null && linked === factoryAddress;
+    return {
+        proxyAddress,
+        symbol: await collection.symbol(),
+        version,
+        linked,
+        // What the factory asks for, and whether the collection actually stops
+        pausedByFactory: await factory.isCollectionPaused(proxyAddress),
+        paused: isLinked ? await collection.paused() : false,
+        protected: isLinked
+    };
+}
+
+// Function to read the emergency pause of the factory and every collection it deployed
+// Returns { allCollectionsPaused, collections: [...readCollectionPause], unprotected: [address] }
+async function readPauseStatus(ethers, factory) {
+    const collections = [];
+    for (const proxyAddress of await factory.getDeployedCollections()) {
+        collections.push(await readCollectionPause(ethers, factory, proxyAddress));
+    }
+    return {
+        allCollectionsPaused: await factory.allCollectionsPaused(),
+        collections,
+        unprotected: collections.filter(entry => !entry.protected).map(entry => entry.proxyAddress)
+    };
+}
+
+module.exports = {
+    supportsEmergencyPause,
+    readCollectionPause,
+    readPauseStatus
+};
@@ -0,0 +1,58 @@
+const { getAddress, dataSlice, ZeroAddress } = require("ethers");
+
+// ERC-1967 storage slots (bytes32(uint256(keccak256("eip1967.proxy.<name>")) - 1))
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+const BEACON_SLOT = "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50";
+// IBeacon.implementation()
+const IMPLEMENTATION_SELECTOR = "0x5c60da1b";
+
+// Function to read an address stored in a proxy storage slot
+async function readAddressSlot(provider, proxyAddress, slot, blockTag = "latest") {
+    const raw = await provider.getStorage(proxyAddress, slot, blockTag);
+    return getAddress(dataSlice(raw, 12));
+}
+
+// Function to read the current implementation of an ERC-1967 proxy; a fleet collection
+// (FleetProxy) without an implementation of its own runs its beacon's
+async function getImplementationAddress(provider, proxyAddress, blockTag) {
+    const implementation = await readAddressSlot(provider, proxyAddress, IMPLEMENTATION_SLOT, blockTag);
+    if (implementation !== ZeroAddress) {
+        return implementation;
+    }
+    const beacon = await getBeaconAddress(provider, proxyAddress, blockTag);
+    if (beacon === ZeroAddress) {
+        return implementation;
+    }
+    const raw = await provider.call({ to: beacon, data: IMPLEMENTATION_SELECTOR, blockTag });
+    return getAddress(dataSlice(raw, 12));
+}
+
+// Function to read the beacon a proxy follows: the ERC-1967 beacon of a fleet collection
+// that has not left its fleet, else the zero address
+async function getFleetBeacon(provider, proxyAddress, blockTag) {
+    if (await readAddressSlot(provider, proxyAddress, IMPLEMENTATION_SLOT, blockTag) !== ZeroAddress) {
+        return ZeroAddress;
+    }
+    return getBeaconAddress(provider, proxyAddress, blockTag);
+}
+
+// Function to read the beacon of an ERC-1967 beacon proxy
+async function getBeaconAddress(provider, proxyAddress, blockTag) {
+    return readAddressSlot(provider, proxyAddress, BEACON_SLOT, blockTag);
+}
+
+// Function to read the admin of an ERC-1967 proxy
+async function getAdminAddress(provider, proxyAddress, blockTag) {
+    return readAddressSlot(provider, proxyAddress, ADMIN_SLOT, blockTag);
+}
+
+module.exports = {
+    IMPLEMENTATION_SLOT,
+    ADMIN_SLOT,
+    BEACON_SLOT,
+    getImplementationAddress,
+    getAdminAddress,
+    getBeaconAddress,
+    getFleetBeacon
+};
@@ -0,0 +1,413 @@
+const fs = require("fs");
+const path = require("path");
+const { Interface, getAddress, ZeroAddress } = require("ethers");
+const { acquireLock, releaseLock, hardhatTempDir } = require("./deployment-registry");
+
+// Local event index for one network:
+//   deployments/<network>-index.json
+//
+// Follows the node from the NFTFactory deployment block, stores every factory,
+// collection, fleet beacon and ERC-1967 proxy event, and rolls back events from
+// blocks that were reorganised away. Everything in the file can be rebuilt from the chain,
+// so a schema change or a reorg deeper than the kept block hashes means "reset".
+
+const INDEX_SCHEMA_VERSION = 2;
+const DEFAULT_DIR = path.join(__dirname, "../../deployments");
+
+const DEFAULT_OPTIONS = {
+    batchSize: 2000,     // Blocks per eth_getLogs request
+    reorgWindow: 64,     // Recent block hashes kept to detect reorgs
+    pollIntervalMs: 4000 // Delay between syncs in follow mode
+};
+
+const EVENT_ABI = [
+    // NFTFactory
+    "event NFTCollectionDeployed(address indexed proxy, string name, string symbol, address indexed deployer, uint256 maxSupply, uint256 mintPrice)",
+    "event LogicContractUpdated(address indexed oldLogic, address indexed newLogic)",
+    "event ProxyAdminUpdated(address indexed oldAdmin, address indexed newAdmin)",
+    "event CollectionUpgraded(address indexed proxy, address indexed oldImplementation, address indexed newImplementation, address upgradedBy)",
+    "event ImplementationApproved(string version, address indexed implementation)",
+    "event VersionDeprecated(string version, address indexed implementation, bool deprecated)",
+    "event OpenCreationUpdated(bool open)",
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event Paused(address account)",
+    "event Unpaused(address account)",
+    "event AllCollectionsPausedUpdated(bool paused, address indexed account)",
+    "event CollectionPausedUpdated(address indexed proxy, bool paused, address indexed account)",
+    "event FleetAdded(string fleet, address indexed beacon, address indexed implementation)",
+    "event FleetCollectionCreated(address indexed proxy, address indexed beacon, string fleet)",
+    "event FleetUpgraded(string fleet, address indexed oldImplementation, address indexed newImplementation, address upgradedBy)",
+    "event CollectionLeftFleet(address indexed proxy, address indexed beacon, address indexed newImplementation)",
+    // ERC-1967 proxy
+    "event Upgraded(address indexed implementation)",
+    "event AdminChanged(address previousAdmin, address newAdmin)",
+    "event BeaconUpgraded(address indexed beacon)",
+    // Collection logic
+    "event TokenMinted(address indexed to, uint256 indexed tokenId)",
+    "event BatchMinted(address indexed to, uint256 indexed startTokenId, uint256 quantity)",
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "event BaseURIUpdated(string newBaseURI)",
+    "event Revealed(bool status)"
+];
+const eventInterface = new Interface(EVENT_ABI);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function emptyIndex({ networkName, chainId, factory, startBlock }) {
+    return {
+        schemaVersion: INDEX_SCHEMA_VERSION,
+        network: networkName,
+        chainId: chainId === undefined ? null : Number(chainId),
+        factory,
+        startBlock,
+        lastBlock: startBlock - 1,
+        updatedAt: null,
+        collections: [],
+        beacons: [],
+        blockHashes: {},
+        events: []
+    };
+}
+
+// Function to decode a log into a plain JSON event record (bigints as strings)
+function decodeLog(log) {
+    const parsed = eventInterface.parseLog(log);
+    if (!parsed) {
+        return null;
+    }
+    const args = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+        const value = parsed.args[index];
+        args[input.name] = typeof value === "bigint" ? value.toString() : value;
+    });
+    return {
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        address: getAddress(log.address),
+        event: parsed.name,
+        args
+    };
+}
+
+// Function to rebuild the set of tracked collections from the stored events
+function collectionsFromEvents(events) {
+    return events.filter(event => event.event === "NFTCollectionDeployed").map(event => event.args.proxy);
+}
+
+// Function to rebuild the set of tracked fleet beacons from the stored events
+function beaconsFromEvents(events) {
+    return events.filter(event => event.event === "FleetAdded").map(event => event.args.beacon);
+}
+
+// Create an indexer bound to one provider and factory.
+// startBlock defaults to 0; pass the factory deployment block to skip older history.
+function createIndexer({ provider, networkName, factoryAddress, chainId, startBlock = 0, dir, log = console.log, ...overrides }) {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    if (!dir) {
+        dir = networkName === "hardhat" ? hardhatTempDir() : DEFAULT_DIR;
+    }
+    const file = path.join(dir, `${networkName}-index.json`);
+    const lockPath = `${file}.lock`;
+    const factory = getAddress(factoryAddress);
+
+    function read() {
+        if (!fs.existsSync(file)) {
+            return emptyIndex({ networkName, chainId, factory, startBlock });
+        }
+        const data = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (data.schemaVersion !== INDEX_SCHEMA_VERSION) {
+            throw new Error(`Event index ${file} has schema ${data.schemaVersion} (expected ${INDEX_SCHEMA_VERSION}); rebuild it with --reset`);
+        }
+        if (chainId !== undefined && data.chainId !== null && data.chainId !== Number(chainId)) {
+            throw new Error(`Event index ${file} belongs to chain ${data.chainId}, but the node reports chain ${chainId}; rebuild it with --reset`);
+        }
+        if (data.factory !== factory) {
+            throw new Error(`Event index ${file} follows factory ${data.factory}, not ${factory}; rebuild it with --reset`);
+        }
+        return data;
+    }
+
+    function write(data) {
+        fs.mkdirSync(dir, { recursive: true });
+        data.updatedAt = new Date().toISOString();
+        const tmpPath = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, file);
+    }
+
+    // Function to discard the index so the next sync starts again from startBlock
+    function reset() {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    }
+
+    // Function to find the newest stored block that is still on the canonical chain
+    // Returns null when there is no reorg
+    async function findCommonAncestor(data) {
+        const numbers = Object.keys(data.blockHashes).map(Number).sort((a, b) => b - a);
+        for (let i = 0; i < numbers.length; i++) {
+            const block = await provider.getBlock(numbers[i]);
+            if (block && block.hash === data.blockHashes[numbers[i]]) {
+                return i === 0 ? null : numbers[i];
+            }
+        }
+        if (numbers.length === 0) {
+            return null;
+        }
+        throw new Error(`Reorg deeper than the last ${options.reorgWindow} indexed blocks; rebuild the index with --reset`);
+    }
+
+    // Function to drop every event and block hash above `blockNumber`
+    function rollback(data, blockNumber) {
+        const before = data.events.length;
+        data.events = data.events.filter(event => event.blockNumber <= blockNumber);
+        data.collections = collectionsFromEvents(data.events);
+        data.beacons = beaconsFromEvents(data.events);
+        for (const number of Object.keys(data.blockHashes)) {
+            if (Number(number) > blockNumber) {
+                delete data.blockHashes[number];
+            }
+        }
+        data.lastBlock = blockNumber;
+        return before - data.events.length;
+    }
+
+    // Function to remember block hashes near the head and forget older ones
+    async function recordBlockHashes(data, fromBlock, toBlock, head) {
+        const firstKept = Math.max(fromBlock, head - options.reorgWindow + 1);
+        for (let number = firstKept; number <= toBlock; number++) {
+            const block = await provider.getBlock(number);
+            data.blockHashes[number] = block.hash;
+        }
+        for (const number of Object.keys(data.blockHashes)) {
+            if (Number(number) <= toBlock - options.reorgWindow) {
+                delete data.blockHashes[number];
+            }
+        }
+    }
+
+    // Function to fetch and decode the events of one block range
+    // Collections and fleet beacons created inside the range are followed from the same range on
+    async function fetchRange(data, fromBlock, toBlock) {
+        const factoryLogs = await provider.getLogs({ address: factory, fromBlock, toBlock });
+        const events = factoryLogs.map(decodeLog).filter(Boolean);
+        for (const event of events) {
+            if (event.event === "NFTCollectionDeployed" && !data.collections.includes(event.args.proxy)) {
+                data.collections.push(event.args.proxy);
+            }
+            if (event.event === "FleetAdded" && !data.beacons.includes(event.args.beacon)) {
+                data.beacons.push(event.args.beacon);
+            }
+        }
+        const followed = [...data.collections, ...data.beacons];
+        if (followed.length > 0) {
+            const followedLogs = await provider.getLogs({ address: followed, fromBlock, toBlock });
+            events.push(...followedLogs.map(decodeLog).filter(Boolean));
+        }
+        return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    // Function to save `data` unless another process wrote the index after `updatedAt`
+    // (the version `data` was read at); only this short check and write hold the lock
+    function save(data, updatedAt) {
+        fs.mkdirSync(dir, { recursive: true });
+        acquireLock(lockPath);
+        try {
+            if (read().updatedAt !== updatedAt) {
+                return false;
+            }
+            write(data);
+            return true;
+        } finally {
+            releaseLock(lockPath);
+        }
+    }
+
+    // Function to index from the stored cursor up to `target`, adding to `result`
+    // Returns false, having saved the batches before, when another process wrote the index meanwhile
+    async function syncFromCursor(target, result) {
+        const data = read();
+        let savedAt = data.updatedAt;
+
+        const ancestor = await findCommonAncestor(data);
+        if (ancestor !== null) {
+            const rolledBack = rollback(data, ancestor);
+            if (!save(data, savedAt)) {
+                return false;
+            }
+            savedAt = data.updatedAt;
+            result.rolledBack += rolledBack;
+            result.reorgAt = ancestor + 1;
+            result.fromBlock = Math.min(result.fromBlock, ancestor + 1);
+            log(`   ↩️  Reorg detected at block #${ancestor + 1}; rolled back ${rolledBack} events`);
+        }
+
+        const head = await provider.getBlockNumber();
+        const last = target === undefined ? head : Math.min(Number(target), head);
+        for (let from = data.lastBlock + 1; from <= last; from += options.batchSize) {
+            const to = Math.min(from + options.batchSize - 1, last);
+            const events = await fetchRange(data, from, to);
+            data.events.push(...events);
+            await recordBlockHashes(data, from, to, head);
+            // A block replaced between getLogs and getBlock; the next sync starts from the last saved batch
+            const stale = events.find(event => data.blockHashes[event.blockNumber] && data.blockHashes[event.blockNumber] !== event.blockHash);
+            if (stale) {
+                throw new Error(`Block #${stale.blockNumber} changed while indexing; run the sync again`);
+            }
+            data.lastBlock = to;
+            if (!save(data, savedAt)) {
+                return false;
+            }
+            savedAt = data.updatedAt;
+            result.added += events.length;
+            result.toBlock = to;
+            if (events.length > 0) {
+                log(`   📥 Indexed blocks #${from}-#${to}: ${events.length} events`);
+            }
+        }
+        return true;
+    }
+
+    // Function to bring the index up to `toBlock` (default: the current head)
+    // Resumes from the last indexed block and saves after every batch. The node is
+    // queried without holding the lock; when another process saved the index in the
+    // meantime, the sync starts again from that process's cursor.
+    async function sync({ toBlock } = {}) {
+        const { lastBlock } = read();
+        const result = { fromBlock: lastBlock + 1, toBlock: lastBlock, added: 0, rolledBack: 0, reorgAt: null };
+        while (!await syncFromCursor(toBlock, result)) {
+            log("   🔁 The index was saved by another process; continuing from its last block");
+        }
+        return result;
+    }
+
+    // Function to keep syncing until `shouldStop()` returns true
+    async function follow({ shouldStop = () => false, intervalMs = options.pollIntervalMs } = {}) {
+        while (!shouldStop()) {
+            await sync();
+            if (!shouldStop()) {
+                await sleep(intervalMs);
+            }
+        }
+    }
+
+    // Function to list stored events, optionally filtered by address, event name and block range
+    function events({ address, event, fromBlock = 0, toBlock = Infinity } = {}) {
+        const wanted = address ? getAddress(address) : null;
+        return read().events.filter(entry =>
+            (!wanted || entry.address === wanted) &&
+            (!event || entry.event === event) &&
+            entry.blockNumber >= fromBlock &&
+            entry.blockNumber <= toBlock);
+    }
+
+    // Function to list collections created through the factory, optionally by deployer
+    function collections({ deployer } = {}) {
+        const wanted = deployer ? getAddress(deployer) : null;
+        return events({ address: factory, event: "NFTCollectionDeployed" })
+            .filter(entry => !wanted || entry.args.deployer === wanted)
+            .map(entry => ({
+                proxyAddress: entry.args.proxy,
+                name: entry.args.name,
+                symbol: entry.args.symbol,
+                deployer: entry.args.deployer,
+                maxSupply: entry.args.maxSupply,
+                mintPrice: entry.args.mintPrice,
+                blockNumber: entry.blockNumber,
+                transactionHash: entry.transactionHash
+            }));
+    }
+
+    // Function to replay Transfer events into the current holders of a collection
+    function holders(proxyAddress) {
+        const owners = new Map();
+        for (const entry of events({ address: proxyAddress, event: "Transfer" })) {
+            owners.set(entry.args.tokenId, entry.args.to);
+        }
+        const byHolder = new Map();
+        for (const [tokenId, owner] of owners) {
+            if (owner === ZeroAddress) {
+                continue;
+            }
+            byHolder.set(owner, [...(byHolder.get(owner) || []), tokenId]);
+        }
+        return [...byHolder.entries()]
+            .map(([holder, tokenIds]) => ({ holder, balance: tokenIds.length, tokenIds }))
+            .sort((a, b) => b.balance - a.balance);
+    }
+
+    // Function to list the implementation and admin changes of a proxy in block order
+    // A fleet collection runs its beacon's implementation, so from the proxy's BeaconUpgraded
+    // until it leaves the fleet (its own Upgraded), the beacon's Upgraded events are listed
+    // too, with the `beacon` they came from
+    function upgradeTimeline(proxyAddress) {
+        const proxy = getAddress(proxyAddress);
+        const beaconImplementation = new Map();
+        let beacon = null;
+        const timeline = [];
+        for (const entry of events()) {
+            const base = { blockNumber: entry.blockNumber, transactionHash: entry.transactionHash, event: entry.event };
+            if (entry.address === factory && entry.event === "FleetAdded") {
+                beaconImplementation.set(entry.args.beacon, entry.args.implementation);
+            } else if (beaconImplementation.has(entry.address) && entry.event === "Upgraded") {
+                beaconImplementation.set(entry.address, entry.args.implementation);
+                if (entry.address === beacon) {
+                    timeline.push({ ...base, beacon, implementation: entry.args.implementation });
+                }
+            } else if (entry.address !== proxy) {
+                continue;
+            } else if (entry.event === "BeaconUpgraded") {
+                beacon = entry.args.beacon;
+                timeline.push({ ...base, beacon, implementation: beaconImplementation.get(beacon) ?? null });
+            } else if (entry.event === "Upgraded") {
+                beacon = null;
+                timeline.push({ ...base, implementation: entry.args.implementation });
+            } else if (entry.event === "AdminChanged") {
+                timeline.push({ ...base, previousAdmin: entry.args.previousAdmin, newAdmin: entry.args.newAdmin });
+            }
+        }
+        return timeline;
+    }
+
+    return {
+        file,
+        options,
+        read,
+        reset,
+        sync,
+        follow,
+        events,
+        collections,
+        holders,
+        upgradeTimeline
+    };
+}
+
+// Function to create the indexer for the factory recorded in the deployment registry
+function openIndexer({ provider, networkName, registry, chainId, ...rest }) {
+    const { infrastructure } = registry.read();
+    const factory = infrastructure?.contracts?.NFTFactory;
+    if (!factory) {
+        throw new Error(`No NFTFactory in ${registry.file}. Run 01-deploy-infrastructure.js (or "nft-admin deploy-infra") first.`);
+    }
+    return createIndexer({
+        provider,
+        networkName,
+        chainId,
+        factoryAddress: factory.address,
+        startBlock: factory.blockNumber || 0,
+        dir: path.dirname(registry.file),
+        ...rest
+    });
+}
+
+module.exports = {
+    INDEX_SCHEMA_VERSION,
+    EVENT_ABI,
+    createIndexer,
+    openIndexer
+};
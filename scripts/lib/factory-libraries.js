@@ -0,0 +1,28 @@
+// NFTFactory links the FactoryCatalogue and FactoryFleets libraries (kept out of the
+// factory for its contract size), so they are deployed first, in this order, and the
+// factory bytecode is linked to their addresses.
+
+const FACTORY_LIBRARIES = ["FactoryCatalogue", "FactoryFleets"];
+
+// Function to get the NFTFactory contract factory linked to `libraries` ({ name: address })
+async function getLinkedFactory(ethers, libraries, signer) {
+    return ethers.getContractFactory("NFTFactory", { signer, libraries });
+}
+
+// Function to deploy the libraries and return the linked NFTFactory contract factory
+// (tests and throwaway networks; deployment scripts journal each library deployment)
+async function deployFactoryLibraries(ethers, signer) {
+    const libraries = {};
+    for (const name of FACTORY_LIBRARIES) {
+        const library = await (await ethers.getContractFactory(name, signer)).deploy();
+        await library.waitForDeployment();
+        libraries[name] = await library.getAddress();
+    }
+    return { libraries, NFTFactory: await getLinkedFactory(ethers, libraries, signer) };
+}
+
+module.exports = {
+    FACTORY_LIBRARIES,
+    getLinkedFactory,
+    deployFactoryLibraries
+};
@@ -0,0 +1,70 @@
+const { ZeroHash, id } = require("ethers");
+
+// NFTFactory gates its privileged operations by role. The factory owner holds every role
+// implicitly (so a timelock or multisig owner governs the roles too); other accounts are
+// granted roles explicitly:
+//
+//   creator      COLLECTION_CREATOR_ROLE  create collections while openCreation is off
+//   upgrader     UPGRADER_ROLE            upgradeCollection(s), upgradeFleet, leaveFleet
+//   config-admin CONFIG_ADMIN_ROLE        catalogue, default logic, ProxyAdmin, openCreation, fleets
+//   pauser       PAUSER_ROLE              pause / unpause collection creation
+//   guardian     GUARDIAN_ROLE            emergency pause of minting and transfers in collections
+//   admin        DEFAULT_ADMIN_ROLE       grant and revoke all of the above
+
+const FACTORY_ROLES = {
+    "creator": id("COLLECTION_CREATOR_ROLE"),
+    "upgrader": id("UPGRADER_ROLE"),
+    "config-admin": id("CONFIG_ADMIN_ROLE"),
+    "pauser": id("PAUSER_ROLE"),
+    "guardian": id("GUARDIAN_ROLE"),
+    "admin": ZeroHash
+};
+
+// Function to resolve a role name ("upgrader") or role id to its id
+function roleId(role) {
+    if (FACTORY_ROLES[role]) {
+        return FACTORY_ROLES[role];
+    }
+    if (/^0x[0-9a-fA-F]{64}$/.test(role)) {
+        return role;
+    }
+    throw new Error(`Unknown role "${role}" (expected ${Object.keys(FACTORY_ROLES).join(", ")})`);
+}
+
+// Function to name a role id, falling back to the id itself
+function roleName(role) {
+    return Object.keys(FACTORY_ROLES).find(name => FACTORY_ROLES[name] === role) || role;
+}
+
+// Function to list the explicit members of every role from the RoleGranted / RoleRevoked
+// logs (AccessControl keeps no member list on-chain). The owner is not listed: it holds
+// every role implicitly.
+// Returns [{ role, name, members: [address] }]
+async function listRoleMembers(factory, { fromBlock = 0 } = {}) {
+    const events = [
+        ...await factory.queryFilter(factory.filters.RoleGranted(), fromBlock),
+        ...await factory.queryFilter(factory.filters.RoleRevoked(), fromBlock)
+    ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    // The latest grant or revocation of each account wins
+    const members = new Map(Object.values(FACTORY_ROLES).map(role => [role, new Set()]));
+    for (const event of events) {
+        const { role, account } = event.args;
+        if (!members.has(role)) {
+            members.set(role, new Set());
+        }
+        if (event.eventName === "RoleGranted") {
+            members.get(role).add(account);
+        } else {
+            members.get(role).delete(account);
+        }
+    }
+    return [...members].map(([role, accounts]) => ({ role, name: roleName(role), members: [...accounts] }));
+}
+
+module.exports = {
+    FACTORY_ROLES,
+    roleId,
+    roleName,
+    listRoleMembers
+};
@@ -0,0 +1,63 @@
+// Collections are upgraded through NFTFactory.upgradeCollection(s) once the factory
+// owns the ProxyAdmin, so the factory's on-chain history stays complete. Until then
+// (or after the ProxyAdmin was handed to someone else) they are upgraded directly
+// through ProxyAdmin.upgradeAndCall. The route is decided from the ProxyAdmin owner.
+// In governance mode the factory or the ProxyAdmin is owned by an UpgradeTimelock; the
+// route then carries the timelock, and upgrades are scheduled on it (see timelock.js).
+// Owned by an UpgradeMultisig instead, the route carries the multisig and upgrades are
+// proposed and signed off-chain (see multisig.js).
+
+const { findTimelock } = require("./timelock");
+const { findMultisig } = require("./multisig");
+
+// Function to create the upgrade route for a deployment
+// Returns { via, owner, timelock, multisig, populateUpgrade(proxy, implementation, data), populateBatch(proxies, implementation, data[]) }
+async function createUpgradeRoute({ ethers, infra, signer }) {
+    const proxyAdmin = await ethers.getContractAt("ProxyAdmin", infra.ProxyAdmin, signer);
+    const factory = await ethers.getContractAt("NFTFactory", infra.NFTFactory, signer);
+    const proxyAdminOwner = await proxyAdmin.owner();
+
+    if (proxyAdminOwner === infra.NFTFactory) {
+        // The factory owner is the one allowed to upgrade
+        const factoryOwner = await factory.owner();
+        return {
+            via: "factory",
+            address: infra.NFTFactory,
+            owner: factoryOwner,
+            timelock: await findTimelock(ethers, factoryOwner, signer),
+            multisig: await findMultisig(ethers, factoryOwner, signer),
+            populateUpgrade: (proxyAddress, implementation, data) =>
+                factory.upgradeCollection.populateTransaction(proxyAddress, implementation, data),
+            populateBatch: (proxyAddresses, implementation, data) =>
+                factory.upgradeCollections.populateTransaction(proxyAddresses, implementation, data)
+        };
+    }
+    return {
+        via: "proxyAdmin",
+        address: infra.ProxyAdmin,
+        owner: proxyAdminOwner,
+        timelock: await findTimelock(ethers, proxyAdminOwner, signer),
+        multisig: await findMultisig(ethers, proxyAdminOwner, signer),
+        populateUpgrade: (proxyAddress, implementation, data) =>
+            proxyAdmin.upgradeAndCall.populateTransaction(proxyAddress, implementation, data),
+        populateBatch: () => {
+            throw new Error("Batch upgrades need the ProxyAdmin to be owned by NFTFactory");
+        }
+    };
+}
+
+// Function to read the implementation history the factory keeps for a collection
+async function readFactoryHistory(factory, proxyAddress) {
+    const history = await factory.getUpgradeHistory(proxyAddress);
+    return history.map((record, index) => ({
+        kind: index === 0 ? "create" : "upgrade",
+        implementation: record.implementation,
+        upgradedBy: record.upgradedBy,
+        timestamp: Number(record.timestamp)
+    }));
+}
+
+module.exports = {
+    createUpgradeRoute,
+    readFactoryHistory
+};
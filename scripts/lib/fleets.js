@@ -0,0 +1,54 @@
+const { ZeroAddress } = require("ethers");
+const { getFleetBeacon } = require("./erc1967");
+
+// Fleet mode: NFTFactory.createFleetCollection deploys collections on a FleetProxy that
+// follows the UpgradeableBeacon of a named fleet, so NFTFactory.upgradeFleet moves all of
+// them in one transaction. Beacons are owned by the factory; UPGRADER_ROLE upgrades them.
+//
+// A fleet collection leaves its fleet when its ProxyAdmin upgrades it (leaveFleet): from
+// then on it runs its own implementation, like a transparent collection. Per-collection
+// upgrades and rollbacks would do that silently, so they are refused for fleet members.
+
+// Function to check whether a factory has fleets (factories deployed before them do not)
+async function supportsFleets(factory) {
+    try {
+        await factory.getFleets();
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Function to read every fleet of a factory
+// Returns [{ name, beacon, implementation, collections }]
+async function readFleets(ethers, factory) {
+    const fleets = [];
+    for (const name of await factory.getFleets()) {
+        const beacon = await factory.fleetBeacon(name);
+        const upgradeableBeacon = await ethers.getContractAt("UpgradeableBeacon", beacon);
+        fleets.push({
+            name,
+            beacon,
+            implementation: await upgradeableBeacon.implementation(),
+            collections: [...await factory.getFleetCollections(name)]
+        });
+    }
+    return fleets;
+}
+
+// Function to explain why a collection cannot be upgraded or rolled back on its own
+// Returns null for collections outside a fleet
+async function fleetProblem(provider, proxyAddress) {
+    const beacon = await getFleetBeacon(provider, proxyAddress);
+    if (beacon === ZeroAddress) {
+        return null;
+    }
+    return `follows the fleet beacon ${beacon}; upgrade the whole fleet with "fleet upgrade", ` +
+        `or take the collection out with "fleet leave ${proxyAddress}"`;
+}
+
+module.exports = {
+    supportsFleets,
+    readFleets,
+    fleetProblem
+};
@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+const { deployBenchmarkFactory, benchmarkBatchMint } = require("./batch-benchmark");
+
+// Gas benchmark of the collection lifecycle on the in-process hardhat network, compared
+// with the cost table of erc721_upgradeable_factory_spec.md and with a stored baseline.
+//
+// Every run deploys the same contracts in the same order, so the numbers only move when
+// the contracts or the compiler settings do. A measurement that costs more than the
+// baseline by over the threshold (percent) is a regression.
+
+const DEFAULT_BASELINE = path.join(__dirname, "..", "..", "benchmarks", "gas-baseline.json");
+const DEFAULT_REPORT_DIR = path.join(__dirname, "..", "..", "deployments", "gas-reports");
+const DEFAULT_THRESHOLD = 5;
+const DEFAULT_MAX_BATCH = 100;
+const BATCH_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000];
+const MINT_PRICE = 10n ** 16n;
+
+// The spec's "Gas Cost Estimate" table; "~50k" is read as ±20%
+const SPEC_ESTIMATES = [
+    { action: "Deploy Logic Contract", measurement: "deploy ERC721LogicV1", low: 200000, high: 300000 },
+    { action: "Deploy Proxy", measurement: "deploy CustomTransparentProxy", low: 350000, high: 400000 },
+    { action: "Initialize Proxy", measurement: "initialize", low: 40000, high: 60000 },
+    { action: "Total per NFT", measurement: "createNFTCollection", low: 400000, high: 450000 }
+];
+
+// Function to pick the batch sizes from 1 to maxBatch
+function batchSizes(maxBatch = DEFAULT_MAX_BATCH) {
+    const max = Number(maxBatch);
+    if (!Number.isInteger(max) || max < 1) {
+        throw new Error(`Maximum batch size must be a positive integer, got "${maxBatch}"`);
+    }
+    const sizes = BATCH_STEPS.filter(size => size < max);
+    return [...sizes, max];
+}
+
+// Function to run the benchmark
+// Returns { generatedAt, network, compiler, measurements: [{ name, gasUsed, quantity? }] }
+async function runGasBenchmark(hre, { maxBatch = DEFAULT_MAX_BATCH } = {}) {
+    const { ethers } = hre;
+    const [owner, minter] = await ethers.getSigners();
+    const measurements = [];
+    const record = (name, receipt, extra = {}) => {
+        measurements.push({ name, gasUsed: Number(receipt.gasUsed), ...extra });
+    };
+
+    const { factory, proxyAdmin, logicV1 } = await deployBenchmarkFactory(ethers);
+    record("deploy ERC721LogicV1", await logicV1.deploymentTransaction().wait());
+
+    // The spec prices the proxy and its initialization separately; the factory does both at once
+    const proxy = await (await ethers.getContractFactory("CustomTransparentProxy")).deploy(
+        await logicV1.getAddress(), await proxyAdmin.getAddress(), "0x"
+    );
+    record("deploy CustomTransparentProxy", await proxy.deploymentTransaction().wait());
+    const standalone = await ethers.getContractAt("ERC721LogicV1", await proxy.getAddress());
+    record("initialize", await (await standalone.initialize("Benchmark", "BNCH", 1000, MINT_PRICE, owner.address)).wait());
+
+    record("createNFTCollection", await (await factory.createNFTCollection("Benchmark", "BNCH", 1000, MINT_PRICE)).wait());
+    const [proxyAddress] = await factory.getDeployedCollections();
+    const collection = await ethers.getContractAt("ERC721LogicV1", proxyAddress);
+    record("mint", await (await collection.connect(minter).mint(minter.address, { value: MINT_PRICE })).wait());
+
+    const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+    const logicV2 = await ERC721LogicV2Fixed.deploy();
+    await logicV2.waitForDeployment();
+    const initData = ERC721LogicV2Fixed.interface.encodeFunctionData("initializeV2Features", [
+        "https://example.com/", "https://example.com/hidden.json", owner.address, 250
+    ]);
+    record("upgradeAndCall initializeV2Features", await (await proxyAdmin.upgradeAndCall(proxyAddress, await logicV2.getAddress(), initData)).wait());
+    const collectionV2 = ERC721LogicV2Fixed.attach(proxyAddress);
+    record("reveal", await (await collectionV2.reveal()).wait());
+    record("withdraw", await (await collectionV2.withdraw()).wait());
+
+    for (const row of await benchmarkBatchMint(ethers, { sizes: batchSizes(maxBatch) })) {
+        measurements.push({ name: `batchMint ${row.contract} x${row.size}`, gasUsed: Number(row.gasUsed), quantity: row.size });
+    }
+
+    const { version, settings } = hre.config.solidity.compilers[0];
+    return {
+        generatedAt: new Date().toISOString(),
+        network: hre.network.name,
+        compiler: { version, optimizer: settings.optimizer, evmVersion: settings.evmVersion },
+        measurements
+    };
+}
+
+// Function to compare a report with a baseline report
+// Returns [{ name, gasUsed, baseline, change, status }] with change in percent and status
+// one of "regression", "improvement", "unchanged", "new" or "missing"
+function compareWithBaseline(report, baseline, { threshold = DEFAULT_THRESHOLD } = {}) {
+    const previous = new Map((baseline?.measurements || []).map(entry => [entry.name, entry.gasUsed]));
+    const rows = report.measurements.map(entry => {
+        if (!previous.has(entry.name)) {
+            return { name: entry.name, gasUsed: entry.gasUsed, baseline: null, change: null, status: "new" };
+        }
+        const before = previous.get(entry.name);
+        const change = (entry.gasUsed - before) * 100 / before;
+        const status = change > threshold ? "regression" : change < -threshold ? "improvement" : "unchanged";
+        return { name: entry.name, gasUsed: entry.gasUsed, baseline: before, change, status };
+    });
+    const current = new Set(report.measurements.map(entry => entry.name));
+    for (const [name, before] of previous) {
+        if (!current.has(name)) {
+            rows.push({ name, gasUsed: null, baseline: before, change: null, status: "missing" });
+        }
+    }
+    return rows;
+}
+
+// Function to compare a report with the spec's cost table
+// Returns [{ action, measurement, low, high, gasUsed, verdict }] with verdict "below", "within" or "above"
+function compareWithSpec(report) {
+    const measured = new Map(report.measurements.map(entry => [entry.name, entry.gasUsed]));
+    return SPEC_ESTIMATES.map(estimate => {
+        const gasUsed = measured.get(estimate.measurement) ?? null;
+        const verdict = gasUsed === null ? null : gasUsed < estimate.low ? "below" : gasUsed > estimate.high ? "above" : "within";
+        return { ...estimate, gasUsed, verdict };
+    });
+}
+
+// Function to read a baseline report (null when there is none yet)
+function loadBaseline(file = DEFAULT_BASELINE) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Function to store a report as the baseline, without the run-specific timestamp
+function writeBaseline(file, report) {
+    const { generatedAt, ...stable } = report;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(stable, null, 2) + "\n");
+}
+
+// Function to render the report, the spec comparison and the baseline comparison as markdown
+function formatMarkdown(report, { comparison, spec, threshold = DEFAULT_THRESHOLD }) {
+    const gas = value => (value === null ? "-" : value.toLocaleString("en-US"));
+    const lines = [
+        "# Gas Report",
+        "",
+        `Generated ${report.generatedAt} on ${report.network}, solc ${report.compiler.version} (optimizer ${report.compiler.optimizer?.enabled ? `on, ${report.compiler.optimizer.runs} runs` : "off"}).`,
+        "",
+        "## Spec cost table",
+        "",
+        "| Action | Measured as | Spec | Measured | |",
+        "|--------|-------------|-----:|---------:|-|"
+    ];
+    for (const row of spec) {
+        lines.push(`| ${row.action} | \`${row.measurement}\` | ${gas(row.low)}–${gas(row.high)} | ${gas(row.gasUsed)} | ${row.verdict || "-"} |`);
+    }
+    lines.push("", `## Against the baseline (threshold ${threshold}%)`, "", "| Measurement | Gas | Gas/token | Baseline | Change | |", "|-------------|----:|----------:|---------:|-------:|-|");
+    const quantities = new Map(report.measurements.map(entry => [entry.name, entry.quantity]));
+    for (const row of comparison) {
+        const quantity = quantities.get(row.name);
+        const perToken = quantity && row.gasUsed !== null ? gas(Math.floor(row.gasUsed / quantity)) : "";
+        const change = row.change === null ? "-" : `${row.change >= 0 ? "+" : ""}${row.change.toFixed(2)}%`;
+        lines.push(`| ${row.name} | ${gas(row.gasUsed)} | ${perToken} | ${gas(row.baseline)} | ${change} | ${row.status} |`);
+    }
+    return lines.join("\n") + "\n";
+}
+
+// Function to write gas-report.json and gas-report.md
+// Returns { json, markdown } with the file paths
+function writeReports(dir, report, markdown) {
+    fs.mkdirSync(dir, { recursive: true });
+    const json = path.join(dir, "gas-report.json");
+    const md = path.join(dir, "gas-report.md");
+    fs.writeFileSync(json, JSON.stringify(report, null, 2) + "\n");
+    fs.writeFileSync(md, markdown);
+    return { json, markdown: md };
+}
+
+module.exports = {
+    DEFAULT_BASELINE,
+    DEFAULT_REPORT_DIR,
+    DEFAULT_THRESHOLD,
+    SPEC_ESTIMATES,
+    batchSizes,
+    runGasBenchmark,
+    compareWithBaseline,
+    compareWithSpec,
+    loadBaseline,
+    writeBaseline,
+    formatMarkdown,
+    writeReports
+};
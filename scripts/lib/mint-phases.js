@@ -0,0 +1,154 @@
+const fs = require("fs");
+const path = require("path");
+const { loadAllowlist } = require("./allowlist");
+
+// Mint phase schedule of an ERC721LogicV3 collection:
+//
+//   closed → presale → public → ended
+//
+// Each sale window has a start and end, a price and two caps (0 = unlimited): walletCap
+// counts what a wallet minted over the whole phase, txCap limits one mint. Between and
+// before the windows the collection is closed; after the last one it has ended.
+//
+// The schedule comes from a .js or .json phase config file:
+//
+//   module.exports = {
+//       presale: { start: "2026-11-01T16:00:00Z", end: "2026-11-02T16:00:00Z", price: "0.05",
+//                  walletCap: 2, txCap: 2, allowlist: "allowlist.json" },
+//       public:  { start: "2026-11-02T16:00:00Z", end: null, price: "0.08", walletCap: 10, txCap: 5 }
+//   };
+//
+// Times are ISO dates or unix seconds, prices are in ETH. A phase left out is not held,
+// `end: null` keeps a window open for good. The presale allowlist path is relative to the
+// config file and configures the Merkle root along with the schedule.
+
+const PHASES = ["closed", "presale", "public", "ended"];
+const OPEN_ENDED = (1n << 64n) - 1n;
+const UNSCHEDULED = { start: 0n, end: 0n, price: 0n, walletCap: 0n, txCap: 0n };
+const PHASE_KEYS = ["start", "end", "price", "walletCap", "txCap", "allowlist"];
+
+// Function to parse a phase time: unix seconds or an ISO date
+function parseTime(value, label) {
+    if (typeof value === "number" || /^\d+$/.test(String(value))) {
+        return BigInt(value);
+    }
+    const millis = Date.parse(value);
+    if (Number.isNaN(millis)) {
+        throw new Error(`${label}: "${value}" is neither unix seconds nor an ISO date`);
+    }
+    return BigInt(Math.floor(millis / 1000));
+}
+
+// Function to parse a cap (0 or missing = unlimited)
+function parseCap(value, label) {
+    if (value === undefined || value === null) {
+        return 0n;
+    }
+    if (!/^\d+$/.test(String(value)) || BigInt(value) >= 1n << 32n) {
+        throw new Error(`${label}: "${value}" is not a valid cap`);
+    }
+    return BigInt(value);
+}
+
+// Function to turn one phase of a config file into a PhaseConfig struct
+function normalizePhase(ethers, name, phase) {
+    if (!phase) {
+        return { ...UNSCHEDULED };
+    }
+    const unknown = Object.keys(phase).filter(key => !PHASE_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${name}: unknown setting ${unknown.join(", ")} (expected ${PHASE_KEYS.join(", ")})`);
+    }
+    if (phase.start === undefined || phase.price === undefined) {
+        throw new Error(`${name}: start and price are required`);
+    }
+    const config = {
+        start: parseTime(phase.start, `${name}.start`),
+        end: phase.end === undefined || phase.end === null ? OPEN_ENDED : parseTime(phase.end, `${name}.end`),
+        price: ethers.parseEther(String(phase.price)),
+        walletCap: parseCap(phase.walletCap, `${name}.walletCap`),
+        txCap: parseCap(phase.txCap, `${name}.txCap`)
+    };
+    if (config.start >= config.end) {
+        throw new Error(`${name}: starts at or after its end`);
+    }
+    return config;
+}
+
+// Function to load and check a phase config file
+// Returns { presale, public, allowlistRoot } with presale / public as PhaseConfig structs
+function loadPhaseConfig(ethers, file) {
+    const resolved = path.resolve(file);
+    let raw;
+    if (resolved.endsWith(".json")) {
+        raw = JSON.parse(fs.readFileSync(resolved, "utf8"));
+    } else {
+        delete require.cache[resolved];
+        raw = require(resolved);
+    }
+    const unknown = Object.keys(raw).filter(key => key !== "presale" && key !== "public");
+    if (unknown.length > 0) {
+        throw new Error(`${file}: unknown phase ${unknown.join(", ")} (expected presale and public)`);
+    }
+    if (!raw.presale && !raw.public) {
+        throw new Error(`${file}: schedules neither a presale nor a public sale`);
+    }
+
+    const schedule = {
+        presale: normalizePhase(ethers, "presale", raw.presale),
+        public: normalizePhase(ethers, "public", raw.public),
+        allowlistRoot: null
+    };
+    if (raw.presale && raw.public && schedule.presale.end > schedule.public.start) {
+        throw new Error(`${file}: the presale must end before the public sale starts`);
+    }
+    if (raw.presale?.allowlist) {
+        schedule.allowlistRoot = loadAllowlist(path.resolve(path.dirname(resolved), raw.presale.allowlist)).root;
+    }
+    return schedule;
+}
+
+// Function to encode the calls that apply a schedule: configurePresale when it names an
+// allowlist, then setPhaseSchedule
+function encodePhaseSetup(iface, schedule) {
+    const calls = [];
+    if (schedule.allowlistRoot) {
+        calls.push(iface.encodeFunctionData("configurePresale", [schedule.allowlistRoot, schedule.presale.price]));
+    }
+    calls.push(iface.encodeFunctionData("setPhaseSchedule", [schedule.presale, schedule.public]));
+    return calls;
+}
+
+// Function to read the schedule of a collection
+// Returns { enabled, current, presale, public } with the effective PhaseConfig of each sale phase
+async function readPhaseSchedule(collection) {
+    const toConfig = ([start, end, price, walletCap, txCap]) => ({ start, end, price, walletCap, txCap });
+    return {
+        enabled: await collection.phaseScheduleEnabled(),
+        current: PHASES[Number(await collection.currentPhase())],
+        presale: toConfig(await collection.phaseConfig(1)),
+        public: toConfig(await collection.phaseConfig(2))
+    };
+}
+
+// Function to describe one sale phase in a line
+function describePhase(ethers, config, { scheduled = true } = {}) {
+    if (scheduled && config.end === 0n) {
+        return "not held";
+    }
+    const time = seconds => new Date(Number(seconds) * 1000).toISOString();
+    const cap = value => (value === 0n ? "unlimited" : value.toString());
+    const window = !scheduled
+        ? "no window"
+        : `${time(config.start)} → ${config.end === OPEN_ENDED ? "open-ended" : time(config.end)}`;
+    return `${window}, ${ethers.formatEther(config.price)} ETH, per wallet ${cap(config.walletCap)}, per transaction ${cap(config.txCap)}`;
+}
+
+module.exports = {
+    PHASES,
+    OPEN_ENDED,
+    loadPhaseConfig,
+    encodePhaseSetup,
+    readPhaseSchedule,
+    describePhase
+};
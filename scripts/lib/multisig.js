@@ -0,0 +1,209 @@
+const fs = require("fs");
+const path = require("path");
+const { TypedDataEncoder, getAddress, verifyTypedData } = require("ethers");
+const { decodeUpgrades, buildUpgradeItems } = require("./timelock");
+const { applyUpgradePlanBatch } = require("./upgrade-planner");
+
+// Offline approval flow for an UpgradeMultisig that owns the upgrade authority:
+//
+//   propose → deployments/proposals/<network>/<nonce>-<label>.json
+//   sign    → each owner adds an EIP-712 signature to the file (no transaction)
+//   submit  → once `threshold` owners signed, anyone sends UpgradeMultisig.execute
+//
+// A proposal is bound to the multisig nonce, so proposals execute strictly in order.
+
+const PROPOSAL_SCHEMA_VERSION = 1;
+const DEFAULT_DIR = path.join(__dirname, "../../deployments/proposals");
+const PROPOSAL_TYPES = {
+    Proposal: [
+        { name: "target", type: "address" },
+        { name: "data", type: "bytes" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// Function to return the multisig at an address, or null for an account or any other contract
+async function findMultisig(ethers, address, signer) {
+    if (await ethers.provider.getCode(address) === "0x") {
+        return null;
+    }
+    const multisig = await ethers.getContractAt("UpgradeMultisig", address, signer);
+    try {
+        await multisig.PROPOSAL_TYPEHASH();
+        return multisig;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Function to build an unsigned proposal
+// upgrade: optional { proxyAddress, implementation, initData } when the call upgrades a collection
+function buildProposal({ multisig, chainId, nonce, deadline, target, data, description, upgrade = null }) {
+    return {
+        schemaVersion: PROPOSAL_SCHEMA_VERSION,
+        description,
+        createdAt: new Date().toISOString(),
+        domain: { name: "UpgradeMultisig", version: "1", chainId: Number(chainId), verifyingContract: getAddress(multisig) },
+        message: { target: getAddress(target), data, nonce: nonce.toString(), deadline: deadline.toString() },
+        upgrade,
+        signatures: [],
+        submitted: null
+    };
+}
+
+// Function to compute the digest owners sign (UpgradeMultisig.proposalDigest)
+function proposalDigest(proposal) {
+    return TypedDataEncoder.hash(proposal.domain, PROPOSAL_TYPES, proposal.message);
+}
+
+// Function to recover the signer of one signature
+function recoverSigner(proposal, signature) {
+    return verifyTypedData(proposal.domain, PROPOSAL_TYPES, proposal.message, signature);
+}
+
+// Function to add the signature of `signer` to a proposal, replacing an earlier one of theirs
+async function signProposal(proposal, signer) {
+    const address = await signer.getAddress();
+    const signature = await signer.signTypedData(proposal.domain, PROPOSAL_TYPES, proposal.message);
+    if (recoverSigner(proposal, signature) !== address) {
+        throw new Error(`Signature of ${address} does not recover to its address`);
+    }
+    const signatures = proposal.signatures.filter(entry => entry.signer !== address);
+    signatures.push({ signer: address, signature, signedAt: new Date().toISOString() });
+    return { ...proposal, signatures };
+}
+
+// Function to check the signatures of a proposal against the current owners
+// Returns { valid: [{ signer, signature }], invalid: [{ signer, reason }], thresholdMet }
+function checkSignatures(proposal, { owners, threshold }) {
+    const valid = [];
+    const invalid = [];
+    for (const entry of proposal.signatures) {
+        let recovered;
+        try {
+            recovered = recoverSigner(proposal, entry.signature);
+        } catch (error) {
+            invalid.push({ signer: entry.signer, reason: "malformed signature" });
+            continue;
+        }
+        if (recovered !== entry.signer) {
+            invalid.push({ signer: entry.signer, reason: `signature recovers to ${recovered}` });
+        } else if (!owners.includes(recovered)) {
+            invalid.push({ signer: entry.signer, reason: "not an owner" });
+        } else {
+            valid.push(entry);
+        }
+    }
+    return { valid, invalid, thresholdMet: valid.length >= Number(threshold) };
+}
+
+// Function to order signatures the way UpgradeMultisig.execute expects: by signer address, ascending
+function orderSignatures(entries) {
+    return [...entries]
+        .sort((a, b) => (BigInt(a.signer) < BigInt(b.signer) ? -1 : 1))
+        .map(entry => entry.signature);
+}
+
+// Function to pick the nonce of a new proposal: after the on-chain nonce and after
+// any proposal in the directory that is still waiting to be submitted
+function nextNonce(onChainNonce, { networkName, dir = DEFAULT_DIR, multisig }) {
+    let next = BigInt(onChainNonce);
+    for (const { proposal } of listProposals({ networkName, dir })) {
+        const nonce = BigInt(proposal.message.nonce);
+        if (proposal.domain.verifyingContract === getAddress(multisig) && !proposal.submitted && nonce >= next) {
+            next = nonce + 1n;
+        }
+    }
+    return next;
+}
+
+// Function to submit a proposal that carries enough signatures. Upgrades it performs are
+// recorded in the registry and checked for preserved state like any other upgrade.
+// sendExecute: async (signatures) => transaction receipt of UpgradeMultisig.execute
+async function submitProposal(proposal, { multisig, provider, registry, interfaces, sendExecute, captureState, log = console.log }) {
+    if (proposal.submitted) {
+        throw new Error(`Proposal ${proposal.message.nonce} was already submitted in ${proposal.submitted.transactionHash}`);
+    }
+    const onChainNonce = await multisig.nonce();
+    if (BigInt(proposal.message.nonce) !== onChainNonce) {
+        throw new Error(`Proposal is for nonce ${proposal.message.nonce} but the multisig is at nonce ${onChainNonce}`);
+    }
+    const { timestamp } = await provider.getBlock("latest");
+    if (BigInt(timestamp) > BigInt(proposal.message.deadline)) {
+        throw new Error(`Proposal expired at ${new Date(Number(proposal.message.deadline) * 1000).toISOString()}`);
+    }
+    const threshold = await multisig.threshold();
+    const { valid, invalid, thresholdMet } = checkSignatures(proposal, { owners: [...await multisig.getOwners()], threshold });
+    for (const entry of invalid) {
+        log(`   ⚠️  Ignoring signature of ${entry.signer}: ${entry.reason}`);
+    }
+    if (!thresholdMet) {
+        throw new Error(`Proposal has ${valid.length} of ${threshold} required owner signature(s)`);
+    }
+    const signatures = orderSignatures(valid);
+
+    const items = await buildUpgradeItems(decodeUpgrades(interfaces, proposal.message), { provider, registry });
+    if (items.length === 0) {
+        const receipt = await sendExecute(signatures);
+        log(`   ✅ Executed in block #${receipt.blockNumber}`);
+        return { receipt, results: [] };
+    }
+    let receipt;
+    const results = await applyUpgradePlanBatch({ items }, {
+        provider,
+        registry,
+        captureState,
+        log,
+        sendBatch: async () => {
+            receipt = await sendExecute(signatures);
+            return receipt;
+        }
+    });
+    return { receipt, results };
+}
+
+// Function to write a proposal file; new proposals go to deployments/proposals/<network>/
+function saveProposal(proposal, { networkName, dir = DEFAULT_DIR, file, label }) {
+    const target = file || path.join(dir, networkName, `${proposal.message.nonce}-${label}.json`);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify(proposal, null, 2));
+    return target;
+}
+
+// Function to read a proposal file
+function loadProposal(file) {
+    const proposal = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (proposal.schemaVersion !== PROPOSAL_SCHEMA_VERSION) {
+        throw new Error(`${file}: unsupported proposal schema version ${proposal.schemaVersion}`);
+    }
+    return proposal;
+}
+
+// Function to list the proposal files of a network, ordered by nonce
+function listProposals({ networkName, dir = DEFAULT_DIR }) {
+    const networkDir = path.join(dir, networkName);
+    if (!fs.existsSync(networkDir)) {
+        return [];
+    }
+    return fs.readdirSync(networkDir)
+        .filter(name => name.endsWith(".json"))
+        .map(name => ({ file: path.join(networkDir, name), proposal: loadProposal(path.join(networkDir, name)) }))
+        .sort((a, b) => Number(BigInt(a.proposal.message.nonce) - BigInt(b.proposal.message.nonce)));
+}
+
+module.exports = {
+    PROPOSAL_TYPES,
+    findMultisig,
+    buildProposal,
+    proposalDigest,
+    recoverSigner,
+    signProposal,
+    checkSignatures,
+    orderSignatures,
+    submitProposal,
+    nextNonce,
+    saveProposal,
+    loadProposal,
+    listProposals
+};
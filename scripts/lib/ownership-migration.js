@@ -0,0 +1,111 @@
+const { id } = require("ethers");
+const { getImplementationAddress } = require("./erc1967");
+
+// Collections created before NFTFactory passed an initial owner are owned by the
+// factory itself. ERC721LogicV2Fixed.migrateOwnership hands them to their creator,
+// and can only run inside ProxyAdmin.upgradeAndCall, so the migration is an
+// "upgrade" - to the implementation the proxy already runs when that one has the
+// hook, otherwise to a V2Fixed build that has it (same storage layout).
+
+const MIGRATION_CONTRACT = "ERC721LogicV2Fixed";
+const MIGRATION_SELECTOR = id("migrateOwnership(address)").slice(2, 10);
+
+// Function to check whether the code at an implementation address has the migration hook
+async function hasMigrationHook(provider, implementation) {
+    return (await provider.getCode(implementation)).includes(MIGRATION_SELECTOR);
+}
+
+// Function to find the newest registered V2Fixed implementation that has the hook
+async function findMigrationImplementation({ ethers, registry }) {
+    const candidates = Object.entries(registry.read().implementations)
+        .filter(([, implementation]) => implementation.contract === MIGRATION_CONTRACT)
+        .sort(([, a], [, b]) => (b.blockNumber || 0) - (a.blockNumber || 0));
+    for (const [address] of candidates) {
+        if (await hasMigrationHook(ethers.provider, address)) {
+            return address;
+        }
+    }
+    return null;
+}
+
+// Function to find the collections whose Ownable owner is the factory that created them
+// proxies: optional list of proxy addresses (default: every registered collection)
+// targetImplementation: V2Fixed build with the hook, for collections on an older V2Fixed
+async function findFactoryOwnedCollections({ ethers, registry, proxies, targetImplementation }) {
+    const infra = registry.getInfrastructure();
+    const implementations = registry.read().implementations;
+    const selected = proxies && proxies.length > 0
+        ? proxies.map(proxyAddress => ({ proxyAddress: ethers.getAddress(proxyAddress), ...registry.getProxy(ethers.getAddress(proxyAddress)) }))
+        : registry.listProxies();
+
+    const found = [];
+    for (const entry of selected) {
+        const factoryAddress = entry.factory || infra.NFTFactory;
+        const collection = await ethers.getContractAt("ERC721LogicV1", entry.proxyAddress);
+        const owner = await collection.owner();
+        if (owner !== factoryAddress) {
+            continue;
+        }
+
+        const factory = await ethers.getContractAt("NFTFactory", factoryAddress);
+        const info = await factory.collectionInfo(entry.proxyAddress);
+        const currentImplementation = await getImplementationAddress(ethers.provider, entry.proxyAddress);
+        const currentContract = implementations[currentImplementation]?.contract || null;
+
+        // V1 collections go through the V2 upgrade (and its feature initialization) first
+        let migrationImplementation = null;
+        if (await hasMigrationHook(ethers.provider, currentImplementation)) {
+            migrationImplementation = currentImplementation;
+        } else if (currentContract === MIGRATION_CONTRACT && targetImplementation) {
+            migrationImplementation = targetImplementation;
+        }
+
+        found.push({
+            proxyAddress: entry.proxyAddress,
+            symbol: entry.symbol || info.symbol,
+            owner,
+            creator: info.deployer,
+            currentImplementation,
+            currentContract,
+            migrationImplementation,
+            ready: migrationImplementation !== null,
+            registered: Boolean(entry.history)
+        });
+    }
+    return found;
+}
+
+// Function to encode the upgradeAndCall data that runs the migration hook
+async function encodeMigration(ethers, newOwner) {
+    const logic = await ethers.getContractFactory(MIGRATION_CONTRACT);
+    return logic.interface.encodeFunctionData("migrateOwnership", [newOwner]);
+}
+
+// Function to hand one collection to `newOwner` through ProxyAdmin.upgradeAndCall
+// sendUpgrade: async (proxyAddress, implementation, data) => transaction receipt
+async function migrateOwnership({ ethers, registry, collection, newOwner, sendUpgrade }) {
+    const initData = await encodeMigration(ethers, newOwner);
+    const receipt = await sendUpgrade(collection.proxyAddress, collection.migrationImplementation, initData);
+
+    if (collection.registered) {
+        registry.recordUpgrade(collection.proxyAddress, {
+            implementation: collection.migrationImplementation,
+            previousImplementation: collection.currentImplementation,
+            initData,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            timestamp: (await receipt.getBlock()).timestamp,
+            note: `ownership migrated from factory ${collection.owner} to ${newOwner}`
+        });
+    }
+    return receipt;
+}
+
+module.exports = {
+    MIGRATION_CONTRACT,
+    hasMigrationHook,
+    findMigrationImplementation,
+    findFactoryOwnedCollections,
+    encodeMigration,
+    migrateOwnership
+};
@@ -0,0 +1,20 @@
+const readline = require("readline");
+
+// Function to ask for confirmation before a state-changing operation
+// Skipped with `yes`; refuses to guess in a non-interactive shell
+async function confirm({ yes, yesHint = "--yes" }, description) {
+    if (yes) {
+        return;
+    }
+    if (!process.stdin.isTTY) {
+        throw new Error(`Refusing to ${description} without confirmation in a non-interactive shell; pass ${yesHint}`);
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    const answer = await new Promise(resolve => rl.question(`   ❓ ${description}? [y/N] `, resolve));
+    rl.close();
+    if (!/^y(es)?$/i.test(answer.trim())) {
+        throw new Error("Aborted by user");
+    }
+}
+
+module.exports = { confirm };
@@ -0,0 +1,125 @@
+// Mint proceeds of a collection. From ERC721LogicV3 on, proceeds can be split between
+// payees by share: each payee's part is allocated in the contract and pulled with
+// release(payee). Without payees the owner is the only payee.
+//
+//   accrued    everything a payee is entitled to so far (released or not)
+//   released   what the payee has been sent
+//   releasable accrued - released
+//
+// Earlier versions send the whole balance to the owner with withdraw() and log nothing,
+// so only the owner's releasable amount (the balance) is known for them.
+
+const REVENUE_ABI = [
+    "function owner() view returns (address)",
+    "function getPayees() view returns (address[])",
+    "function shares(address payee) view returns (uint256)",
+    "function totalShares() view returns (uint256)",
+    "function accrued(address payee) view returns (uint256)",
+    "function released(address payee) view returns (uint256)",
+    "function releasable(address payee) view returns (uint256)",
+    "event PayeesUpdated(address[] payees, uint256[] shares)",
+    "event PaymentReleased(address indexed payee, uint256 amount)"
+];
+
+// Function to parse --payees "<address>:<shares>,<address>:<shares>" ("" for no split)
+function parsePayees(ethers, value) {
+    const entries = String(value).split(",").map(entry => entry.trim()).filter(Boolean);
+    const payees = [];
+    const shares = [];
+    for (const entry of entries) {
+        const [address, share] = entry.split(":");
+        if (!ethers.isAddress(address) || !/^\d+$/.test(share || "") || BigInt(share) === 0n) {
+            throw new Error(`Invalid payee "${entry}" (expected <address>:<shares>)`);
+        }
+        payees.push(ethers.getAddress(address));
+        shares.push(BigInt(share));
+    }
+    return { payees, shares };
+}
+
+// Function to return the current payees of a collection, or null if it cannot split (before V3)
+async function readPayees(collection) {
+    try {
+        return [...await collection.getPayees()];
+    } catch (error) {
+        return null;
+    }
+}
+
+// Function to read the revenue of one collection per payee. Former payees are found in the
+// PayeesUpdated / PaymentReleased logs and listed while they have accrued anything.
+// Returns { proxyAddress, split, balance, totalShares, payees: [{ payee, shares, current,
+//           accrued, released, releasable }] }; released is null before V3
+async function readRevenue(ethers, proxyAddress, { fromBlock = 0 } = {}) {
+    const collection = new ethers.Contract(proxyAddress, REVENUE_ABI, ethers.provider);
+    const balance = await ethers.provider.getBalance(proxyAddress);
+    const owner = await collection.owner();
+    const current = await readPayees(collection);
+    if (current === null) {
+        return {
+            proxyAddress,
+            split: false,
+            balance,
+            totalShares: null,
+            payees: [{ payee: owner, shares: null, current: true, accrued: null, released: null, releasable: balance }]
+        };
+    }
+
+    const updates = await collection.queryFilter(collection.filters.PayeesUpdated(), fromBlock);
+    const releases = await collection.queryFilter(collection.filters.PaymentReleased(), fromBlock);
+    const accounts = new Set([...current, owner]);
+    for (const event of updates) {
+        event.args.payees.forEach(payee => accounts.add(payee));
+    }
+    for (const event of releases) {
+        accounts.add(event.args.payee);
+    }
+
+    const payees = [];
+    for (const payee of accounts) {
+        const entry = {
+            payee,
+            shares: await collection.shares(payee),
+            current: current.length > 0 ? current.includes(payee) : payee === owner,
+            accrued: await collection.accrued(payee),
+            released: await collection.released(payee),
+            releasable: await collection.releasable(payee)
+        };
+        if (entry.current || entry.accrued > 0n) {
+            payees.push(entry);
+        }
+    }
+    return { proxyAddress, split: current.length > 0, balance, totalShares: await collection.totalShares(), payees };
+}
+
+// Function to read the revenue of every collection in the registry
+async function revenueReport(ethers, registry) {
+    const report = [];
+    for (const proxy of registry.listProxies()) {
+        const fromBlock = proxy.history[0]?.blockNumber ?? 0;
+        report.push({ symbol: proxy.symbol, ...await readRevenue(ethers, proxy.proxyAddress, { fromBlock }) });
+    }
+    return report;
+}
+
+// Function to return what V2's withdraw() would take from payees if the collection left its
+// revenue split: the balance minus the owner's releasable amount, i.e. the part of V3's
+// _totalOwed accrued to other payees plus their share of funds not allocated yet.
+// 0n for collections that cannot split (before V3)
+async function owedToPayees(ethers, proxyAddress) {
+    const collection = new ethers.Contract(proxyAddress, REVENUE_ABI, ethers.provider);
+    if (await readPayees(collection) === null) {
+        return 0n;
+    }
+    const balance = await ethers.provider.getBalance(proxyAddress);
+    const ownerShare = await collection.releasable(await collection.owner());
+    return balance > ownerShare ? balance - ownerShare : 0n;
+}
+
+module.exports = {
+    parsePayees,
+    readPayees,
+    readRevenue,
+    revenueReport,
+    owedToPayees
+};
@@ -0,0 +1,203 @@
+const { getAddress, isAddress, formatEther } = require("ethers");
+const { getImplementationAddress } = require("./erc1967");
+const { compareRollbackLayouts, formatStorageDiff, resolveImplementationContract } = require("./storage-layout");
+const { checkOwnershipPortable } = require("./batch-ownership");
+const { fleetProblem } = require("./fleets");
+const { owedToPayees } = require("./revenue");
+
+// A rollback re-points a proxy to an implementation it ran before, taken from the
+// registry history, with ProxyAdmin.upgradeAndCall and no init call. Storage is
+// never cleared: variables only the newer implementation declares (V2's baseURI,
+// royalties, ...) keep their values, unseen by the older one, and are read back
+// if the collection is upgraded again.
+
+// Function to list the implementations a proxy can roll back to, newest first
+function listRollbackTargets(registry, proxyAddress, currentImplementation) {
+    const proxy = registry.getProxy(proxyAddress);
+    if (!proxy) {
+        throw new Error(`${proxyAddress} is not in the registry; a rollback needs its implementation history`);
+    }
+    const implementations = registry.read().implementations;
+    const targets = [];
+    for (const entry of [...proxy.history].reverse()) {
+        if (entry.implementation === currentImplementation || targets.some(target => target.address === entry.implementation)) {
+            continue;
+        }
+        targets.push({
+            address: entry.implementation,
+            contract: implementations[entry.implementation]?.contract || null,
+            version: implementations[entry.implementation]?.version || null,
+            since: { kind: entry.kind, blockNumber: entry.blockNumber, txHash: entry.txHash }
+        });
+    }
+    return targets;
+}
+
+// Function to pick the rollback target: an address or contract name from the
+// history, or by default the implementation the proxy ran just before the current one
+function selectRollbackTarget(targets, to) {
+    if (targets.length === 0) {
+        throw new Error("No earlier implementation in the registry history");
+    }
+    if (!to) {
+        return targets[0];
+    }
+    const target = isAddress(to)
+        ? targets.find(candidate => candidate.address === getAddress(to))
+        : targets.find(candidate => candidate.contract === to);
+    if (!target) {
+        const known = targets.map(candidate => `${candidate.address} (${candidate.contract || "unknown"})`).join(", ");
+        throw new Error(`${to} is not an earlier implementation of this proxy; choose one of ${known}`);
+    }
+    return target;
+}
+
+// Function to read the values left behind in orphaned variables, through the
+// newer contract's public getters where it has one, otherwise as the raw slot.
+// A mapping keeps its entries at hashed slots and its own slot is always zero, so
+// it is reported as possibly populated (value null); a dynamic array's slot holds
+// its length
+async function readOrphanedState(hre, { proxyAddress, contract, orphaned }) {
+    const instance = await hre.ethers.getContractAt(contract, proxyAddress);
+    const values = [];
+    for (const row of orphaned) {
+        const label = row.before.split(" ")[0];
+        const type = row.before.slice(label.length + 2, -1);
+        const entry = { label, slot: row.slot, offset: row.offset, type: row.before };
+        if (type.startsWith("mapping(")) {
+            values.push({ ...entry, value: null, possiblyPopulated: true });
+            continue;
+        }
+        if (type.endsWith("[]")) {
+            values.push({ ...entry, value: BigInt(await hre.ethers.provider.getStorage(proxyAddress, BigInt(row.slot))), length: true });
+            continue;
+        }
+        const getter = instance.interface.getFunction(label, []);
+        let value;
+        if (getter && getter.outputs.length === 1) {
+            value = await instance[label]();
+        } else {
+            value = await hre.ethers.provider.getStorage(proxyAddress, BigInt(row.slot));
+        }
+        values.push({ ...entry, value });
+    }
+    return values;
+}
+
+function isEmptyValue(value) {
+    // Covers zero raw slots and the zero address as well
+    return value === "" || value === false || value === 0n || /^0x0*$/.test(String(value));
+}
+
+// Function to pick the orphaned variables that hold (or may hold) a value
+function leftInStorage(orphaned) {
+    return orphaned.filter(entry => entry.possiblyPopulated || !isEmptyValue(entry.value));
+}
+
+// Function to build the rollback plan of one collection
+// allowOwedFunds: roll back to a version without revenue splitting even though the
+// owner could then withdraw what payees are owed
+async function buildRollbackPlan(hre, { registry, proxyAddress, to, allowOwedFunds = false }) {
+    const { ethers } = hre;
+    const proxy = getAddress(proxyAddress);
+    const currentImplementation = await getImplementationAddress(ethers.provider, proxy);
+    const target = selectRollbackTarget(listRollbackTargets(registry, proxy, currentImplementation), to);
+
+    const currentContract = await resolveImplementationContract(hre, { registry, address: currentImplementation });
+    const targetContract = target.contract || await resolveImplementationContract(hre, { registry, address: target.address });
+    const comparison = await compareRollbackLayouts(hre, currentContract, targetContract);
+    const orphaned = await readOrphanedState(hre, { proxyAddress: proxy, contract: currentContract, orphaned: comparison.orphaned });
+    // A rollback through the ProxyAdmin would also take a fleet collection out of its fleet
+    // Versions before V3 withdraw the whole balance to the owner, payees' money included
+    const splits = (await hre.artifacts.readArtifact(targetContract)).abi.some(item => item.name === "releasable");
+    const owed = splits ? 0n : await owedToPayees(ethers, proxy);
+    const reason = await fleetProblem(ethers.provider, proxy)
+        || await checkOwnershipPortable(ethers, { proxyAddress: proxy, fromContract: currentContract, toContract: targetContract })
+        || (owed > 0n && !allowOwedFunds
+            ? `payees are owed ${ethers.formatEther(owed)} ETH that ${targetContract}'s withdraw() would send to the owner; ` +
+                `release it first with "revenue ${proxy} release", or pass --allow-owed-funds`
+            : null);
+
+    return {
+        proxyAddress: proxy,
+        symbol: registry.getProxy(proxy).symbol || null,
+        currentImplementation,
+        currentContract,
+        targetImplementation: target.address,
+        targetContract,
+        comparison,
+        orphaned,
+        owedToPayees: owed,
+        reason,
+        action: comparison.compatible && !reason ? "rollback" : "blocked"
+    };
+}
+
+// Function to print a rollback plan, including the state the target cannot see
+function printRollbackPlan(plan, log = console.log) {
+    log(`⏪ Rollback plan for ${plan.symbol || plan.proxyAddress} (${plan.proxyAddress})`);
+    log(`   Current impl:   ${plan.currentImplementation} (${plan.currentContract})`);
+    log(`   Rollback to:    ${plan.targetImplementation} (${plan.targetContract})`);
+    if (plan.reason) {
+        log(`   ⛔ Blocked: ${plan.reason}`);
+        return;
+    }
+    if (plan.action === "blocked") {
+        log("   ⛔ Blocked: the storage layouts conflict");
+        for (const line of formatStorageDiff(plan.comparison)) {
+            log(`      ${line}`);
+        }
+        return;
+    }
+    log("   Storage layout: no slot changes meaning");
+    if (plan.owedToPayees > 0n) {
+        log(`   ⚠️  Payees are owed ${formatEther(plan.owedToPayees)} ETH; ${plan.targetContract}'s withdraw() sends it to the owner (--allow-owed-funds)`);
+    }
+
+    const leftBehind = leftInStorage(plan.orphaned);
+    if (leftBehind.length > 0) {
+        log(`   ⚠️  State ${plan.targetContract} cannot see stays in storage:`);
+        for (const entry of leftBehind) {
+            const value = entry.possiblyPopulated ? "unverifiable, possibly populated" : entry.length ? `length ${entry.value}` : entry.value;
+            log(`      ${entry.type.padEnd(34)} slot ${String(entry.slot).padEnd(4)} = ${value}`);
+        }
+        log(`   ⚠️  Upgrading again to ${plan.currentContract} reads these values back; its one-time initializers may refuse to run`);
+    }
+}
+
+// Function to apply a rollback plan
+// sendUpgrade: async (proxyAddress, implementation) => transaction receipt of upgradeAndCall
+async function applyRollback(plan, { provider, registry, sendUpgrade }) {
+    if (plan.action !== "rollback") {
+        throw new Error(`Rollback of ${plan.proxyAddress} is blocked: ${plan.reason || "the storage layouts conflict"}`);
+    }
+    // Refuse to act on a stale plan
+    const currentImplementation = await getImplementationAddress(provider, plan.proxyAddress);
+    if (currentImplementation !== plan.currentImplementation) {
+        throw new Error(`Implementation changed since planning (now ${currentImplementation})`);
+    }
+
+    const receipt = await sendUpgrade(plan.proxyAddress, plan.targetImplementation);
+    const leftBehind = leftInStorage(plan.orphaned).map(entry => entry.possiblyPopulated ? `${entry.label} (possibly)` : entry.label);
+    registry.recordUpgrade(plan.proxyAddress, {
+        kind: "rollback",
+        implementation: plan.targetImplementation,
+        previousImplementation: plan.currentImplementation,
+        initData: "0x",
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        timestamp: (await receipt.getBlock()).timestamp,
+        note: `rolled back from ${plan.currentContract} to ${plan.targetContract}`
+            + (leftBehind.length > 0 ? `; left in storage: ${leftBehind.join(", ")}` : "")
+    });
+    return receipt;
+}
+
+module.exports = {
+    listRollbackTargets,
+    selectRollbackTarget,
+    readOrphanedState,
+    buildRollbackPlan,
+    printRollbackPlan,
+    applyRollback
+};
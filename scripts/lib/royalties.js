@@ -0,0 +1,108 @@
+// ERC-2981 royalties of a collection. From ERC721LogicV3 on, every token resolves its
+// royalty as:
+//
+//   token override (setTokenRoyalty)  →  collection default (setRoyalty)
+//
+// and royaltyInfo caps the fee at maxRoyaltyFee (10% until the owner configures it).
+// Earlier versions have only the collection default, with no maximum.
+// Fees are in basis points of the sale price (FEE_DENOMINATOR = 10000).
+
+const FEE_DENOMINATOR = 10000n;
+const ROYALTY_ABI = [
+    "function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)",
+    "function royaltyReceiver() view returns (address)",
+    "function royaltyFeeNumerator() view returns (uint96)",
+    "function maxRoyaltyFee() view returns (uint96)",
+    "function tokenRoyalty(uint256 tokenId) view returns (address receiver, uint96 feeNumerator, bool isOverride)",
+    "event TokenRoyaltyUpdated(uint256 indexed tokenId, address indexed receiver, uint96 feeNumerator)",
+    "event TokenRoyaltyDeleted(uint256 indexed tokenId)"
+];
+
+// Function to format a fee in basis points as a percentage ("7.5%")
+function formatFee(feeNumerator) {
+    return `${Number(feeNumerator) / 100}%`;
+}
+
+// Function to parse a fee given as basis points ("750") or a percentage ("7.5%")
+function parseFee(value) {
+    const text = String(value).trim();
+    const fee = text.endsWith("%") ? Math.round(Number(text.slice(0, -1)) * 100) : Number(text);
+    if (!Number.isInteger(fee) || fee < 0 || BigInt(fee) > FEE_DENOMINATOR) {
+        throw new Error(`Invalid royalty fee "${value}" (expected basis points 0-10000 or a percentage)`);
+    }
+    return BigInt(fee);
+}
+
+// Function to return the maximum royalty fee of a collection, or null if it has none (before V3)
+async function readMaxRoyaltyFee(collection) {
+    try {
+        return await collection.maxRoyaltyFee();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Function to resolve the royalty a marketplace gets for `tokenId` sold at `salePrice` (wei)
+// Returns { tokenId, receiver, source: "token" | "default", configuredFee, maxFee, feeNumerator,
+//           capped, salePrice, royaltyAmount }; maxFee is null before V3
+async function getEffectiveRoyalty(ethers, proxyAddress, tokenId, salePrice = FEE_DENOMINATOR) {
+    const collection = new ethers.Contract(proxyAddress, ROYALTY_ABI, ethers.provider);
+    const maxFee = await readMaxRoyaltyFee(collection);
+    let receiver;
+    let configuredFee;
+    let source = "default";
+    if (maxFee === null) {
+        receiver = await collection.royaltyReceiver();
+        configuredFee = await collection.royaltyFeeNumerator();
+    } else {
+        const royalty = await collection.tokenRoyalty(tokenId);
+        receiver = royalty.receiver;
+        configuredFee = royalty.feeNumerator;
+        source = royalty.isOverride ? "token" : "default";
+    }
+    const feeNumerator = maxFee !== null && configuredFee > maxFee ? maxFee : configuredFee;
+    // royaltyInfo is what marketplaces call; report its answer rather than recomputing it
+    const [, royaltyAmount] = await collection.royaltyInfo(tokenId, salePrice);
+    return {
+        tokenId: BigInt(tokenId),
+        receiver,
+        source,
+        configuredFee,
+        maxFee,
+        feeNumerator,
+        capped: feeNumerator !== configuredFee,
+        salePrice: BigInt(salePrice),
+        royaltyAmount
+    };
+}
+
+// Function to list the tokens that currently carry a royalty override, from the
+// TokenRoyaltyUpdated / TokenRoyaltyDeleted logs
+// Returns [{ tokenId, receiver, feeNumerator }] ordered by token id
+async function listTokenRoyalties(ethers, proxyAddress, { fromBlock = 0 } = {}) {
+    const collection = new ethers.Contract(proxyAddress, ROYALTY_ABI, ethers.provider);
+    const updated = await collection.queryFilter(collection.filters.TokenRoyaltyUpdated(), fromBlock);
+    const deleted = await collection.queryFilter(collection.filters.TokenRoyaltyDeleted(), fromBlock);
+    const events = [...updated, ...deleted]
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const overrides = new Map();
+    for (const event of events) {
+        const tokenId = event.args.tokenId;
+        if (event.fragment.name === "TokenRoyaltyUpdated") {
+            overrides.set(tokenId, { tokenId, receiver: event.args.receiver, feeNumerator: event.args.feeNumerator });
+        } else {
+            overrides.delete(tokenId);
+        }
+    }
+    return [...overrides.values()].sort((a, b) => (a.tokenId < b.tokenId ? -1 : 1));
+}
+
+module.exports = {
+    FEE_DENOMINATOR,
+    formatFee,
+    parseFee,
+    readMaxRoyaltyFee,
+    getEffectiveRoyalty,
+    listTokenRoyalties
+};
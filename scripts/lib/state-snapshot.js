@@ -0,0 +1,241 @@
+const fs = require("fs");
+const path = require("path");
+const { Contract, getAddress, id } = require("ethers");
+const { getImplementationAddress } = require("./erc1967");
+
+// Snapshots of the observable state of one collection, pinned to a block:
+//   deployments/snapshots/<network>/<proxy>-<block>.json
+//
+// Taken right before and right after an upgrade, two snapshots are diffed path by
+// path. Only the implementation, the version and - when the upgrade initializes
+// them, or a rollback hides them - the V2 fields may differ; any other change means
+// the upgrade did not preserve the collection's state.
+
+const SNAPSHOT_SCHEMA_VERSION = 1;
+const DEFAULT_DIR = path.join(__dirname, "../../deployments/snapshots");
+
+const COLLECTION_ABI = [
+    "function name() view returns (string)",
+    "function symbol() view returns (string)",
+    "function owner() view returns (address)",
+    "function maxSupply() view returns (uint256)",
+    "function mintPrice() view returns (uint256)",
+    "function totalSupply() view returns (uint256)",
+    "function getVersion() view returns (string)",
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function getApproved(uint256 tokenId) view returns (address)",
+    "function isApprovedForAll(address owner, address operator) view returns (bool)",
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    // ERC721LogicV2Fixed
+    "function baseURI() view returns (string)",
+    "function revealed() view returns (bool)",
+    "function notRevealedUri() view returns (string)",
+    "function royaltyReceiver() view returns (address)",
+    "function royaltyFeeNumerator() view returns (uint96)"
+];
+const APPROVAL_FOR_ALL_TOPIC = id("ApprovalForAll(address,address,bool)");
+
+// Paths that an upgrade is expected to change
+const UPGRADE_PATHS = ["implementation", "version"];
+
+// Function to call a view, returning null when the implementation does not have it
+async function tryCall(contract, method, args, blockTag) {
+    try {
+        return await contract[method](...args, { blockTag });
+    } catch (error) {
+        return null;
+    }
+}
+
+// Function to find every (owner, operator) pair that was ever approved for all,
+// from the ApprovalForAll logs of the collection
+async function findOperatorPairs(provider, proxyAddress, fromBlock, toBlock) {
+    const logs = await provider.getLogs({ address: proxyAddress, topics: [APPROVAL_FOR_ALL_TOPIC], fromBlock, toBlock });
+    const pairs = new Map();
+    for (const log of logs) {
+        const owner = getAddress("0x" + log.topics[1].slice(26));
+        const operator = getAddress("0x" + log.topics[2].slice(26));
+        pairs.set(`${owner}:${operator}`, { owner, operator });
+    }
+    return [...pairs.values()];
+}
+
+// Function to capture the state of a collection at one block
+// fromBlock: where to start looking for operator approvals (the collection's creation block)
+async function takeSnapshot({ provider, proxyAddress, blockTag, fromBlock = 0 }) {
+    const proxy = getAddress(proxyAddress);
+    const blockNumber = blockTag ?? await provider.getBlockNumber();
+    const collection = new Contract(proxy, COLLECTION_ABI, provider);
+    const { chainId } = await provider.getNetwork();
+
+    const totalSupply = await collection.totalSupply({ blockTag: blockNumber });
+    const snapshot = {
+        schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+        proxyAddress: proxy,
+        chainId: Number(chainId),
+        blockNumber,
+        takenAt: new Date().toISOString(),
+        implementation: await getImplementationAddress(provider, proxy, blockNumber),
+        version: await tryCall(collection, "getVersion", [], blockNumber),
+        state: {
+            name: await collection.name({ blockTag: blockNumber }),
+            symbol: await collection.symbol({ blockTag: blockNumber }),
+            owner: await collection.owner({ blockTag: blockNumber }),
+            maxSupply: (await collection.maxSupply({ blockTag: blockNumber })).toString(),
+            mintPrice: (await collection.mintPrice({ blockTag: blockNumber })).toString(),
+            totalSupply: totalSupply.toString(),
+            balance: (await provider.getBalance(proxy, blockNumber)).toString()
+        },
+        tokens: {},
+        operatorApprovals: [],
+        v2: null
+    };
+
+    // Token ids run from 1 to totalSupply (there is no burn)
+    for (let tokenId = 1n; tokenId <= totalSupply; tokenId++) {
+        snapshot.tokens[tokenId.toString()] = {
+            owner: await collection.ownerOf(tokenId, { blockTag: blockNumber }),
+            approved: await collection.getApproved(tokenId, { blockTag: blockNumber })
+        };
+    }
+
+    for (const { owner, operator } of await findOperatorPairs(provider, proxy, fromBlock, blockNumber)) {
+        if (await collection.isApprovedForAll(owner, operator, { blockTag: blockNumber })) {
+            snapshot.operatorApprovals.push({ owner, operator });
+        }
+    }
+
+    // V1 implementations have no baseURI(), so the V2 section stays null for them
+    const baseURI = await tryCall(collection, "baseURI", [], blockNumber);
+    if (baseURI !== null) {
+        snapshot.v2 = {
+            baseURI,
+            revealed: await collection.revealed({ blockTag: blockNumber }),
+            notRevealedUri: await collection.notRevealedUri({ blockTag: blockNumber }),
+            royaltyReceiver: await collection.royaltyReceiver({ blockTag: blockNumber }),
+            royaltyFeeNumerator: (await collection.royaltyFeeNumerator({ blockTag: blockNumber })).toString(),
+            tokenURIs: {}
+        };
+        for (const tokenId of Object.keys(snapshot.tokens)) {
+            snapshot.v2.tokenURIs[tokenId] = await tryCall(collection, "tokenURI", [tokenId], blockNumber);
+        }
+    }
+    return snapshot;
+}
+
+// Function to flatten a snapshot into "path" → value pairs
+function flatten(snapshot) {
+    const entries = new Map([
+        ["implementation", snapshot.implementation],
+        ["version", snapshot.version]
+    ]);
+    for (const [key, value] of Object.entries(snapshot.state)) {
+        entries.set(`state.${key}`, value);
+    }
+    for (const [tokenId, token] of Object.entries(snapshot.tokens)) {
+        entries.set(`tokens.${tokenId}.owner`, token.owner);
+        entries.set(`tokens.${tokenId}.approved`, token.approved);
+    }
+    for (const { owner, operator } of snapshot.operatorApprovals) {
+        entries.set(`operatorApprovals.${owner}.${operator}`, true);
+    }
+    if (snapshot.v2) {
+        for (const [key, value] of Object.entries(snapshot.v2)) {
+            if (key !== "tokenURIs") {
+                entries.set(`v2.${key}`, value);
+            }
+        }
+        for (const [tokenId, uri] of Object.entries(snapshot.v2.tokenURIs)) {
+            entries.set(`v2.tokenURIs.${tokenId}`, uri);
+        }
+    }
+    return entries;
+}
+
+// Function to diff two snapshots of the same collection
+// Changes outside UPGRADE_PATHS are violations, except V2 fields appearing for the first time
+// or going out of sight after a rollback to an implementation without them (they stay in storage)
+function diffSnapshots(before, after) {
+    if (before.proxyAddress !== after.proxyAddress) {
+        throw new Error(`Snapshots are of different collections (${before.proxyAddress}, ${after.proxyAddress})`);
+    }
+    const original = flatten(before);
+    const updated = flatten(after);
+    const changes = [];
+    for (const key of new Set([...original.keys(), ...updated.keys()])) {
+        const from = original.has(key) ? original.get(key) : null;
+        const to = updated.has(key) ? updated.get(key) : null;
+        if (from === to) {
+            continue;
+        }
+        const expected = UPGRADE_PATHS.includes(key) || (key.startsWith("v2.") && (before.v2 === null || after.v2 === null));
+        changes.push({ path: key, before: from, after: to, expected });
+    }
+    const violations = changes.filter(change => !change.expected);
+    return {
+        proxyAddress: before.proxyAddress,
+        fromBlock: before.blockNumber,
+        toBlock: after.blockNumber,
+        preserved: violations.length === 0,
+        changes,
+        violations
+    };
+}
+
+// Function to render a diff; "!" marks a change that should not have happened
+function formatSnapshotDiff(diff) {
+    const lines = [`${diff.proxyAddress}: block #${diff.fromBlock} → #${diff.toBlock}`];
+    if (diff.changes.length === 0) {
+        lines.push("  no changes");
+    }
+    for (const change of diff.changes) {
+        lines.push(`${change.expected ? " " : "!"} ${change.path.padEnd(40)} ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`);
+    }
+    return lines;
+}
+
+// Function to write a snapshot to deployments/snapshots/<network>/
+function saveSnapshot(snapshot, { networkName, dir = DEFAULT_DIR, label }) {
+    const networkDir = path.join(dir, networkName);
+    fs.mkdirSync(networkDir, { recursive: true });
+    const file = path.join(networkDir, `${snapshot.proxyAddress}-${snapshot.blockNumber}${label ? `-${label}` : ""}.json`);
+    fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+    return file;
+}
+
+// Function to return the snapshot dir that goes with a registry: deployments/snapshots for
+// the default registry, a dir inside the temporary registry dir of the hardhat network
+function snapshotDir(registry) {
+    return path.join(path.dirname(registry.file), "snapshots");
+}
+
+// Function to read a snapshot file
+function loadSnapshot(file) {
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (snapshot.schemaVersion !== SNAPSHOT_SCHEMA_VERSION) {
+        throw new Error(`${file}: unsupported snapshot schema version ${snapshot.schemaVersion}`);
+    }
+    return snapshot;
+}
+
+// Function to create the captureState hook of applyUpgradePlan: takes a snapshot,
+// scanning approvals from the collection's creation block, and saves it
+function createStateRecorder({ provider, registry, networkName, dir = snapshotDir(registry) }) {
+    return async (proxyAddress, blockTag) => {
+        const created = registry.getProxy(proxyAddress)?.history[0];
+        const snapshot = await takeSnapshot({ provider, proxyAddress, blockTag, fromBlock: created?.blockNumber ?? 0 });
+        snapshot.file = saveSnapshot(snapshot, { networkName, dir, label: blockTag === undefined ? "before" : "after" });
+        return snapshot;
+    };
+}
+
+module.exports = {
+    SNAPSHOT_SCHEMA_VERSION,
+    takeSnapshot,
+    createStateRecorder,
+    diffSnapshots,
+    formatSnapshotDiff,
+    saveSnapshot,
+    snapshotDir,
+    loadSnapshot
+};
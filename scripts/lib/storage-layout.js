@@ -0,0 +1,222 @@
+const fs = require("fs");
+const path = require("path");
+const {
+    getVersion,
+    getStorageLayout,
+    getStorageUpgradeReport,
+    isCurrentValidationData,
+    withValidationDefaults
+} = require("@openzeppelin/upgrades-core");
+const { checkOwnershipPortable } = require("./batch-ownership");
+
+// Storage layouts come from the validation data the upgrades plugin writes on
+// compile (cache/validations.json), read with @openzeppelin/upgrades-core. The plugin
+// only knows proxies it deployed itself, so the implementation behind a
+// CustomTransparentProxy is resolved by name (registry) or by bytecode, never through
+// the plugin's network manifest.
+
+// Function to read the validation data of the last compile
+function readValidations(hre) {
+    const cachePath = path.join(hre.config.paths.cache, "validations.json");
+    if (!fs.existsSync(cachePath)) {
+        throw new Error(`No validation data at ${cachePath}; compile with the upgrades plugin loaded ("npx hardhat compile --force")`);
+    }
+    const data = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    if (!isCurrentValidationData(data)) {
+        throw new Error(`${cachePath} was written by another version of the upgrades plugin; recompile with "npx hardhat compile --force"`);
+    }
+    return data;
+}
+
+// Function to load the storage layout of a compiled contract
+async function loadStorageLayout(hre, contractName) {
+    const validations = readValidations(hre);
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    try {
+        return getStorageLayout(validations, getVersion(artifact.bytecode));
+    } catch (error) {
+        throw new Error(`No storage layout for ${contractName}; recompile with "npx hardhat compile --force" (${error.message})`);
+    }
+}
+
+// Function to drop the trailing CBOR metadata from runtime bytecode
+function stripMetadata(bytecode) {
+    const code = bytecode.replace(/^0x/, "");
+    if (code.length < 4) {
+        return code;
+    }
+    const metadataLength = parseInt(code.slice(-4), 16) * 2 + 4;
+    return metadataLength < code.length ? code.slice(0, -metadataLength) : code;
+}
+
+// Function to find which compiled contract is deployed at an implementation address
+// Uses the registry first, then compares runtime bytecode with every artifact
+async function resolveImplementationContract(hre, { registry, address }) {
+    const registered = registry && registry.read().implementations[address];
+    if (registered) {
+        return registered.contract;
+    }
+
+    const deployed = stripMetadata(await hre.ethers.provider.getCode(address));
+    if (deployed.length === 0) {
+        throw new Error(`No contract deployed at implementation ${address}`);
+    }
+    for (const fullName of await hre.artifacts.getAllFullyQualifiedNames()) {
+        const artifact = await hre.artifacts.readArtifact(fullName);
+        if (artifact.deployedBytecode.length > 2 && stripMetadata(artifact.deployedBytecode) === deployed) {
+            return artifact.contractName;
+        }
+    }
+    throw new Error(`Implementation ${address} does not match any compiled contract`);
+}
+
+function describeItem(item, types) {
+    return item ? `${item.label} (${types[item.type]?.label || item.type})` : "";
+}
+
+// Function to line up two layouts slot by slot, for the main storage and every ERC-7201 namespace
+function diffLayouts(original, updated) {
+    const regions = [{ name: "storage", original: original.storage, updated: updated.storage }];
+    const namespaces = new Set([...Object.keys(original.namespaces || {}), ...Object.keys(updated.namespaces || {})]);
+    for (const namespace of namespaces) {
+        regions.push({
+            name: namespace,
+            original: original.namespaces?.[namespace] || [],
+            updated: updated.namespaces?.[namespace] || []
+        });
+    }
+
+    const rows = [];
+    for (const region of regions) {
+        const positions = new Map();
+        for (const [side, items] of [["original", region.original], ["updated", region.updated]]) {
+            for (const item of items) {
+                const key = `${item.slot}:${item.offset}`;
+                positions.set(key, { ...positions.get(key), slot: item.slot, offset: item.offset, [side]: item });
+            }
+        }
+        const sorted = [...positions.values()].sort((a, b) => {
+            const slotA = BigInt(a.slot);
+            const slotB = BigInt(b.slot);
+            if (slotA !== slotB) {
+                return slotA < slotB ? -1 : 1;
+            }
+            return a.offset - b.offset;
+        });
+
+        for (const position of sorted) {
+            const before = describeItem(position.original, original.types);
+            const after = describeItem(position.updated, updated.types);
+            let status;
+            if (before === after) {
+                status = "unchanged";
+            } else if (!position.original) {
+                status = "added";
+            } else if (!position.updated) {
+                status = "removed";
+            } else if (position.original.label.startsWith("__gap")) {
+                status = "gap";
+            } else {
+                status = "changed";
+            }
+            rows.push({ region: region.name, slot: position.slot, offset: position.offset, before, after, status });
+        }
+    }
+    return rows;
+}
+
+// Function to check that `toContract` can replace `fromContract` behind a proxy
+async function compareStorageLayouts(hre, fromContract, toContract) {
+    const original = await loadStorageLayout(hre, fromContract);
+    const updated = await loadStorageLayout(hre, toContract);
+    const report = getStorageUpgradeReport(original, updated, withValidationDefaults({ kind: "transparent" }));
+    return {
+        fromContract,
+        toContract,
+        compatible: report.ok,
+        explanation: report.ok ? null : report.explain(false),
+        rows: diffLayouts(original, updated)
+    };
+}
+
+// Function to render a comparison as a slot-by-slot table
+// Unchanged namespaced slots are collapsed unless `verbose` is set
+function formatStorageDiff(comparison, { verbose = false } = {}) {
+    const marks = { unchanged: " ", added: "+", gap: "~", removed: "-", changed: "!" };
+    const lines = [`${"".padEnd(2)}${"slot".padEnd(6)}${comparison.fromContract.padEnd(44)}${comparison.toContract}`];
+    let region = null;
+    for (const row of comparison.rows) {
+        if (!verbose && row.region !== "storage" && row.status === "unchanged") {
+            continue;
+        }
+        if (row.region !== region) {
+            region = row.region;
+            lines.push(`  [${region}]`);
+        }
+        const position = row.offset ? `${row.slot}.${row.offset}` : `${row.slot}`;
+        lines.push(`${marks[row.status]} ${position.padEnd(6)}${row.before.padEnd(44)}${row.after}`);
+    }
+    if (comparison.explanation) {
+        lines.push("", ...comparison.explanation.split("\n"));
+    }
+    return lines;
+}
+
+// Function to check that a proxy running `fromContract` can be rolled back to `toContract`
+// The upgrades-core rules reject deleted variables, which every rollback has, so here
+// a rollback is allowed when no slot changes meaning; variables that only `fromContract`
+// knows are returned as orphaned - their values stay in storage, invisible to `toContract`
+async function compareRollbackLayouts(hre, fromContract, toContract) {
+    const original = await loadStorageLayout(hre, fromContract);
+    const updated = await loadStorageLayout(hre, toContract);
+    const rows = diffLayouts(original, updated);
+    const conflicts = rows.filter(row => row.status === "changed");
+    return {
+        fromContract,
+        toContract,
+        compatible: conflicts.length === 0,
+        explanation: conflicts.length === 0
+            ? null
+            : conflicts.map(row => `${toContract} reuses slot ${row.slot} (${row.region}) as ${row.after}, holding ${row.before} under ${fromContract}`).join("\n"),
+        rows,
+        orphaned: rows.filter(row => row.status === "removed" && !row.before.startsWith("__gap"))
+    };
+}
+
+// Function to refuse an incompatible upgrade with the readable diff as the error message
+async function assertStorageCompatible(hre, fromContract, toContract) {
+    const comparison = await compareStorageLayouts(hre, fromContract, toContract);
+    if (!comparison.compatible) {
+        throw new Error(`Storage layout of ${toContract} is not compatible with ${fromContract}:\n${formatStorageDiff(comparison).join("\n")}`);
+    }
+    return comparison;
+}
+
+// Function to create the check the upgrade planner runs for every collection:
+// resolves the contract behind the proxy's current implementation and compares
+// its layout with the target contract. With the proxy address it also refuses to
+// leave consolidated ownership while tokens have implied owners (ownershipProblem).
+function createStorageGate(hre, { registry, targetContract }) {
+    return async (implementationAddress, proxyAddress = null) => {
+        const fromContract = await resolveImplementationContract(hre, { registry, address: implementationAddress });
+        const comparison = await compareStorageLayouts(hre, fromContract, targetContract);
+        if (comparison.compatible && proxyAddress) {
+            const ownershipProblem = await checkOwnershipPortable(hre.ethers, { proxyAddress, fromContract, toContract: targetContract });
+            if (ownershipProblem) {
+                return { ...comparison, compatible: false, ownershipProblem };
+            }
+        }
+        return comparison;
+    };
+}
+
+module.exports = {
+    loadStorageLayout,
+    resolveImplementationContract,
+    diffLayouts,
+    compareStorageLayouts,
+    compareRollbackLayouts,
+    formatStorageDiff,
+    assertStorageCompatible,
+    createStorageGate
+};
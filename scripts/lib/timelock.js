@@ -0,0 +1,267 @@
+const { AbiCoder, ZeroHash, keccak256, id } = require("ethers");
+const { getImplementationAddress } = require("./erc1967");
+const { applyUpgradePlanBatch } = require("./upgrade-planner");
+
+// Governance mode: an UpgradeTimelock (OpenZeppelin TimelockController) owns the upgrade
+// authority - NFTFactory when the factory owns the ProxyAdmin, otherwise the ProxyAdmin.
+// Upgrades are then scheduled as timelock operations and executed after the delay:
+//
+//   schedule → Waiting → (minDelay passes) → Ready → execute → Done
+//                  └──────── cancel ────────┘
+//
+// Every operation here is a single call (upgradeCollection, upgradeCollections,
+// upgradeAndCall, ...), identified by the hash of (target, value, data, predecessor, salt).
+
+const OPERATION_STATES = ["Unset", "Waiting", "Ready", "Done"];
+
+// Function to return the timelock at an address, or null for an account or any other contract
+async function findTimelock(ethers, address, signer) {
+    if (await ethers.provider.getCode(address) === "0x") {
+        return null;
+    }
+    const timelock = await ethers.getContractAt("UpgradeTimelock", address, signer);
+    try {
+        await timelock.getMinDelay();
+        return timelock;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Function to derive an operation salt from what the operation is about, so scheduling
+// the same thing twice gives the same operation id
+function operationSalt(parts) {
+    return id(JSON.stringify(parts));
+}
+
+// Function to compute an operation id the way TimelockController.hashOperation does
+function hashOperation({ target, value = 0n, data, predecessor = ZeroHash, salt = ZeroHash }) {
+    return keccak256(AbiCoder.defaultAbiCoder().encode(
+        ["address", "uint256", "bytes", "bytes32", "bytes32"],
+        [target, value, data, predecessor, salt]
+    ));
+}
+
+// Function to build an operation calling `target` with `data`; with a predecessor it can
+// only be executed after that operation
+function buildOperation({ target, data, predecessor = ZeroHash, salt = ZeroHash }) {
+    const operation = { target, value: 0n, data, predecessor, salt };
+    return { id: hashOperation(operation), ...operation };
+}
+
+function populateSchedule(timelock, operation, delay) {
+    return timelock.schedule.populateTransaction(operation.target, operation.value, operation.data, operation.predecessor, operation.salt, delay);
+}
+
+function populateExecute(timelock, operation) {
+    return timelock.execute.populateTransaction(operation.target, operation.value, operation.data, operation.predecessor, operation.salt);
+}
+
+function populateCancel(timelock, operationId) {
+    return timelock.cancel.populateTransaction(operationId);
+}
+
+// Function to list the operations of a timelock from its CallScheduled logs, newest last
+// Returns [{ id, target, value, data, predecessor, salt, delay, state, readyAt, scheduledIn }]
+async function listOperations(timelock, { fromBlock = 0 } = {}) {
+    const salts = new Map();
+    for (const event of await timelock.queryFilter(timelock.filters.CallSalt(), fromBlock)) {
+        salts.set(event.args.id, event.args.salt);
+    }
+    const cancelled = new Set((await timelock.queryFilter(timelock.filters.Cancelled(), fromBlock)).map(event => event.args.id));
+
+    // A cancelled operation can be scheduled again; the latest schedule wins
+    const operations = new Map();
+    for (const event of await timelock.queryFilter(timelock.filters.CallScheduled(), fromBlock)) {
+        const { target, value, data, predecessor, delay } = event.args;
+        const operationId = event.args.id;
+        const state = OPERATION_STATES[Number(await timelock.getOperationState(operationId))];
+        const pending = state === "Waiting" || state === "Ready";
+        operations.delete(operationId);
+        operations.set(operationId, {
+            id: operationId,
+            target,
+            value,
+            data,
+            predecessor,
+            salt: salts.get(operationId) ?? ZeroHash,
+            delay: Number(delay),
+            state: state === "Unset" && cancelled.has(operationId) ? "Cancelled" : state,
+            readyAt: pending ? Number(await timelock.getTimestamp(operationId)) : null,
+            scheduledIn: { blockNumber: event.blockNumber, txHash: event.transactionHash }
+        });
+    }
+    return [...operations.values()];
+}
+
+// Function to find one operation by id
+async function getOperation(timelock, operationId, options) {
+    const operation = (await listOperations(timelock, options)).find(candidate => candidate.id === operationId);
+    if (!operation) {
+        throw new Error(`No operation ${operationId} was scheduled on timelock ${timelock.target}`);
+    }
+    return operation;
+}
+
+// Function to decode an operation's call with the factory and ProxyAdmin interfaces
+function parseCall({ factoryInterface, proxyAdminInterface }, operation) {
+    for (const contractInterface of [factoryInterface, proxyAdminInterface]) {
+        try {
+            const parsed = contractInterface.parseTransaction({ data: operation.data });
+            if (parsed) {
+                return parsed;
+            }
+        } catch (error) {
+            // Not a call of this contract
+        }
+    }
+    return null;
+}
+
+// Function to list the collection upgrades an operation performs
+// Returns [{ proxyAddress, implementation, initData }]
+function decodeUpgrades(interfaces, operation) {
+    const parsed = parseCall(interfaces, operation);
+    if (!parsed) {
+        return [];
+    }
+    if (parsed.name === "upgradeCollection" || parsed.name === "upgradeAndCall") {
+        return [{ proxyAddress: parsed.args[0], implementation: parsed.args[1], initData: parsed.args[2] }];
+    }
+    if (parsed.name === "upgradeCollections") {
+        return parsed.args[0].map((proxyAddress, index) => ({
+            proxyAddress,
+            implementation: parsed.args[1],
+            initData: parsed.args[2][index]
+        }));
+    }
+    return [];
+}
+
+// Function to turn decoded upgrades into upgrade plan items, so a call that upgrades
+// collections is recorded and state-checked like a planned upgrade
+async function buildUpgradeItems(upgrades, { provider, registry }) {
+    const items = [];
+    for (const upgrade of upgrades) {
+        const proxy = registry.getProxy(upgrade.proxyAddress);
+        items.push({
+            action: "upgrade",
+            proxyAddress: upgrade.proxyAddress,
+            symbol: proxy?.symbol || null,
+            registered: Boolean(proxy),
+            currentImplementation: await getImplementationAddress(provider, upgrade.proxyAddress),
+            targetImplementation: upgrade.implementation,
+            initData: upgrade.initData
+        });
+    }
+    return items;
+}
+
+// Function to describe an operation's call in one line
+function describeOperation(interfaces, operation) {
+    const parsed = parseCall(interfaces, operation);
+    if (!parsed) {
+        return `call ${operation.data.slice(0, 10)} on ${operation.target}`;
+    }
+    const args = parsed.fragment.inputs.map((input, index) => {
+        const value = parsed.args[index];
+        return input.type === "bytes" && value.length > 22 ? `${value.slice(0, 10)}…(${(value.length - 2) / 2} bytes)` : String(value);
+    });
+    return `${parsed.name}(${args.join(", ")})`;
+}
+
+// Function to schedule one call (a populated transaction) on the timelock with its minimum delay
+// sendSchedule: async (operation, delay) => transaction receipt of schedule
+// Returns { operation, readyAt, receipt }
+async function scheduleCall(timelock, { call, predecessor = ZeroHash, salt, sendSchedule }) {
+    const delay = await timelock.getMinDelay();
+    const operation = buildOperation({ target: call.to, data: call.data, predecessor, salt });
+    const receipt = await sendSchedule(operation, delay);
+    return { operation, readyAt: (await receipt.getBlock()).timestamp + Number(delay), receipt };
+}
+
+// Function to schedule the upgrades of a plan, one operation per collection. Nothing is
+// upgraded yet: each collection changes when its operation is executed after the delay.
+// predecessor: an operation that must be executed first (e.g. the catalogue approval)
+// sendSchedule: async (operation, delay) => transaction receipt of schedule
+async function scheduleUpgradePlan(plan, { timelock, route, registry, predecessor = ZeroHash, sendSchedule, log = console.log }) {
+    const results = [];
+    for (const item of plan.items) {
+        const label = item.symbol || item.proxyAddress;
+        if (item.action !== "upgrade") {
+            results.push({ proxyAddress: item.proxyAddress, symbol: item.symbol, status: item.action === "blocked" ? "blocked" : "skipped", reason: item.reason });
+            continue;
+        }
+        try {
+            // The registry history length tells apart the same transition made again after a rollback
+            const historyLength = registry.getProxy(item.proxyAddress)?.history.length ?? 0;
+            const { operation, readyAt, receipt } = await scheduleCall(timelock, {
+                call: await route.populateUpgrade(item.proxyAddress, item.targetImplementation, item.initData),
+                predecessor,
+                salt: operationSalt([item.proxyAddress, item.currentImplementation, item.targetImplementation, historyLength]),
+                sendSchedule
+            });
+            log(`   ⏳ ${label} scheduled as ${operation.id}, executable after ${new Date(readyAt * 1000).toISOString()}`);
+            results.push({
+                proxyAddress: item.proxyAddress,
+                symbol: item.symbol,
+                status: "scheduled",
+                operationId: operation.id,
+                readyAt,
+                transactionHash: receipt.hash
+            });
+        } catch (error) {
+            log(`   ❌ ${label} could not be scheduled: ${error.shortMessage || error.message}`);
+            results.push({ proxyAddress: item.proxyAddress, symbol: item.symbol, status: "failed", error: error.shortMessage || error.message });
+        }
+    }
+    return results;
+}
+
+// Function to execute a Ready operation. Upgrades it performs are recorded in the registry
+// and checked for preserved state like any other upgrade (see upgrade-planner.js).
+// sendExecute: async (operation) => transaction receipt of execute
+async function executeOperation(operation, { provider, registry, interfaces, sendExecute, captureState, log = console.log }) {
+    if (operation.state !== "Ready") {
+        const when = operation.readyAt ? `, executable after ${new Date(operation.readyAt * 1000).toISOString()}` : "";
+        throw new Error(`Operation ${operation.id} is ${operation.state}${when}`);
+    }
+    const items = await buildUpgradeItems(decodeUpgrades(interfaces, operation), { provider, registry });
+    if (items.length === 0) {
+        const receipt = await sendExecute(operation);
+        log(`   ✅ Executed in block #${receipt.blockNumber}`);
+        return { receipt, results: [] };
+    }
+
+    let receipt;
+    const results = await applyUpgradePlanBatch({ items }, {
+        provider,
+        registry,
+        captureState,
+        log,
+        sendBatch: async () => {
+            receipt = await sendExecute(operation);
+            return receipt;
+        }
+    });
+    return { receipt, results };
+}
+
+module.exports = {
+    OPERATION_STATES,
+    findTimelock,
+    operationSalt,
+    hashOperation,
+    buildOperation,
+    populateSchedule,
+    populateExecute,
+    populateCancel,
+    listOperations,
+    getOperation,
+    decodeUpgrades,
+    buildUpgradeItems,
+    describeOperation,
+    scheduleCall,
+    scheduleUpgradePlan,
+    executeOperation
+};
@@ -0,0 +1,532 @@
+const fs = require("fs");
+const path = require("path");
+const { keccak256 } = require("ethers");
+const { acquireLock, releaseLock } = require("./deployment-registry");
+
+// Networks where blocks are produced on demand and cannot be reorganised
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const DEFAULT_OPTIONS = {
+    confirmations: 1,            // Blocks on top of the inclusion block before a tx counts as final
+    pollIntervalMs: 2000,        // How often receipts and nonces are polled
+    replaceAfterMs: 45000,       // Bump fees on the same nonce if not mined within this window
+    maxReplacements: 3,          // Give up after this many same-nonce replacements
+    feeBumpPercent: 20,          // Nodes require at least +10% to accept a replacement
+    timeoutMs: 300000            // Hard limit for a single send() call
+};
+
+// Errors with which the node refused a transaction outright, so it never entered the mempool
+const REJECTED_CODES = ["NONCE_EXPIRED", "INSUFFICIENT_FUNDS", "REPLACEMENT_UNDERPRICED"];
+const REJECTED_MESSAGES = /nonce too low|nonce has already been used|insufficient funds|doesn't have enough funds|invalid signature|invalid sender|intrinsic gas too low|exceeds block gas limit|underpriced|less than block base fee/i;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Function to tell whether a broadcast error means the node refused the transaction.
+// Anything else (a timeout, a dropped connection, a transaction mined and reverted) may
+// have left it on the node.
+function rejectedByNode(error) {
+    if (error.transactionHash) {
+        return false;
+    }
+    return REJECTED_CODES.includes(error.code) || REJECTED_MESSAGES.test(error.message || "");
+}
+
+// Function to turn bigint values into strings so records can be written as JSON
+function toJsonSafe(value) {
+    return JSON.parse(JSON.stringify(value, (key, v) => typeof v === "bigint" ? v.toString() : v));
+}
+
+// Function to return the default journal path for a network
+// The in-process "hardhat" network is reset on every run, so it gets no journal file
+function defaultJournalPath(networkName) {
+    if (networkName === "hardhat") {
+        return null;
+    }
+    return path.join(__dirname, "../../deployments", `${networkName}-tx-journal.json`);
+}
+
+// Function to load the on-disk journal (or an empty one)
+function loadJournal(journalPath) {
+    if (!journalPath || !fs.existsSync(journalPath)) {
+        return { version: 1, entries: {} };
+    }
+    const journal = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+    if (!journal.entries) {
+        throw new Error(`Malformed transaction journal: ${journalPath}`);
+    }
+    return journal;
+}
+
+// Function to persist the journal atomically (write to a temp file then rename)
+function saveJournal(journalPath, journal) {
+    if (!journalPath) {
+        return;
+    }
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    const tmpPath = `${journalPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(toJsonSafe(journal), null, 2));
+    fs.renameSync(tmpPath, journalPath);
+}
+
+// Function to change the journal on disk: under its lock, re-reads it (other processes
+// may have written entries since), applies `mutator` and saves it. Returns the new journal.
+function updateJournal(journalPath, journal, mutator) {
+    if (!journalPath) {
+        mutator(journal);
+        return journal;
+    }
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    const lockPath = `${journalPath}.lock`;
+    acquireLock(lockPath);
+    try {
+        const latest = loadJournal(journalPath);
+        mutator(latest);
+        saveJournal(journalPath, latest);
+        return latest;
+    } finally {
+        releaseLock(lockPath);
+    }
+}
+
+// Function to compute replacement fees for the same nonce
+function bumpFees(fees, percent) {
+    const bump = (value) => value === undefined || value === null
+        ? value
+        : (BigInt(value) * BigInt(100 + percent)) / 100n;
+
+    if (fees.maxFeePerGas !== undefined && fees.maxFeePerGas !== null) {
+        return {
+            maxFeePerGas: bump(fees.maxFeePerGas),
+            maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas)
+        };
+    }
+    return { gasPrice: bump(fees.gasPrice) };
+}
+
+// Function to pick the initial fees for a transaction from the node's fee data
+async function initialFees(provider, txRequest) {
+    if (txRequest.gasPrice !== undefined || txRequest.maxFeePerGas !== undefined) {
+        return txRequest.maxFeePerGas !== undefined
+            ? { maxFeePerGas: txRequest.maxFeePerGas, maxPriorityFeePerGas: txRequest.maxPriorityFeePerGas }
+            : { gasPrice: txRequest.gasPrice };
+    }
+
+    const feeData = await provider.getFeeData();
+    if (feeData.maxFeePerGas !== null && txRequest.type !== 0) {
+        return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+    }
+    return { gasPrice: feeData.gasPrice };
+}
+
+// Function to build a journal key that covers every argument of a call: `prefix` names
+// the operation for humans, the calldata hash tells apart calls that differ in any argument
+function callKey(prefix, request) {
+    return `${prefix}:${keccak256(request.data || "0x").slice(2, 18)}`;
+}
+
+// Create a transaction manager shared by all scripts.
+//
+// Every transaction goes through send(), which:
+//   - assigns nonces per signer locally, and past the ones other processes have in flight
+//     in the journal, so concurrent sends never collide
+//   - replaces a slow transaction on the SAME nonce with bumped fees instead of
+//     re-submitting with a fresh nonce (which could execute the call twice)
+//   - waits for `confirmations` blocks and re-checks the inclusion block hash to detect reorgs
+//   - records every transaction in an on-disk journal; calling send() again with the
+//     same `key` after a crash resumes the original transaction instead of sending a new one.
+//     Processes sharing the journal re-read it under a lock before every write.
+function createTransactionManager({ provider, networkName, journalPath, log = console.log, ...overrides }) {
+    if (!provider) {
+        throw new Error("createTransactionManager requires a provider");
+    }
+
+    const isLocal = LOCAL_NETWORKS.includes(networkName);
+    const options = {
+        ...DEFAULT_OPTIONS,
+        confirmations: isLocal ? 1 : 3,
+        ...overrides
+    };
+    const resolvedJournalPath = journalPath === undefined ? defaultJournalPath(networkName) : journalPath;
+    let journal = loadJournal(resolvedJournalPath);
+    const nextNonces = new Map();
+    let sequence = 0;
+
+    function record(key, fields) {
+        journal = updateJournal(resolvedJournalPath, journal, (latest) => {
+            latest.entries[key] = {
+                ...(latest.entries[key] || {}),
+                ...toJsonSafe(fields),
+                updatedAt: new Date().toISOString()
+            };
+        });
+        return journal.entries[key];
+    }
+
+    // Function to re-read the journal as the other processes left it
+    function refresh() {
+        if (resolvedJournalPath) {
+            journal = loadJournal(resolvedJournalPath);
+        }
+        return journal;
+    }
+
+    // Function to read one entry of the journal
+    function lookup(key) {
+        return refresh().entries[key];
+    }
+
+    // Function to write a new entry for `key` on the signer's next nonce, unless another
+    // process wrote one first (an entry other than `replacing`, the one send() is replacing).
+    // The nonce is the highest of the node's pending count, what this process handed out
+    // and the nonces other processes have in flight.
+    // Returns { entry, created }
+    async function claim(key, address, fields, replacing) {
+        const pending = await provider.getTransactionCount(address, "pending");
+        let created = false;
+        journal = updateJournal(resolvedJournalPath, journal, (latest) => {
+            const current = latest.entries[key];
+            if (current && !(replacing && current.updatedAt === replacing.updatedAt)) {
+                return;
+            }
+            const inFlight = Object.values(latest.entries)
+                .filter(entry => entry.signer === address && entry.status === "sent"
+                    && Date.now() - new Date(entry.updatedAt).getTime() < options.timeoutMs)
+                .map(entry => entry.nonce + 1);
+            const nonce = Math.max(pending, nextNonces.get(address) ?? 0, ...inFlight);
+            nextNonces.set(address, nonce + 1);
+            latest.entries[key] = { ...toJsonSafe({ ...fields, nonce }), updatedAt: new Date().toISOString() };
+            created = true;
+        });
+        return { entry: journal.entries[key], created };
+    }
+
+    // Function to drop an entry whose transaction the node refused
+    function forget(key) {
+        journal = updateJournal(resolvedJournalPath, journal, (latest) => {
+            delete latest.entries[key];
+        });
+    }
+
+    // Function to wait until a receipt has enough confirmations and is still canonical
+    // Returns null if the inclusion block was reorganised away
+    async function confirmReceipt(receipt, description) {
+        const target = receipt.blockNumber + options.confirmations - 1;
+        while ((await provider.getBlockNumber()) < target) {
+            await sleep(options.pollIntervalMs);
+        }
+
+        const block = await provider.getBlock(receipt.blockNumber);
+        const latest = await provider.getTransactionReceipt(receipt.hash);
+        if (!block || !latest || block.hash !== receipt.blockHash || latest.blockHash !== receipt.blockHash) {
+            log(`   🔀 Reorg detected for ${description}: block #${receipt.blockNumber} (${receipt.blockHash.slice(0, 10)}...) is no longer canonical`);
+            return null;
+        }
+        return latest;
+    }
+
+    // Function to look for a mined receipt among all hashes sent for one nonce
+    async function findReceipt(hashes) {
+        for (const hash of hashes) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (receipt) {
+                return receipt;
+            }
+        }
+        return null;
+    }
+
+    // Function to sign and broadcast a request on a fixed nonce
+    // Signers holding their key sign first and hand the hash to `onSigned` before anything
+    // is sent, so a broadcast that fails halfway can still be looked up; accounts the node
+    // manages (eth_sendTransaction) only learn the hash from its answer
+    async function broadcast(signer, entry, fees, onSigned = () => {}) {
+        const tx = {
+            to: entry.request.to || null,
+            data: entry.request.data || "0x",
+            value: entry.request.value ? BigInt(entry.request.value) : 0n,
+            gasLimit: entry.request.gasLimit ? BigInt(entry.request.gasLimit) : undefined,
+            chainId: entry.request.chainId ? BigInt(entry.request.chainId) : undefined,
+            nonce: entry.nonce,
+            ...fees
+        };
+        let signed = null;
+        try {
+            signed = await signer.signTransaction(await signer.populateTransaction(tx));
+        } catch (error) {
+            // The signer cannot sign locally (e.g. HardhatEthersSigner)
+        }
+        if (!signed) {
+            return (await signer.sendTransaction(tx)).hash;
+        }
+        const hash = keccak256(signed);
+        onSigned(hash);
+        try {
+            await provider.broadcastTransaction(signed);
+        } catch (error) {
+            // A previous attempt already delivered this exact transaction
+            if (!/already known/i.test(error.message || "")) {
+                throw error;
+            }
+        }
+        return hash;
+    }
+
+    // Function to drive a journal entry to a confirmed receipt
+    async function settle(signer, key, description) {
+        const startedAt = Date.now();
+        let entry = lookup(key);
+        let fees = entry.fees;
+        let lastBroadcastAt = Date.now();
+
+        while (true) {
+            if (Date.now() - startedAt > options.timeoutMs) {
+                throw new Error(`Timed out after ${options.timeoutMs / 1000}s waiting for ${description} (nonce ${entry.nonce})`);
+            }
+
+            const receipt = await findReceipt(entry.hashes);
+            if (receipt) {
+                const confirmed = await confirmReceipt(receipt, description);
+                if (confirmed) {
+                    record(key, {
+                        status: confirmed.status === 1 ? "confirmed" : "reverted",
+                        hash: confirmed.hash,
+                        blockNumber: confirmed.blockNumber,
+                        blockHash: confirmed.blockHash,
+                        gasUsed: confirmed.gasUsed,
+                        contractAddress: confirmed.contractAddress
+                    });
+                    if (confirmed.status !== 1) {
+                        throw new Error(`${description} reverted in block #${confirmed.blockNumber} (${confirmed.hash})`);
+                    }
+                    return confirmed;
+                }
+                // Reorged out: the node normally returns the tx to its mempool, keep waiting below
+            }
+
+            const minedCount = await provider.getTransactionCount(entry.signer, "latest");
+            if (!receipt && minedCount > entry.nonce) {
+                // One of our hashes may have been mined between the two reads
+                if (await findReceipt(entry.hashes)) {
+                    continue;
+                }
+                // The nonce was consumed but none of our hashes were mined: something else used it
+                record(key, { status: "nonce-consumed" });
+                throw new Error(`Nonce ${entry.nonce} of ${entry.signer} was consumed by an unknown transaction; ${description} was NOT executed. Inspect the chain before retrying.`);
+            }
+
+            if (Date.now() - lastBroadcastAt >= options.replaceAfterMs) {
+                if (entry.replacements >= options.maxReplacements) {
+                    throw new Error(`${description} still pending after ${entry.replacements} fee bumps on nonce ${entry.nonce}`);
+                }
+                fees = bumpFees(fees, options.feeBumpPercent);
+                log(`   ⛽ ${description} not mined yet, replacing nonce ${entry.nonce} with +${options.feeBumpPercent}% fees...`);
+                try {
+                    const hash = await broadcast(signer, entry, fees);
+                    entry = record(key, {
+                        hashes: [...entry.hashes, hash],
+                        fees,
+                        replacements: entry.replacements + 1
+                    });
+                    log(`   📤 Replacement sent: ${hash.slice(0, 10)}...`);
+                } catch (error) {
+                    // Usually "nonce too low": an earlier hash got mined meanwhile, the next poll picks it up
+                    log(`   ⚠️  Replacement rejected: ${error.shortMessage || error.message}`);
+                }
+                lastBroadcastAt = Date.now();
+            }
+
+            await sleep(options.pollIntervalMs);
+        }
+    }
+
+    // Function to send a transaction, or resume it from the journal when `key` was seen before
+    //   signer:     ethers signer
+    //   txRequest:  transaction request ({ to, data, value, gasLimit, ... }) or an async function returning one
+    //   key:        idempotency key; omit for fire-and-forget operations that may safely run twice
+    async function send(signer, txRequest, { key, description = "transaction" } = {}) {
+        const address = await signer.getAddress();
+        const journalKey = key || `auto:${Date.now()}:${process.pid}:${sequence++}`;
+        const existing = lookup(journalKey);
+
+        if (existing && existing.status === "reverted") {
+            // A reverted transaction changed nothing, so the operation can be sent again
+            log(`   ↩️  ${description} reverted before (${existing.hash.slice(0, 10)}...), sending it again`);
+        } else if (existing) {
+            if (existing.status === "confirmed") {
+                const receipt = await provider.getTransactionReceipt(existing.hash);
+                if (receipt) {
+                    log(`   ♻️  ${description} already confirmed in block #${receipt.blockNumber} (journal key "${journalKey}")`);
+                    return receipt;
+                }
+                log(`   ⚠️  Journal says ${description} was confirmed but the node does not know ${existing.hash.slice(0, 10)}... (chain reset?), sending again`);
+            } else if (existing.status === "sent") {
+                return resume(signer, journalKey, existing, description);
+            } else {
+                throw new Error(`${description} previously ended with status "${existing.status}" (journal key "${journalKey}"); resolve it manually before retrying`);
+            }
+        }
+
+        const request = typeof txRequest === "function" ? await txRequest() : txRequest;
+        const populated = await signer.populateTransaction({ ...request, nonce: undefined });
+        const fees = await initialFees(provider, request);
+
+        const { entry, created } = await claim(journalKey, address, {
+            key: journalKey,
+            description,
+            signer: address,
+            status: "sent",
+            request: {
+                to: populated.to,
+                data: populated.data,
+                value: populated.value,
+                gasLimit: populated.gasLimit,
+                chainId: populated.chainId
+            },
+            fees,
+            hashes: [],
+            replacements: 0,
+            createdAt: new Date().toISOString()
+        }, existing);
+        if (!created) {
+            // Another process started the same operation since lookup()
+            return resume(signer, journalKey, entry, description);
+        }
+
+        let hash;
+        try {
+            hash = await broadcast(signer, entry, fees, (signedHash) => record(journalKey, { hashes: [signedHash] }));
+        } catch (error) {
+            if (rejectedByNode(error)) {
+                // Nothing reached the node: release the nonce and forget the entry
+                nextNonces.set(address, entry.nonce);
+                forget(journalKey);
+                throw error;
+            }
+            // The node may hold (or have mined) it: keep the entry on its nonce, so a re-run
+            // looks the transaction up before sending anything
+            const hashes = error.transactionHash ? [error.transactionHash] : lookup(journalKey).hashes;
+            record(journalKey, { hashes, broadcastError: error.shortMessage || error.message });
+            if (error.transactionHash) {
+                // Mined and reverted (nodes that check on submission, like Hardhat)
+                await settle(signer, journalKey, description).catch(() => {});
+            }
+            throw error;
+        }
+        record(journalKey, { hashes: [hash] });
+        log(`   📤 ${description} sent: ${hash.slice(0, 10)}... (nonce ${entry.nonce})`);
+
+        return settle(signer, journalKey, description);
+    }
+
+    // Function to pick up an entry another run (or process) left in "sent": look its hashes
+    // and nonce up on the node, and broadcast it again on the same nonce only if the node
+    // has neither
+    async function resume(signer, journalKey, existing, description) {
+        const address = await signer.getAddress();
+        log(`   ♻️  Resuming ${description} from journal (nonce ${existing.nonce}, ${existing.hashes.length} hash(es))`);
+        const minedCount = await provider.getTransactionCount(address, "latest");
+        if (existing.hashes.length === 0) {
+            // The process stopped (or lost the node) before it learnt the hash, so whether
+            // the transaction reached the node is only told by the nonce
+            const pendingCount = await provider.getTransactionCount(address, "pending");
+            if (minedCount > existing.nonce || pendingCount > existing.nonce) {
+                record(journalKey, { status: "unknown" });
+                throw new Error(`${description} may have been sent before the journal recorded it: nonce ${existing.nonce} of ${address} is ${minedCount > existing.nonce ? "used" : "pending"} but no hash is known. Check that transaction before retrying.`);
+            }
+        }
+        const seen = await findReceipt(existing.hashes);
+        const pendingTx = seen || existing.hashes.length === 0
+            ? null
+            : await provider.getTransaction(existing.hashes[existing.hashes.length - 1]);
+        if (!seen && !pendingTx && minedCount <= existing.nonce) {
+            // Never broadcast, or dropped from the mempool before being mined: (re)broadcast on the same nonce
+            const hash = await broadcast(signer, existing, existing.fees);
+            if (!existing.hashes.includes(hash)) {
+                record(journalKey, { hashes: [...existing.hashes, hash] });
+            }
+        }
+        nextNonces.set(address, Math.max(nextNonces.get(address) ?? 0, existing.nonce + 1));
+        return settle(signer, journalKey, description);
+    }
+
+    // Function to deploy a contract through send() and return its address
+    async function deploy(signer, contractFactory, args = [], { key, description } = {}) {
+        const label = description || "contract deployment";
+        const receipt = await send(signer, () => contractFactory.getDeployTransaction(...args), { key, description: label });
+        if (!receipt.contractAddress) {
+            throw new Error(`${label} receipt has no contract address`);
+        }
+        return { address: receipt.contractAddress, receipt };
+    }
+
+    // Function to replace transactions stuck in the mempool with bumped-fee self transfers
+    async function clearStuckTransactions(signer) {
+        const address = await signer.getAddress();
+        const latest = await provider.getTransactionCount(address, "latest");
+        const pending = await provider.getTransactionCount(address, "pending");
+
+        if (pending <= latest) {
+            log("   ✅ No stuck transactions detected");
+            nextNonces.set(address, Math.max(nextNonces.get(address) ?? 0, latest));
+            return 0;
+        }
+
+        log(`   🚨 Found ${pending - latest} stuck transaction(s) (nonces ${latest}..${pending - 1})`);
+        const feeData = await provider.getFeeData();
+        const fees = bumpFees(
+            feeData.maxFeePerGas !== null
+                ? { maxFeePerGas: feeData.maxFeePerGas * 2n, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas * 2n }
+                : { gasPrice: feeData.gasPrice * 2n },
+            options.feeBumpPercent
+        );
+
+        for (let nonce = latest; nonce < pending; nonce++) {
+            const entry = {
+                nonce,
+                request: { to: address, data: "0x", value: 0, gasLimit: 21000 }
+            };
+            try {
+                const hash = await broadcast(signer, entry, fees);
+                record(`clear:${address}:${nonce}:${Date.now()}`, {
+                    description: "stuck transaction clearing",
+                    signer: address,
+                    nonce,
+                    status: "clearing",
+                    request: entry.request,
+                    fees,
+                    hashes: [hash],
+                    replacements: 0
+                });
+                log(`   🔄 Replaced nonce ${nonce}: ${hash.slice(0, 10)}...`);
+            } catch (error) {
+                log(`   ⚠️  Could not replace nonce ${nonce}: ${error.shortMessage || error.message}`);
+            }
+        }
+
+        nextNonces.set(address, Math.max(nextNonces.get(address) ?? 0, pending));
+        return pending - latest;
+    }
+
+    // Function to list journal entries, optionally filtered by status
+    function entries(status) {
+        return Object.values(refresh().entries).filter(entry => !status || entry.status === status);
+    }
+
+    return {
+        options,
+        journalPath: resolvedJournalPath,
+        send,
+        deploy,
+        clearStuckTransactions,
+        entries,
+        lookup
+    };
+}
+
+module.exports = {
+    createTransactionManager,
+    defaultJournalPath,
+    callKey,
+    bumpFees,
+    LOCAL_NETWORKS
+};
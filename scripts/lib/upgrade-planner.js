@@ -0,0 +1,337 @@
+const { getAddress, isAddress } = require("ethers");
+const { getImplementationAddress } = require("./erc1967");
+const { formatStorageDiff } = require("./storage-layout");
+const { diffSnapshots, formatSnapshotDiff } = require("./state-snapshot");
+const { fleetProblem } = require("./fleets");
+
+// Function to normalise the collection filters accepted by the planner
+// symbols: list of symbols (case-insensitive), deployer: address,
+// fromImplementation: implementation address or registered contract name (e.g. "ERC721LogicV1")
+function normalizeFilters({ proxies = [], symbols = [], deployer, fromImplementation } = {}) {
+    return {
+        proxies: proxies.map(address => getAddress(address)),
+        symbols: symbols.map(symbol => symbol.trim().toUpperCase()).filter(Boolean),
+        deployer: deployer ? getAddress(deployer) : null,
+        fromImplementation: fromImplementation
+            ? (isAddress(fromImplementation) ? getAddress(fromImplementation) : fromImplementation)
+            : null
+    };
+}
+
+// Function to parse a comma separated list ("PGC, PAG") into an array
+function parseList(value) {
+    return value ? String(value).split(",").map(item => item.trim()).filter(Boolean) : [];
+}
+
+function describeFilters(filters) {
+    const parts = [];
+    if (filters.proxies.length > 0) parts.push(`proxy in [${filters.proxies.join(", ")}]`);
+    if (filters.symbols.length > 0) parts.push(`symbol in [${filters.symbols.join(", ")}]`);
+    if (filters.deployer) parts.push(`deployer = ${filters.deployer}`);
+    if (filters.fromImplementation) parts.push(`current implementation = ${filters.fromImplementation}`);
+    return parts.length > 0 ? parts.join(", ") : "all registered collections";
+}
+
+// Function to select collections matching the filters, reading the current
+// implementation from the ERC-1967 slot rather than trusting the registry
+async function selectCollections({ provider, registry, filters }) {
+    const implementations = registry.read().implementations;
+    const registered = registry.listProxies();
+
+    // Explicitly named proxies may be missing from the registry (deployed elsewhere)
+    const candidates = filters.proxies.length > 0
+        ? filters.proxies.map(proxyAddress =>
+            registered.find(collection => collection.proxyAddress === proxyAddress) || { proxyAddress, registered: false })
+        : registered;
+
+    const selected = [];
+    for (const candidate of candidates) {
+        const collection = { registered: true, ...candidate };
+        if (filters.symbols.length > 0 && !filters.symbols.includes(String(collection.symbol).toUpperCase())) {
+            continue;
+        }
+        if (filters.deployer && (!collection.deployer || getAddress(collection.deployer) !== filters.deployer)) {
+            continue;
+        }
+
+        collection.onChainImplementation = await getImplementationAddress(provider, collection.proxyAddress);
+        collection.onChainContract = implementations[collection.onChainImplementation]?.contract || null;
+        if (filters.fromImplementation) {
+            const matches = isAddress(filters.fromImplementation)
+                ? collection.onChainImplementation === filters.fromImplementation
+                : collection.onChainContract === filters.fromImplementation;
+            if (!matches) {
+                continue;
+            }
+        }
+        selected.push(collection);
+    }
+    return selected;
+}
+
+// Function to build an upgrade plan: one item per selected collection with
+// its current and target implementation, the init calldata and the action
+// target: { address, contract } - address may be null when not deployed yet
+// encodeInitData: async (collection) => calldata for upgradeAndCall
+// storageGate: async (currentImplementation, proxyAddress) => storage layout comparison (see storage-layout.js);
+// collections whose layout is not compatible with the target are blocked, as are fleet
+// collections (see fleets.js)
+async function buildUpgradePlan({ provider, registry, target, filters, encodeInitData, storageGate }) {
+    const normalized = normalizeFilters(filters);
+    const collections = await selectCollections({ provider, registry, filters: normalized });
+    const targetAddress = target.address ? getAddress(target.address) : null;
+
+    const items = [];
+    for (const collection of collections) {
+        const item = {
+            proxyAddress: collection.proxyAddress,
+            name: collection.name || null,
+            symbol: collection.symbol || null,
+            registered: collection.registered,
+            currentImplementation: collection.onChainImplementation,
+            currentContract: collection.onChainContract,
+            targetImplementation: targetAddress,
+            targetContract: target.contract,
+            initData: null,
+            action: "upgrade",
+            reason: null
+        };
+
+        const inFleet = await fleetProblem(provider, collection.proxyAddress);
+        if (targetAddress && collection.onChainImplementation === targetAddress) {
+            item.action = "skip";
+            item.reason = "already on target implementation";
+        } else if (inFleet) {
+            item.action = "blocked";
+            item.reason = inFleet;
+        } else if (collection.onChainContract && collection.onChainContract === target.contract) {
+            item.action = "skip";
+            item.reason = `already on ${target.contract} (${collection.onChainImplementation})`;
+        } else if (storageGate) {
+            try {
+                const comparison = await storageGate(collection.onChainImplementation, collection.proxyAddress);
+                item.storageDiff = formatStorageDiff(comparison);
+                if (!comparison.compatible) {
+                    item.action = "blocked";
+                    item.reason = comparison.ownershipProblem
+                        || `storage layout of ${target.contract} is not compatible with ${comparison.fromContract}`;
+                }
+            } catch (error) {
+                item.action = "blocked";
+                item.reason = `storage layout check failed: ${error.message}`;
+            }
+        }
+        if (item.action === "upgrade") {
+            item.initData = await encodeInitData(collection);
+        }
+        items.push(item);
+    }
+
+    return {
+        target: { address: targetAddress, contract: target.contract },
+        filters: normalized,
+        items,
+        upgradeCount: items.filter(item => item.action === "upgrade").length,
+        blockedCount: items.filter(item => item.action === "blocked").length
+    };
+}
+
+// Function to print a plan in the scripts' console style
+function printPlan(plan, log = console.log) {
+    log(`📋 Upgrade plan → ${plan.target.contract} at ${plan.target.address || "(deployed on apply)"}`);
+    log(`   Selection: ${describeFilters(plan.filters)}`);
+    if (plan.items.length === 0) {
+        log("   ⚠️  No collections match the selection");
+        return;
+    }
+    plan.items.forEach((item, index) => {
+        const label = item.name ? `"${item.name}" (${item.symbol})` : "(not in registry)";
+        const icon = { upgrade: "⬆️ ", skip: "⏭️ ", blocked: "⛔" }[item.action];
+        log(`\n   ${index + 1}. ${icon} ${label}`);
+        log(`      Proxy:          ${item.proxyAddress}`);
+        log(`      Current impl:   ${item.currentImplementation}${item.currentContract ? ` (${item.currentContract})` : ""}`);
+        if (item.action === "upgrade") {
+            log(`      Target impl:    ${item.targetImplementation || "(deployed on apply)"} (${item.targetContract})`);
+            log(`      Init calldata:  ${item.initData}`);
+            if (item.storageDiff) {
+                log("      Storage layout: compatible");
+            }
+        } else if (item.action === "blocked") {
+            log(`      Blocked:        ${item.reason}`);
+            for (const line of item.storageDiff || []) {
+                log(`      ${line}`);
+            }
+        } else {
+            log(`      Skipped:        ${item.reason}`);
+        }
+    });
+    const skipCount = plan.items.length - plan.upgradeCount - plan.blockedCount;
+    log(`\n   ${plan.upgradeCount} to upgrade, ${skipCount} to skip, ${plan.blockedCount} blocked`);
+}
+
+// Function to report the collections a plan does not upgrade
+function notUpgraded(item) {
+    return {
+        proxyAddress: item.proxyAddress,
+        symbol: item.symbol,
+        status: item.action === "blocked" ? "blocked" : "skipped",
+        reason: item.reason
+    };
+}
+
+// Function to refuse to act on a stale plan
+async function assertUnchanged(provider, item) {
+    const currentImplementation = await getImplementationAddress(provider, item.proxyAddress);
+    if (currentImplementation !== item.currentImplementation) {
+        throw new Error(`implementation changed since planning (now ${currentImplementation})`);
+    }
+}
+
+// Function to record one upgraded collection and compare its state with the snapshot taken before
+async function finishUpgrade(item, receipt, before, { registry, captureState, log }) {
+    const label = item.symbol || item.proxyAddress;
+    if (item.registered) {
+        registry.recordUpgrade(item.proxyAddress, {
+            implementation: item.targetImplementation,
+            previousImplementation: item.currentImplementation,
+            initData: item.initData,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            timestamp: (await receipt.getBlock()).timestamp
+        });
+    } else {
+        log(`   ⚠️  ${item.proxyAddress} is not in the registry; upgrade not recorded`);
+    }
+
+    let stateDiff = null;
+    if (before) {
+        stateDiff = diffSnapshots(before, await captureState(item.proxyAddress, receipt.blockNumber));
+        if (!stateDiff.preserved) {
+            log(`   ❌ ${label}: ${stateDiff.violations.length} preserved value(s) changed during the upgrade`);
+            for (const line of formatSnapshotDiff(stateDiff)) {
+                log(`      ${line}`);
+            }
+        }
+    }
+
+    return {
+        proxyAddress: item.proxyAddress,
+        symbol: item.symbol,
+        status: stateDiff && !stateDiff.preserved ? "changed" : "upgraded",
+        stateDiff,
+        previousImplementation: item.currentImplementation,
+        implementation: item.targetImplementation,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed
+    };
+}
+
+// Function to apply a plan one collection at a time; a failure is reported
+// for that collection and does not stop the remaining ones
+// sendUpgrade: async (item) => transaction receipt of upgradeAndCall
+// captureState: optional async (proxyAddress, blockTag) => snapshot (see state-snapshot.js);
+// collections whose preserved state differs after the upgrade are reported as "changed"
+async function applyUpgradePlan(plan, { provider, registry, sendUpgrade, captureState, log = console.log }) {
+    const results = [];
+    for (const item of plan.items) {
+        const label = item.symbol || item.proxyAddress;
+        if (item.action !== "upgrade") {
+            results.push(notUpgraded(item));
+            continue;
+        }
+
+        try {
+            await assertUnchanged(provider, item);
+            const before = captureState ? await captureState(item.proxyAddress) : null;
+            log(`   ⬆️  Upgrading ${label}...`);
+            const receipt = await sendUpgrade(item);
+            log(`   ✅ ${label} upgraded in block #${receipt.blockNumber} (gas used: ${receipt.gasUsed.toString()})`);
+            results.push(await finishUpgrade(item, receipt, before, { registry, captureState, log }));
+        } catch (error) {
+            log(`   ❌ ${label} failed: ${error.shortMessage || error.message}`);
+            results.push({
+                proxyAddress: item.proxyAddress,
+                symbol: item.symbol,
+                status: "failed",
+                error: error.shortMessage || error.message
+            });
+        }
+    }
+    return results;
+}
+
+// Function to apply a plan in a single transaction (NFTFactory.upgradeCollections):
+// either every planned collection is upgraded or none is
+// sendBatch: async (items) => transaction receipt
+async function applyUpgradePlanBatch(plan, { provider, registry, sendBatch, captureState, log = console.log }) {
+    const items = plan.items.filter(item => item.action === "upgrade");
+    const results = plan.items.filter(item => item.action !== "upgrade").map(notUpgraded);
+    if (items.length === 0) {
+        return results;
+    }
+
+    const snapshots = new Map();
+    let receipt;
+    try {
+        for (const item of items) {
+            await assertUnchanged(provider, item);
+            snapshots.set(item.proxyAddress, captureState ? await captureState(item.proxyAddress) : null);
+        }
+        log(`   ⬆️  Upgrading ${items.length} collection(s) in one transaction...`);
+        receipt = await sendBatch(items);
+    } catch (error) {
+        log(`   ❌ Batch upgrade failed: ${error.shortMessage || error.message}`);
+        return results.concat(items.map(item => ({
+            proxyAddress: item.proxyAddress,
+            symbol: item.symbol,
+            status: "failed",
+            error: error.shortMessage || error.message
+        })));
+    }
+
+    log(`   ✅ Batch upgraded in block #${receipt.blockNumber} (gas used: ${receipt.gasUsed.toString()})`);
+    for (const item of items) {
+        results.push(await finishUpgrade(item, receipt, snapshots.get(item.proxyAddress), { registry, captureState, log }));
+    }
+    return results;
+}
+
+// Function to return the transaction journal key of one planned upgrade. Like the rollback
+// key, it counts the registry history, so upgrading to the same implementation again after
+// a rollback sends a new transaction instead of resuming the first one.
+function upgradeJournalKey(registry, item) {
+    const historyLength = registry.getProxy(item.proxyAddress)?.history.length ?? 0;
+    return `upgrade:${item.proxyAddress}:${historyLength}:${item.targetImplementation}`;
+}
+
+// Function to print per-collection results and return the counts
+function printResults(results, log = console.log) {
+    const counts = { upgraded: 0, changed: 0, scheduled: 0, skipped: 0, blocked: 0, failed: 0 };
+    log("\n📊 Upgrade results:");
+    for (const result of results) {
+        counts[result.status]++;
+        const icon = { upgraded: "✅", changed: "❌", scheduled: "⏳", skipped: "⏭️ ", blocked: "⛔", failed: "❌" }[result.status];
+        const detail = {
+            upgraded: result.transactionHash,
+            scheduled: result.readyAt && `operation ${result.operationId}, executable after ${new Date(result.readyAt * 1000).toISOString()}`,
+            changed: `${result.transactionHash} (state not preserved: ${result.stateDiff?.violations.map(v => v.path).join(", ")})`
+        }[result.status] || result.reason || result.error;
+        log(`   ${icon} ${(result.symbol || result.proxyAddress).padEnd(8)} ${result.status.padEnd(9)} ${detail}`);
+    }
+    log(`   ${counts.upgraded} upgraded, ${counts.changed} changed state, ${counts.scheduled ? `${counts.scheduled} scheduled, ` : ""}${counts.skipped} skipped, ${counts.blocked} blocked, ${counts.failed} failed`);
+    return counts;
+}
+
+module.exports = {
+    parseList,
+    normalizeFilters,
+    describeFilters,
+    selectCollections,
+    buildUpgradePlan,
+    printPlan,
+    applyUpgradePlan,
+    applyUpgradePlanBatch,
+    upgradeJournalKey,
+    printResults
+};
@@ -0,0 +1,90 @@
+const { ZeroAddress, keccak256, id } = require("ethers");
+
+// NFTFactory only creates collections on, and upgrades them to, implementations it has
+// approved under a semantic version. Versions are free-form labels: when a contract is
+// rebuilt without bumping getVersion(), the new build is approved as
+// "<version>+<bytecode hash>" (semver build metadata) next to the earlier one.
+//
+// Each version also lists the initializers upgrades to it may call through the factory.
+// Only the one-time feature initializers are approved: V3 setters such as setPayees or
+// multicall would run with the ProxyAdmin's authority for anyone holding UPGRADER_ROLE.
+
+const UPGRADE_INITIALIZERS = [
+    "initializeV2Features(string,string,address,uint96)",
+    "initializeV3Features(string,string,address,uint96,bytes[])"
+];
+
+// approveImplementation is overloaded (with and without initializers), so ethers can only
+// pick the one that takes them by its full signature
+const APPROVE_WITH_INITIALIZERS = "approveImplementation(string,address,bytes4[])";
+
+// Function to read the factory catalogue, oldest version first
+// Returns [{ version, implementation, deprecated, approvedAt, isDefault }]
+async function readCatalogue(factory) {
+    const defaultImplementation = await factory.logicContract();
+    const entries = [];
+    for (const version of await factory.getVersions()) {
+        const entry = await factory.versions(version);
+        entries.push({
+            version,
+            implementation: entry.implementation,
+            deprecated: entry.deprecated,
+            approvedAt: Number(entry.approvedAt),
+            initializers: [...await factory.getInitializers(version)],
+            isDefault: entry.implementation === defaultImplementation
+        });
+    }
+    return entries;
+}
+
+// Function to list the initializer selectors to approve an implementation with: those of
+// UPGRADE_INITIALIZERS its bytecode dispatches
+async function initializerSelectors(provider, implementation) {
+    const code = await provider.getCode(implementation);
+    return UPGRADE_INITIALIZERS.map(signature => id(signature).slice(0, 10)).filter(selector => code.includes(selector.slice(2)));
+}
+
+// Function to find the version an implementation is approved under, or the label (and
+// initializers) it should be approved with when it is not in the catalogue yet
+// Returns { version, approved, deprecated, initializers }
+async function catalogueVersionFor({ factory, provider, implementation, version }) {
+    const existing = await factory.implementationVersion(implementation);
+    if (existing) {
+        return { version: existing, approved: true, deprecated: (await factory.versions(existing)).deprecated, initializers: [...await factory.getInitializers(existing)] };
+    }
+    const initializers = await initializerSelectors(provider, implementation);
+    if ((await factory.versions(version)).implementation === ZeroAddress) {
+        return { version, approved: false, deprecated: false, initializers };
+    }
+    const code = await provider.getCode(implementation);
+    return { version: `${version}+${keccak256(code).slice(2, 10)}`, approved: false, deprecated: false, initializers };
+}
+
+// Function to build the transaction approving an implementation under a version with the
+// initializers upgrades to it may call
+function populateApproval(factory, { version, implementation, initializers }) {
+    return factory[APPROVE_WITH_INITIALIZERS].populateTransaction(version, implementation, initializers);
+}
+
+// Function to resolve a catalogue version to its implementation, refusing unknown
+// and deprecated versions the way the factory would
+async function resolveVersion(factory, version) {
+    const entry = await factory.versions(version);
+    if (entry.implementation === ZeroAddress) {
+        const known = (await factory.getVersions()).join(", ");
+        throw new Error(`Version ${version} is not in the factory catalogue (have ${known})`);
+    }
+    if (entry.deprecated) {
+        throw new Error(`Version ${version} (${entry.implementation}) is deprecated`);
+    }
+    return entry.implementation;
+}
+
+module.exports = {
+    UPGRADE_INITIALIZERS,
+    initializerSelectors,
+    readCatalogue,
+    catalogueVersionFor,
+    populateApproval,
+    resolveVersion
+};
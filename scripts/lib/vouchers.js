@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+const { TypedDataEncoder, getAddress, hexlify, randomBytes, verifyTypedData } = require("ethers");
+
+// Off-chain mint vouchers for ERC721LogicV3, the alternative to an allowlist:
+//
+//   issue  → the voucher signer key signs { recipient, quantity, price, expiry, nonce } (no transaction)
+//   verify → anyone checks the signature, expiry and nonce before submitting
+//   redeem → anyone sends redeemVoucher(voucher, signature) with quantity × price; the tokens go to the recipient
+//
+// The EIP-712 domain is the collection: { name: collection name, version "1", chainId, proxy address }.
+// `price` is per token, in wei. A nonce can be redeemed once; random nonces keep campaigns independent.
+
+const VOUCHER_SCHEMA_VERSION = 1;
+const VOUCHER_TYPES = {
+    MintVoucher: [
+        { name: "recipient", type: "address" },
+        { name: "quantity", type: "uint256" },
+        { name: "price", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+// Function to return the provider behind a contract connected to a signer or a provider
+function providerOf(collection) {
+    return collection.runner.provider || collection.runner;
+}
+
+// Function to build the EIP-712 domain of a collection
+async function voucherDomain(collection) {
+    const { chainId } = await providerOf(collection).getNetwork();
+    return {
+        name: await collection.name(),
+        version: "1",
+        chainId: Number(chainId),
+        verifyingContract: getAddress(await collection.getAddress())
+    };
+}
+
+// Function to build an unsigned voucher; the nonce is random unless given
+function buildVoucher({ recipient, quantity, price, expiry, nonce = null }) {
+    return {
+        recipient: getAddress(recipient),
+        quantity: BigInt(quantity),
+        price: BigInt(price),
+        expiry: BigInt(expiry),
+        nonce: nonce === null ? BigInt(hexlify(randomBytes(16))) : BigInt(nonce)
+    };
+}
+
+// Function to sign a voucher with the voucher signer (a Wallet from a private key, or any ethers signer)
+// Returns { schemaVersion, domain, voucher, signer, signature } with amounts as strings, ready to save
+async function signVoucher(signer, domain, voucher) {
+    const signature = await signer.signTypedData(domain, VOUCHER_TYPES, voucher);
+    return {
+        schemaVersion: VOUCHER_SCHEMA_VERSION,
+        domain,
+        voucher: Object.fromEntries(Object.entries(voucher).map(([key, value]) => [key, value.toString()])),
+        signer: await signer.getAddress(),
+        signature
+    };
+}
+
+// Function to turn the voucher of a signed voucher back into call arguments
+function voucherArgs(signed) {
+    const { recipient, quantity, price, expiry, nonce } = signed.voucher;
+    return { recipient, quantity: BigInt(quantity), price: BigInt(price), expiry: BigInt(expiry), nonce: BigInt(nonce) };
+}
+
+// Function to compute the digest the signer signs (ERC721LogicV3.voucherDigest)
+function voucherDigest(signed) {
+    return TypedDataEncoder.hash(signed.domain, VOUCHER_TYPES, voucherArgs(signed));
+}
+
+// Function to check a signed voucher offline
+// expectedSigner: the collection's voucherSigner; now: unix seconds
+// Returns { valid, signer, problems: [string] }
+function verifyVoucher(signed, { expectedSigner = null, now = Math.floor(Date.now() / 1000) } = {}) {
+    const problems = [];
+    let signer = null;
+    try {
+        signer = verifyTypedData(signed.domain, VOUCHER_TYPES, voucherArgs(signed), signed.signature);
+    } catch (error) {
+        problems.push("malformed signature");
+    }
+    if (signer && expectedSigner && signer !== getAddress(expectedSigner)) {
+        problems.push(`signed by ${signer}, the collection's voucher signer is ${getAddress(expectedSigner)}`);
+    }
+    if (BigInt(now) > BigInt(signed.voucher.expiry)) {
+        problems.push(`expired at ${new Date(Number(signed.voucher.expiry) * 1000).toISOString()}`);
+    }
+    if (BigInt(signed.voucher.quantity) === 0n) {
+        problems.push("quantity is 0");
+    }
+    return { valid: problems.length === 0, signer, problems };
+}
+
+// Function to check a signed voucher against the collection it is for: domain, signer,
+// expiry at the latest block and whether its nonce is still unused
+async function checkVoucher(collection, signed) {
+    const domain = await voucherDomain(collection);
+    const { timestamp } = await providerOf(collection).getBlock("latest");
+    const result = verifyVoucher(signed, { expectedSigner: await collection.voucherSigner(), now: timestamp });
+    if (TypedDataEncoder.hashDomain(domain) !== TypedDataEncoder.hashDomain(signed.domain)) {
+        result.problems.push(`issued for ${signed.domain.name} at ${signed.domain.verifyingContract} on chain ${signed.domain.chainId}`);
+    }
+    if (await collection.voucherNonceUsed(BigInt(signed.voucher.nonce))) {
+        result.problems.push(`nonce ${signed.voucher.nonce} was already redeemed or revoked`);
+    }
+    result.valid = result.problems.length === 0;
+    return result;
+}
+
+// Function to write a signed voucher file
+function saveVoucher(signed, file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(signed, null, 2));
+    return file;
+}
+
+// Function to read a signed voucher file
+function loadVoucher(file) {
+    const signed = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (signed.schemaVersion !== VOUCHER_SCHEMA_VERSION) {
+        throw new Error(`${file}: unsupported voucher schema version ${signed.schemaVersion}`);
+    }
+    return signed;
+}
+
+module.exports = {
+    VOUCHER_TYPES,
+    voucherDomain,
+    buildVoucher,
+    signVoucher,
+    voucherArgs,
+    voucherDigest,
+    verifyVoucher,
+    checkVoucher,
+    saveVoucher,
+    loadVoucher
+};
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// nft-admin: operate the NFT factory system without editing script source.
+//
+//   npx nft-admin <command> [args] [--network <name>] [--from <index|address>] [--dry-run] [--json] [--yes]
+//
+// Run "npx nft-admin help" for the list of commands.
+
+// Command groups under scripts/lib/commands/, in the order "help" lists them
+const COMMAND_GROUPS = ["deploy", "inspect", "upgrade", "factory", "fleet", "governance", "indexer", "collection"];
+
+const BOOLEAN_FLAGS = ["dry-run", "json", "yes", "help", "all", "verbose", "follow", "reset", "no-sync", "offline", "list", "batch", "undo", "allow-owed-funds"];
+
+// Function to split argv into positional arguments and --options
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            positional.push(arg);
+            continue;
+        }
+        const [flag, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (inlineValue !== undefined) {
+            options[flag] = inlineValue;
+        } else if (BOOLEAN_FLAGS.includes(flag)) {
+            options[flag] = true;
+        } else {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for --${flag}`);
+            }
+            options[flag] = argv[++i];
+        }
+    }
+    return { command: positional.shift(), positional, options };
+}
+
+function printUsage(commands, out = console.log) {
+    out("Usage: nft-admin <command> [args] [--network <name>] [--from <index|address>] [--dry-run] [--json] [--yes]\n");
+    out("Commands:");
+    for (const [name, command] of Object.entries(commands)) {
+        out(`  ${name.padEnd(18)} ${command.summary}`);
+        out(`  ${"".padEnd(18)} nft-admin ${command.usage}`);
+    }
+    out("\nGlobal flags:");
+    out("  --network <name>   Hardhat network to use (default: hardhat)");
+    out("  --from <signer>    Signer index or address from the network accounts (default: 0)");
+    out("  --dry-run          Estimate and print transactions without sending them");
+    out("  --json             Print the result as JSON on stdout (logs go to stderr)");
+    out("  --yes              Do not ask for confirmation before sending transactions");
+}
+
+// Function to print a result object as indented key/value lines
+function printHuman(value, out, indent = "") {
+    for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) {
+            continue;
+        }
+        if (item !== null && typeof item === "object" && !Array.isArray(item)) {
+            out(`${indent}${key}:`);
+            printHuman(item, out, `${indent}  `);
+        } else if (Array.isArray(item)) {
+            out(`${indent}${key}:`);
+            item.forEach((entry, index) => {
+                if (entry !== null && typeof entry === "object") {
+                    out(`${indent}  [${index}]`);
+                    printHuman(entry, out, `${indent}    `);
+                } else {
+                    out(`${indent}  - ${entry}`);
+                }
+            });
+        } else {
+            out(`${indent}${key}: ${item}`);
+        }
+    }
+}
+
+// Function to load the commands of every group
+function loadCommands() {
+    return Object.assign({}, ...COMMAND_GROUPS.map(group => require(`./lib/commands/${group}`).COMMANDS));
+}
+
+// Function to build the context commands run with; `registry` and `journalPath` replace the
+// network's registry and transaction journal
+async function createContext(hre, options, { log = console.log, registry, journalPath } = {}) {
+    const { createTransactionManager } = require("./lib/transaction-manager");
+    const { openRegistry } = require("./lib/deployment-registry");
+    const networkName = hre.network.name;
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    return {
+        hre,
+        ethers: hre.ethers,
+        networkName,
+        signers: await hre.ethers.getSigners(),
+        txManager: createTransactionManager({ provider: hre.ethers.provider, networkName, journalPath, log }),
+        registry: registry || openRegistry(networkName, { chainId }),
+        dryRun: Boolean(options["dry-run"]),
+        json: Boolean(options.json),
+        yes: Boolean(options.yes),
+        log
+    };
+}
+
+// Function to run one command line against a Hardhat runtime and return the command's result
+async function runCommand(hre, argv, { log, registry, journalPath } = {}) {
+    const args = parseArgs(argv);
+    const command = loadCommands()[args.command];
+    if (!command) {
+        throw new Error(`Unknown command "${args.command}"`);
+    }
+    return command.run(await createContext(hre, args.options, { log, registry, journalPath }), args);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    // Hardhat picks the network from the environment when it is first required
+    if (args.options.network) {
+        process.env.HARDHAT_NETWORK = args.options.network;
+    }
+    const hre = require("hardhat");
+    const COMMANDS = loadCommands();
+
+    if (!args.command || args.command === "help" || args.options.help) {
+        printUsage(COMMANDS);
+        return;
+    }
+    const command = COMMANDS[args.command];
+    if (!command) {
+        printUsage(COMMANDS, console.error);
+        throw new Error(`Unknown command "${args.command}"`);
+    }
+
+    // In --json mode stdout carries only the result, everything else goes to stderr
+    const log = args.options.json ? (...parts) => console.error(...parts) : (...parts) => console.log(...parts);
+
+    await hre.run("compile", { quiet: true });
+
+    const ctx = await createContext(hre, args.options, { log });
+    const result = await command.run(ctx, args);
+
+    if (ctx.json) {
+        console.log(JSON.stringify(result, (key, value) => typeof value === "bigint" ? value.toString() : value, 2));
+    } else {
+        console.log();
+        printHuman(result, console.log);
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(`❌ ${error.shortMessage || error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { parseArgs, runCommand };
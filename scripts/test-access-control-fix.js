@@ -34,7 +34,8 @@ async function main() {
         "Test Collection",
         "TEST",
         1000, // maxSupply
-        ethers.parseEther("0.01") // mintPrice
+        ethers.parseEther("0.01"), // mintPrice
+        owner.address // initialOwner
     ]);
 
     const proxy = await CustomTransparentProxy.deploy(
@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployFactoryLibraries } = require("../scripts/lib/factory-libraries");
 
 describe("NFT Upgrade System", function () {
     async function deployFixture() {
@@ -16,8 +18,8 @@ describe("NFT Upgrade System", function () {
         const proxyAdmin = await ProxyAdmin.deploy(owner.address);
         await proxyAdmin.waitForDeployment();
 
-        // Deploy NFTFactory
-        const NFTFactory = await ethers.getContractFactory("NFTFactory");
+        // Deploy NFTFactory, linked to its libraries
+        const { NFTFactory } = await deployFactoryLibraries(ethers, owner);
         const factory = await NFTFactory.deploy(
             await logicV1.getAddress(),
             await proxyAdmin.getAddress()
@@ -27,6 +29,35 @@ describe("NFT Upgrade System", function () {
         return { logicV1, proxyAdmin, factory, owner, user1, user2 };
     }
 
+    // A collection created on V1 and upgraded through the ProxyAdmin to `contract`, returned
+    // as `nft` with its implementation as logicV3 (logicV2A for ERC721LogicV2A). With `onV2` it
+    // goes through ERC721LogicV2Fixed first, where `onV2(collection, fixture)` runs; otherwise
+    // the upgrade to `contract` initializes the V2 features. `upgradeCall` encodes the call of
+    // the last upgrade after V2Fixed, which needs none.
+    async function v3CollectionFixture({ maxSupply = 1000, mintPrice = 0, royaltyBps = 250, contract = "ERC721LogicV3", onV2, upgradeCall } = {}) {
+        const fixture = await deployFixture();
+        const { proxyAdmin, factory, owner } = fixture;
+        await factory.createNFTCollection("Test Collection", "TEST", maxSupply, mintPrice);
+        const [proxyAddress] = await factory.getDeployedCollections();
+        const initializeV2 = (iface) => iface.encodeFunctionData("initializeV2Features", [
+            "https://example.com/", "https://example.com/hidden.json", owner.address, royaltyBps
+        ]);
+
+        let logicV2;
+        if (onV2) {
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            logicV2 = await ERC721LogicV2Fixed.deploy();
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV2.getAddress(), initializeV2(ERC721LogicV2Fixed.interface));
+            await onV2(await ethers.getContractAt("ERC721LogicV2Fixed", proxyAddress), fixture);
+        }
+        const Logic = await ethers.getContractFactory(contract);
+        const logic = await Logic.deploy();
+        const data = !onV2 ? initializeV2(Logic.interface) : upgradeCall ? upgradeCall(Logic.interface, fixture) : "0x";
+        await proxyAdmin.upgradeAndCall(proxyAddress, await logic.getAddress(), data);
+        const nft = await ethers.getContractAt(contract, proxyAddress);
+        return { ...fixture, proxyAddress, logicV2, [contract.replace("ERC721Logic", "logic")]: logic, nft };
+    }
+
     describe("Infrastructure Deployment", function () {
         it("Should deploy all infrastructure contracts correctly", async function () {
             const { logicV1, proxyAdmin, factory, owner } = await loadFixture(deployFixture);
@@ -165,6 +196,2955 @@ describe("NFT Upgrade System", function () {
         });
     });
 
+    describe("Transaction Manager", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const { createTransactionManager } = require("../scripts/lib/transaction-manager");
+
+        // A manager that polls every 10ms and journals to its own file (or `journalPath`)
+        function createManager(overrides = {}) {
+            const messages = [];
+            const journalPath = overrides.journalPath || path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tx-journal-")), "journal.json");
+            const txManager = createTransactionManager({
+                provider: ethers.provider,
+                networkName: "hardhat",
+                log: (message) => messages.push(message),
+                pollIntervalMs: 10,
+                ...overrides,
+                journalPath
+            });
+            return { txManager, messages, journalPath };
+        }
+
+        async function waitFor(condition) {
+            while (!await condition()) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        }
+
+        async function withoutAutomine(run) {
+            await ethers.provider.send("evm_setAutomine", [false]);
+            try {
+                return await run();
+            } finally {
+                await ethers.provider.send("evm_setAutomine", [true]);
+            }
+        }
+
+        it("Should hand out consecutive nonces to concurrent sends", async function () {
+            const { owner, user1 } = await loadFixture(deployFixture);
+            const { txManager } = createManager();
+            const start = await ethers.provider.getTransactionCount(owner.address);
+
+            const receipts = await Promise.all([1n, 2n, 3n].map(value =>
+                txManager.send(owner, { to: user1.address, value }, { key: `payment:${value}` })));
+            const nonces = await Promise.all(receipts.map(async receipt => (await ethers.provider.getTransaction(receipt.hash)).nonce));
+            expect(nonces.sort()).to.deep.equal([start, start + 1, start + 2]);
+            expect(txManager.entries("confirmed")).to.have.length(3);
+        });
+
+        it("Should replace a slow transaction on the same nonce with bumped fees", async function () {
+            const { owner, user1 } = await loadFixture(deployFixture);
+            const { txManager, messages } = createManager({ replaceAfterMs: 200 });
+            const before = await ethers.provider.getBalance(user1.address);
+
+            const receipt = await withoutAutomine(async () => {
+                const sending = txManager.send(owner, { to: user1.address, value: 1n }, { key: "slow" });
+                await waitFor(() => txManager.entries().some(entry => entry.replacements === 1));
+                await ethers.provider.send("evm_mine", []);
+                return sending;
+            });
+
+            const [entry] = txManager.entries("confirmed");
+            expect(entry.hashes.length).to.be.greaterThan(1);
+            expect(receipt.hash).to.equal(entry.hashes.at(-1));
+            expect((await ethers.provider.getTransaction(receipt.hash)).nonce).to.equal(entry.nonce);
+            expect((await ethers.provider.getTransaction(receipt.hash)).maxFeePerGas).to.equal(BigInt(entry.fees.maxFeePerGas));
+            expect(messages.some(message => message.includes(`replacing nonce ${entry.nonce}`))).to.equal(true);
+            // Only one of the transactions on the nonce was executed
+            expect(await ethers.provider.getBalance(user1.address)).to.equal(before + 1n);
+        });
+
+        it("Should detect a reorg and send the transaction again on its nonce", async function () {
+            const { owner, user1 } = await loadFixture(deployFixture);
+            const { txManager, messages } = createManager({ confirmations: 2, replaceAfterMs: 100 });
+            const before = await ethers.provider.getBalance(user1.address);
+            const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+            const sending = txManager.send(owner, { to: user1.address, value: 1n }, { key: "reorged" });
+            let first;
+            await waitFor(async () => {
+                [first] = txManager.entries();
+                return first?.hashes.length > 0 && await ethers.provider.getTransactionReceipt(first.hashes[0]) !== null;
+            });
+            const minedIn = (await ethers.provider.getTransactionReceipt(first.hashes[0])).blockNumber;
+
+            // Replace the inclusion block with an empty one before the confirmation arrives
+            await ethers.provider.send("evm_revert", [snapshot]);
+            await ethers.provider.send("hardhat_mine", ["0x2"]);
+            await waitFor(() => txManager.entries().some(entry => entry.replacements === 1));
+            await ethers.provider.send("hardhat_mine", ["0x1"]);
+            const receipt = await sending;
+
+            expect(messages.some(message => message.includes(`Reorg detected for transaction: block #${minedIn}`))).to.equal(true);
+            expect(receipt.hash).to.not.equal(first.hashes[0]);
+            expect(receipt.blockNumber).to.be.greaterThan(minedIn);
+            expect((await ethers.provider.getTransaction(receipt.hash)).nonce).to.equal(first.nonce);
+            expect(await ethers.provider.getBalance(user1.address)).to.equal(before + 1n);
+        });
+
+        it("Should resume a journaled transaction instead of sending it again", async function () {
+            const { owner, user1 } = await loadFixture(deployFixture);
+            const { txManager, journalPath } = createManager();
+            const before = await ethers.provider.getBalance(user1.address);
+
+            const [sent, resumed] = await withoutAutomine(async () => {
+                const sending = txManager.send(owner, { to: user1.address, value: 1n }, { key: "resume" });
+                await waitFor(() => txManager.entries().some(entry => entry.hashes.length > 0));
+                // Another process (e.g. a re-run after a crash) reads the same journal
+                const { txManager: restarted, messages } = createManager({ journalPath });
+                const resuming = restarted.send(owner, { to: user1.address, value: 1n }, { key: "resume" });
+                await waitFor(() => messages.some(message => message.includes("Resuming")));
+                await ethers.provider.send("evm_mine", []);
+                return Promise.all([sending, resuming]);
+            });
+
+            expect(resumed.hash).to.equal(sent.hash);
+            expect(await ethers.provider.getBalance(user1.address)).to.equal(before + 1n);
+            const { txManager: again, messages } = createManager({ journalPath });
+            expect((await again.send(owner, { to: user1.address, value: 1n }, { key: "resume" })).hash).to.equal(sent.hash);
+            expect(messages[0]).to.match(/already confirmed/);
+        });
+
+        it("Should resume an entry written before its broadcast by checking the nonce", async function () {
+            const { owner, user1 } = await loadFixture(deployFixture);
+            const feeData = await ethers.provider.getFeeData();
+            const nonce = await ethers.provider.getTransactionCount(owner.address);
+            // What send() journals before broadcasting, left behind by a process that stopped there
+            const journalWith = (key) => {
+                const journalPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tx-journal-")), "journal.json");
+                fs.writeFileSync(journalPath, JSON.stringify({
+                    version: 1,
+                    entries: {
+                        [key]: {
+                            key,
+                            description: "payment",
+                            signer: owner.address,
+                            nonce,
+                            status: "sent",
+                            request: { to: user1.address, data: "0x", value: "1", gasLimit: "21000", chainId: "31337" },
+                            fees: { maxFeePerGas: feeData.maxFeePerGas.toString(), maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString() },
+                            hashes: [],
+                            replacements: 0
+                        }
+                    }
+                }));
+                return journalPath;
+            };
+
+            // The nonce is unused, so nothing reached the node: broadcast on it now
+            const { txManager } = createManager({ journalPath: journalWith("unsent") });
+            const receipt = await txManager.send(owner, { to: user1.address, value: 1n }, { key: "unsent" });
+            expect((await ethers.provider.getTransaction(receipt.hash)).nonce).to.equal(nonce);
+            expect(txManager.entries("confirmed")[0].hashes).to.deep.equal([receipt.hash]);
+
+            // Once the nonce is used, the entry cannot tell whether it was this transaction
+            const { txManager: stale } = createManager({ journalPath: journalWith("lost") });
+            const error = await stale.send(owner, { to: user1.address, value: 1n }, { key: "lost" }).catch(failure => failure);
+            expect(error.message).to.match(new RegExp(`may have been sent .* nonce ${nonce} of ${owner.address} is used`));
+            expect(stale.entries("unknown")).to.have.length(1);
+        });
+
+        it("Should keep entries whose broadcast may have reached the node and resume them on their nonce", async function () {
+            const { owner, user1 } = await loadFixture(deployFixture);
+            // A signer that holds its key, so the hash is known before the broadcast
+            const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+            await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+            const before = await ethers.provider.getBalance(user1.address);
+            // A node that times out on the request, after (`deliver`) or before taking it
+            const flakyProvider = (deliver) => new Proxy(ethers.provider, {
+                get: (target, property) => property !== "broadcastTransaction"
+                    ? (typeof target[property] === "function" ? target[property].bind(target) : target[property])
+                    : async (signed) => {
+                        if (deliver) {
+                            await target.broadcastTransaction(signed);
+                        }
+                        throw Object.assign(new Error("request timeout"), { code: "TIMEOUT" });
+                    }
+            });
+
+            for (const deliver of [true, false]) {
+                const { journalPath } = createManager();
+                const { txManager: flaky } = createManager({ journalPath, provider: flakyProvider(deliver) });
+                const error = await flaky.send(wallet, { to: user1.address, value: 1n }, { key: "payment" }).catch(failure => failure);
+                expect(error.code).to.equal("TIMEOUT");
+                const [kept] = flaky.entries("sent");
+                expect(kept.hashes).to.have.length(1);
+                expect(kept.broadcastError).to.equal("request timeout");
+
+                // The re-run finds the delivered transaction, or sends the same one on its nonce
+                const { txManager } = createManager({ journalPath });
+                const receipt = await txManager.send(wallet, { to: user1.address, value: 1n }, { key: "payment" });
+                expect(receipt.hash).to.equal(kept.hashes[0]);
+                expect((await ethers.provider.getTransaction(receipt.hash)).nonce).to.equal(kept.nonce);
+            }
+            expect(await ethers.provider.getBalance(user1.address)).to.equal(before + 2n);
+
+            // Refused outright: nothing to resume
+            const { txManager } = createManager();
+            const poor = ethers.Wallet.createRandom().connect(ethers.provider);
+            const refused = await txManager.send(poor, { to: user1.address, value: 1n, gasLimit: 21000 }, { key: "refused" }).catch(failure => failure);
+            expect(refused.message).to.match(/enough funds/);
+            expect(txManager.entries()).to.have.length(0);
+        });
+
+        it("Should share one journal between processes without losing entries or reusing nonces", async function () {
+            const { owner, user1 } = await loadFixture(deployFixture);
+            const { txManager: first, journalPath } = createManager();
+            const { txManager: second } = createManager({ journalPath });
+
+            const receipts = await withoutAutomine(async () => {
+                const sending = [
+                    first.send(owner, { to: user1.address, value: 1n }, { key: "first" }),
+                    second.send(owner, { to: user1.address, value: 2n }, { key: "second" })
+                ];
+                await waitFor(() => first.entries().filter(entry => entry.hashes.length > 0).length === 2);
+                await ethers.provider.send("hardhat_mine", ["0x2"]);
+                return Promise.all(sending);
+            });
+
+            const nonces = await Promise.all(receipts.map(async receipt => (await ethers.provider.getTransaction(receipt.hash)).nonce));
+            expect(nonces[0]).to.not.equal(nonces[1]);
+            const journal = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+            expect(Object.keys(journal.entries).sort()).to.deep.equal(["first", "second"]);
+            expect(Object.values(journal.entries).map(entry => entry.status)).to.deep.equal(["confirmed", "confirmed"]);
+        });
+    });
+
+    describe("Admin CLI", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const hre = require("hardhat");
+        const { openRegistry } = require("../scripts/lib/deployment-registry");
+        const { parseArgs, runCommand } = require("../scripts/nft-admin");
+
+        // nft-admin on the in-process network, with its own registry and transaction journal;
+        // `messages` collects what the commands log
+        function createCli() {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-admin-"));
+            const registry = openRegistry("hardhat", { dir });
+            const messages = [];
+            const cli = (...argv) => runCommand(hre, [...argv, "--yes"], {
+                registry,
+                journalPath: path.join(dir, "tx-journal.json"),
+                log: (...parts) => messages.push(parts.join(" "))
+            });
+            return { cli, registry, messages };
+        }
+
+        it("Should split positional arguments, flags and options", async function () {
+            expect(parseArgs(["upgrade", "0xabc", "--contract", "ERC721LogicV3", "--base-uri=https://x/?a=b", "--dry-run", "0xdef"])).to.deep.equal({
+                command: "upgrade",
+                positional: ["0xabc", "0xdef"],
+                options: { "contract": "ERC721LogicV3", "base-uri": "https://x/?a=b", "dry-run": true }
+            });
+            expect(() => parseArgs(["mint", "0xabc", "--to"])).to.throw("Missing value for --to");
+
+            const failure = await runCommand(hre, ["deploy-everything"], { log: () => {} }).catch(failure => failure);
+            expect(failure.message).to.equal("Unknown command \"deploy-everything\"");
+        });
+
+        it("Should reuse infrastructure deployed with the same code and owner, and refuse one owned by someone else", async function () {
+            const [owner, user1, user2] = await ethers.getSigners();
+            const { cli, messages } = createCli();
+
+            const first = await cli("deploy-infra");
+            expect(first.reused).to.deep.equal([]);
+            expect(first.proxyAdminOwner).to.equal(owner.address);
+            const again = await cli("deploy-infra");
+            expect(again.contracts).to.deep.equal(first.contracts);
+            expect(again.reused).to.deep.equal(Object.keys(first.contracts));
+            expect(messages.some(message => message.includes(`Reusing NFTFactory ${first.contracts.NFTFactory}`))).to.be.true;
+
+            // Another owner is another ProxyAdmin, and so another factory
+            const other = await cli("deploy-infra", "--admin-owner", user1.address);
+            expect(other.contracts.ProxyAdmin).to.not.equal(first.contracts.ProxyAdmin);
+            expect(other.contracts.NFTFactory).to.not.equal(first.contracts.NFTFactory);
+            expect(other.contracts.ERC721LogicV1).to.equal(first.contracts.ERC721LogicV1);
+            expect(other.proxyAdminOwner).to.equal(user1.address);
+
+            await (await ethers.getContractAt("ProxyAdmin", other.contracts.ProxyAdmin)).connect(user1).transferOwnership(user2.address);
+            const failure = await cli("deploy-infra", "--admin-owner", user1.address).catch(failure => failure);
+            expect(failure.message).to.equal(
+                `ProxyAdmin ${other.contracts.ProxyAdmin}, deployed by an earlier run with the same code and arguments, is owned by ${user2.address}, not ${user1.address}`
+            );
+        });
+
+        it("Should create a new collection on every run unless an operation id or salt names it", async function () {
+            const { cli, messages } = createCli();
+            await cli("deploy-infra");
+            const create = (...extra) => cli("create-collection", "--name", "Drop", "--symbol", "DROP", "--max-supply", "10", ...extra);
+
+            const named = await create("--op-id", "drop-1");
+            const resumed = await create("--op-id", "drop-1");
+            expect(resumed.proxyAddress).to.equal(named.proxyAddress);
+            expect(named.reused).to.be.undefined;
+            expect(resumed.reused).to.be.true;
+            expect(messages).to.include(`   ♻️  Already created by an earlier run: ${named.proxyAddress}`);
+            const failure = await create("--op-id", "drop-1", "--price", "0.1").catch(failure => failure);
+            expect(failure.message).to.match(/--op-id drop-1 was used for another creation/);
+
+            const unnamed = [await create(), await create()];
+            expect(new Set([named.proxyAddress, ...unnamed.map(result => result.proxyAddress)]).size).to.equal(3);
+
+            const predicted = await cli("predict-address", "--name", "Drop", "--symbol", "DROP", "--max-supply", "10", "--salt", "spring");
+            const salted = await create("--salt", "spring");
+            expect(salted.proxyAddress).to.equal(predicted.address);
+            expect((await create("--salt", "spring")).proxyAddress).to.equal(predicted.address);
+        });
+
+        it("Should list, inspect and snapshot collections", async function () {
+            const { cli } = createCli();
+            await cli("deploy-infra");
+            const { proxyAddress } = await cli("create-collection", "--name", "Inspect", "--symbol", "INS", "--max-supply", "10");
+
+            const listed = await cli("list");
+            expect(listed.collections.map(collection => collection.proxyAddress)).to.deep.equal([proxyAddress]);
+            const state = await cli("inspect", proxyAddress);
+            expect(state).to.include({ symbol: "INS", version: "1.0.0", fromFactory: true });
+            expect((await cli("history", proxyAddress)).factory).to.have.lengthOf(1);
+
+            const before = await cli("snapshot", proxyAddress);
+            const after = await cli("snapshot", proxyAddress);
+            expect((await cli("snapshot-diff", before.file, after.file)).preserved).to.be.true;
+        });
+
+        it("Should check, upgrade and list rollbacks for a collection", async function () {
+            const { cli } = createCli();
+            const { contracts } = await cli("deploy-infra");
+            const { proxyAddress } = await cli("create-collection", "--name", "Upgrade", "--symbol", "UPG", "--max-supply", "10");
+
+            expect((await cli("upgrade-route")).via).to.equal("proxyAdmin");
+            expect((await cli("storage-check", proxyAddress)).compatible).to.be.true;
+            expect((await cli("upgrade", proxyAddress, "--dry-run")).dryRun).to.be.true;
+            expect((await cli("upgrade", proxyAddress)).upgraded).to.equal(1);
+            const rollback = await cli("rollback", proxyAddress, "--list");
+            expect(rollback.targets.map(target => target.address)).to.deep.equal([contracts.ERC721LogicV1]);
+        });
+
+        it("Should report the factory catalogue, roles and pause status", async function () {
+            const [owner] = await ethers.getSigners();
+            const { cli } = createCli();
+            const { contracts } = await cli("deploy-infra");
+
+            expect((await cli("catalogue")).versions.map(entry => entry.version)).to.deep.equal(["1.0.0"]);
+            expect((await cli("roles")).owner).to.equal(owner.address);
+            const status = await cli("emergency");
+            expect(status.factory).to.equal(contracts.NFTFactory);
+            expect(status.allCollectionsPaused).to.be.false;
+        });
+
+        it("Should create a fleet and a collection in it", async function () {
+            const { cli } = createCli();
+            await cli("deploy-infra");
+            const created = await cli("fleet", "create", "genesis");
+            const { proxyAddress } = await cli("create-collection", "--fleet", "genesis", "--name", "Genesis", "--symbol", "GEN", "--max-supply", "10");
+
+            const { fleets } = await cli("fleet");
+            expect(fleets).to.have.lengthOf(1);
+            expect(fleets[0]).to.include({ name: "genesis", beacon: created.beacon });
+            expect(fleets[0].collections).to.deep.equal([proxyAddress]);
+        });
+
+        it("Should put the upgrade authority behind a timelock and keep it on a re-deployment", async function () {
+            const { cli, registry } = createCli();
+            const { contracts } = await cli("deploy-infra");
+
+            const { timelock } = await cli("timelock", "setup", "--delay", "60");
+            expect(await (await ethers.getContractAt("ProxyAdmin", contracts.ProxyAdmin)).owner()).to.equal(timelock);
+            expect((await cli("timelock")).operations).to.deep.equal([]);
+
+            // The ProxyAdmin now belongs to the timelock recorded for the same factory
+            const again = await cli("deploy-infra");
+            expect(again.proxyAdminOwner).to.equal(timelock);
+            expect(registry.read().infrastructure.contracts.UpgradeTimelock.address).to.equal(timelock);
+        });
+
+        it("Should index the factory and answer queries", async function () {
+            const { cli } = createCli();
+            await cli("deploy-infra");
+            const { proxyAddress } = await cli("create-collection", "--name", "Indexed", "--symbol", "IDX", "--max-supply", "10");
+            await cli("mint", proxyAddress, "--quantity", "1");
+
+            expect((await cli("index")).collections).to.equal(1);
+            expect((await cli("query", "collections", "--no-sync")).count).to.equal(1);
+            expect((await cli("query", "holders", proxyAddress)).tokens).to.equal(1);
+        });
+
+        it("Should mint and withdraw the sales of a collection", async function () {
+            const [owner, user1] = await ethers.getSigners();
+            const { cli } = createCli();
+            await cli("deploy-infra");
+            const { proxyAddress } = await cli("create-collection", "--name", "Sales", "--symbol", "SALE", "--max-supply", "10", "--price", "0.1");
+
+            await cli("mint", proxyAddress, "--from", "1");
+            const collection = await ethers.getContractAt("ERC721LogicV1", proxyAddress);
+            expect(await collection.balanceOf(user1.address)).to.equal(1n);
+            const withdrawn = await cli("withdraw", proxyAddress);
+            expect(withdrawn).to.include({ owner: owner.address, amount: ethers.parseEther("0.1") });
+            expect(await ethers.provider.getBalance(proxyAddress)).to.equal(0n);
+        });
+    });
+
+    describe("Deployment Registry", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const { spawnSync } = require("child_process");
+        const { SCHEMA_VERSION, LOCK_STALE_MS, openRegistry, acquireLock, releaseLock } = require("../scripts/lib/deployment-registry");
+
+        const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "registry-test-"));
+        const writeJson = (file, data) => fs.writeFileSync(file, JSON.stringify(data, null, 2));
+        const address = (n) => ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`);
+
+        it("Should migrate the legacy deployment files to the current schema", async function () {
+            const dir = tmpDir();
+            const [v1, factory, proxy, v2] = [0xa1, 0xfa, 0xb0, 0xa2].map(address);
+            writeJson(path.join(dir, "localhost-infrastructure.json"), {
+                deployer: address(9),
+                deploymentTime: "2024-01-01T00:00:00.000Z",
+                contracts: { ERC721LogicV1: v1.toLowerCase(), NFTFactory: factory }
+            });
+            writeJson(path.join(dir, "localhost-collections.json"), {
+                deployer: address(9),
+                factoryAddress: factory,
+                deploymentTime: "2024-01-02T00:00:00.000Z",
+                collections: [{ proxyAddress: proxy, name: "Legacy", symbol: "OLD", maxSupply: 100, mintPrice: "1000", transactionHash: ethers.ZeroHash, blockNumber: 5 }]
+            });
+            writeJson(path.join(dir, "localhost-upgrades.json"), {
+                newImplementation: v2,
+                upgradeTime: "2024-01-03T00:00:00.000Z",
+                upgradedCollections: [{ proxyAddress: proxy }]
+            });
+
+            const registry = openRegistry("localhost", { dir });
+            const data = registry.read();
+            expect(data.schemaVersion).to.equal(SCHEMA_VERSION);
+            expect(registry.getInfrastructure()).to.deep.equal({ ERC721LogicV1: v1, NFTFactory: factory });
+            expect(data.implementations[v1].contract).to.equal("ERC721LogicV1");
+            expect(data.proxies[proxy].history.map(entry => [entry.kind, entry.implementation])).to.deep.equal([["create", v1], ["upgrade", v2]]);
+            expect(registry.listProxies()[0].currentContract).to.equal("ERC721LogicV2Fixed");
+
+            // The first write stores the migrated document and retires the legacy files
+            registry.recordRun("test", {});
+            expect(JSON.parse(fs.readFileSync(registry.file, "utf8")).schemaVersion).to.equal(SCHEMA_VERSION);
+            expect(fs.readdirSync(dir).sort()).to.deep.equal([
+                "localhost-collections.json.migrated",
+                "localhost-infrastructure.json.migrated",
+                "localhost-registry.json",
+                "localhost-upgrades.json.migrated"
+            ]);
+        });
+
+        it("Should wait for a live lock and break a stale one", async function () {
+            const lockPath = path.join(tmpDir(), "registry.json.lock");
+            const since = (ageMs) => new Date(Date.now() - ageMs).toISOString();
+
+            // Held by this (live) process: times out instead of taking it
+            writeJson(lockPath, { pid: process.pid, since: since(0) });
+            const error = (() => {
+                try {
+                    acquireLock(lockPath, { timeoutMs: 200 });
+                } catch (failure) {
+                    return failure;
+                }
+            })();
+            expect(error.message).to.equal(`Timed out waiting for registry lock ${lockPath}`);
+
+            // Held by a live process for longer than LOCK_STALE_MS
+            writeJson(lockPath, { pid: process.pid, since: since(LOCK_STALE_MS + 1000) });
+            acquireLock(lockPath, { timeoutMs: 200 });
+            expect(Date.now() - new Date(JSON.parse(fs.readFileSync(lockPath, "utf8")).since).getTime()).to.be.below(LOCK_STALE_MS);
+            releaseLock(lockPath);
+
+            // Held by a process that has exited
+            const { pid } = spawnSync(process.execPath, ["-e", ""]);
+            writeJson(lockPath, { pid, since: since(0) });
+            acquireLock(lockPath, { timeoutMs: 200 });
+            expect(JSON.parse(fs.readFileSync(lockPath, "utf8")).pid).to.equal(process.pid);
+            releaseLock(lockPath);
+            expect(fs.existsSync(lockPath)).to.equal(false);
+        });
+
+        it("Should refuse to write an invalid registry", async function () {
+            const registry = openRegistry("localhost", { dir: tmpDir() });
+            const proxy = address(3);
+            registry.recordProxyCreated(proxy, { name: "Test", symbol: "TEST", maxSupply: 10, mintPrice: 0, implementation: address(1), blockNumber: 10 });
+            const before = fs.readFileSync(registry.file, "utf8");
+
+            const rejected = (mutator) => {
+                try {
+                    registry.update(mutator);
+                } catch (failure) {
+                    return failure.message;
+                }
+            };
+            expect(rejected(data => {
+                data.proxies[proxy].history.push({ ...data.proxies[proxy].history[0], kind: "teleport", blockNumber: 5 });
+            })).to.equal([
+                "Refusing to write invalid registry:",
+                `  - proxies.${proxy}.history[1].kind: expected one of create, upgrade, rollback, fleet-upgrade`,
+                `  - proxies.${proxy}.history[1].blockNumber: history must be in block order`
+            ].join("\n"));
+            expect(rejected(data => {
+                data.implementations[address(0xa1).toLowerCase()] = { contract: "ERC721LogicV1", txHash: "0x1234" };
+            })).to.match(/implementations key 0x0+a1: expected a checksummed address[\s\S]*txHash: expected a 32-byte hex string/);
+            expect(() => registry.recordUpgrade(address(4), { implementation: address(2) }))
+                .to.throw(`Proxy ${address(4)} is not in the localhost registry`);
+
+            // Nothing was written and the lock was released each time
+            expect(fs.readFileSync(registry.file, "utf8")).to.equal(before);
+            expect(fs.existsSync(`${registry.file}.lock`)).to.equal(false);
+        });
+
+        it("Should keep one registry per process on the hardhat network", async function () {
+            const first = openRegistry("hardhat");
+            first.recordRun("test", {});
+            const second = openRegistry("hardhat");
+            expect(second.file).to.equal(first.file);
+            expect(second.read().runs).to.have.length(first.read().runs.length);
+        });
+
+        it("Should share the hardhat temp dir with the event index and remove it when the process exits", async function () {
+            const script = `
+                const path = require("path");
+                const { openRegistry } = require(${JSON.stringify(require.resolve("../scripts/lib/deployment-registry"))});
+                const { createIndexer } = require(${JSON.stringify(require.resolve("../scripts/lib/event-indexer"))});
+                const registry = openRegistry("hardhat");
+                registry.recordRun("test", {});
+                const indexer = createIndexer({ provider: null, networkName: "hardhat", factoryAddress: "${address(0xfa)}", log: () => {} });
+                console.log(JSON.stringify({ registry: path.dirname(registry.file), index: path.dirname(indexer.file) }));
+            `;
+            const child = spawnSync(process.execPath, ["-e", script], { encoding: "utf8" });
+            expect(child.status, child.stderr).to.equal(0);
+            const dirs = JSON.parse(child.stdout);
+            expect(dirs.index).to.equal(dirs.registry);
+            expect(fs.existsSync(dirs.registry)).to.equal(false);
+        });
+    });
+
+    describe("Upgrade Planner", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const { openRegistry } = require("../scripts/lib/deployment-registry");
+        const { buildUpgradePlan, describeFilters, printPlan, applyUpgradePlan, printResults } = require("../scripts/lib/upgrade-planner");
+
+        // Four registered collections: AAA and DDD by the owner on V1, BBB on V1 and CCC on V2 by user1
+        async function plannerSetup() {
+            const { logicV1, proxyAdmin, factory, owner, user1 } = await loadFixture(deployFixture);
+            const logicV2 = await (await ethers.getContractFactory("ERC721LogicV2Fixed")).deploy();
+            const v1Address = await logicV1.getAddress();
+            const v2Address = await logicV2.getAddress();
+            const registry = openRegistry("hardhat", { dir: fs.mkdtempSync(path.join(os.tmpdir(), "planner-")) });
+            registry.recordImplementation(v1Address, { contract: "ERC721LogicV1", version: "1.0.0" });
+            registry.recordImplementation(v2Address, { contract: "ERC721LogicV2Fixed", version: "2.0.0" });
+
+            const proxies = {};
+            for (const [symbol, creator] of [["AAA", owner], ["BBB", user1], ["CCC", user1], ["DDD", owner]]) {
+                await factory.connect(creator).createNFTCollection(`${symbol} Collection`, symbol, 100, 0);
+                proxies[symbol] = (await factory.getDeployedCollections()).at(-1);
+                registry.recordProxyCreated(proxies[symbol], { name: `${symbol} Collection`, symbol, maxSupply: 100, mintPrice: 0, deployer: creator.address, implementation: v1Address, blockNumber: 0 });
+            }
+            await proxyAdmin.upgradeAndCall(proxies.CCC, v2Address, "0x");
+            registry.recordUpgrade(proxies.CCC, { implementation: v2Address, previousImplementation: v1Address, blockNumber: 0 });
+
+            const plan = (filters, options = {}) => buildUpgradePlan({
+                provider: ethers.provider,
+                registry,
+                target: { address: v2Address, contract: "ERC721LogicV2Fixed" },
+                filters,
+                encodeInitData: async () => "0x",
+                ...options
+            });
+            return { proxyAdmin, owner, user1, registry, proxies, v1Address, v2Address, plan };
+        }
+
+        it("Should select collections by symbol, deployer and current implementation", async function () {
+            const { user1, proxies, v1Address, v2Address, plan } = await plannerSetup();
+            const selected = async (filters) => (await plan(filters)).items.map(item => item.symbol);
+
+            expect(await selected({})).to.deep.equal(["AAA", "BBB", "CCC", "DDD"]);
+            expect(await selected({ symbols: [" aaa", "Ddd "] })).to.deep.equal(["AAA", "DDD"]);
+            expect(await selected({ deployer: user1.address.toLowerCase() })).to.deep.equal(["BBB", "CCC"]);
+            expect(await selected({ fromImplementation: "ERC721LogicV1" })).to.deep.equal(["AAA", "BBB", "DDD"]);
+            expect(await selected({ fromImplementation: v2Address.toLowerCase() })).to.deep.equal(["CCC"]);
+            expect(await selected({ deployer: user1.address, fromImplementation: v1Address })).to.deep.equal(["BBB"]);
+            expect(await selected({ symbols: ["AAA"], deployer: user1.address })).to.deep.equal([]);
+            expect(await selected({ proxies: [proxies.DDD, proxies.AAA], symbols: ["DDD"] })).to.deep.equal(["DDD"]);
+
+            const filtered = await plan({ symbols: ["CCC"], deployer: user1.address, fromImplementation: "ERC721LogicV2Fixed" });
+            expect(describeFilters(filtered.filters))
+                .to.equal(`symbol in [CCC], deployer = ${user1.address}, current implementation = ERC721LogicV2Fixed`);
+            expect(filtered.items[0].action).to.equal("skip");
+            expect(filtered.items[0].reason).to.equal("already on target implementation");
+        });
+
+        it("Should report upgraded, skipped, blocked and failed collections", async function () {
+            const { proxyAdmin, owner, registry, proxies, v1Address, v2Address, plan } = await plannerSetup();
+            const storageGate = async (implementation, proxyAddress) => ({
+                compatible: proxyAddress !== proxies.DDD,
+                fromContract: "ERC721LogicV1",
+                toContract: "ERC721LogicV2Fixed",
+                rows: []
+            });
+            const upgradePlan = await plan({}, { storageGate });
+            const planLog = [];
+            printPlan(upgradePlan, (line) => planLog.push(line));
+            expect(planLog.at(-1)).to.equal("\n   2 to upgrade, 1 to skip, 1 blocked");
+
+            // BBB moves on after planning, so its planned upgrade is refused
+            await proxyAdmin.upgradeAndCall(proxies.BBB, v2Address, "0x");
+            const results = await applyUpgradePlan(upgradePlan, {
+                provider: ethers.provider,
+                registry,
+                log: () => {},
+                sendUpgrade: async (item) => (await proxyAdmin.connect(owner).upgradeAndCall(item.proxyAddress, item.targetImplementation, item.initData)).wait()
+            });
+            expect(results.map(result => [result.symbol, result.status])).to.deep.equal([
+                ["AAA", "upgraded"], ["BBB", "failed"], ["CCC", "skipped"], ["DDD", "blocked"]
+            ]);
+            expect(results[1].error).to.equal(`implementation changed since planning (now ${v2Address})`);
+            expect(results[3].reason).to.equal("storage layout of ERC721LogicV2Fixed is not compatible with ERC721LogicV1");
+            expect(registry.getProxy(proxies.AAA).history.map(entry => entry.implementation)).to.deep.equal([v1Address, v2Address]);
+            expect(registry.getProxy(proxies.BBB).history).to.have.length(1);
+
+            const resultLog = [];
+            const counts = printResults(results, (line) => resultLog.push(line));
+            expect(counts).to.deep.equal({ upgraded: 1, changed: 0, scheduled: 0, skipped: 1, blocked: 1, failed: 1 });
+            expect(resultLog.at(-1)).to.equal("   1 upgraded, 0 changed state, 1 skipped, 1 blocked, 1 failed");
+        });
+    });
+
+    describe("Storage Layout Gate", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const hre = require("hardhat");
+        const { compareStorageLayouts, assertStorageCompatible, createStorageGate } = require("../scripts/lib/storage-layout");
+        const { openRegistry } = require("../scripts/lib/deployment-registry");
+        const { buildUpgradePlan } = require("../scripts/lib/upgrade-planner");
+
+        it("Should allow a layout that only appends variables", async function () {
+            const comparison = await compareStorageLayouts(hre, "LayoutBase", "LayoutAppended");
+            expect(comparison.compatible).to.equal(true);
+            expect(comparison.rows.filter(row => row.status !== "unchanged").map(row => [row.slot, row.status, row.after]))
+                .to.deep.equal([["3", "added", "royaltyFee (uint256)"]]);
+            await assertStorageCompatible(hre, "LayoutBase", "LayoutAppended");
+        });
+
+        it("Should block a layout that moves a variable to another slot", async function () {
+            const comparison = await compareStorageLayouts(hre, "LayoutBase", "LayoutReordered");
+            expect(comparison.compatible).to.equal(false);
+            expect(comparison.rows.filter(row => row.status === "changed").map(row => row.slot)).to.deep.equal(["1", "2"]);
+            const error = await assertStorageCompatible(hre, "LayoutBase", "LayoutReordered").catch(failure => failure);
+            expect(error.message).to.match(/^Storage layout of LayoutReordered is not compatible with LayoutBase/);
+        });
+
+        it("Should block planned upgrades of collections whose layout the target breaks", async function () {
+            const { factory } = await loadFixture(deployFixture);
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, ethers.parseEther("0.1"));
+            const [proxyAddress] = await factory.getDeployedCollections();
+            const registry = openRegistry("hardhat", { dir: fs.mkdtempSync(path.join(os.tmpdir(), "storage-gate-")) });
+            registry.recordProxyCreated(proxyAddress, { name: "Test Collection", symbol: "TEST", implementation: await factory.logicContract(), blockNumber: 0 });
+
+            const plan = async (targetContract) => {
+                const target = await (await ethers.getContractFactory(targetContract)).deploy();
+                return buildUpgradePlan({
+                    provider: ethers.provider,
+                    registry,
+                    target: { address: await target.getAddress(), contract: targetContract },
+                    filters: { proxies: [proxyAddress] },
+                    storageGate: createStorageGate(hre, { registry, targetContract }),
+                    encodeInitData: async () => "0x"
+                });
+            };
+
+            const blocked = await plan("LayoutBase");
+            expect(blocked.items[0].action).to.equal("blocked");
+            expect(blocked.items[0].reason).to.equal("storage layout of LayoutBase is not compatible with ERC721LogicV1");
+            expect(blocked.blockedCount).to.equal(1);
+            const allowed = await plan("ERC721LogicV2Fixed");
+            expect(allowed.items[0].action).to.equal("upgrade");
+            expect(allowed.items[0].storageDiff.some(line => line.startsWith("+"))).to.equal(true);
+        });
+    });
+
+    describe("Event Indexer", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const { createIndexer } = require("../scripts/lib/event-indexer");
+
+        async function indexerFor(factory, options = {}) {
+            return createIndexer({
+                provider: ethers.provider,
+                networkName: "hardhat",
+                factoryAddress: await factory.getAddress(),
+                dir: fs.mkdtempSync(path.join(os.tmpdir(), "nft-index-")),
+                log: () => {},
+                ...options
+            });
+        }
+
+        it("Should roll back events from blocks that were reorganised away", async function () {
+            const { factory, owner, user1 } = await loadFixture(deployFixture);
+            const indexer = await indexerFor(factory, { startBlock: await ethers.provider.getBlockNumber() });
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, 0);
+            const [proxyAddress] = await factory.getDeployedCollections();
+            const nft = await ethers.getContractAt("ERC721LogicV1", proxyAddress);
+            await nft.connect(user1).mint(user1.address);
+
+            const forkBlock = await ethers.provider.getBlockNumber();
+            const snapshot = await ethers.provider.send("evm_snapshot", []);
+            await nft.connect(user1).mint(user1.address);
+            await indexer.sync();
+            expect(indexer.holders(proxyAddress)).to.deep.equal([{ holder: user1.address, balance: 2, tokenIds: ["1", "2"] }]);
+
+            // The second mint is replaced by one to the owner on the new chain
+            await ethers.provider.send("evm_revert", [snapshot]);
+            await nft.connect(owner).mint(owner.address);
+            const result = await indexer.sync();
+            expect(result.reorgAt).to.equal(forkBlock + 1);
+            expect(result.rolledBack).to.equal(2);
+            expect(result.added).to.equal(2);
+            expect(indexer.holders(proxyAddress)).to.deep.equal([
+                { holder: user1.address, balance: 1, tokenIds: ["1"] },
+                { holder: owner.address, balance: 1, tokenIds: ["2"] }
+            ]);
+            expect(indexer.read().lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+            // Older than the kept block hashes: the index has to be rebuilt
+            const shallow = await indexerFor(factory, { reorgWindow: 2 });
+            const deep = await ethers.provider.send("evm_snapshot", []);
+            await ethers.provider.send("hardhat_mine", ["0x3"]);
+            await shallow.sync();
+            await ethers.provider.send("evm_revert", [deep]);
+            await owner.sendTransaction({ to: user1.address, value: 1n });
+            await ethers.provider.send("hardhat_mine", ["0x3"]);
+            const error = await shallow.sync().catch(failure => failure);
+            expect(error.message).to.equal("Reorg deeper than the last 2 indexed blocks; rebuild the index with --reset");
+        });
+
+        it("Should resume from the saved cursor without holding the lock while fetching", async function () {
+            const { factory, user1 } = await loadFixture(deployFixture);
+            const startBlock = await ethers.provider.getBlockNumber();
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, 0);
+            const [proxyAddress] = await factory.getDeployedCollections();
+            const nft = await ethers.getContractAt("ERC721LogicV1", proxyAddress);
+            for (let i = 0; i < 3; i++) {
+                await nft.connect(user1).mint(user1.address);
+            }
+            const head = await ethers.provider.getBlockNumber();
+
+            // The node fails on the last block: the batches before it stay saved
+            const indexer = await indexerFor(factory, { startBlock, batchSize: 1 });
+            const lockPath = `${indexer.file}.lock`;
+            let lockedWhileFetching = false;
+            const failing = await indexerFor(factory, {
+                startBlock,
+                batchSize: 1,
+                dir: path.dirname(indexer.file),
+                provider: {
+                    getBlock: (number) => ethers.provider.getBlock(number),
+                    getBlockNumber: () => ethers.provider.getBlockNumber(),
+                    getLogs: async (filter) => {
+                        lockedWhileFetching = lockedWhileFetching || fs.existsSync(lockPath);
+                        if (filter.toBlock === head) {
+                            throw new Error("node went away");
+                        }
+                        return ethers.provider.getLogs(filter);
+                    }
+                }
+            });
+            const error = await failing.sync().catch(failure => failure);
+            expect(error.message).to.equal("node went away");
+            expect(indexer.read().lastBlock).to.equal(head - 1);
+            expect(lockedWhileFetching).to.equal(false);
+            expect(fs.existsSync(lockPath)).to.equal(false);
+
+            const result = await indexer.sync();
+            expect(result).to.deep.include({ fromBlock: head, toBlock: head, added: 2, rolledBack: 0 });
+            const fresh = await indexerFor(factory, { startBlock });
+            await fresh.sync();
+            expect(indexer.read().events).to.deep.equal(fresh.read().events);
+        });
+
+        it("Should continue from another process's cursor when it saves during a sync", async function () {
+            const { factory, user1 } = await loadFixture(deployFixture);
+            const startBlock = await ethers.provider.getBlockNumber();
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, 0);
+            const [proxyAddress] = await factory.getDeployedCollections();
+            await (await ethers.getContractAt("ERC721LogicV1", proxyAddress)).connect(user1).mint(user1.address);
+
+            // The other indexer syncs to the head while this one waits for its first logs
+            const other = await indexerFor(factory, { startBlock });
+            let interrupted = false;
+            const messages = [];
+            const indexer = await indexerFor(factory, {
+                startBlock,
+                dir: path.dirname(other.file),
+                log: (message) => messages.push(message),
+                provider: {
+                    getBlock: (number) => ethers.provider.getBlock(number),
+                    getBlockNumber: () => ethers.provider.getBlockNumber(),
+                    getLogs: async (filter) => {
+                        if (!interrupted) {
+                            interrupted = true;
+                            await other.sync();
+                        }
+                        return ethers.provider.getLogs(filter);
+                    }
+                }
+            });
+            const result = await indexer.sync();
+            expect(messages).to.include("   🔁 The index was saved by another process; continuing from its last block");
+            expect(result.added).to.equal(0);
+            expect(indexer.read().lastBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(indexer.read().events.filter(event => event.event === "NFTCollectionDeployed")).to.have.length(1);
+        });
+
+        it("Should list beacon upgrades in the timeline of fleet collections", async function () {
+            const { logicV1, proxyAdmin, factory, owner } = await loadFixture(deployFixture);
+            const indexer = await indexerFor(factory, { startBlock: await ethers.provider.getBlockNumber() });
+            const v1Address = await logicV1.getAddress();
+            const beacon = await (await ethers.getContractFactory("UpgradeableBeacon")).deploy(v1Address, await factory.getAddress());
+            const beaconAddress = await beacon.getAddress();
+            await factory.addFleet("genesis", beaconAddress);
+            await proxyAdmin.transferOwnership(await factory.getAddress());
+            await factory.createFleetCollection("genesis", "Fleet 1", "FLT1", 100, 0, owner.address, "0x");
+            const [fleet1] = await factory.getDeployedCollections();
+
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            const logicV2 = await ERC721LogicV2Fixed.deploy();
+            const logicV2b = await ERC721LogicV2Fixed.deploy();
+            await factory["approveImplementation(string,address,bytes4[])"]("2.0.0", await logicV2.getAddress(), []);
+            await factory["approveImplementation(string,address,bytes4[])"]("2.0.1", await logicV2b.getAddress(), []);
+            await factory.upgradeFleet("genesis", await logicV2.getAddress(), []);
+            await factory.leaveFleet(fleet1, await logicV2.getAddress(), "0x");
+            // After leaving, the beacon moves on without the collection
+            await factory.upgradeFleet("genesis", await logicV2b.getAddress(), []);
+
+            await indexer.sync();
+            expect(indexer.upgradeTimeline(fleet1).map(entry => [entry.event, entry.beacon ?? null, entry.implementation ?? null])).to.deep.equal([
+                ["AdminChanged", null, null],
+                ["BeaconUpgraded", beaconAddress, v1Address],
+                ["Upgraded", beaconAddress, await logicV2.getAddress()],
+                ["Upgraded", null, await logicV2.getAddress()]
+            ]);
+        });
+    });
+
+    describe("Collection Ownership", function () {
+        it("Should make the caller the owner of a new collection", async function () {
+            const { factory, user1 } = await loadFixture(deployFixture);
+
+            await factory.connect(user1).createNFTCollection(
+                "Test Collection",
+                "TEST",
+                1000,
+                ethers.parseEther("0.1")
+            );
+
+            const collections = await factory.getDeployedCollections();
+            const nftContract = await ethers.getContractAt("ERC721LogicV1", collections[0]);
+
+            expect(await nftContract.owner()).to.equal(user1.address);
+        });
+
+        it("Should accept an explicit initial owner", async function () {
+            const { factory, user1, user2 } = await loadFixture(deployFixture);
+
+            await factory.connect(user1)["createNFTCollection(string,string,uint256,uint256,address)"](
+                "Test Collection",
+                "TEST",
+                1000,
+                ethers.parseEther("0.1"),
+                user2.address
+            );
+
+            const collections = await factory.getDeployedCollections();
+            const nftContract = await ethers.getContractAt("ERC721LogicV1", collections[0]);
+
+            expect(await nftContract.owner()).to.equal(user2.address);
+            expect((await factory.collectionInfo(collections[0])).deployer).to.equal(user1.address);
+        });
+
+        it("Should reject the zero address as initial owner", async function () {
+            const { factory } = await loadFixture(deployFixture);
+
+            await expect(
+                factory["createNFTCollection(string,string,uint256,uint256,address)"](
+                    "Test Collection",
+                    "TEST",
+                    1000,
+                    ethers.parseEther("0.1"),
+                    ethers.ZeroAddress
+                )
+            ).to.be.revertedWith("Invalid initial owner");
+        });
+
+        it("Should let the creator withdraw mint proceeds", async function () {
+            const { factory, user1, user2 } = await loadFixture(deployFixture);
+
+            await factory.connect(user1).createNFTCollection(
+                "Test Collection",
+                "TEST",
+                1000,
+                ethers.parseEther("0.1")
+            );
+
+            const collections = await factory.getDeployedCollections();
+            const nftContract = await ethers.getContractAt("ERC721LogicV1", collections[0]);
+
+            await nftContract.connect(user2).mint(user2.address, { value: ethers.parseEther("0.1") });
+            await nftContract.connect(user2).mint(user2.address, { value: ethers.parseEther("0.1") });
+
+            await expect(nftContract.connect(user1).withdraw()).to.changeEtherBalances(
+                [nftContract, user1],
+                [ethers.parseEther("-0.2"), ethers.parseEther("0.2")]
+            );
+            await expect(nftContract.connect(user2).withdraw())
+                .to.be.revertedWithCustomError(nftContract, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should migrate factory-owned collections to their creator during a V2 upgrade", async function () {
+            const { logicV1, proxyAdmin, factory, user1, user2 } = await loadFixture(deployFixture);
+
+            // Collections created by the previous factory were initialized with the factory as owner
+            const CustomTransparentProxy = await ethers.getContractFactory("CustomTransparentProxy");
+            const legacyInitData = logicV1.interface.encodeFunctionData("initialize", [
+                "Legacy Collection",
+                "LEGACY",
+                1000,
+                ethers.parseEther("0.1"),
+                await factory.getAddress()
+            ]);
+            const proxy = await CustomTransparentProxy.deploy(
+                await logicV1.getAddress(),
+                await proxyAdmin.getAddress(),
+                legacyInitData
+            );
+            const proxyAddress = await proxy.getAddress();
+            const legacy = await ethers.getContractAt("ERC721LogicV1", proxyAddress);
+
+            await legacy.connect(user2).mint(user2.address, { value: ethers.parseEther("0.1") });
+            await expect(legacy.connect(user1).withdraw())
+                .to.be.revertedWithCustomError(legacy, "OwnableUnauthorizedAccount");
+
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            const logicV2 = await ERC721LogicV2Fixed.deploy();
+            await logicV2.waitForDeployment();
+
+            await proxyAdmin.upgradeAndCall(
+                proxyAddress,
+                await logicV2.getAddress(),
+                ERC721LogicV2Fixed.interface.encodeFunctionData("migrateOwnership", [user1.address])
+            );
+
+            const migrated = await ethers.getContractAt("ERC721LogicV2Fixed", proxyAddress);
+            expect(await migrated.owner()).to.equal(user1.address);
+            await expect(migrated.connect(user1).withdraw()).to.changeEtherBalances(
+                [migrated, user1],
+                [ethers.parseEther("-0.1"), ethers.parseEther("0.1")]
+            );
+        });
+
+        it("Should only allow ownership migration through the ProxyAdmin", async function () {
+            const { factory, proxyAdmin, owner, user1 } = await loadFixture(deployFixture);
+
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, ethers.parseEther("0.1"));
+            const [proxyAddress] = await factory.getDeployedCollections();
+
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            const logicV2 = await ERC721LogicV2Fixed.deploy();
+            await logicV2.waitForDeployment();
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV2.getAddress(), "0x");
+
+            const nftV2 = await ethers.getContractAt("ERC721LogicV2Fixed", proxyAddress);
+            await expect(nftV2.connect(user1).migrateOwnership(user1.address))
+                .to.be.revertedWith("Only ProxyAdmin during upgrade");
+            await expect(nftV2.connect(owner).migrateOwnership(user1.address))
+                .to.be.revertedWith("Only ProxyAdmin during upgrade");
+            expect(await nftV2.owner()).to.equal(owner.address);
+        });
+    });
+
+    describe("Deterministic Collection Addresses", function () {
+        const salt = ethers.id("TEST");
+        const mintPrice = ethers.parseEther("0.1");
+
+        it("Should deploy to the predicted address", async function () {
+            const { factory, user1 } = await loadFixture(deployFixture);
+
+            const predicted = await factory.predictCollectionAddress(
+                user1.address, salt, "Test Collection", "TEST", 1000, mintPrice, user1.address
+            );
+            await expect(factory.connect(user1).createNFTCollectionDeterministic(
+                "Test Collection", "TEST", 1000, mintPrice, user1.address, salt
+            ))
+                .to.emit(factory, "NFTCollectionDeployed")
+                .withArgs(predicted, "Test Collection", "TEST", user1.address, 1000, mintPrice);
+
+            expect(await factory.isDeployedCollection(predicted)).to.be.true;
+            const nftContract = await ethers.getContractAt("ERC721LogicV1", predicted);
+            expect(await nftContract.owner()).to.equal(user1.address);
+        });
+
+        it("Should match the offline address predictor", async function () {
+            const { logicV1, proxyAdmin, factory, user1, user2 } = await loadFixture(deployFixture);
+            const { predictCollectionAddress } = require("../scripts/lib/create2");
+            const CustomTransparentProxy = await ethers.getContractFactory("CustomTransparentProxy");
+
+            const offline = predictCollectionAddress({
+                factoryAddress: await factory.getAddress(),
+                logicContract: await logicV1.getAddress(),
+                proxyAdmin: await proxyAdmin.getAddress(),
+                creator: user1.address,
+                salt: "TEST",
+                name: "Test Collection",
+                symbol: "TEST",
+                maxSupply: 1000n,
+                mintPrice,
+                initialOwner: user2.address,
+                proxyBytecode: CustomTransparentProxy.bytecode
+            });
+
+            expect(offline).to.equal(await factory.predictCollectionAddress(
+                user1.address, salt, "Test Collection", "TEST", 1000, mintPrice, user2.address
+            ));
+        });
+
+        it("Should reject reusing a salt with the same arguments", async function () {
+            const { factory, user1 } = await loadFixture(deployFixture);
+
+            await factory.connect(user1).createNFTCollectionDeterministic(
+                "Test Collection", "TEST", 1000, mintPrice, user1.address, salt
+            );
+            await expect(factory.connect(user1).createNFTCollectionDeterministic(
+                "Test Collection", "TEST", 1000, mintPrice, user1.address, salt
+            )).to.be.revertedWith("Collection address already used");
+        });
+
+        it("Should namespace salts by creator", async function () {
+            const { factory, user1, user2 } = await loadFixture(deployFixture);
+
+            const forUser1 = await factory.predictCollectionAddress(
+                user1.address, salt, "Test Collection", "TEST", 1000, mintPrice, user1.address
+            );
+            const forUser2 = await factory.predictCollectionAddress(
+                user2.address, salt, "Test Collection", "TEST", 1000, mintPrice, user1.address
+            );
+            expect(forUser1).to.not.equal(forUser2);
+
+            // Another creator using the same salt cannot take user1's address
+            await factory.connect(user2).createNFTCollectionDeterministic(
+                "Test Collection", "TEST", 1000, mintPrice, user1.address, salt
+            );
+            expect(await factory.isDeployedCollection(forUser2)).to.be.true;
+            expect(await ethers.provider.getCode(forUser1)).to.equal("0x");
+        });
+    });
+
+    describe("Rollback", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const { openRegistry } = require("../scripts/lib/deployment-registry");
+        const { createTransactionManager } = require("../scripts/lib/transaction-manager");
+        const { buildUpgradePlan, applyUpgradePlan, upgradeJournalKey } = require("../scripts/lib/upgrade-planner");
+        const { buildRollbackPlan, printRollbackPlan, applyRollback } = require("../scripts/lib/rollback");
+
+        // A V3 collection that ran V1 and V2Fixed before, with that history in its own registry
+        async function v3HistoryFixture() {
+            const mintPrice = ethers.parseEther("0.1");
+            const fixture = await v3CollectionFixture({ mintPrice, onV2: (v2, { user1 }) => v2.batchMint(user1.address, 3, { value: mintPrice * 3n }) });
+            const registry = openRegistry("hardhat", { dir: fs.mkdtempSync(path.join(os.tmpdir(), "rollback-")) });
+            const history = [[fixture.logicV1, "ERC721LogicV1", "1.0.0"], [fixture.logicV2, "ERC721LogicV2Fixed", "2.0.0"], [fixture.logicV3, "ERC721LogicV3", "3.0.0"]];
+            for (const [index, [logic, contract, version]] of history.entries()) {
+                const implementation = await logic.getAddress();
+                registry.recordImplementation(implementation, { contract, version });
+                if (index === 0) {
+                    registry.recordProxyCreated(fixture.proxyAddress, { name: "Test Collection", symbol: "TEST", implementation, blockNumber: 0 });
+                } else {
+                    registry.recordUpgrade(fixture.proxyAddress, { implementation, blockNumber: index });
+                }
+            }
+            return { ...fixture, registry };
+        }
+
+        it("Should send an upgrade again after rolling back", async function () {
+            const { logicV1, proxyAdmin, factory, owner } = await loadFixture(deployFixture);
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, ethers.parseEther("0.1"));
+            const [proxyAddress] = await factory.getDeployedCollections();
+            const logicV2 = await (await ethers.getContractFactory("ERC721LogicV2Fixed")).deploy();
+            const v1Address = await logicV1.getAddress();
+            const v2Address = await logicV2.getAddress();
+
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rollback-"));
+            const registry = openRegistry("hardhat", { dir });
+            registry.recordImplementation(v1Address, { contract: "ERC721LogicV1", version: "1.0.0" });
+            registry.recordImplementation(v2Address, { contract: "ERC721LogicV2Fixed", version: "2.0.0" });
+            registry.recordProxyCreated(proxyAddress, { name: "Test Collection", symbol: "TEST", implementation: v1Address, blockNumber: 0 });
+            const txManager = createTransactionManager({ provider: ethers.provider, networkName: "hardhat", journalPath: path.join(dir, "journal.json"), log: () => {} });
+            const sendUpgrade = (proxy, implementation, key) => txManager.send(
+                owner, () => proxyAdmin.upgradeAndCall.populateTransaction(proxy, implementation, "0x"), { key }
+            );
+            const upgrade = async () => {
+                const plan = await buildUpgradePlan({
+                    provider: ethers.provider,
+                    registry,
+                    target: { address: v2Address, contract: "ERC721LogicV2Fixed" },
+                    filters: { proxies: [proxyAddress] },
+                    encodeInitData: async () => "0x"
+                });
+                const [result] = await applyUpgradePlan(plan, {
+                    provider: ethers.provider,
+                    registry,
+                    log: () => {},
+                    sendUpgrade: (item) => sendUpgrade(item.proxyAddress, item.targetImplementation, upgradeJournalKey(registry, item))
+                });
+                return result;
+            };
+
+            const first = await upgrade();
+            const plan = await buildRollbackPlan(require("hardhat"), { registry, proxyAddress });
+            await applyRollback(plan, {
+                provider: ethers.provider,
+                registry,
+                sendUpgrade: (proxy, implementation) => sendUpgrade(proxy, implementation, `rollback:${proxy}:${registry.getProxy(proxy).history.length}`)
+            });
+            const nft = await ethers.getContractAt("ERC721LogicV1", proxyAddress);
+            expect(await nft.getVersion()).to.equal("1.0.0");
+
+            // The same target as the first upgrade, under a new journal key
+            const second = await upgrade();
+            expect(second.status).to.equal("upgraded");
+            expect(second.transactionHash).to.not.equal(first.transactionHash);
+            expect(await nft.getVersion()).to.equal("2.0.0");
+            expect(txManager.entries("confirmed").map(entry => entry.key)).to.deep.equal([
+                `upgrade:${proxyAddress}:1:${v2Address}`,
+                `rollback:${proxyAddress}:2`,
+                `upgrade:${proxyAddress}:3:${v2Address}`
+            ]);
+            expect(registry.getProxy(proxyAddress).history.map(entry => entry.implementation)).to.deep.equal([v1Address, v2Address, v1Address, v2Address]);
+        });
+
+        it("Should keep V1 state and leave V2 state in storage after rolling back", async function () {
+            const { logicV1, proxyAdmin, factory, owner, user1 } = await loadFixture(deployFixture);
+
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, ethers.parseEther("0.1"));
+            const [proxyAddress] = await factory.getDeployedCollections();
+            const nftV1 = await ethers.getContractAt("ERC721LogicV1", proxyAddress);
+            await nftV1.connect(user1).mint(user1.address, { value: ethers.parseEther("0.1") });
+
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            const logicV2 = await ERC721LogicV2Fixed.deploy();
+            await logicV2.waitForDeployment();
+            const initData = ERC721LogicV2Fixed.interface.encodeFunctionData("initializeV2Features", [
+                "https://example.com/", "https://example.com/hidden.json", owner.address, 250
+            ]);
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV2.getAddress(), initData);
+
+            // Roll back: re-point without an init call
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV1.getAddress(), "0x");
+            expect(await nftV1.getVersion()).to.equal("1.0.0");
+            expect(await nftV1.ownerOf(1)).to.equal(user1.address);
+            expect(await nftV1.totalSupply()).to.equal(1);
+
+            // The V2 values are still there when the collection moves forward again
+            await expect(proxyAdmin.upgradeAndCall(proxyAddress, await logicV2.getAddress(), initData))
+                .to.be.revertedWith("V2 already initialized");
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV2.getAddress(), "0x");
+            const nftV2 = await ethers.getContractAt("ERC721LogicV2Fixed", proxyAddress);
+            expect(await nftV2.baseURI()).to.equal("https://example.com/");
+            expect(await nftV2.royaltyFeeNumerator()).to.equal(250);
+        });
+
+        it("Should list orphaned mappings as possibly populated when rolling V3 back", async function () {
+            const { registry, proxyAddress, nft } = await loadFixture(v3HistoryFixture);
+            await nft.setTokenURI(1, "ipfs://custom/1.json");
+
+            const plan = await buildRollbackPlan(require("hardhat"), { registry, proxyAddress });
+            expect(plan.action).to.equal("rollback");
+            expect(plan.targetContract).to.equal("ERC721LogicV2Fixed");
+            const tokenURIs = plan.orphaned.find(entry => entry.label === "_tokenURIs");
+            expect(tokenURIs).to.include({ value: null, possiblyPopulated: true });
+            expect(plan.orphaned.find(entry => entry.label === "_payees")).to.include({ value: 0n, length: true });
+
+            const lines = [];
+            printRollbackPlan(plan, (line) => lines.push(line));
+            expect(lines.some(line => line.includes("_tokenURIs") && line.includes("unverifiable, possibly populated"))).to.be.true;
+            expect(lines.some(line => line.includes("_payees"))).to.be.false;
+        });
+
+        it("Should block a rollback to V2 while payees are owed, unless asked to allow it", async function () {
+            const { registry, proxyAddress, nft, user1, user2 } = await loadFixture(v3HistoryFixture);
+            // The proceeds from before the split are the owner's; the next ones are the payees'
+            await nft.setPayees([user1.address, user2.address], [1, 1]);
+            await nft.connect(user2).batchMint(user2.address, 2, { value: ethers.parseEther("0.2") });
+
+            const blocked = await buildRollbackPlan(require("hardhat"), { registry, proxyAddress });
+            expect(blocked.action).to.equal("blocked");
+            expect(blocked.owedToPayees).to.equal(ethers.parseEther("0.2"));
+            expect(blocked.reason).to.match(/^payees are owed 0\.2 ETH that ERC721LogicV2Fixed's withdraw\(\) would send to the owner/);
+            const failure = await applyRollback(blocked, { provider: ethers.provider, registry, sendUpgrade: async () => {} }).catch(failure => failure);
+            expect(failure.message).to.match(/is blocked: payees are owed/);
+
+            const allowed = await buildRollbackPlan(require("hardhat"), { registry, proxyAddress, allowOwedFunds: true });
+            expect(allowed.action).to.equal("rollback");
+
+            await nft.release(user1.address);
+            await nft.release(user2.address);
+            const released = await buildRollbackPlan(require("hardhat"), { registry, proxyAddress });
+            expect(released.action).to.equal("rollback");
+            expect(released.owedToPayees).to.equal(0n);
+        });
+    });
+
+    describe("State Snapshots", function () {
+        const { takeSnapshot, diffSnapshots } = require("../scripts/lib/state-snapshot");
+
+        async function mintedCollectionFixture() {
+            const fixture = await deployFixture();
+            const { factory, user1, user2 } = fixture;
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, ethers.parseEther("0.1"));
+            const [proxyAddress] = await factory.getDeployedCollections();
+            const nft = await ethers.getContractAt("ERC721LogicV1", proxyAddress);
+            await nft.connect(user1).mint(user1.address, { value: ethers.parseEther("0.1") });
+            await nft.connect(user2).mint(user2.address, { value: ethers.parseEther("0.1") });
+            await nft.connect(user1).approve(user2.address, 1);
+            await nft.connect(user2).setApprovalForAll(user1.address, true);
+            return { ...fixture, proxyAddress, nft };
+        }
+
+        it("Should preserve every snapshot value across a V2 upgrade", async function () {
+            const { proxyAdmin, owner, user1, user2, proxyAddress } = await loadFixture(mintedCollectionFixture);
+
+            const before = await takeSnapshot({ provider: ethers.provider, proxyAddress });
+            expect(before.tokens["1"]).to.deep.equal({ owner: user1.address, approved: user2.address });
+            expect(before.operatorApprovals).to.deep.equal([{ owner: user2.address, operator: user1.address }]);
+            expect(before.state.balance).to.equal(ethers.parseEther("0.2").toString());
+            expect(before.v2).to.equal(null);
+
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            const logicV2 = await ERC721LogicV2Fixed.deploy();
+            await logicV2.waitForDeployment();
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV2.getAddress(), ERC721LogicV2Fixed.interface.encodeFunctionData(
+                "initializeV2Features", ["https://example.com/", "https://example.com/hidden.json", owner.address, 250]
+            ));
+
+            const diff = diffSnapshots(before, await takeSnapshot({ provider: ethers.provider, proxyAddress }));
+            expect(diff.preserved).to.be.true;
+            expect(diff.changes.map(change => change.path)).to.include.members(["implementation", "version", "v2.baseURI"]);
+        });
+
+        it("Should report changes to preserved values", async function () {
+            const { user1, user2, proxyAddress, nft } = await loadFixture(mintedCollectionFixture);
+
+            const before = await takeSnapshot({ provider: ethers.provider, proxyAddress });
+            await nft.connect(user1).transferFrom(user1.address, user2.address, 1);
+            const diff = diffSnapshots(before, await takeSnapshot({ provider: ethers.provider, proxyAddress }));
+
+            expect(diff.preserved).to.be.false;
+            expect(diff.violations.map(change => change.path)).to.have.members(["tokens.1.owner", "tokens.1.approved"]);
+        });
+    });
+
+    describe("Factory Upgrades", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const hre = require("hardhat");
+        const { openRegistry } = require("../scripts/lib/deployment-registry");
+        const { runCommand } = require("../scripts/nft-admin");
+
+        async function factoryOwnedAdminFixture() {
+            const fixture = await deployFixture();
+            const { proxyAdmin, factory } = fixture;
+            await factory.createNFTCollection("Collection 1", "COL1", 1000, ethers.parseEther("0.1"));
+            await factory.createNFTCollection("Collection 2", "COL2", 1000, ethers.parseEther("0.1"));
+            await proxyAdmin.transferOwnership(await factory.getAddress());
+
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            const logicV2 = await ERC721LogicV2Fixed.deploy();
+            await logicV2.waitForDeployment();
+            await factory["approveImplementation(string,address,bytes4[])"](
+                "2.0.0", await logicV2.getAddress(), [ERC721LogicV2Fixed.interface.getFunction("initializeV2Features").selector]
+            );
+            const initData = (symbol) => ERC721LogicV2Fixed.interface.encodeFunctionData("initializeV2Features", [
+                `https://example.com/${symbol}/`, `https://example.com/${symbol}/hidden.json`, fixture.owner.address, 250
+            ]);
+            return { ...fixture, logicV2, initData, collections: [...await factory.getDeployedCollections()] };
+        }
+
+        it("Should upgrade a collection and record it on-chain", async function () {
+            const { logicV1, factory, owner, logicV2, initData, collections } = await loadFixture(factoryOwnedAdminFixture);
+            const v2Address = await logicV2.getAddress();
+
+            await expect(factory.upgradeCollection(collections[0], v2Address, initData("col1")))
+                .to.emit(factory, "CollectionUpgraded")
+                .withArgs(collections[0], await logicV1.getAddress(), v2Address, owner.address);
+
+            const nftV2 = await ethers.getContractAt("ERC721LogicV2Fixed", collections[0]);
+            expect(await nftV2.getVersion()).to.equal("2.0.0");
+            expect(await nftV2.baseURI()).to.equal("https://example.com/col1/");
+            expect(await factory.getCollectionImplementation(collections[0])).to.equal(v2Address);
+            expect(await factory.getCollectionImplementation(collections[1])).to.equal(await logicV1.getAddress());
+
+            const history = await factory.getUpgradeHistory(collections[0]);
+            expect(history.map(record => record.implementation)).to.deep.equal([await logicV1.getAddress(), v2Address]);
+            expect(history[1].upgradedBy).to.equal(owner.address);
+        });
+
+        it("Should upgrade several collections in one transaction", async function () {
+            const { factory, logicV2, initData, collections } = await loadFixture(factoryOwnedAdminFixture);
+            const v2Address = await logicV2.getAddress();
+
+            await expect(factory.upgradeCollections(collections, v2Address, [initData("col1")]))
+                .to.be.revertedWith("Length mismatch");
+            await expect(factory.upgradeCollections(collections, v2Address, [initData("col1"), initData("col2")]))
+                .to.emit(factory, "CollectionUpgraded").withArgs(collections[1], anyValue, v2Address, anyValue);
+
+            for (const [index, proxyAddress] of collections.entries()) {
+                const nftV2 = await ethers.getContractAt("ERC721LogicV2Fixed", proxyAddress);
+                expect(await nftV2.baseURI()).to.equal(`https://example.com/col${index + 1}/`);
+                expect(await factory.getCollectionImplementation(proxyAddress)).to.equal(v2Address);
+            }
+        });
+
+        it("Should only let upgraders upgrade known collections", async function () {
+            const { factory, user1, logicV2, collections } = await loadFixture(factoryOwnedAdminFixture);
+            const v2Address = await logicV2.getAddress();
+
+            await expect(factory.connect(user1).upgradeCollection(collections[0], v2Address, "0x"))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+            await expect(factory.upgradeCollection(user1.address, v2Address, "0x"))
+                .to.be.revertedWith("Unknown collection");
+            await expect(factory.upgradeCollection(collections[0], user1.address, "0x"))
+                .to.be.revertedWith("Implementation not approved");
+        });
+
+        it("Should only forward approved initializers and creator migrations", async function () {
+            const { factory, owner, user1, logicV2, initData, collections } = await loadFixture(factoryOwnedAdminFixture);
+            const v2Address = await logicV2.getAddress();
+            const call = (name, args) => logicV2.interface.encodeFunctionData(name, args);
+            expect(await factory.getInitializers("2.0.0")).to.deep.equal([logicV2.interface.getFunction("initializeV2Features").selector]);
+            expect(await factory.getInitializers("1.0.0")).to.deep.equal([]);
+
+            // Calls the ProxyAdmin would make with its own authority
+            await expect(factory.upgradeCollection(collections[0], v2Address, call("migrateOwnership", [user1.address])))
+                .to.be.revertedWith("Collection not owned by the factory");
+            await expect(factory.upgradeCollection(collections[0], v2Address, call("transferOwnership", [user1.address])))
+                .to.be.revertedWith("Upgrade call not allowed");
+            await expect(factory.upgradeCollections(collections, v2Address, [initData("col1"), call("setBaseURI", ["https://evil/"])]))
+                .to.be.revertedWith("Upgrade call not allowed");
+
+            // A collection the factory owns can only go to the account that created it
+            await factory.connect(user1)["createNFTCollection(string,string,uint256,uint256,address)"](
+                "Legacy", "OLD", 100, ethers.parseEther("0.1"), await factory.getAddress()
+            );
+            const legacy = (await factory.getDeployedCollections())[2];
+            await expect(factory.upgradeCollection(legacy, v2Address, call("migrateOwnership", [owner.address])))
+                .to.be.revertedWith("Only to the collection creator");
+            await factory.upgradeCollection(legacy, v2Address, call("migrateOwnership", [user1.address]));
+            expect(await (await ethers.getContractAt("ERC721LogicV2Fixed", legacy)).owner()).to.equal(user1.address);
+        });
+
+        it("Should approve and upgrade through the factory from nft-admin", async function () {
+            const registry = openRegistry("hardhat", { dir: fs.mkdtempSync(path.join(os.tmpdir(), "factory-cli-")) });
+            const cli = (...argv) => runCommand(hre, [...argv, "--yes"], { registry, log: () => {} });
+
+            await cli("deploy-infra");
+            const { proxyAddress } = await cli("create-collection", "--name", "CLI Collection", "--symbol", "CLI", "--max-supply", "10");
+            expect((await cli("upgrade-route", "factory")).via).to.equal("factory");
+
+            // The V2Fixed build is deployed and approved with its initializer on the way
+            const upgraded = await cli("upgrade", proxyAddress);
+            expect(upgraded.upgraded).to.equal(1);
+            const factory = await ethers.getContractAt("NFTFactory", registry.getInfrastructure().NFTFactory);
+            const logicV2 = await ethers.getContractAt("ERC721LogicV2Fixed", upgraded.target.address);
+            expect(await factory.implementationVersion(upgraded.target.address)).to.equal("2.0.0");
+            expect(await factory.getInitializers("2.0.0")).to.deep.equal([logicV2.interface.getFunction("initializeV2Features").selector]);
+            expect(await (await ethers.getContractAt("ERC721LogicV2Fixed", proxyAddress)).baseURI()).to.equal("https://metadata.peaq.network/cli/");
+
+            const logicV3 = await (await ethers.getContractFactory("ERC721LogicV3")).deploy();
+            await cli("catalogue", "approve", "3.0.0", await logicV3.getAddress());
+            expect(await factory.getInitializers("3.0.0")).to.have.lengthOf(2);
+        });
+
+        it("Should require the factory to own the ProxyAdmin", async function () {
+            const { proxyAdmin, factory, owner, logicV2, collections } = await loadFixture(factoryOwnedAdminFixture);
+
+            await factory.transferProxyAdminOwnership(await proxyAdmin.getAddress(), owner.address);
+            expect(await proxyAdmin.owner()).to.equal(owner.address);
+            await expect(factory.upgradeCollection(collections[0], await logicV2.getAddress(), "0x"))
+                .to.be.revertedWith("Factory does not own the ProxyAdmin");
+        });
+    });
+
+    describe("Version Catalogue", function () {
+        async function catalogueFixture() {
+            const fixture = await deployFixture();
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            const logicV2 = await ERC721LogicV2Fixed.deploy();
+            await logicV2.waitForDeployment();
+            return { ...fixture, ERC721LogicV2Fixed, logicV2 };
+        }
+
+        it("Should start with the initial logic contract as 1.0.0", async function () {
+            const { logicV1, factory } = await loadFixture(catalogueFixture);
+
+            expect(await factory.getVersions()).to.deep.equal(["1.0.0"]);
+            const entry = await factory.versions("1.0.0");
+            expect(entry.implementation).to.equal(await logicV1.getAddress());
+            expect(entry.deprecated).to.equal(false);
+            expect(await factory.implementationVersion(await logicV1.getAddress())).to.equal("1.0.0");
+            expect(await factory.isApprovedImplementation(await logicV1.getAddress())).to.equal(true);
+        });
+
+        it("Should only let the owner approve new versions once", async function () {
+            const { logicV1, factory, user1, logicV2 } = await loadFixture(catalogueFixture);
+            const v2Address = await logicV2.getAddress();
+
+            await expect(factory.connect(user1).approveImplementation("2.0.0", v2Address))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+            await expect(factory.approveImplementation("2.0.0", user1.address))
+                .to.be.revertedWith("Implementation has no code");
+            await expect(factory.approveImplementation("2.0.0", v2Address))
+                .to.emit(factory, "ImplementationApproved").withArgs("2.0.0", v2Address);
+            await expect(factory.approveImplementation("2.0.0", await logicV1.getAddress()))
+                .to.be.revertedWith("Version already registered");
+            await expect(factory.approveImplementation("2.0.1", v2Address))
+                .to.be.revertedWith("Implementation already approved");
+            expect(await factory.getVersions()).to.deep.equal(["1.0.0", "2.0.0"]);
+        });
+
+        it("Should create collections pinned to a version", async function () {
+            const { factory, owner, user1, ERC721LogicV2Fixed, logicV2 } = await loadFixture(catalogueFixture);
+            await factory.approveImplementation("2.0.0", await logicV2.getAddress());
+            const setupData = ERC721LogicV2Fixed.interface.encodeFunctionData("initializeV2Features", [
+                "https://example.com/", "https://example.com/hidden.json", owner.address, 500
+            ]);
+            const create = factory.connect(user1)["createNFTCollection(string,string,uint256,uint256,address,string,bytes)"];
+
+            await expect(create("V2 Collection", "V2C", 100, 0, user1.address, "3.0.0", "0x"))
+                .to.be.revertedWith("Unknown version");
+            await create("V2 Collection", "V2C", 100, 0, user1.address, "2.0.0", setupData);
+            await create("V1 Collection", "V1C", 100, 0, user1.address, "1.0.0", "0x");
+            const [v2Proxy, v1Proxy] = await factory.getDeployedCollections();
+
+            const nftV2 = await ethers.getContractAt("ERC721LogicV2Fixed", v2Proxy);
+            expect(await nftV2.getVersion()).to.equal("2.0.0");
+            expect(await nftV2.owner()).to.equal(user1.address);
+            expect(await nftV2.baseURI()).to.equal("https://example.com/");
+            expect(await nftV2.royaltyFeeNumerator()).to.equal(500);
+            await nftV2.connect(user1).batchMint(user1.address, 2);
+            expect(await nftV2.totalSupply()).to.equal(2);
+            expect(await factory.getCollectionImplementation(v2Proxy)).to.equal(await logicV2.getAddress());
+
+            const nftV1 = await ethers.getContractAt("ERC721LogicV1", v1Proxy);
+            expect(await nftV1.getVersion()).to.equal("1.0.0");
+        });
+
+        it("Should reject unapproved and deprecated implementations", async function () {
+            const { logicV1, proxyAdmin, factory, logicV2 } = await loadFixture(catalogueFixture);
+            const v2Address = await logicV2.getAddress();
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, 0);
+            const [proxyAddress] = await factory.getDeployedCollections();
+            await proxyAdmin.transferOwnership(await factory.getAddress());
+
+            await expect(factory.upgradeCollection(proxyAddress, v2Address, "0x"))
+                .to.be.revertedWith("Implementation not approved");
+            await expect(factory.updateLogicContract(v2Address))
+                .to.be.revertedWith("Implementation not approved");
+
+            await factory.approveImplementation("2.0.0", v2Address);
+            await expect(factory.setVersionDeprecated("2.0.0", true))
+                .to.emit(factory, "VersionDeprecated").withArgs("2.0.0", v2Address, true);
+            expect(await factory.isApprovedImplementation(v2Address)).to.equal(false);
+            await expect(factory.upgradeCollection(proxyAddress, v2Address, "0x"))
+                .to.be.revertedWith("Version deprecated");
+            await expect(factory["createNFTCollection(string,string,uint256,uint256,address,string,bytes)"]("V2", "V2", 10, 0, proxyAddress, "2.0.0", "0x"))
+                .to.be.revertedWith("Version deprecated");
+
+            // The default version cannot be deprecated while new collections use it
+            await expect(factory.setVersionDeprecated("1.0.0", true))
+                .to.be.revertedWith("Cannot deprecate the default version");
+            await factory.setVersionDeprecated("2.0.0", false);
+            await factory.upgradeCollection(proxyAddress, v2Address, "0x");
+            expect(await factory.getCollectionImplementation(proxyAddress)).to.equal(v2Address);
+            expect(await factory.implementationVersion(await logicV1.getAddress())).to.equal("1.0.0");
+        });
+    });
+
+    describe("Timelocked Upgrades", function () {
+        const DELAY = 2 * 24 * 60 * 60;
+        const { buildOperation, operationSalt, listOperations, decodeUpgrades } = require("../scripts/lib/timelock");
+
+        async function timelockFixture() {
+            const fixture = await deployFixture();
+            const { proxyAdmin, factory, owner } = fixture;
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, ethers.parseEther("0.1"));
+            const [proxyAddress] = await factory.getDeployedCollections();
+
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            const logicV2 = await ERC721LogicV2Fixed.deploy();
+            await logicV2.waitForDeployment();
+            const initData = ERC721LogicV2Fixed.interface.encodeFunctionData("initializeV2Features", [
+                "https://example.com/", "https://example.com/hidden.json", owner.address, 250
+            ]);
+
+            // The timelock owns the ProxyAdmin directly: queued operations are upgradeAndCall calls
+            const UpgradeTimelock = await ethers.getContractFactory("UpgradeTimelock");
+            const timelock = await UpgradeTimelock.deploy(DELAY, [owner.address], [owner.address], ethers.ZeroAddress);
+            await timelock.waitForDeployment();
+            await proxyAdmin.transferOwnership(await timelock.getAddress());
+
+            const call = await proxyAdmin.upgradeAndCall.populateTransaction(proxyAddress, await logicV2.getAddress(), initData);
+            const operation = buildOperation({ target: call.to, data: call.data, salt: operationSalt([proxyAddress]) });
+            const scheduleArgs = [operation.target, operation.value, operation.data, operation.predecessor, operation.salt];
+            return { ...fixture, proxyAddress, logicV2, initData, timelock, operation, scheduleArgs };
+        }
+
+        it("Should only upgrade once the delay has passed", async function () {
+            const { proxyAdmin, owner, proxyAddress, logicV2, timelock, operation, scheduleArgs } = await loadFixture(timelockFixture);
+
+            // The former owner can no longer upgrade instantly
+            await expect(proxyAdmin.upgradeAndCall(proxyAddress, await logicV2.getAddress(), "0x"))
+                .to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount");
+
+            await expect(timelock.schedule(...scheduleArgs, DELAY - 1))
+                .to.be.revertedWithCustomError(timelock, "TimelockInsufficientDelay");
+            await timelock.schedule(...scheduleArgs, DELAY);
+            expect(await timelock.hashOperation(...scheduleArgs)).to.equal(operation.id);
+            expect(await timelock.isOperationPending(operation.id)).to.equal(true);
+
+            await time.increase(DELAY - 60);
+            await expect(timelock.execute(...scheduleArgs))
+                .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+            const nft = await ethers.getContractAt("ERC721LogicV2Fixed", proxyAddress);
+            expect(await nft.getVersion()).to.equal("1.0.0");
+
+            await time.increase(60);
+            await expect(timelock.execute(...scheduleArgs)).to.emit(timelock, "CallExecuted");
+            expect(await nft.getVersion()).to.equal("2.0.0");
+            expect(await nft.baseURI()).to.equal("https://example.com/");
+            expect(await nft.owner()).to.equal(owner.address);
+            expect(await timelock.isOperationDone(operation.id)).to.equal(true);
+        });
+
+        it("Should let proposers cancel and refuse everyone else", async function () {
+            const { user1, proxyAddress, timelock, operation, scheduleArgs } = await loadFixture(timelockFixture);
+
+            await expect(timelock.connect(user1).schedule(...scheduleArgs, DELAY))
+                .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+            await timelock.schedule(...scheduleArgs, DELAY);
+            await expect(timelock.connect(user1).cancel(operation.id))
+                .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+
+            await timelock.cancel(operation.id);
+            await time.increase(DELAY);
+            await expect(timelock.execute(...scheduleArgs))
+                .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+            const nft = await ethers.getContractAt("ERC721LogicV1", proxyAddress);
+            expect(await nft.getVersion()).to.equal("1.0.0");
+        });
+
+        it("Should list queued operations with their state", async function () {
+            const { proxyAdmin, factory, proxyAddress, logicV2, initData, timelock, operation, scheduleArgs } = await loadFixture(timelockFixture);
+
+            await timelock.schedule(...scheduleArgs, DELAY);
+            let [listed] = await listOperations(timelock);
+            expect(listed.id).to.equal(operation.id);
+            expect(listed.state).to.equal("Waiting");
+            expect(listed.salt).to.equal(operation.salt);
+            const interfaces = { factoryInterface: factory.interface, proxyAdminInterface: proxyAdmin.interface };
+            expect(decodeUpgrades(interfaces, listed)).to.deep.equal([
+                { proxyAddress, implementation: await logicV2.getAddress(), initData }
+            ]);
+
+            await time.increase(DELAY);
+            [listed] = await listOperations(timelock);
+            expect(listed.state).to.equal("Ready");
+            await timelock.cancel(operation.id);
+            [listed] = await listOperations(timelock);
+            expect(listed.state).to.equal("Cancelled");
+        });
+
+        it("Should delay factory upgrades when the timelock owns the factory", async function () {
+            const { proxyAdmin, factory, owner, proxyAddress, logicV2 } = await loadFixture(timelockFixture);
+            const factoryAddress = await factory.getAddress();
+            const v2Address = await logicV2.getAddress();
+
+            // Factory mode: the factory owns the ProxyAdmin and the timelock owns the factory
+            const UpgradeTimelock = await ethers.getContractFactory("UpgradeTimelock");
+            const timelock = await UpgradeTimelock.deploy(DELAY, [owner.address], [owner.address], ethers.ZeroAddress);
+            await factory.transferOwnership(await timelock.getAddress());
+            const adminTimelock = await ethers.getContractAt("UpgradeTimelock", await proxyAdmin.owner());
+            const handOver = await proxyAdmin.transferOwnership.populateTransaction(factoryAddress);
+            await adminTimelock.schedule(handOver.to, 0, handOver.data, ethers.ZeroHash, ethers.ZeroHash, DELAY);
+            await time.increase(DELAY);
+            await adminTimelock.execute(handOver.to, 0, handOver.data, ethers.ZeroHash, ethers.ZeroHash);
+            expect(await proxyAdmin.owner()).to.equal(factoryAddress);
+
+            await expect(factory.approveImplementation("2.0.0", v2Address))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+            const approve = await factory.approveImplementation.populateTransaction("2.0.0", v2Address);
+            const approval = buildOperation({ target: approve.to, data: approve.data, salt: operationSalt(["approve"]) });
+            const upgradeCall = await factory.upgradeCollection.populateTransaction(proxyAddress, v2Address, "0x");
+            // The upgrade can only run after the approval it depends on
+            const upgrade = buildOperation({ target: upgradeCall.to, data: upgradeCall.data, predecessor: approval.id, salt: operationSalt([proxyAddress]) });
+            for (const op of [approval, upgrade]) {
+                await timelock.schedule(op.target, op.value, op.data, op.predecessor, op.salt, DELAY);
+            }
+
+            await time.increase(DELAY);
+            await expect(timelock.execute(upgrade.target, upgrade.value, upgrade.data, upgrade.predecessor, upgrade.salt))
+                .to.be.revertedWithCustomError(timelock, "TimelockUnexecutedPredecessor");
+            await timelock.execute(approval.target, approval.value, approval.data, approval.predecessor, approval.salt);
+            await expect(timelock.execute(upgrade.target, upgrade.value, upgrade.data, upgrade.predecessor, upgrade.salt))
+                .to.emit(factory, "CollectionUpgraded").withArgs(proxyAddress, anyValue, v2Address, await timelock.getAddress());
+            expect(await factory.getCollectionImplementation(proxyAddress)).to.equal(v2Address);
+        });
+    });
+
+    describe("Multisig Upgrades", function () {
+        const { buildProposal, proposalDigest, signProposal, checkSignatures, orderSignatures } = require("../scripts/lib/multisig");
+
+        async function multisigFixture() {
+            const fixture = await deployFixture();
+            const { proxyAdmin, factory, owner, user1, user2 } = fixture;
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, ethers.parseEther("0.1"));
+            const [proxyAddress] = await factory.getDeployedCollections();
+
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            const logicV2 = await ERC721LogicV2Fixed.deploy();
+            await logicV2.waitForDeployment();
+            const initData = ERC721LogicV2Fixed.interface.encodeFunctionData("initializeV2Features", [
+                "https://example.com/", "https://example.com/hidden.json", owner.address, 250
+            ]);
+
+            // 2-of-3 multisig owning the ProxyAdmin
+            const UpgradeMultisig = await ethers.getContractFactory("UpgradeMultisig");
+            const multisig = await UpgradeMultisig.deploy([owner.address, user1.address, user2.address], 2);
+            await multisig.waitForDeployment();
+            await proxyAdmin.transferOwnership(await multisig.getAddress());
+
+            const { chainId } = await ethers.provider.getNetwork();
+            const propose = async (call, { nonce = 0n, deadline } = {}) => buildProposal({
+                multisig: await multisig.getAddress(),
+                chainId,
+                nonce,
+                deadline: deadline ?? BigInt(await time.latest()) + 3600n,
+                target: call.to,
+                data: call.data,
+                description: "test proposal"
+            });
+            const call = await proxyAdmin.upgradeAndCall.populateTransaction(proxyAddress, await logicV2.getAddress(), initData);
+            const proposal = await propose(call);
+            return { ...fixture, proxyAddress, logicV2, multisig, propose, call, proposal };
+        }
+
+        // Function to send a signed proposal with its signatures in the order the contract expects
+        function submit(multisig, proposal, signatures = orderSignatures(proposal.signatures)) {
+            const { target, data, deadline } = proposal.message;
+            return multisig.execute(target, data, deadline, signatures);
+        }
+
+        it("Should upgrade once two owners signed off-chain", async function () {
+            const { proxyAdmin, owner, user1, user2, proxyAddress, multisig, proposal } = await loadFixture(multisigFixture);
+
+            const { target, data, nonce, deadline } = proposal.message;
+            expect(await multisig.proposalDigest(target, data, nonce, deadline)).to.equal(proposalDigest(proposal));
+            await expect(proxyAdmin.upgradeAndCall(proxyAddress, target, "0x"))
+                .to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount");
+
+            const signed = await signProposal(await signProposal(proposal, user2), owner);
+            const check = checkSignatures(signed, { owners: [owner.address, user1.address, user2.address], threshold: 2 });
+            expect(check.thresholdMet).to.equal(true);
+
+            // Anyone can submit a proposal that carries enough signatures
+            await expect(submit(multisig.connect(user1), signed))
+                .to.emit(multisig, "ProposalExecuted").withArgs(0, proposalDigest(proposal), target, data);
+            const nft = await ethers.getContractAt("ERC721LogicV2Fixed", proxyAddress);
+            expect(await nft.getVersion()).to.equal("2.0.0");
+            expect(await nft.baseURI()).to.equal("https://example.com/");
+            expect(await multisig.nonce()).to.equal(1);
+        });
+
+        it("Should reject missing, unsorted and foreign signatures", async function () {
+            const { owner, user1, multisig, proposal } = await loadFixture(multisigFixture);
+            const [, , , outsider] = await ethers.getSigners();
+
+            const one = await signProposal(proposal, owner);
+            await expect(submit(multisig, one)).to.be.revertedWith("Not enough signatures");
+
+            const two = await signProposal(one, user1);
+            const sorted = orderSignatures(two.signatures);
+            await expect(submit(multisig, two, [...sorted].reverse())).to.be.revertedWith("Signers not in ascending order");
+            await expect(submit(multisig, two, [sorted[0], sorted[0]])).to.be.revertedWith("Signers not in ascending order");
+
+            const foreign = await signProposal(one, outsider);
+            expect(checkSignatures(foreign, { owners: await multisig.getOwners(), threshold: 2 }).invalid)
+                .to.deep.equal([{ signer: outsider.address, reason: "not an owner" }]);
+            await expect(submit(multisig, foreign)).to.be.revertedWith("Signer is not an owner");
+        });
+
+        it("Should not replay or execute expired proposals", async function () {
+            const { owner, user1, multisig, propose, call, proposal } = await loadFixture(multisigFixture);
+
+            const signed = await signProposal(await signProposal(proposal, owner), user1);
+            await submit(multisig, signed);
+            // The signatures were for nonce 0; the multisig is now at nonce 1
+            await expect(submit(multisig, signed)).to.be.revertedWith("Signer is not an owner");
+
+            const expiring = await propose(call, { nonce: 1n, deadline: BigInt(await time.latest()) + 60n });
+            const late = await signProposal(await signProposal(expiring, owner), user1);
+            await time.increase(120);
+            await expect(submit(multisig, late)).to.be.revertedWith("Proposal expired");
+        });
+
+        it("Should only change owners through a proposal", async function () {
+            const { owner, user1, user2, multisig, propose } = await loadFixture(multisigFixture);
+
+            await expect(multisig.changeOwners([owner.address], 1)).to.be.revertedWith("Only through a proposal");
+
+            const change = await propose(await multisig.changeOwners.populateTransaction([owner.address, user1.address], 2));
+            const signed = await signProposal(await signProposal(change, user2), user1);
+            await expect(submit(multisig, signed)).to.emit(multisig, "OwnersChanged");
+            expect(await multisig.getOwners()).to.deep.equal([owner.address, user1.address]);
+            expect(await multisig.isOwner(user2.address)).to.equal(false);
+
+            const UpgradeMultisig = await ethers.getContractFactory("UpgradeMultisig");
+            await expect(UpgradeMultisig.deploy([owner.address, owner.address], 1)).to.be.revertedWith("Duplicate owner");
+            await expect(UpgradeMultisig.deploy([owner.address], 2)).to.be.revertedWith("Invalid threshold");
+        });
+    });
+
+    describe("Factory Roles", function () {
+        async function rolesFixture() {
+            const fixture = await deployFixture();
+            const { proxyAdmin, factory } = fixture;
+            await factory.createNFTCollection("Test Collection", "TEST", 1000, ethers.parseEther("0.1"));
+            const [proxyAddress] = await factory.getDeployedCollections();
+            await proxyAdmin.transferOwnership(await factory.getAddress());
+
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            const logicV2 = await ERC721LogicV2Fixed.deploy();
+            await logicV2.waitForDeployment();
+            const roles = {
+                admin: await factory.DEFAULT_ADMIN_ROLE(),
+                creator: await factory.COLLECTION_CREATOR_ROLE(),
+                upgrader: await factory.UPGRADER_ROLE(),
+                config: await factory.CONFIG_ADMIN_ROLE(),
+                pauser: await factory.PAUSER_ROLE()
+            };
+            return { ...fixture, proxyAddress, logicV2, roles };
+        }
+
+        it("Should let the owner grant and revoke roles", async function () {
+            const { factory, owner, user1, user2, roles } = await loadFixture(rolesFixture);
+
+            for (const role of Object.values(roles)) {
+                expect(await factory.hasRole(role, owner.address)).to.equal(true);
+            }
+            await expect(factory.grantRole(roles.upgrader, user1.address))
+                .to.emit(factory, "RoleGranted").withArgs(roles.upgrader, user1.address, owner.address);
+            await expect(factory.connect(user1).grantRole(roles.upgrader, user2.address))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+            await expect(factory.revokeRole(roles.upgrader, user1.address))
+                .to.emit(factory, "RoleRevoked").withArgs(roles.upgrader, user1.address, owner.address);
+            expect(await factory.hasRole(roles.upgrader, user1.address)).to.equal(false);
+
+            // The roles follow ownership, e.g. to a timelock or multisig
+            await factory.transferOwnership(user2.address);
+            expect(await factory.hasRole(roles.config, owner.address)).to.equal(false);
+            expect(await factory.hasRole(roles.config, user2.address)).to.equal(true);
+        });
+
+        it("Should restrict creation to collection creators when closed", async function () {
+            const { factory, user1, user2, roles } = await loadFixture(rolesFixture);
+
+            expect(await factory.openCreation()).to.equal(true);
+            await expect(factory.connect(user1).setOpenCreation(false))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+            await expect(factory.setOpenCreation(false)).to.emit(factory, "OpenCreationUpdated").withArgs(false);
+
+            await expect(factory.connect(user1).createNFTCollection("Closed", "CLS", 10, 0))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, roles.creator);
+            await expect(factory.connect(user1).createNFTCollectionDeterministic("Closed", "CLS", 10, 0, user1.address, ethers.ZeroHash))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+            await factory.grantRole(roles.creator, user1.address);
+            await expect(factory.connect(user1).createNFTCollection("Closed", "CLS", 10, 0))
+                .to.emit(factory, "NFTCollectionDeployed");
+            await expect(factory.connect(user2).createNFTCollection("Other", "OTH", 10, 0))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should only let upgraders upgrade collections", async function () {
+            const { factory, user1, proxyAddress, logicV2, roles } = await loadFixture(rolesFixture);
+            const v2Address = await logicV2.getAddress();
+            await factory.approveImplementation("2.0.0", v2Address);
+
+            await expect(factory.connect(user1).upgradeCollections([proxyAddress], v2Address, ["0x"]))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, roles.upgrader);
+            await factory.grantRole(roles.upgrader, user1.address);
+            await expect(factory.connect(user1).upgradeCollection(proxyAddress, v2Address, "0x"))
+                .to.emit(factory, "CollectionUpgraded").withArgs(proxyAddress, anyValue, v2Address, user1.address);
+
+            // Upgraders cannot change the configuration
+            await expect(factory.connect(user1).updateLogicContract(v2Address))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should only let config admins change the catalogue and defaults", async function () {
+            const { logicV1, proxyAdmin, factory, user1, logicV2, roles } = await loadFixture(rolesFixture);
+            const v2Address = await logicV2.getAddress();
+            const asUser = factory.connect(user1);
+
+            await expect(asUser.approveImplementation("2.0.0", v2Address))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, roles.config);
+            await factory.grantRole(roles.config, user1.address);
+
+            await expect(asUser.approveImplementation("2.0.0", v2Address)).to.emit(factory, "ImplementationApproved");
+            await expect(asUser.updateLogicContract(v2Address)).to.emit(factory, "LogicContractUpdated");
+            await expect(asUser.setVersionDeprecated("1.0.0", true)).to.emit(factory, "VersionDeprecated");
+            await expect(asUser.updateProxyAdmin(await proxyAdmin.getAddress())).to.emit(factory, "ProxyAdminUpdated");
+            expect(await factory.isApprovedImplementation(await logicV1.getAddress())).to.equal(false);
+
+            // Handing the ProxyAdmin away stays with the owner
+            await expect(asUser.transferProxyAdminOwnership(await proxyAdmin.getAddress(), user1.address))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should only let pausers stop collection creation", async function () {
+            const { factory, user1, user2, roles } = await loadFixture(rolesFixture);
+
+            await expect(factory.connect(user1).pause())
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, roles.pauser);
+            await factory.grantRole(roles.pauser, user1.address);
+            await expect(factory.connect(user1).pause()).to.emit(factory, "Paused");
+
+            await expect(factory.connect(user2).createNFTCollection("Paused", "PSD", 10, 0))
+                .to.be.revertedWithCustomError(factory, "EnforcedPause");
+            await factory.connect(user1).unpause();
+            await expect(factory.connect(user2).createNFTCollection("Paused", "PSD", 10, 0))
+                .to.emit(factory, "NFTCollectionDeployed");
+        });
+    });
+
+    describe("Per-Token URIs (V3)", function () {
+        const { compareStorageLayouts } = require("../scripts/lib/storage-layout");
+
+        // Three tokens minted on V2Fixed, then upgraded to V3
+        async function v3Fixture() {
+            return v3CollectionFixture({ onV2: (v2, { user1 }) => v2.batchMint(user1.address, 3) });
+        }
+
+        it("Should keep V2 state when upgrading from V2Fixed", async function () {
+            const { owner, user1, nft } = await loadFixture(v3Fixture);
+
+            const comparison = await compareStorageLayouts(require("hardhat"), "ERC721LogicV2Fixed", "ERC721LogicV3");
+            expect(comparison.compatible).to.equal(true);
+            expect(await nft.getVersion()).to.equal("3.0.0");
+            expect(await nft.baseURI()).to.equal("https://example.com/");
+            expect(await nft.notRevealedUri()).to.equal("https://example.com/hidden.json");
+            expect(await nft.royaltyInfo(1, 10000)).to.deep.equal([owner.address, 250n]);
+            expect(await nft.balanceOf(user1.address)).to.equal(3);
+            expect(await nft.owner()).to.equal(owner.address);
+        });
+
+        it("Should resolve the override, then the revealed base, then the hidden URI", async function () {
+            const { user1, nft } = await loadFixture(v3Fixture);
+
+            expect(await nft.tokenURI(1)).to.equal("https://example.com/hidden.json");
+            await nft.setTokenURI(1, "ipfs://custom/1.json");
+            expect(await nft.tokenURI(1)).to.equal("ipfs://custom/1.json");
+            expect(await nft.tokenURI(2)).to.equal("https://example.com/hidden.json");
+
+            await nft.reveal();
+            expect(await nft.tokenURI(1)).to.equal("ipfs://custom/1.json");
+            expect(await nft.tokenURI(2)).to.equal("https://example.com/2.json");
+
+            // An empty URI removes the override
+            await nft.setTokenURI(1, "");
+            expect(await nft.tokenURI(1)).to.equal("https://example.com/1.json");
+
+            await expect(nft.connect(user1).setTokenURI(2, "ipfs://fake.json"))
+                .to.be.revertedWithCustomError(nft, "OwnableUnauthorizedAccount");
+            await expect(nft.setTokenURI(99, "ipfs://missing.json")).to.be.revertedWith("Token does not exist");
+        });
+
+        it("Should emit EIP-4906 metadata update events", async function () {
+            const { nft } = await loadFixture(v3Fixture);
+
+            expect(await nft.supportsInterface("0x49064906")).to.equal(true);
+            expect(await nft.supportsInterface("0x2a55205a")).to.equal(true);
+            await expect(nft.setTokenURI(2, "ipfs://custom/2.json")).to.emit(nft, "MetadataUpdate").withArgs(2);
+            await expect(nft.reveal()).to.emit(nft, "BatchMetadataUpdate").withArgs(1, 3);
+            await expect(nft.setBaseURI("https://example.org/")).to.emit(nft, "BatchMetadataUpdate").withArgs(1, 3);
+            await expect(nft.setNotRevealedURI("https://example.org/hidden.json")).to.emit(nft, "BatchMetadataUpdate").withArgs(1, 3);
+        });
+    });
+
+    describe("Royalties (V3)", function () {
+        const { getEffectiveRoyalty, listTokenRoyalties } = require("../scripts/lib/royalties");
+
+        async function royaltyFixture() {
+            const fixture = await v3CollectionFixture({ royaltyBps: 500 });
+            await fixture.nft.batchMint(fixture.user1.address, 3);
+            return fixture;
+        }
+
+        it("Should bound royalty fees by a configurable maximum", async function () {
+            const { owner, user1, nft } = await loadFixture(royaltyFixture);
+
+            expect(await nft.maxRoyaltyFee()).to.equal(1000);
+            await expect(nft.setRoyalty(owner.address, 9000)).to.be.revertedWith("Royalty fee too high");
+            await expect(nft.setTokenRoyalty(1, user1.address, 1001)).to.be.revertedWith("Royalty fee too high");
+            await expect(nft.setRoyalty(ethers.ZeroAddress, 100)).to.be.revertedWith("Invalid royalty receiver");
+
+            await expect(nft.setMaxRoyaltyFee(2500)).to.emit(nft, "MaxRoyaltyFeeUpdated").withArgs(2500);
+            await expect(nft.setRoyalty(user1.address, 2500))
+                .to.emit(nft, "DefaultRoyaltyUpdated").withArgs(user1.address, 2500);
+            await expect(nft.setMaxRoyaltyFee(1000)).to.be.revertedWith("Default royalty above max");
+            await expect(nft.setMaxRoyaltyFee(10001)).to.be.revertedWith("Invalid max royalty fee");
+            await expect(nft.connect(user1).setMaxRoyaltyFee(5000))
+                .to.be.revertedWithCustomError(nft, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should resolve per-token overrides on top of the default", async function () {
+            const { owner, user1, user2, nft } = await loadFixture(royaltyFixture);
+
+            await expect(nft.setTokenRoyalty(2, user2.address, 750))
+                .to.emit(nft, "TokenRoyaltyUpdated").withArgs(2, user2.address, 750);
+            expect(await nft.royaltyInfo(1, 10000)).to.deep.equal([owner.address, 500n]);
+            expect(await nft.royaltyInfo(2, 10000)).to.deep.equal([user2.address, 750n]);
+            expect(await nft.tokenRoyalty(2)).to.deep.equal([user2.address, 750n, true]);
+
+            await expect(nft.deleteTokenRoyalty(2)).to.emit(nft, "TokenRoyaltyDeleted").withArgs(2);
+            expect(await nft.royaltyInfo(2, 10000)).to.deep.equal([owner.address, 500n]);
+            await expect(nft.deleteTokenRoyalty(2)).to.be.revertedWith("No royalty override");
+            await expect(nft.setTokenRoyalty(99, user2.address, 100)).to.be.revertedWith("Token does not exist");
+            await expect(nft.connect(user1).setTokenRoyalty(1, user1.address, 100))
+                .to.be.revertedWithCustomError(nft, "OwnableUnauthorizedAccount");
+            expect(await nft.supportsInterface("0x2a55205a")).to.equal(true);
+        });
+
+        it("Should report the effective royalty, capped by a lowered maximum", async function () {
+            const { owner, user2, proxyAddress, nft } = await loadFixture(royaltyFixture);
+
+            await nft.setMaxRoyaltyFee(2000);
+            await nft.setTokenRoyalty(3, user2.address, 2000);
+            await nft.setTokenRoyalty(1, user2.address, 300);
+            await nft.deleteTokenRoyalty(1);
+            await nft.setMaxRoyaltyFee(1000);
+
+            const salePrice = ethers.parseEther("1");
+            const capped = await getEffectiveRoyalty(ethers, proxyAddress, 3, salePrice);
+            expect(capped).to.include({ receiver: user2.address, source: "token", configuredFee: 2000n, feeNumerator: 1000n, capped: true });
+            expect(capped.royaltyAmount).to.equal(ethers.parseEther("0.1"));
+
+            const fallback = await getEffectiveRoyalty(ethers, proxyAddress, 1, salePrice);
+            expect(fallback).to.include({ receiver: owner.address, source: "default", feeNumerator: 500n, capped: false });
+            expect(fallback.royaltyAmount).to.equal(ethers.parseEther("0.05"));
+
+            const overrides = await listTokenRoyalties(ethers, proxyAddress);
+            expect(overrides).to.deep.equal([{ tokenId: 3n, receiver: user2.address, feeNumerator: 2000n }]);
+        });
+
+        it("Should refuse an initial royalty above the maximum", async function () {
+            const { proxyAdmin, factory, owner, logicV3 } = await loadFixture(royaltyFixture);
+            await factory.createNFTCollection("Second Collection", "SEC", 1000, 0);
+            const [, proxyAddress] = await factory.getDeployedCollections();
+
+            await expect(proxyAdmin.upgradeAndCall(proxyAddress, await logicV3.getAddress(), logicV3.interface.encodeFunctionData("initializeV2Features", [
+                "https://example.com/", "https://example.com/hidden.json", owner.address, 9000
+            ]))).to.be.revertedWith("Royalty fee too high");
+        });
+    });
+
+    describe("Revenue Splitting (V3)", function () {
+        const { readRevenue } = require("../scripts/lib/revenue");
+        const MINT_PRICE = ethers.parseEther("0.1");
+
+        async function revenueFixture() {
+            return v3CollectionFixture({
+                mintPrice: MINT_PRICE,
+                // Proceeds from before the split belong to the owner
+                onV2: (v2, { user1 }) => v2.connect(user1).mint(user1.address, { value: MINT_PRICE }),
+                // V2Fixed → V3 sets the split in the upgrade call
+                upgradeCall: (iface, { owner, user1 }) => iface.encodeFunctionData("setPayees", [[owner.address, user1.address], [3, 1]])
+            });
+        }
+
+        it("Should let each payee release their own share", async function () {
+            const { owner, user1, user2, nft } = await loadFixture(revenueFixture);
+            await nft.connect(user2).batchMint(user2.address, 4, { value: MINT_PRICE * 4n });
+
+            expect(await nft.getPayees()).to.deep.equal([owner.address, user1.address]);
+            expect(await nft.accrued(owner.address)).to.equal(ethers.parseEther("0.4"));
+            expect(await nft.releasable(user1.address)).to.equal(ethers.parseEther("0.1"));
+            await expect(nft.withdraw()).to.be.revertedWith("Revenue is split; payees release their share");
+
+            // Anyone may trigger a release; the funds go to the payee
+            await expect(nft.connect(user2).release(user1.address))
+                .to.changeEtherBalances([user1, nft], [ethers.parseEther("0.1"), -ethers.parseEther("0.1")]);
+            await expect(nft.release(owner.address))
+                .to.emit(nft, "PaymentReleased").withArgs(owner.address, ethers.parseEther("0.4"));
+            await expect(nft.release(user1.address)).to.be.revertedWith("Nothing to release");
+            expect(await nft.released(user1.address)).to.equal(ethers.parseEther("0.1"));
+            expect(await ethers.provider.getBalance(await nft.getAddress())).to.equal(0);
+        });
+
+        it("Should keep what outgoing payees accrued when the split changes", async function () {
+            const { owner, user1, user2, nft } = await loadFixture(revenueFixture);
+            await nft.connect(user2).batchMint(user2.address, 4, { value: MINT_PRICE * 4n });
+
+            await expect(nft.setPayees([user2.address], [1])).to.emit(nft, "PayeesUpdated").withArgs([user2.address], [1]);
+            await nft.connect(user2).mint(user2.address, { value: MINT_PRICE });
+            expect(await nft.accrued(user1.address)).to.equal(ethers.parseEther("0.1"));
+            expect(await nft.accrued(user2.address)).to.equal(MINT_PRICE);
+
+            // Removing the split hands new proceeds back to the owner
+            await nft.setPayees([], []);
+            await nft.connect(user2).mint(user2.address, { value: MINT_PRICE });
+            await expect(nft.withdraw()).to.changeEtherBalance(owner, ethers.parseEther("0.5"));
+            await expect(nft.release(user2.address)).to.changeEtherBalance(user2, MINT_PRICE);
+            await expect(nft.release(user1.address)).to.changeEtherBalance(user1, ethers.parseEther("0.1"));
+        });
+
+        it("Should validate payees and restrict who sets them", async function () {
+            const { user1, nft } = await loadFixture(revenueFixture);
+
+            await expect(nft.connect(user1).setPayees([user1.address], [1]))
+                .to.be.revertedWith("Only owner, ProxyAdmin or factory");
+            await expect(nft.setPayees([user1.address], [1, 2])).to.be.revertedWith("Payees and shares length mismatch");
+            await expect(nft.setPayees([user1.address, user1.address], [1, 2])).to.be.revertedWith("Duplicate payee");
+            await expect(nft.setPayees([ethers.ZeroAddress], [1])).to.be.revertedWith("Invalid payee");
+            await expect(nft.setPayees([user1.address], [0])).to.be.revertedWith("Invalid share");
+            const many = Array.from({ length: 21 }, (_, i) => ethers.getAddress(`0x${(i + 1).toString(16).padStart(40, "0")}`));
+            await expect(nft.setPayees(many, many.map(() => 1))).to.be.revertedWith("Too many payees");
+
+        });
+
+        it("Should set up the split when a collection is created on V3", async function () {
+            const { owner, user1, user2, factory, logicV3 } = await loadFixture(revenueFixture);
+            await factory.approveImplementation("3.0.0", await logicV3.getAddress());
+
+            const setupData = logicV3.interface.encodeFunctionData("initializeV3Features", [
+                "https://example.com/", "https://example.com/hidden.json", owner.address, 250,
+                [logicV3.interface.encodeFunctionData("setPayees", [[owner.address, user2.address], [1, 1]])]
+            ]);
+            await factory["createNFTCollection(string,string,uint256,uint256,address,string,bytes)"](
+                "Split Collection", "SPLIT", 100, MINT_PRICE, owner.address, "3.0.0", setupData
+            );
+            const [, proxyAddress] = await factory.getDeployedCollections();
+            const nft = await ethers.getContractAt("ERC721LogicV3", proxyAddress);
+            expect(await nft.getPayees()).to.deep.equal([owner.address, user2.address]);
+            expect(await nft.totalShares()).to.equal(2);
+
+            await nft.connect(user1).mint(user1.address, { value: MINT_PRICE });
+            expect(await nft.releasable(user2.address)).to.equal(MINT_PRICE / 2n);
+            await expect(nft.initializeV3Features("", "", owner.address, 0, []))
+                .to.be.revertedWithCustomError(nft, "InvalidInitialization");
+        });
+
+        it("Should only let the owner, ProxyAdmin or factory initialize V3, once", async function () {
+            const { owner, user2, proxyAdmin, factory, logicV3 } = await loadFixture(revenueFixture);
+            await factory.createNFTCollection("Bare Collection", "BARE", 100, MINT_PRICE);
+            const [, proxyAddress] = await factory.getDeployedCollections();
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV3.getAddress(), "0x");
+            const nft = await ethers.getContractAt("ERC721LogicV3", proxyAddress);
+
+            // A V1 collection upgraded without an init call has no V2 fields yet
+            const hijack = [logicV3.interface.encodeFunctionData("setPayees", [[user2.address], [1]])];
+            await expect(nft.connect(user2).initializeV3Features("https://evil/", "", user2.address, 0, hijack))
+                .to.be.revertedWith("Only owner, ProxyAdmin or factory");
+            await expect(nft.connect(user2).initializeV2Features("https://evil/", "", user2.address, 0))
+                .to.be.revertedWith("Only owner, ProxyAdmin or factory");
+
+            await nft.initializeV3Features("https://example.com/", "https://example.com/hidden.json", owner.address, 250, []);
+            expect(await nft.baseURI()).to.equal("https://example.com/");
+            await expect(nft.initializeV2Features("https://example.com/other/", "", owner.address, 0))
+                .to.be.revertedWithCustomError(nft, "InvalidInitialization");
+        });
+
+        it("Should refund an overpayment before a receiver can release revenue", async function () {
+            const { owner, user1, user2, nft } = await loadFixture(revenueFixture);
+            const Receiver = await ethers.getContractFactory("ReentrantReleaseReceiver");
+            const receiver = await Receiver.deploy(user1.address);
+            const overpayment = ethers.parseEther("1");
+
+            // Each onERC721Received releases user1's share while batchMint is still running
+            await expect(receiver.connect(user2).batchMint(await nft.getAddress(), 2, { value: MINT_PRICE * 2n + overpayment }))
+                .to.changeEtherBalances(
+                    [user2, receiver, user1, nft],
+                    [-(MINT_PRICE * 2n + overpayment), overpayment, ethers.parseEther("0.05"), ethers.parseEther("0.15")]
+                );
+            expect(await nft.released(user1.address)).to.equal(ethers.parseEther("0.05"));
+            // The pre-split mint plus 3/4 of the new proceeds, all of it still in the contract
+            expect(await nft.releasable(owner.address)).to.equal(ethers.parseEther("0.25"));
+            await nft.release(owner.address);
+            expect(await ethers.provider.getBalance(await nft.getAddress())).to.equal(0);
+        });
+
+        it("Should report accrued and withdrawn amounts per payee", async function () {
+            const { owner, user1, user2, proxyAddress, nft } = await loadFixture(revenueFixture);
+            await nft.connect(user2).batchMint(user2.address, 4, { value: MINT_PRICE * 4n });
+            await nft.release(user1.address);
+            await nft.setPayees([user2.address], [1]);
+
+            const report = await readRevenue(ethers, proxyAddress);
+            expect(report.split).to.equal(true);
+            const byPayee = Object.fromEntries(report.payees.map(entry => [entry.payee, entry]));
+            expect(byPayee[owner.address]).to.include({ current: false, accrued: ethers.parseEther("0.4"), released: 0n });
+            expect(byPayee[user1.address]).to.include({ current: false, accrued: ethers.parseEther("0.1"), released: ethers.parseEther("0.1"), releasable: 0n });
+            expect(byPayee[user2.address]).to.include({ current: true, shares: 1n, accrued: 0n });
+        });
+    });
+
+    describe("Allowlist Presale (V3)", function () {
+        const { parseAllowlistCsv, buildAllowlistTree, verifyProof } = require("../scripts/lib/allowlist");
+        const MINT_PRICE = ethers.parseEther("0.1");
+        const PRESALE_PRICE = ethers.parseEther("0.05");
+
+        async function presaleFixture() {
+            const fixture = await v3CollectionFixture({ maxSupply: 10, mintPrice: MINT_PRICE });
+            const { owner, user1, user2, nft } = fixture;
+
+            const tree = buildAllowlistTree(parseAllowlistCsv(`address,quantity\n${user1.address},2\n${user2.address},1\n${owner.address},3\n`));
+            const proofOf = (account) => tree.entries.find(entry => entry.address === account.address);
+            await nft.configurePresale(tree.root, PRESALE_PRICE);
+            await nft.setPresaleActive(true);
+            return { ...fixture, nft, tree, proofOf };
+        }
+
+        it("Should build a tree whose proofs verify locally and on-chain", async function () {
+            const { user1, nft, tree, proofOf } = await loadFixture(presaleFixture);
+
+            for (const entry of tree.entries) {
+                expect(verifyProof(tree.root, entry.address, entry.quantity, entry.proof)).to.equal(true);
+            }
+            const { quantity, proof } = proofOf(user1);
+            expect(verifyProof(tree.root, user1.address, quantity + 1n, proof)).to.equal(false);
+
+            // Overpayment is refunded
+            await expect(nft.connect(user1).presaleMint(2, quantity, proof, { value: MINT_PRICE * 2n }))
+                .to.changeEtherBalances([user1, nft], [-PRESALE_PRICE * 2n, PRESALE_PRICE * 2n]);
+            expect(await nft.balanceOf(user1.address)).to.equal(2);
+            expect(await nft.presaleMinted(user1.address)).to.equal(2);
+        });
+
+        it("Should enforce proofs, allowances and payment", async function () {
+            const { user1, user2, nft, proofOf } = await loadFixture(presaleFixture);
+            const { quantity, proof } = proofOf(user1);
+
+            await expect(nft.connect(user1).presaleMint(1, quantity + 1n, proof, { value: PRESALE_PRICE }))
+                .to.be.revertedWith("Invalid proof");
+            // Another address cannot use user1's proof
+            await expect(nft.connect(user2).presaleMint(1, quantity, proof, { value: PRESALE_PRICE }))
+                .to.be.revertedWith("Invalid proof");
+            await expect(nft.connect(user1).presaleMint(1, quantity, proof, { value: PRESALE_PRICE - 1n }))
+                .to.be.revertedWith("Insufficient payment");
+            await nft.connect(user1).presaleMint(1, quantity, proof, { value: PRESALE_PRICE });
+            await expect(nft.connect(user1).presaleMint(2, quantity, proof, { value: PRESALE_PRICE * 2n }))
+                .to.be.revertedWith("Exceeds presale allowance");
+            await expect(nft.connect(user1).presaleMint(0, quantity, proof)).to.be.revertedWith("Quantity must be greater than 0");
+        });
+
+        it("Should close public minting while the presale runs", async function () {
+            const { owner, user1, user2, nft, proofOf } = await loadFixture(presaleFixture);
+
+            await expect(nft.connect(user2).mint(user2.address, { value: MINT_PRICE })).to.be.revertedWith("Presale in progress");
+            await expect(nft.connect(user2).batchMint(user2.address, 2, { value: MINT_PRICE * 2n })).to.be.revertedWith("Presale in progress");
+            await expect(nft.connect(user1).setPresaleActive(false)).to.be.revertedWithCustomError(nft, "OwnableUnauthorizedAccount");
+
+            await expect(nft.setPresaleActive(false)).to.emit(nft, "PresaleActiveUpdated").withArgs(false);
+            await nft.connect(user2).mint(user2.address, { value: MINT_PRICE });
+            const { quantity, proof } = proofOf(owner);
+            await expect(nft.presaleMint(1, quantity, proof, { value: PRESALE_PRICE })).to.be.revertedWith("Presale not active");
+
+            await expect(nft.configurePresale(ethers.ZeroHash, 0)).to.emit(nft, "PresaleConfigured").withArgs(ethers.ZeroHash, 0);
+            await expect(nft.setPresaleActive(true)).to.be.revertedWith("Presale not configured");
+        });
+    });
+
+    describe("Mint Vouchers (V3)", function () {
+        const { networks } = require("../hardhat.config");
+        const { voucherDomain, buildVoucher, signVoucher, voucherArgs, voucherDigest, verifyVoucher, checkVoucher } = require("../scripts/lib/vouchers");
+        const PRICE = ethers.parseEther("0.03");
+
+        async function voucherFixture() {
+            const fixture = await v3CollectionFixture({ maxSupply: 10, mintPrice: ethers.parseEther("0.1") });
+            const { nft } = fixture;
+
+            // Vouchers are signed offline with Bob's key from the localhost accounts; Alice's key is not the signer
+            const [, aliceKey, bobKey] = networks.localhost.accounts;
+            const voucherSigner = new ethers.Wallet(bobKey);
+            const otherKey = new ethers.Wallet(aliceKey);
+            await nft.setVoucherSigner(voucherSigner.address);
+            const domain = await voucherDomain(nft);
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            const issue = (fields, signer = voucherSigner) => signVoucher(signer, domain, buildVoucher({
+                quantity: 2, price: PRICE, expiry: timestamp + 3600, ...fields
+            }));
+            return { ...fixture, nft, voucherSigner, otherKey, issue };
+        }
+
+        it("Should redeem a voucher once, minting to its recipient", async function () {
+            const { owner, user1, user2, nft, voucherSigner, issue } = await loadFixture(voucherFixture);
+            expect(voucherSigner.address).to.equal(user2.address);
+
+            const signed = await issue({ recipient: user1.address });
+            expect(verifyVoucher(signed, { expectedSigner: voucherSigner.address })).to.deep.equal({ valid: true, signer: voucherSigner.address, problems: [] });
+            expect(await nft.voucherDigest(voucherArgs(signed))).to.equal(voucherDigest(signed));
+
+            // Anyone may submit it and pay; the tokens go to the recipient
+            await expect(nft.connect(owner).redeemVoucher(voucherArgs(signed), signed.signature, { value: PRICE * 2n }))
+                .to.emit(nft, "VoucherRedeemed").withArgs(signed.voucher.nonce, user1.address, 2, PRICE);
+            expect(await nft.balanceOf(user1.address)).to.equal(2);
+
+            await expect(nft.redeemVoucher(voucherArgs(signed), signed.signature, { value: PRICE * 2n }))
+                .to.be.revertedWith("Voucher already used");
+            expect((await checkVoucher(nft, signed)).problems).to.deep.equal([`nonce ${signed.voucher.nonce} was already redeemed or revoked`]);
+        });
+
+        it("Should reject forged, altered, expired and revoked vouchers", async function () {
+            const { user1, nft, otherKey, issue } = await loadFixture(voucherFixture);
+
+            const forged = await issue({ recipient: user1.address }, otherKey);
+            expect(verifyVoucher(forged, { expectedSigner: await nft.voucherSigner() }).valid).to.equal(false);
+            await expect(nft.redeemVoucher(voucherArgs(forged), forged.signature, { value: PRICE * 2n }))
+                .to.be.revertedWith("Invalid voucher signature");
+
+            const signed = await issue({ recipient: user1.address });
+            const altered = { ...voucherArgs(signed), quantity: 5n };
+            await expect(nft.redeemVoucher(altered, signed.signature, { value: PRICE * 5n }))
+                .to.be.revertedWith("Invalid voucher signature");
+            await expect(nft.redeemVoucher(voucherArgs(signed), signed.signature, { value: PRICE }))
+                .to.be.revertedWith("Insufficient payment");
+
+            await expect(nft.revokeVoucher(signed.voucher.nonce)).to.emit(nft, "VoucherRevoked").withArgs(signed.voucher.nonce);
+            await expect(nft.redeemVoucher(voucherArgs(signed), signed.signature, { value: PRICE * 2n }))
+                .to.be.revertedWith("Voucher already used");
+
+            const expiring = await issue({ recipient: user1.address });
+            await time.increase(3601);
+            expect((await checkVoucher(nft, expiring)).valid).to.equal(false);
+            await expect(nft.redeemVoucher(voucherArgs(expiring), expiring.signature, { value: PRICE * 2n }))
+                .to.be.revertedWith("Voucher expired");
+        });
+
+        it("Should only accept vouchers while a signer is set", async function () {
+            const { user1, nft, issue } = await loadFixture(voucherFixture);
+            const signed = await issue({ recipient: user1.address });
+
+            await expect(nft.connect(user1).setVoucherSigner(user1.address))
+                .to.be.revertedWithCustomError(nft, "OwnableUnauthorizedAccount");
+            await expect(nft.setVoucherSigner(ethers.ZeroAddress)).to.emit(nft, "VoucherSignerUpdated").withArgs(ethers.ZeroAddress);
+            await expect(nft.redeemVoucher(voucherArgs(signed), signed.signature, { value: PRICE * 2n }))
+                .to.be.revertedWith("Vouchers disabled");
+        });
+    });
+
+    describe("Mint Phases (V3)", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const { parseAllowlistCsv, buildAllowlistTree, saveAllowlist } = require("../scripts/lib/allowlist");
+        const { OPEN_ENDED, loadPhaseConfig, encodePhaseSetup, readPhaseSchedule } = require("../scripts/lib/mint-phases");
+        const MINT_PRICE = ethers.parseEther("0.1");
+        const PRESALE_PRICE = ethers.parseEther("0.05");
+        const PUBLIC_PRICE = ethers.parseEther("0.08");
+
+        // A collection created on V3 with the schedule of a phase config file:
+        // presale in [start, start + 100), closed for 100 seconds, public in [start + 200, start + 300)
+        async function phasesFixture() {
+            const fixture = await deployFixture();
+            const { factory, owner, user1 } = fixture;
+            const ERC721LogicV3 = await ethers.getContractFactory("ERC721LogicV3");
+            const logicV3 = await ERC721LogicV3.deploy();
+            await factory.approveImplementation("3.0.0", await logicV3.getAddress());
+
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "phases-"));
+            const tree = buildAllowlistTree(parseAllowlistCsv(`${user1.address},3\n${owner.address},1\n`));
+            saveAllowlist(tree, path.join(dir, "allowlist.json"));
+            const start = (await time.latest()) + 100;
+            fs.writeFileSync(path.join(dir, "phases.json"), JSON.stringify({
+                presale: { start, end: start + 100, price: "0.05", walletCap: 2, txCap: 1, allowlist: "allowlist.json" },
+                public: { start: new Date((start + 200) * 1000).toISOString(), end: start + 300, price: "0.08", walletCap: 3, txCap: 2 }
+            }));
+            const schedule = loadPhaseConfig(ethers, path.join(dir, "phases.json"));
+            fs.rmSync(dir, { recursive: true });
+
+            const setupData = logicV3.interface.encodeFunctionData("initializeV3Features", [
+                "https://example.com/", "https://example.com/hidden.json", owner.address, 250, encodePhaseSetup(logicV3.interface, schedule)
+            ]);
+            await factory["createNFTCollection(string,string,uint256,uint256,address,string,bytes)"](
+                "Phased Collection", "PHASE", 100, MINT_PRICE, owner.address, "3.0.0", setupData
+            );
+            const [proxyAddress] = await factory.getDeployedCollections();
+            const nft = await ethers.getContractAt("ERC721LogicV3", proxyAddress);
+            const proofOf = (account) => tree.entries.find(entry => entry.address === account.address);
+            return { ...fixture, logicV3, nft, schedule, start, proofOf };
+        }
+
+        it("Should move through closed, presale, public and ended", async function () {
+            const { user1, user2, nft, schedule, start, proofOf } = await loadFixture(phasesFixture);
+            const { quantity, proof } = proofOf(user1);
+            expect(schedule.public.start).to.equal(BigInt(start + 200));
+            expect(await nft.presaleMerkleRoot()).to.equal(schedule.allowlistRoot);
+
+            expect((await readPhaseSchedule(nft)).current).to.equal("closed");
+            await expect(nft.connect(user2).mint(user2.address, { value: PUBLIC_PRICE })).to.be.revertedWith("Sale not open");
+            await expect(nft.connect(user1).presaleMint(1, quantity, proof, { value: PRESALE_PRICE })).to.be.revertedWith("Presale not active");
+
+            await time.increaseTo(start);
+            expect((await readPhaseSchedule(nft)).current).to.equal("presale");
+            await expect(nft.connect(user2).mint(user2.address, { value: PUBLIC_PRICE })).to.be.revertedWith("Presale in progress");
+            await expect(nft.connect(user1).presaleMint(1, quantity, proof, { value: PRESALE_PRICE }))
+                .to.changeEtherBalances([user1, nft], [-PRESALE_PRICE, PRESALE_PRICE]);
+
+            // Between the windows the collection is closed again
+            await time.increaseTo(start + 100);
+            expect(await nft.currentPhase()).to.equal(0);
+            await expect(nft.connect(user1).presaleMint(1, quantity, proof, { value: PRESALE_PRICE })).to.be.revertedWith("Presale not active");
+
+            await time.increaseTo(start + 200);
+            expect(await nft.currentPhase()).to.equal(2);
+            await expect(nft.connect(user2).mint(user2.address, { value: PUBLIC_PRICE - 1n })).to.be.revertedWith("Insufficient payment");
+            // The public phase price replaces mintPrice; overpayment is refunded
+            await expect(nft.connect(user2).batchMint(user2.address, 2, { value: MINT_PRICE * 2n }))
+                .to.changeEtherBalances([user2, nft], [-PUBLIC_PRICE * 2n, PUBLIC_PRICE * 2n]);
+
+            await time.increaseTo(start + 300);
+            expect((await readPhaseSchedule(nft)).current).to.equal("ended");
+            await expect(nft.connect(user2).mint(user2.address, { value: PUBLIC_PRICE })).to.be.revertedWith("Sale ended");
+        });
+
+        it("Should enforce per-wallet and per-transaction caps", async function () {
+            const { owner, user1, user2, nft, start, proofOf } = await loadFixture(phasesFixture);
+            const { quantity, proof } = proofOf(user1);
+
+            await time.increaseTo(start);
+            await expect(nft.connect(user1).presaleMint(2, quantity, proof, { value: PRESALE_PRICE * 2n }))
+                .to.be.revertedWith("Exceeds per-transaction cap");
+            await nft.connect(user1).presaleMint(1, quantity, proof, { value: PRESALE_PRICE });
+            await nft.connect(user1).presaleMint(1, quantity, proof, { value: PRESALE_PRICE });
+            // The allowlist grants 3, the presale wallet cap is 2
+            await expect(nft.connect(user1).presaleMint(1, quantity, proof, { value: PRESALE_PRICE }))
+                .to.be.revertedWith("Exceeds per-wallet cap");
+
+            await time.increaseTo(start + 200);
+            await expect(nft.connect(user2).batchMint(user2.address, 3, { value: PUBLIC_PRICE * 3n }))
+                .to.be.revertedWith("Exceeds per-transaction cap");
+            await nft.connect(user2).batchMint(user2.address, 2, { value: PUBLIC_PRICE * 2n });
+            // The public cap counts what a wallet receives, whoever pays
+            await expect(nft.connect(owner).batchMint(user2.address, 2, { value: PUBLIC_PRICE * 2n }))
+                .to.be.revertedWith("Exceeds per-wallet cap");
+            await nft.connect(owner).mint(user2.address, { value: PUBLIC_PRICE });
+            expect(await nft.publicMinted(user2.address)).to.equal(3);
+            // Presale mints do not count against the public cap
+            await nft.connect(user1).batchMint(user1.address, 2, { value: PUBLIC_PRICE * 2n });
+            expect(await nft.balanceOf(user1.address)).to.equal(4);
+        });
+
+        it("Should validate schedules and fall back to the presale switch when cleared", async function () {
+            const { user1, nft, start } = await loadFixture(phasesFixture);
+            const window = (from, to, price = 0) => ({ start: from, end: to, price, walletCap: 0, txCap: 0 });
+            const none = window(0, 0);
+
+            await expect(nft.connect(user1).setPhaseSchedule(none, window(start, start + 10)))
+                .to.be.revertedWithCustomError(nft, "OwnableUnauthorizedAccount");
+            await expect(nft.setPhaseSchedule(none, none)).to.be.revertedWith("Empty phase schedule");
+            await expect(nft.setPhaseSchedule(window(start + 10, start), none)).to.be.revertedWith("Invalid presale window");
+            await expect(nft.setPhaseSchedule(none, window(start, start))).to.be.revertedWith("Invalid public window");
+            await expect(nft.setPhaseSchedule(window(start, start + 20), window(start + 10, start + 30)))
+                .to.be.revertedWith("Presale must end before the public sale");
+
+            // An open-ended public sale never ends
+            await expect(nft.setPhaseSchedule(none, window(start, OPEN_ENDED, PUBLIC_PRICE))).to.emit(nft, "PhaseScheduleUpdated");
+            await time.increaseTo(start + 1000000);
+            await nft.connect(user1).mint(user1.address, { value: PUBLIC_PRICE });
+
+            await expect(nft.clearPhaseSchedule()).to.emit(nft, "PhaseScheduleCleared");
+            expect(await nft.phaseScheduleEnabled()).to.equal(false);
+            expect((await nft.phaseConfig(2)).price).to.equal(MINT_PRICE);
+            await nft.setPresaleActive(true);
+            expect(await nft.currentPhase()).to.equal(1);
+            await nft.configurePresale(ethers.ZeroHash, 0);
+            await expect(nft.setPhaseSchedule(window(start + 2000000, start + 2000010), none)).to.be.revertedWith("Presale not configured");
+        });
+
+        it("Should apply a schedule through ProxyAdmin.upgradeAndCall", async function () {
+            const { proxyAdmin, factory, owner, user1, logicV3 } = await loadFixture(phasesFixture);
+            await factory.createNFTCollection("Test Collection", "TEST", 10, MINT_PRICE);
+            const [, proxyAddress] = await factory.getDeployedCollections();
+            const start = (await time.latest()) + 100;
+            const publicSale = { start, end: OPEN_ENDED, price: PUBLIC_PRICE, walletCap: 1, txCap: 1 };
+
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV3.getAddress(), logicV3.interface.encodeFunctionData("initializeV2Features", [
+                "https://example.com/", "https://example.com/hidden.json", owner.address, 250
+            ]));
+            const nft = await ethers.getContractAt("ERC721LogicV3", proxyAddress);
+            await expect(nft.connect(user1).multicall([])).to.be.revertedWith("Only owner, ProxyAdmin or factory");
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV3.getAddress(), logicV3.interface.encodeFunctionData("multicall", [[
+                logicV3.interface.encodeFunctionData("setPhaseSchedule", [{ start: 0, end: 0, price: 0, walletCap: 0, txCap: 0 }, publicSale])
+            ]]));
+
+            expect(await nft.currentPhase()).to.equal(0);
+            await time.increaseTo(start);
+            await nft.connect(user1).mint(user1.address, { value: PUBLIC_PRICE });
+            await expect(nft.connect(user1).mint(user1.address, { value: PUBLIC_PRICE })).to.be.revertedWith("Exceeds per-wallet cap");
+        });
+
+        it("Should run only whitelisted setup calls, and only for the owner, ProxyAdmin or factory", async function () {
+            const { proxyAdmin, factory, owner, user2: mallory, logicV3 } = await loadFixture(phasesFixture);
+            await factory.createNFTCollection("Test Collection", "TEST", 10, MINT_PRICE);
+            const [, proxyAddress] = await factory.getDeployedCollections();
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV3.getAddress(), "0x");
+            const nft = await ethers.getContractAt("ERC721LogicV3", proxyAddress);
+
+            // Setup calls no longer reach the collection as calls from itself
+            const hijack = [
+                logicV3.interface.encodeFunctionData("setPayees", [[mallory.address], [1]]),
+                logicV3.interface.encodeFunctionData("setVoucherSigner", [mallory.address])
+            ];
+            await expect(nft.connect(mallory).initializeV3Features("", "", mallory.address, 0, hijack))
+                .to.be.revertedWith("Only owner, ProxyAdmin or factory");
+            await expect(nft.connect(mallory).multicall(hijack)).to.be.revertedWith("Only owner, ProxyAdmin or factory");
+            await expect(nft.connect(mallory).setVoucherSigner(mallory.address))
+                .to.be.revertedWithCustomError(nft, "OwnableUnauthorizedAccount");
+            await expect(nft.connect(mallory).linkFactory(await factory.getAddress()))
+                .to.be.revertedWith("Only owner, ProxyAdmin or factory");
+
+            // Nor can an upgrade call smuggle anything but the V3 setters
+            await expect(proxyAdmin.upgradeAndCall(proxyAddress, await logicV3.getAddress(), logicV3.interface.encodeFunctionData("multicall", [[
+                logicV3.interface.encodeFunctionData("transferOwnership", [mallory.address])
+            ]]))).to.be.revertedWith("Setup call not allowed");
+
+            await nft.multicall(hijack.slice(1).concat(logicV3.interface.encodeFunctionData("linkFactory", [await factory.getAddress()])));
+            expect(await nft.voucherSigner()).to.equal(mallory.address);
+            expect(await nft.factory()).to.equal(await factory.getAddress());
+            expect(await nft.owner()).to.equal(owner.address);
+        });
+
+        it("Should refuse a mint price too large for a phase instead of truncating it", async function () {
+            const { user1, nft } = await loadFixture(v3CollectionFixture);
+            const price = 2n ** 128n + 1n;
+            await nft.setMintPrice(price);
+
+            // Truncated to uint128 the price would be 1 wei
+            await expect(nft.phaseConfig(2)).to.be.revertedWithCustomError(nft, "SafeCastOverflowedUintDowncast").withArgs(128, price);
+            await expect(nft.connect(user1).mint(user1.address, { value: 1 }))
+                .to.be.revertedWithCustomError(nft, "SafeCastOverflowedUintDowncast");
+        });
+    });
+
+    describe("Emergency Pause (V3)", function () {
+        const { readPauseStatus } = require("../scripts/lib/emergency-pause");
+        const MINT_PRICE = ethers.parseEther("0.01");
+
+        // Two V3 collections, which the factory links as it creates them, and one V1 collection
+        async function pauseFixture() {
+            const fixture = await deployFixture();
+            const { factory, owner, user1 } = fixture;
+            const ERC721LogicV3 = await ethers.getContractFactory("ERC721LogicV3");
+            const logicV3 = await ERC721LogicV3.deploy();
+            await factory.approveImplementation("3.0.0", await logicV3.getAddress());
+
+            const setupData = logicV3.interface.encodeFunctionData("initializeV3Features", [
+                "https://example.com/", "https://example.com/hidden.json", owner.address, 250, []
+            ]);
+            for (const symbol of ["ONE", "TWO"]) {
+                await factory["createNFTCollection(string,string,uint256,uint256,address,string,bytes)"](
+                    `Collection ${symbol}`, symbol, 100, MINT_PRICE, owner.address, "3.0.0", setupData
+                );
+            }
+            await factory.createNFTCollection("Legacy", "OLD", 100, MINT_PRICE);
+            const [first, second, legacy] = await factory.getDeployedCollections();
+            const one = await ethers.getContractAt("ERC721LogicV3", first);
+            const two = await ethers.getContractAt("ERC721LogicV3", second);
+            await one.connect(user1).batchMint(user1.address, 2, { value: MINT_PRICE * 2n });
+            return { ...fixture, logicV3, one, two, legacy, guardian: await factory.GUARDIAN_ROLE() };
+        }
+
+        it("Should stop minting and transfers in every linked collection", async function () {
+            const { factory, user1, user2, one, two, legacy, guardian } = await loadFixture(pauseFixture);
+            expect(await one.factory()).to.equal(await factory.getAddress());
+
+            await expect(factory.connect(user1).setAllCollectionsPaused(true))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, guardian);
+            await factory.grantRole(guardian, user2.address);
+            await expect(factory.connect(user2).setAllCollectionsPaused(true))
+                .to.emit(factory, "AllCollectionsPausedUpdated").withArgs(true, user2.address);
+
+            expect(await one.paused()).to.equal(true);
+            expect(await two.paused()).to.equal(true);
+            await expect(one.connect(user1).mint(user1.address, { value: MINT_PRICE })).to.be.revertedWith("Collection paused");
+            await expect(two.connect(user1).batchMint(user1.address, 2, { value: MINT_PRICE * 2n })).to.be.revertedWith("Collection paused");
+            await expect(one.connect(user1).transferFrom(user1.address, user2.address, 1)).to.be.revertedWith("Collection paused");
+            await expect(one.connect(user1).safeTransferFrom(user1.address, user2.address, 2)).to.be.revertedWith("Collection paused");
+
+            // Collections before V3 do not consult the factory
+            const status = await readPauseStatus(ethers, factory);
+            expect(status.allCollectionsPaused).to.equal(true);
+            expect(status.unprotected).to.deep.equal([legacy]);
+            await (await ethers.getContractAt("ERC721LogicV1", legacy)).connect(user1).mint(user1.address, { value: MINT_PRICE });
+
+            await factory.connect(user2).setAllCollectionsPaused(false);
+            await one.connect(user1).transferFrom(user1.address, user2.address, 1);
+            expect(await one.ownerOf(1)).to.equal(user2.address);
+        });
+
+        it("Should pause a single collection", async function () {
+            const { factory, user1, one, two, legacy } = await loadFixture(pauseFixture);
+
+            await expect(factory.setCollectionPaused(await one.getAddress(), true))
+                .to.emit(factory, "CollectionPausedUpdated");
+            await expect(one.connect(user1).mint(user1.address, { value: MINT_PRICE })).to.be.revertedWith("Collection paused");
+            await two.connect(user1).mint(user1.address, { value: MINT_PRICE });
+            await expect(factory.setCollectionPaused(user1.address, true)).to.be.revertedWith("Unknown collection");
+
+            // Unpausing one collection does not lift a factory-wide pause
+            await factory.setAllCollectionsPaused(true);
+            await factory.setCollectionPaused(await one.getAddress(), false);
+            expect(await one.paused()).to.equal(true);
+            await factory.setAllCollectionsPaused(false);
+            expect(await one.paused()).to.equal(false);
+            expect(await factory.isCollectionPaused(legacy)).to.equal(false);
+        });
+
+        it("Should link collections once, to the factory that deployed them", async function () {
+            const { proxyAdmin, factory, owner, user1, logicV3, one, legacy } = await loadFixture(pauseFixture);
+            const { NFTFactory } = await deployFactoryLibraries(ethers, owner);
+            const otherFactory = await NFTFactory.deploy(await logicV3.getAddress(), await proxyAdmin.getAddress());
+
+            // The owner cannot move a collection out of its factory's pause
+            await expect(one.linkFactory(await otherFactory.getAddress())).to.be.revertedWith("Factory already linked");
+            await one.linkFactory(await factory.getAddress());
+
+            // A V1 collection upgraded to V3 is linked by the upgrade call
+            await expect(proxyAdmin.upgradeAndCall(legacy, await logicV3.getAddress(), logicV3.interface.encodeFunctionData("initializeV3Features", [
+                "https://example.com/", "https://example.com/hidden.json", owner.address, 250,
+                [logicV3.interface.encodeFunctionData("linkFactory", [await otherFactory.getAddress()])]
+            ]))).to.be.revertedWith("Not deployed by this factory");
+            await proxyAdmin.upgradeAndCall(legacy, await logicV3.getAddress(), logicV3.interface.encodeFunctionData("initializeV3Features", [
+                "https://example.com/", "https://example.com/hidden.json", owner.address, 250,
+                [logicV3.interface.encodeFunctionData("linkFactory", [await factory.getAddress()])]
+            ]));
+            const upgraded = await ethers.getContractAt("ERC721LogicV3", legacy);
+            expect(await upgraded.factory()).to.equal(await factory.getAddress());
+            await expect(upgraded.connect(user1).linkFactory(await factory.getAddress()))
+                .to.be.revertedWith("Only owner, ProxyAdmin or factory");
+
+            await factory.setCollectionPaused(legacy, true);
+            await expect(upgraded.connect(user1).mint(user1.address, { value: MINT_PRICE })).to.be.revertedWith("Collection paused");
+            expect((await readPauseStatus(ethers, factory)).unprotected).to.deep.equal([]);
+        });
+
+        it("Should link collections the factory upgrades to V3", async function () {
+            const { logicV1, proxyAdmin, factory, owner, user1, logicV3, legacy } = await loadFixture(pauseFixture);
+            const factoryAddress = await factory.getAddress();
+            const v3Address = await logicV3.getAddress();
+            await proxyAdmin.transferOwnership(factoryAddress);
+
+            // Upgrades to versions without the pause go through unlinked
+            const UpgradeableBeacon = await ethers.getContractFactory("UpgradeableBeacon");
+            const beacon = await UpgradeableBeacon.deploy(await logicV1.getAddress(), factoryAddress);
+            await factory.addFleet("genesis", await beacon.getAddress());
+            await factory.createFleetCollection("genesis", "Fleet", "FLT", 100, MINT_PRICE, owner.address, "0x");
+            const fleetCollection = (await factory.getDeployedCollections()).at(-1);
+            expect((await readPauseStatus(ethers, factory)).unprotected).to.deep.equal([legacy, fleetCollection]);
+
+            await expect(factory.upgradeCollection(legacy, v3Address, "0x"))
+                .to.emit(await ethers.getContractAt("ERC721LogicV3", legacy), "FactoryLinked").withArgs(factoryAddress);
+            await factory.upgradeFleet("genesis", v3Address, []);
+            for (const proxyAddress of [legacy, fleetCollection]) {
+                const collection = await ethers.getContractAt("ERC721LogicV3", proxyAddress);
+                expect(await collection.factory()).to.equal(factoryAddress);
+            }
+            expect((await readPauseStatus(ethers, factory)).unprotected).to.deep.equal([]);
+
+            await factory.setAllCollectionsPaused(true);
+            await expect((await ethers.getContractAt("ERC721LogicV3", fleetCollection)).connect(user1).mint(user1.address, { value: MINT_PRICE }))
+                .to.be.revertedWith("Collection paused");
+        });
+    });
+
+    describe("Consolidated Batch Minting (V2A)", function () {
+        const { compareStorageLayouts } = require("../scripts/lib/storage-layout");
+        const { countImpliedOwners, checkOwnershipPortable } = require("../scripts/lib/batch-ownership");
+        const { benchmarkBatchMint } = require("../scripts/lib/batch-benchmark");
+        const MINT_PRICE = ethers.parseEther("0.01");
+
+        // A V2Fixed collection with two tokens minted one by one, then upgraded to V2A
+        async function v2aFixture() {
+            return v3CollectionFixture({
+                maxSupply: 200,
+                mintPrice: MINT_PRICE,
+                contract: "ERC721LogicV2A",
+                onV2: (v2, { user1 }) => v2.connect(user1).batchMint(user1.address, 2, { value: MINT_PRICE * 2n })
+            });
+        }
+
+        it("Should keep V2Fixed owners and report batch-minted ownership like V2Fixed", async function () {
+            const { owner, user1, user2, nft } = await loadFixture(v2aFixture);
+
+            expect(await compareStorageLayouts(require("hardhat"), "ERC721LogicV2Fixed", "ERC721LogicV2A"))
+                .to.have.property("compatible", true);
+            expect(await nft.getVersion()).to.equal("2.1.0");
+            expect(await nft.ownerOf(1)).to.equal(user1.address);
+            expect(await nft.ownerOf(2)).to.equal(user1.address);
+            expect(await nft.baseURI()).to.equal("https://example.com/");
+
+            const mint = nft.connect(user2).batchMint(user2.address, 70, { value: MINT_PRICE * 70n });
+            await expect(mint).to.emit(nft, "BatchMinted").withArgs(user2.address, 3, 70);
+            await expect(mint).to.emit(nft, "Transfer").withArgs(ethers.ZeroAddress, user2.address, 72);
+            await nft.connect(owner).batchMint(owner.address, 1, { value: MINT_PRICE });
+
+            expect(await nft.totalSupply()).to.equal(73);
+            expect(await nft.balanceOf(user2.address)).to.equal(70);
+            expect(await nft.balanceOf(owner.address)).to.equal(1);
+            for (const tokenId of [3, 4, 34, 35, 36, 72]) {
+                expect(await nft.ownerOf(tokenId)).to.equal(user2.address);
+            }
+            expect(await nft.ownerOf(73)).to.equal(owner.address);
+            await expect(nft.ownerOf(74)).to.be.revertedWithCustomError(nft, "ERC721NonexistentToken").withArgs(74);
+            await expect(nft.ownerOf(0)).to.be.revertedWithCustomError(nft, "ERC721NonexistentToken").withArgs(0);
+
+            // Only the first token and every 32nd after it are written
+            expect(await nft.impliedOwnerCount(1, 73)).to.equal(67);
+            await expect(nft.batchMint(user2.address, 128, { value: MINT_PRICE * 128n }))
+                .to.be.revertedWith("Exceeds max supply");
+            // Contract recipients must accept the tokens
+            await expect(nft.batchMint(await nft.getAddress(), 2, { value: MINT_PRICE * 2n }))
+                .to.be.revertedWithCustomError(nft, "ERC721InvalidReceiver");
+        });
+
+        it("Should keep the rest of a batch with its owner when one token moves", async function () {
+            const { user1, user2, nft } = await loadFixture(v2aFixture);
+            await nft.connect(user1).batchMint(user1.address, 10, { value: MINT_PRICE * 10n });
+
+            // Tokens 3-12 belong to user1; move token 6 out of the middle
+            await nft.connect(user1).approve(user2.address, 6);
+            expect(await nft.getApproved(6)).to.equal(user2.address);
+            await nft.connect(user2).transferFrom(user1.address, user2.address, 6);
+            expect(await nft.ownerOf(5)).to.equal(user1.address);
+            expect(await nft.ownerOf(6)).to.equal(user2.address);
+            expect(await nft.ownerOf(7)).to.equal(user1.address);
+            expect(await nft.ownerOf(12)).to.equal(user1.address);
+            expect(await nft.balanceOf(user1.address)).to.equal(11);
+            expect(await nft.balanceOf(user2.address)).to.equal(1);
+            expect(await nft.getApproved(6)).to.equal(ethers.ZeroAddress);
+
+            // The last token of a batch moves without touching the next batch
+            await nft.connect(user1).transferFrom(user1.address, user2.address, 12);
+            expect(await nft.ownerOf(11)).to.equal(user1.address);
+            expect(await nft.ownerOf(12)).to.equal(user2.address);
+            await expect(nft.connect(user2).transferFrom(user1.address, user2.address, 7))
+                .to.be.revertedWithCustomError(nft, "ERC721InsufficientApproval");
+        });
+
+        it("Should refuse to leave consolidated ownership until every owner is written out", async function () {
+            const { proxyAdmin, proxyAddress, logicV2, user1, user2, nft } = await loadFixture(v2aFixture);
+            await nft.connect(user1).batchMint(user1.address, 40, { value: MINT_PRICE * 40n });
+            await nft.connect(user1).transferFrom(user1.address, user2.address, 10);
+
+            const status = await countImpliedOwners(ethers, proxyAddress, { chunk: 16 });
+            expect(status.totalSupply).to.equal(42);
+            // 40 minted with checkpoints at 3 and 35, and token 11 written out by the transfer
+            expect(status.implied).to.equal(36);
+            expect(status.ranges.map(range => range.from)).to.deep.equal([1n, 17n, 33n]);
+            const problem = await checkOwnershipPortable(ethers, { proxyAddress, fromContract: "ERC721LogicV2A", toContract: "ERC721LogicV2Fixed" });
+            expect(problem).to.match(/^36 token\(s\) only have implied owners/);
+            expect(await checkOwnershipPortable(ethers, { proxyAddress, fromContract: "ERC721LogicV2Fixed", toContract: "ERC721LogicV2A" }))
+                .to.equal(null);
+
+            await expect(nft.materializeOwnership(5, 43)).to.be.revertedWith("Invalid token range");
+            await expect(nft.materializeOwnership(0, 5)).to.be.revertedWith("Invalid token range");
+            await nft.connect(user2).materializeOwnership(1, 20);
+            await nft.connect(user2).materializeOwnership(21, 42);
+            expect(await nft.impliedOwnerCount(1, 42)).to.equal(0);
+            expect(await checkOwnershipPortable(ethers, { proxyAddress, fromContract: "ERC721LogicV2A", toContract: "ERC721LogicV2Fixed" }))
+                .to.equal(null);
+
+            // V2Fixed now sees the same owners
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV2.getAddress(), "0x");
+            const nftV2 = await ethers.getContractAt("ERC721LogicV2Fixed", proxyAddress);
+            expect(await nftV2.ownerOf(9)).to.equal(user1.address);
+            expect(await nftV2.ownerOf(10)).to.equal(user2.address);
+            expect(await nftV2.ownerOf(42)).to.equal(user1.address);
+            expect(await nftV2.balanceOf(user1.address)).to.equal(41);
+        });
+
+        it("Should mint single tokens on a fresh collection, after a batch and between batches", async function () {
+            const { factory, proxyAdmin, owner, user1, user2 } = await loadFixture(deployFixture);
+            await factory.createNFTCollection("Fresh", "FRSH", 200, MINT_PRICE);
+            const [proxyAddress] = await factory.getDeployedCollections();
+            const ERC721LogicV2A = await ethers.getContractFactory("ERC721LogicV2A");
+            const logicV2A = await ERC721LogicV2A.deploy();
+            await proxyAdmin.upgradeAndCall(proxyAddress, await logicV2A.getAddress(), ERC721LogicV2A.interface.encodeFunctionData(
+                "initializeV2Features", ["https://example.com/", "https://example.com/hidden.json", owner.address, 250]
+            ));
+            const nft = ERC721LogicV2A.attach(proxyAddress);
+
+            await expect(nft.connect(user1).mint(user1.address, { value: MINT_PRICE }))
+                .to.emit(nft, "TokenMinted").withArgs(user1.address, 1);
+            await nft.connect(user2).batchMint(user2.address, 40, { value: MINT_PRICE * 40n });
+            await expect(nft.connect(user1).mint(user1.address, { value: MINT_PRICE }))
+                .to.emit(nft, "Transfer").withArgs(ethers.ZeroAddress, user1.address, 42);
+            await nft.connect(owner).batchMint(owner.address, 3, { value: MINT_PRICE * 3n });
+            await nft.connect(user1).mint(user1.address, { value: MINT_PRICE });
+
+            expect(await nft.totalSupply()).to.equal(46);
+            expect(await nft.ownerOf(1)).to.equal(user1.address);
+            expect(await nft.ownerOf(2)).to.equal(user2.address);
+            expect(await nft.ownerOf(41)).to.equal(user2.address);
+            expect(await nft.ownerOf(42)).to.equal(user1.address);
+            expect(await nft.ownerOf(43)).to.equal(owner.address);
+            expect(await nft.ownerOf(45)).to.equal(owner.address);
+            expect(await nft.ownerOf(46)).to.equal(user1.address);
+            expect(await nft.balanceOf(user1.address)).to.equal(3);
+            expect(await nft.balanceOf(user2.address)).to.equal(40);
+            // Single mints are written out, so only batch tokens can be implied
+            expect(await nft.impliedOwnerCount(1, 46)).to.equal(40 - 2 + 3 - 1);
+
+            // Moving the last token of a batch leaves the single mint after it alone
+            await nft.connect(user2).transferFrom(user2.address, owner.address, 41);
+            expect(await nft.ownerOf(41)).to.equal(owner.address);
+            expect(await nft.ownerOf(42)).to.equal(user1.address);
+            expect(await nft.ownerOf(40)).to.equal(user2.address);
+            await expect(nft.ownerOf(47)).to.be.revertedWithCustomError(nft, "ERC721NonexistentToken").withArgs(47);
+        });
+
+        it("Should lower the gas per token as batches grow", async function () {
+            const rows = await benchmarkBatchMint(ethers, { sizes: [1, 10, 50] });
+            const perToken = contract => rows.filter(row => row.contract === contract).map(row => row.gasPerToken);
+
+            const [one, ten, fifty] = perToken("ERC721LogicV2A");
+            expect(ten).to.be.lessThan(one);
+            expect(fifty).to.be.lessThan(ten);
+            const fixed = perToken("ERC721LogicV2Fixed");
+            expect(fifty * 4n).to.be.lessThan(fixed[2]);
+        });
+    });
+
+    describe("Gas Benchmarks", function () {
+        const { runGasBenchmark, compareWithBaseline, compareWithSpec, formatMarkdown } = require("../scripts/lib/gas-benchmark");
+
+        it("Should measure the collection lifecycle and place it against the spec's cost table", async function () {
+            const report = await runGasBenchmark(require("hardhat"), { maxBatch: 3 });
+            expect(report.measurements.map(entry => entry.name)).to.include.members([
+                "deploy ERC721LogicV1", "deploy CustomTransparentProxy", "initialize", "createNFTCollection", "mint",
+                "upgradeAndCall initializeV2Features", "reveal", "withdraw",
+                "batchMint ERC721LogicV2Fixed x1", "batchMint ERC721LogicV2Fixed x2", "batchMint ERC721LogicV2Fixed x3"
+            ]);
+            expect(report.measurements.every(entry => entry.gasUsed > 21000)).to.equal(true);
+            expect(report.compiler.version).to.equal("0.8.24");
+
+            const spec = compareWithSpec(report);
+            expect(spec.map(row => row.action)).to.deep.equal(["Deploy Logic Contract", "Deploy Proxy", "Initialize Proxy", "Total per NFT"]);
+            expect(spec.every(row => ["below", "within", "above"].includes(row.verdict))).to.equal(true);
+            // Against itself nothing moves
+            expect(compareWithBaseline(report, report).every(row => row.status === "unchanged")).to.equal(true);
+        });
+
+        it("Should flag measurements that exceed the baseline by more than the threshold", function () {
+            const baseline = { measurements: [{ name: "mint", gasUsed: 100000 }, { name: "reveal", gasUsed: 50000 }, { name: "withdraw", gasUsed: 30000 }] };
+            const report = {
+                generatedAt: "2026-01-01T00:00:00.000Z",
+                network: "hardhat",
+                compiler: { version: "0.8.24", optimizer: { enabled: true, runs: 200 } },
+                measurements: [{ name: "mint", gasUsed: 106000 }, { name: "reveal", gasUsed: 44000 }, { name: "batchMint ERC721LogicV2A x10", gasUsed: 100000, quantity: 10 }]
+            };
+
+            const comparison = compareWithBaseline(report, baseline, { threshold: 5 });
+            expect(comparison.map(row => [row.name, row.status])).to.deep.equal([
+                ["mint", "regression"],
+                ["reveal", "improvement"],
+                ["batchMint ERC721LogicV2A x10", "new"],
+                ["withdraw", "missing"]
+            ]);
+            expect(comparison[0].change).to.equal(6);
+            expect(compareWithBaseline(report, baseline, { threshold: 10 })[0].status).to.equal("unchanged");
+
+            const markdown = formatMarkdown(report, { comparison, spec: compareWithSpec(report), threshold: 5 });
+            expect(markdown).to.contain("| mint | 106,000 |  | 100,000 | +6.00% | regression |");
+            expect(markdown).to.contain("| batchMint ERC721LogicV2A x10 | 100,000 | 10,000 | - | - | new |");
+        });
+    });
+
+    describe("Fleet Collections", function () {
+        const { readFleets, fleetProblem } = require("../scripts/lib/fleets");
+        const { getImplementationAddress, getFleetBeacon } = require("../scripts/lib/erc1967");
+
+        // A fleet on V1 with two collections, a transparent collection next to it, and V2Fixed approved
+        async function fleetFixture() {
+            const fixture = await deployFixture();
+            const { logicV1, proxyAdmin, factory, owner, user1 } = fixture;
+            const UpgradeableBeacon = await ethers.getContractFactory("UpgradeableBeacon");
+            const beacon = await UpgradeableBeacon.deploy(await logicV1.getAddress(), await factory.getAddress());
+            await factory.addFleet("genesis", await beacon.getAddress());
+            await proxyAdmin.transferOwnership(await factory.getAddress());
+
+            await factory.createFleetCollection("genesis", "Fleet 1", "FLT1", 100, ethers.parseEther("0.1"), owner.address, "0x");
+            await factory.connect(user1).createFleetCollection("genesis", "Fleet 2", "FLT2", 100, ethers.parseEther("0.1"), user1.address, "0x");
+            await factory.createNFTCollection("Solo", "SOLO", 100, ethers.parseEther("0.1"));
+            const [fleet1, fleet2, solo] = await factory.getDeployedCollections();
+
+            const ERC721LogicV2Fixed = await ethers.getContractFactory("ERC721LogicV2Fixed");
+            const logicV2 = await ERC721LogicV2Fixed.deploy();
+            await factory["approveImplementation(string,address,bytes4[])"](
+                "2.0.0", await logicV2.getAddress(), [ERC721LogicV2Fixed.interface.getFunction("initializeV2Features").selector]
+            );
+            const initData = (symbol) => ERC721LogicV2Fixed.interface.encodeFunctionData("initializeV2Features", [
+                `https://example.com/${symbol}/`, `https://example.com/${symbol}/hidden.json`, owner.address, 250
+            ]);
+            return { ...fixture, beacon, logicV2, initData, fleet1, fleet2, solo };
+        }
+
+        it("Should only add approved, factory-owned beacons as fleets", async function () {
+            const { logicV1, factory, owner, user1, beacon } = await loadFixture(fleetFixture);
+            const UpgradeableBeacon = await ethers.getContractFactory("UpgradeableBeacon");
+            const v1Address = await logicV1.getAddress();
+
+            const foreign = await UpgradeableBeacon.deploy(v1Address, owner.address);
+            await expect(factory.addFleet("foreign", await foreign.getAddress())).to.be.revertedWith("Factory does not own the beacon");
+            const unapproved = await UpgradeableBeacon.deploy(await (await ethers.getContractFactory("ERC721LogicV1")).deploy(), await factory.getAddress());
+            await expect(factory.addFleet("unapproved", await unapproved.getAddress())).to.be.revertedWith("Implementation not approved");
+            await expect(factory.addFleet("genesis", await unapproved.getAddress())).to.be.revertedWith("Fleet already exists");
+            await expect(factory.addFleet("again", await beacon.getAddress())).to.be.revertedWith("Beacon already in a fleet");
+            await expect(factory.addFleet("", await unapproved.getAddress())).to.be.revertedWith("Fleet name cannot be empty");
+            await expect(factory.connect(user1).addFleet("mine", await unapproved.getAddress()))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+            await expect(factory.createFleetCollection("missing", "X", "X", 1, 0, owner.address, "0x")).to.be.revertedWith("Unknown fleet");
+
+            const second = await UpgradeableBeacon.deploy(v1Address, await factory.getAddress());
+            await expect(factory.addFleet("second", await second.getAddress()))
+                .to.emit(factory, "FleetAdded").withArgs("second", await second.getAddress(), v1Address);
+            expect(await factory.getFleets()).to.deep.equal(["genesis", "second"]);
+        });
+
+        it("Should create fleet collections that follow the beacon", async function () {
+            const { logicV1, factory, owner, user1, beacon, fleet1, fleet2, solo } = await loadFixture(fleetFixture);
+            const beaconAddress = await beacon.getAddress();
+
+            expect(await factory.getFleetCollections("genesis")).to.deep.equal([fleet1, fleet2]);
+            expect(await factory.collectionBeacon(fleet1)).to.equal(beaconAddress);
+            expect(await factory.collectionBeacon(solo)).to.equal(ethers.ZeroAddress);
+            expect(await factory.getCollectionImplementation(fleet2)).to.equal(await logicV1.getAddress());
+            expect(await getImplementationAddress(ethers.provider, fleet1)).to.equal(await logicV1.getAddress());
+            expect(await getFleetBeacon(ethers.provider, fleet1)).to.equal(beaconAddress);
+            expect(await getFleetBeacon(ethers.provider, solo)).to.equal(ethers.ZeroAddress);
+
+            const nft = await ethers.getContractAt("ERC721LogicV1", fleet2);
+            expect(await nft.name()).to.equal("Fleet 2");
+            expect(await nft.owner()).to.equal(user1.address);
+            expect((await factory.collectionInfo(fleet2)).deployer).to.equal(user1.address);
+            await nft.connect(owner).mint(owner.address, { value: ethers.parseEther("0.1") });
+            expect(await nft.ownerOf(1)).to.equal(owner.address);
+
+            const [fleet] = await readFleets(ethers, factory);
+            expect(fleet).to.deep.equal({ name: "genesis", beacon: beaconAddress, implementation: await logicV1.getAddress(), collections: [fleet1, fleet2] });
+        });
+
+        it("Should upgrade every fleet collection in one transaction", async function () {
+            const { logicV1, factory, owner, user1, beacon, logicV2, initData, fleet1, fleet2, solo } = await loadFixture(fleetFixture);
+            const v2Address = await logicV2.getAddress();
+            const nft = await ethers.getContractAt("ERC721LogicV1", fleet1);
+            await nft.connect(user1).mint(user1.address, { value: ethers.parseEther("0.1") });
+
+            await expect(factory.connect(user1).upgradeFleet("genesis", v2Address, []))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+            await expect(factory.upgradeFleet("genesis", v2Address, [initData("flt1")])).to.be.revertedWith("Length mismatch");
+            await expect(factory.upgradeFleet("genesis", v2Address, [initData("flt1"), logicV2.interface.encodeFunctionData("setBaseURI", ["https://evil/"])]))
+                .to.be.revertedWith("Upgrade call not allowed");
+            await expect(factory.upgradeFleet("genesis", user1.address, [])).to.be.revertedWith("Implementation not approved");
+
+            await expect(factory.upgradeFleet("genesis", v2Address, [initData("flt1"), initData("flt2")]))
+                .to.emit(factory, "FleetUpgraded")
+                .withArgs("genesis", await logicV1.getAddress(), v2Address, owner.address);
+
+            expect(await beacon.implementation()).to.equal(v2Address);
+            for (const [proxyAddress, symbol] of [[fleet1, "flt1"], [fleet2, "flt2"]]) {
+                const nftV2 = await ethers.getContractAt("ERC721LogicV2Fixed", proxyAddress);
+                expect(await nftV2.getVersion()).to.equal("2.0.0");
+                expect(await nftV2.baseURI()).to.equal(`https://example.com/${symbol}/`);
+            }
+            const nftV2 = await ethers.getContractAt("ERC721LogicV2Fixed", fleet1);
+            expect(await nftV2.ownerOf(1)).to.equal(user1.address);
+            expect(await nftV2.owner()).to.equal(owner.address);
+            // The initializers ran once, from the factory, in the same transaction
+            await expect(nftV2.initializeV2Features("x", "x", owner.address, 0)).to.be.revertedWith("V2 already initialized");
+            // Collections outside the fleet do not move
+            expect(await getImplementationAddress(ethers.provider, solo)).to.equal(await logicV1.getAddress());
+            expect((await factory.getUpgradeHistory(await beacon.getAddress())).map(record => record.implementation))
+                .to.deep.equal([await logicV1.getAddress(), v2Address]);
+        });
+
+        it("Should refuse per-collection upgrades until a collection leaves its fleet", async function () {
+            const { proxyAdmin, factory, user1, beacon, logicV2, initData, fleet1, fleet2, solo } = await loadFixture(fleetFixture);
+            const v2Address = await logicV2.getAddress();
+
+            await expect(factory.upgradeCollection(fleet1, v2Address, "0x")).to.be.revertedWith("Collection follows a fleet");
+            expect(await fleetProblem(ethers.provider, fleet1)).to.match(/follows the fleet beacon .* "fleet leave /);
+            expect(await fleetProblem(ethers.provider, solo)).to.equal(null);
+            await expect(factory.leaveFleet(solo, v2Address, "0x")).to.be.revertedWith("Not a fleet collection");
+            await expect(factory.connect(user1).leaveFleet(fleet1, v2Address, "0x"))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+
+            await expect(factory.leaveFleet(fleet1, v2Address, initData("flt1")))
+                .to.emit(factory, "CollectionLeftFleet").withArgs(fleet1, await beacon.getAddress(), v2Address)
+                .and.to.emit(factory, "CollectionUpgraded");
+            expect(await factory.getFleetCollections("genesis")).to.deep.equal([fleet2]);
+            expect(await factory.collectionBeacon(fleet1)).to.equal(ethers.ZeroAddress);
+            expect(await getFleetBeacon(ethers.provider, fleet1)).to.equal(ethers.ZeroAddress);
+            expect(await fleetProblem(ethers.provider, fleet1)).to.equal(null);
+            expect(await factory.getCollectionImplementation(fleet1)).to.equal(v2Address);
+            expect(await (await ethers.getContractAt("ERC721LogicV2Fixed", fleet1)).baseURI()).to.equal("https://example.com/flt1/");
+
+            // Fleet upgrades no longer reach it, per-collection upgrades do
+            const ERC721LogicV2A = await ethers.getContractFactory("ERC721LogicV2A");
+            const logicV2A = await ERC721LogicV2A.deploy();
+            await factory.approveImplementation("2.1.0", await logicV2A.getAddress());
+            await factory.upgradeFleet("genesis", await logicV2A.getAddress(), []);
+            expect(await getImplementationAddress(ethers.provider, fleet1)).to.equal(v2Address);
+            expect(await getImplementationAddress(ethers.provider, fleet2)).to.equal(await logicV2A.getAddress());
+            await factory.upgradeCollection(fleet1, await logicV2A.getAddress(), "0x");
+            expect(await getImplementationAddress(ethers.provider, fleet1)).to.equal(await logicV2A.getAddress());
+
+            // The ProxyAdmin can only upgrade, it cannot use the collection
+            const adminAddress = await proxyAdmin.getAddress();
+            await ethers.provider.send("hardhat_impersonateAccount", [adminAddress]);
+            await ethers.provider.send("hardhat_setBalance", [adminAddress, "0xde0b6b3a7640000"]);
+            const admin = await ethers.getSigner(adminAddress);
+            const FleetProxy = await ethers.getContractFactory("FleetProxy");
+            await expect((await ethers.getContractAt("ERC721LogicV1", fleet2)).connect(admin).name())
+                .to.be.revertedWithCustomError(FleetProxy, "ProxyDeniedAdminAccess");
+            await ethers.provider.send("hardhat_stopImpersonatingAccount", [adminAddress]);
+        });
+    });
+
     describe("Upgrade to V2", function () {
         it("Should upgrade collections to V2", async function () {
             const { factory, proxyAdmin } = await loadFixture(deployFixture);